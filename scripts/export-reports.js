@@ -0,0 +1,61 @@
+/**
+ * Export reports and monthly summaries to XLSX or CSV
+ *
+ * Usage:
+ *   npm run export -- --month 2026-02
+ *   npm run export -- --start 2026-01-01 --end 2026-03-31 --cluster Mutare --format csv
+ *
+ * Files are written to reports/exports/.
+ */
+
+import { initializeDatabase, getAllAssemblies } from '../src/database/db.js';
+import { exportReports, EXPORT_FORMATS } from '../src/services/reportExporter.js';
+import { getMonthRange } from '../src/utils/helpers.js';
+
+function getArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+    const format = (getArg('format') || 'xlsx').toLowerCase();
+    const range = getArg('month')
+        ? getMonthRange(getArg('month'))
+        : getArg('start') && getArg('end') ? { start: getArg('start'), end: getArg('end') } : null;
+
+    if (!range || !EXPORT_FORMATS.includes(format)) {
+        console.log('Usage: npm run export -- --month YYYY-MM | --start YYYY-MM-DD --end YYYY-MM-DD [--cluster <id or name>] [--format xlsx|csv]');
+        process.exit(1);
+    }
+
+    await initializeDatabase();
+
+    let assembly = null;
+    const ref = getArg('cluster');
+    if (ref) {
+        const assemblies = await getAllAssemblies();
+        assembly = assemblies.find(a => String(a.id) === ref || a.name.toLowerCase() === ref.toLowerCase());
+        if (!assembly) {
+            console.error(`❌ Cluster "${ref}" not found`);
+            process.exit(1);
+        }
+    }
+
+    const { files, reportCount } = await exportReports({
+        startDate: range.start,
+        endDate: range.end,
+        assembly,
+        format
+    });
+
+    console.log(`\n✅ Exported ${reportCount} report(s) for ${assembly ? assembly.name : 'all clusters'} (${range.start} to ${range.end})\n`);
+    files.forEach(file => console.log(`   ${file}`));
+    console.log('');
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Export failed:', error.message);
+        process.exit(1);
+    });
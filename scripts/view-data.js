@@ -1,12 +1,8 @@
 import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import config from '../src/config/config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const DB_PATH = join(__dirname, '../data/evangelism.db');
-const db = new Database(DB_PATH);
+// Reads the local store used by DB_BACKEND=sqlite
+const db = new Database(config.sqlitePath, { readonly: true, fileMustExist: true });
 
 console.log('\n=== ASSEMBLIES ===\n');
 const assemblies = db.prepare('SELECT * FROM assemblies').all();
@@ -20,8 +16,8 @@ const reports = db.prepare(`
     a.name as assembly,
     r.activity_date,
     r.location,
-    r.people_reached,
-    r.conversions,
+    r.saved,
+    r.healed,
     r.activity_type,
     r.posted_to_group
   FROM reports r
@@ -35,9 +31,8 @@ console.log('\n=== STATISTICS ===\n');
 const stats = db.prepare(`
   SELECT 
     COUNT(*) as total_reports,
-    SUM(people_reached) as total_reached,
-    SUM(conversions) as total_conversions,
-    ROUND(CAST(SUM(conversions) AS FLOAT) / NULLIF(SUM(people_reached), 0) * 100, 2) as conversion_rate
+    SUM(saved) as total_saved,
+    SUM(healed) as total_healed
   FROM reports
 `).get();
 console.table([stats]);
@@ -0,0 +1,52 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI provider - also serves any OpenAI-compatible chat completions API
+ * (llama.cpp server, Ollama, vLLM, ...) when given a base URL.
+ * Timeouts and retries (connection errors, 429 and 5xx) are handled by the SDK.
+ * @param {Object} options - From loadAIProvider
+ * @returns {Object} Provider
+ */
+export function createProvider(options) {
+    const client = new OpenAI({
+        // Local servers usually don't check the key, but the SDK requires one
+        apiKey: options.apiKey || 'not-needed',
+        baseURL: options.baseUrl || undefined,
+        timeout: options.timeoutMs,
+        maxRetries: options.retries
+    });
+
+    // OpenAI's newer models take max_completion_tokens; compatible servers expect max_tokens
+    const tokenLimit = options.name === 'openai'
+        ? { max_completion_tokens: options.maxTokens }
+        : { max_tokens: options.maxTokens };
+
+    return {
+        name: options.name,
+        model: options.model,
+
+        async complete({ system, prompt }) {
+            const completion = await client.chat.completions.create({
+                model: options.model,
+                messages: [
+                    {
+                        role: 'system',
+                        content: system
+                    },
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ],
+                temperature: options.temperature,
+                ...tokenLimit
+            });
+
+            const response = completion.choices?.[0]?.message?.content;
+            if (!response) {
+                throw new Error(`${options.name} (${options.model}) returned an empty response`);
+            }
+            return response;
+        }
+    };
+}
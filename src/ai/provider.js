@@ -0,0 +1,108 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * AI provider selection
+ *
+ * Report narratives are written by an AI provider chosen per deployment (AI_PROVIDER).
+ * A provider is an object with:
+ *   name     - provider name (for logs)
+ *   model    - model name (for logs)
+ *   complete({ system, prompt }) → Promise<string> - the model's reply
+ *
+ * With AI_PROVIDER=none there is no provider and reports use the built-in summaries.
+ */
+
+const PROVIDERS = {
+    openai: './openaiProvider.js',
+    openai_compatible: './openaiProvider.js',
+    stub: './stubProvider.js'
+};
+
+// Model used by AI_PROVIDER=openai when AI_MODEL is not set
+const DEFAULT_OPENAI_MODEL = 'gpt-5.2';
+
+let providerPromise = null;
+
+/**
+ * Check that an object implements the provider interface
+ * @param {Object} provider - Candidate provider
+ * @param {string} name - Provider name (for error messages)
+ * @throws {Error} If complete() is missing
+ */
+export function assertProvider(provider, name = 'custom') {
+    if (typeof provider?.complete !== 'function') {
+        throw new Error(`AI provider "${name}" is missing: complete`);
+    }
+}
+
+/**
+ * Create the configured AI provider
+ * @param {Object} config - App config (aiProvider, aiBaseUrl, aiApiKey, aiModel, aiTemperature, aiMaxTokens, aiTimeoutMs, aiRetries)
+ * @returns {Promise<Object|null>} Provider, or null when AI is off
+ * @throws {Error} If the provider is unknown or its settings are incomplete
+ */
+export async function loadAIProvider(config) {
+    const name = (config.aiProvider || 'none').toLowerCase();
+    if (name === 'none') return null;
+
+    const modulePath = PROVIDERS[name];
+    if (!modulePath) {
+        throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: none, ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    if (name === 'openai' && !config.aiApiKey) {
+        throw new Error('AI_PROVIDER=openai needs OPENAI_API_KEY (or AI_API_KEY)');
+    }
+    if (name === 'openai_compatible' && (!config.aiBaseUrl || !config.aiModel)) {
+        throw new Error('AI_PROVIDER=openai_compatible needs AI_BASE_URL and AI_MODEL');
+    }
+    if (!Number.isFinite(config.aiTemperature) || config.aiTemperature < 0 || config.aiTemperature > 2) {
+        throw new Error('AI_TEMPERATURE must be a number from 0 to 2');
+    }
+    if (!Number.isInteger(config.aiRetries) || config.aiRetries < 0) {
+        throw new Error('AI_RETRIES must be 0 or more');
+    }
+
+    const { createProvider } = await import(modulePath);
+    const provider = createProvider({
+        name,
+        baseUrl: config.aiBaseUrl,
+        apiKey: config.aiApiKey,
+        model: config.aiModel || (name === 'openai' ? DEFAULT_OPENAI_MODEL : name),
+        temperature: config.aiTemperature,
+        maxTokens: config.aiMaxTokens,
+        timeoutMs: config.aiTimeoutMs,
+        retries: config.aiRetries
+    });
+    assertProvider(provider, name);
+
+    return provider;
+}
+
+/**
+ * Load the AI provider at startup so configuration mistakes are reported straight away
+ * @returns {Promise<Object|null>} Provider, or null when AI is off
+ */
+export async function initializeAI() {
+    const provider = await getAIProvider();
+
+    if (provider) {
+        logger.info(`AI narratives: ${provider.name} (${provider.model})`);
+    } else {
+        logger.info('AI narratives off - reports use the built-in summaries');
+    }
+
+    return provider;
+}
+
+/**
+ * Get the configured AI provider (loaded once)
+ * @returns {Promise<Object|null>} Provider, or null when AI is off
+ */
+export async function getAIProvider() {
+    if (!providerPromise) {
+        providerPromise = loadAIProvider(config);
+    }
+    return providerPromise;
+}
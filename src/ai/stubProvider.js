@@ -0,0 +1,35 @@
+/**
+ * Stub provider - deterministic replies for tests and offline development.
+ * The reply is in the NARRATIVE / MESSAGE EMPHASIS / CONCLUSION format the report
+ * generator expects, and quotes the first line of the prompt so tests can tell reports apart.
+ * Every request is kept in `requests`.
+ * @param {Object} options - From loadAIProvider
+ * @returns {Object} Provider
+ */
+export function createProvider(options) {
+    const requests = [];
+
+    return {
+        name: options.name,
+        model: options.model,
+        requests,
+
+        async complete({ system, prompt }) {
+            requests.push({ system, prompt });
+            const firstLine = prompt.split('\n')[0].trim();
+
+            return [
+                'NARRATIVE:',
+                `Stub narrative. ${firstLine}`,
+                '',
+                'MESSAGE EMPHASIS:',
+                '- Stub emphasis one',
+                '- Stub emphasis two',
+                '- Stub emphasis three',
+                '',
+                'CONCLUSION:',
+                'Stub conclusion.'
+            ].join('\n');
+        }
+    };
+}
@@ -0,0 +1,25 @@
+/**
+ * Run the REST API on its own, without the WhatsApp bot
+ *
+ * Usage:
+ *   npm run api
+ */
+
+import logger from '../utils/logger.js';
+import { initializeDatabase } from '../database/db.js';
+import { startApiServer } from './server.js';
+
+async function main() {
+    await initializeDatabase();
+
+    const server = await startApiServer();
+    if (!server) {
+        logger.error('Set API_TOKENS in .env to use the REST API');
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    logger.error('Fatal error starting REST API:', error);
+    process.exit(1);
+});
@@ -0,0 +1,306 @@
+import { createReadStream, existsSync, readdirSync, statSync } from 'fs';
+import { basename, join } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import {
+    getAllAssemblies,
+    getAssembly,
+    getReportsForAssembly,
+    getReport,
+    getReportsByDateRange,
+    getMonthlyStats,
+    getMonthlyStatsByAssembly,
+    getActivityTypeBreakdown
+} from '../database/db.js';
+import { generateAssemblyReport } from '../services/aiReportGenerator.js';
+import { generatePDFReport } from '../services/pdfGenerator.js';
+import { generateLocationPlot } from '../services/coordinateMapGenerator.js';
+import { resolveReportLocations } from '../services/gazetteer.js';
+import { getMonthRange } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const REPORTS_DIR = join(__dirname, '../../reports');
+const DASHBOARD_PATH = join(__dirname, 'public/dashboard.html');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_TREND_MONTHS = 24;
+
+/**
+ * Error with an HTTP status, turned into a JSON error response by the server
+ */
+export class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * REST API routes
+ * Each route is { method, path, handler }; `:name` segments become req.params.name.
+ * Handlers return the JSON body, or handle `res` themselves and return undefined.
+ * Routes marked `public` need no API token.
+ */
+export const API_ROUTES = [
+    { method: 'GET', path: '/', handler: serveDashboard, public: true },
+    { method: 'GET', path: '/dashboard', handler: serveDashboard, public: true },
+    { method: 'GET', path: '/api/health', handler: health, public: true },
+    { method: 'GET', path: '/api/clusters', handler: listClusters },
+    { method: 'GET', path: '/api/clusters/:id', handler: getCluster },
+    { method: 'GET', path: '/api/reports', handler: listReports },
+    { method: 'GET', path: '/api/reports/:id', handler: getSingleReport },
+    { method: 'GET', path: '/api/stats/clusters', handler: clusterStats },
+    { method: 'GET', path: '/api/stats/activity-types', handler: activityTypeStats },
+    { method: 'GET', path: '/api/stats/trend', handler: trendStats },
+    { method: 'GET', path: '/api/map', handler: locationMap },
+    { method: 'POST', path: '/api/clusters/:id/report', handler: generateClusterReport },
+    { method: 'POST', path: '/api/clusters/:id/pdf', handler: generateClusterPDF },
+    { method: 'GET', path: '/api/pdfs', handler: listPDFs },
+    { method: 'GET', path: '/api/pdfs/:file', handler: downloadPDF }
+];
+
+/**
+ * Read the date range from ?month=YYYY-MM or ?start=&end= (defaults to the current month)
+ * @param {URLSearchParams} query
+ * @returns {{start: string, end: string}}
+ */
+export function getDateRange(query) {
+    if (query.has('month')) {
+        const range = getMonthRange(query.get('month'));
+        if (!range) throw new ApiError(400, 'month must be YYYY-MM');
+        return range;
+    }
+
+    const start = query.get('start');
+    const end = query.get('end');
+    if (start || end) {
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!datePattern.test(start || '') || !datePattern.test(end || '')) {
+            throw new ApiError(400, 'start and end must both be YYYY-MM-DD');
+        }
+        if (start > end) throw new ApiError(400, 'start must not be after end');
+        return { start, end };
+    }
+
+    return getMonthRange(new Date().toISOString().substring(0, 7));
+}
+
+/**
+ * Find a cluster by ID or (case-insensitive) name, or fail with 404
+ */
+async function findCluster(ref) {
+    let assembly;
+    if (/^\d+$/.test(ref)) {
+        assembly = await getAssembly(parseInt(ref));
+    } else {
+        const assemblies = await getAllAssemblies();
+        assembly = assemblies.find(a => a.name.toLowerCase() === ref.toLowerCase());
+    }
+
+    if (!assembly) throw new ApiError(404, `Cluster "${ref}" not found`);
+    return assembly;
+}
+
+async function serveDashboard(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    createReadStream(DASHBOARD_PATH).pipe(res);
+}
+
+async function health() {
+    return { status: 'ok' };
+}
+
+async function listClusters() {
+    return { clusters: await getAllAssemblies() };
+}
+
+async function getCluster(req) {
+    return { cluster: await findCluster(req.params.id) };
+}
+
+async function listReports(req) {
+    const { query } = req;
+    const range = getDateRange(query);
+
+    let reports = await getReportsByDateRange(range.start, range.end);
+
+    if (query.has('cluster')) {
+        const assembly = await findCluster(query.get('cluster'));
+        reports = reports.filter(r => r.assembly_id === assembly.id);
+    }
+
+    if (query.has('activity_type')) {
+        const activityType = query.get('activity_type').toLowerCase();
+        reports = reports.filter(r => (r.activity_type || '').toLowerCase() === activityType);
+    }
+
+    // Held duplicates and the like stay out unless asked for; ?status=all lists everything
+    const status = query.get('status') || 'active';
+    if (status !== 'all') {
+        reports = reports.filter(r => r.status === status);
+    }
+
+    const limit = Math.min(parseInt(query.get('limit')) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(query.get('offset')) || 0, 0);
+
+    return {
+        start: range.start,
+        end: range.end,
+        total: reports.length,
+        limit,
+        offset,
+        reports: reports.slice(offset, offset + limit)
+    };
+}
+
+async function getSingleReport(req) {
+    if (!/^\d+$/.test(req.params.id)) throw new ApiError(400, 'Report ID must be a number');
+
+    const report = await getReport(parseInt(req.params.id));
+    if (!report) throw new ApiError(404, `Report #${req.params.id} not found`);
+    return { report };
+}
+
+async function clusterStats(req) {
+    const range = getDateRange(req.query);
+    return { ...range, clusters: await getMonthlyStatsByAssembly(range.start, range.end) };
+}
+
+async function activityTypeStats(req) {
+    const range = getDateRange(req.query);
+    return { ...range, activityTypes: await getActivityTypeBreakdown(range.start, range.end) };
+}
+
+/**
+ * Saved/healed per month for the last ?months= months (default 12), all clusters or ?cluster=
+ */
+async function trendStats(req) {
+    const { query } = req;
+    const months = Math.min(Math.max(parseInt(query.get('months')) || 12, 1), MAX_TREND_MONTHS);
+    const assembly = query.has('cluster') ? await findCluster(query.get('cluster')) : null;
+
+    const now = new Date();
+    const trend = [];
+    for (let i = months - 1; i >= 0; i--) {
+        const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+        const month = date.toISOString().substring(0, 7);
+        const range = getMonthRange(month);
+
+        let stats;
+        if (assembly) {
+            const byAssembly = await getMonthlyStatsByAssembly(range.start, range.end);
+            stats = byAssembly.find(s => s.assembly_id === assembly.id) || {};
+        } else {
+            stats = await getMonthlyStats(range.start, range.end);
+        }
+
+        trend.push({
+            month,
+            total_reports: Number(stats.total_reports || 0),
+            total_saved: Number(stats.total_saved || 0),
+            total_healed: Number(stats.total_healed || 0)
+        });
+    }
+
+    return { cluster: assembly ? assembly.name : null, trend };
+}
+
+/**
+ * Location map PNG for the period, one cluster (?cluster=) or all
+ */
+async function locationMap(req, res) {
+    const { query } = req;
+    const range = getDateRange(query);
+
+    let name = 'All Clusters';
+    let reports;
+    if (query.has('cluster')) {
+        const assembly = await findCluster(query.get('cluster'));
+        name = assembly.name;
+        reports = await getReportsForAssembly(assembly.id, range.start, range.end);
+    } else {
+        reports = (await getReportsByDateRange(range.start, range.end)).filter(r => r.status === 'active');
+    }
+
+    const { points, unmatched } = await resolveReportLocations(reports);
+    if (points.length === 0 && unmatched.length === 0) {
+        throw new ApiError(404, 'No locations reported in this period');
+    }
+
+    const mapPath = join(REPORTS_DIR, `map_dashboard_${name.replace(/[^\w-]/g, '_')}_${range.start}_${range.end}.png`);
+    const generated = await generateLocationPlot(points, `${name} - Evangelism Locations`, mapPath);
+    if (!generated) {
+        throw new ApiError(503, 'Map unavailable (canvas not installed or no known coordinates)');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+    createReadStream(generated).pipe(res);
+}
+
+async function generateClusterReport(req) {
+    const assembly = await findCluster(req.params.id);
+    const range = getDateRange(req.query);
+
+    logger.info(`[API] Generating report for ${assembly.name} (${range.start} to ${range.end})`);
+    const report = await generateAssemblyReport(assembly, range.start, range.end);
+    return { report };
+}
+
+async function generateClusterPDF(req) {
+    const assembly = await findCluster(req.params.id);
+    const range = getDateRange(req.query);
+
+    logger.info(`[API] Generating PDF for ${assembly.name} (${range.start} to ${range.end})`);
+    const report = await generateAssemblyReport(assembly, range.start, range.end);
+    if (report.totalOutreaches === 0) {
+        throw new ApiError(404, `No reports found for ${assembly.name} in this period`);
+    }
+
+    const file = basename(await generatePDFReport(report));
+    return {
+        cluster: assembly.name,
+        start: range.start,
+        end: range.end,
+        file,
+        url: `/api/pdfs/${encodeURIComponent(file)}`
+    };
+}
+
+async function listPDFs() {
+    const pdfs = existsSync(REPORTS_DIR)
+        ? readdirSync(REPORTS_DIR)
+            .filter(file => file.endsWith('.pdf'))
+            .map(file => {
+                const stats = statSync(join(REPORTS_DIR, file));
+                return {
+                    file,
+                    size: stats.size,
+                    created_at: stats.mtime.toISOString(),
+                    url: `/api/pdfs/${encodeURIComponent(file)}`
+                };
+            })
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        : [];
+
+    return { pdfs };
+}
+
+async function downloadPDF(req, res) {
+    // basename() keeps requests inside the reports folder
+    const file = basename(req.params.file);
+    const filepath = join(REPORTS_DIR, file);
+
+    if (!file.endsWith('.pdf') || !existsSync(filepath)) {
+        throw new ApiError(404, 'PDF not found');
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${file}"`
+    });
+    createReadStream(filepath).pipe(res);
+}
@@ -0,0 +1,148 @@
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { API_ROUTES, ApiError } from './routes.js';
+
+/**
+ * Local REST API and leadership dashboard
+ * Read access to clusters, reports and stats, plus report/PDF generation.
+ * Every /api route except /api/health needs a token from API_TOKENS, sent as
+ * "Authorization: Bearer <token>" (or ?token=<token> for download links).
+ * The dashboard page itself is public; it asks for a token to load its data.
+ */
+
+let server = null;
+
+/**
+ * Compile "/api/clusters/:id" into a regex with named groups
+ */
+function compilePath(path) {
+    const pattern = path.replace(/:(\w+)/g, '(?<$1>[^/]+)');
+    return new RegExp(`^${pattern}$`);
+}
+
+const ROUTES = API_ROUTES.map(route => ({ ...route, regex: compilePath(route.path) }));
+
+/**
+ * Check a request's API token against API_TOKENS
+ * @param {http.IncomingMessage} req
+ * @param {URLSearchParams} query
+ * @returns {boolean}
+ */
+function isAuthorized(req, query) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.substring(7).trim() : query.get('token');
+    if (!token) return false;
+
+    const given = Buffer.from(token);
+    return config.apiTokens.some(valid => {
+        const expected = Buffer.from(valid);
+        return expected.length === given.length && timingSafeEqual(expected, given);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Decode a path segment, failing with 400 on a malformed %-escape
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new ApiError(400, `Malformed path segment "${value}"`);
+    }
+}
+
+/**
+ * Route a request to its handler
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    const matches = ROUTES
+        .map(route => ({ route, match: route.regex.exec(url.pathname) }))
+        .filter(({ match }) => match);
+
+    if (matches.length === 0) {
+        throw new ApiError(404, 'Not found');
+    }
+
+    const found = matches.find(({ route }) => route.method === req.method);
+    if (!found) {
+        throw new ApiError(405, `Method ${req.method} not allowed`);
+    }
+
+    if (!found.route.public && !isAuthorized(req, url.searchParams)) {
+        throw new ApiError(401, 'Missing or invalid API token');
+    }
+
+    req.params = Object.fromEntries(
+        Object.entries(found.match.groups || {}).map(([key, value]) => [key, decodeParam(value)])
+    );
+    req.query = url.searchParams;
+
+    const body = await found.route.handler(req, res);
+    if (body !== undefined) {
+        sendJson(res, 200, body);
+    }
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @returns {http.Server}
+ */
+export function createApiServer() {
+    return http.createServer(async (req, res) => {
+        try {
+            await handleRequest(req, res);
+        } catch (error) {
+            if (error instanceof ApiError) {
+                sendJson(res, error.status, { error: error.message });
+                return;
+            }
+
+            logger.error(`[API] ${req.method} ${req.url} failed:`, error);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal server error' });
+            } else {
+                res.end();
+            }
+        }
+    });
+}
+
+/**
+ * Start the API server on API_HOST:API_PORT
+ * @returns {Promise<http.Server|null>} Server, or null if no API tokens are configured
+ */
+export async function startApiServer() {
+    if (config.apiTokens.length === 0) {
+        logger.warn('[API] API_TOKENS is empty - REST API not started');
+        return null;
+    }
+
+    server = createApiServer();
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.apiPort, config.apiHost, resolve);
+    });
+
+    logger.info(`[API] REST API listening on http://${config.apiHost}:${config.apiPort}`);
+    return server;
+}
+
+/**
+ * Stop the API server
+ */
+export async function stopApiServer() {
+    if (!server) return;
+
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+    logger.info('[API] REST API stopped');
+}
@@ -0,0 +1,767 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import {
+    getAllAssemblies,
+    getAssembly,
+    createAssembly,
+    updateAssembly,
+    setAssemblyLanguage,
+    setAssemblyReportingCommand,
+    getClusterLeaders,
+    addClusterLeader,
+    removeClusterLeader,
+    getOpenReportReviews,
+    getReport,
+    getReportsByDateRange,
+    getReportsForAssembly,
+    getPlaces
+} from '../database/db.js';
+import { formatReportMessage } from '../services/groupPoster.js';
+import { generateAssemblyReport } from '../services/aiReportGenerator.js';
+import {
+    generateAndDistributeMonthlyReport,
+    sendAssemblyReport,
+    pauseScheduler,
+    resumeScheduler,
+    getSchedulerStatus,
+    queueJob,
+    updateJob
+} from '../services/scheduler.js';
+import { exportReports, sendExportFiles, EXPORT_FORMATS } from '../services/reportExporter.js';
+import { getReviewLeaders } from '../services/reportReview.js';
+import {
+    addPlace,
+    addPlaceAlias,
+    removePlace,
+    normalizePlaceName,
+    resolveReportLocations,
+    formatUnmatchedLocations
+} from '../services/gazetteer.js';
+import { extractPhone, normalizePhone, getMonthRange } from '../utils/helpers.js';
+import { LANGUAGES, LANGUAGE_NAMES, parseLanguage, t } from '../i18n/index.js';
+import { getClusterLanguage, getUserLanguage } from '../i18n/preferences.js';
+import { SMC_COMMANDS, DEFAULT_COMMAND, findCommand } from '../config/smc_reporting_commands.js';
+
+/**
+ * Admin-only DM commands.
+ * Only numbers listed in ADMIN_NUMBERS may run these; everyone else is refused.
+ * Replies are in the admin's own language; each command's description is the
+ * 'admin.help.<command>' message.
+ */
+const ADMIN_COMMANDS = {
+    '!admin': {
+        usage: '!admin',
+        handler: sendAdminHelp
+    },
+    '!clusters': {
+        usage: '!clusters',
+        handler: listClusters
+    },
+    '!addcluster': {
+        usage: '!addcluster <name>',
+        handler: addCluster
+    },
+    '!renamecluster': {
+        usage: '!renamecluster <id> <new name>',
+        handler: renameCluster
+    },
+    '!bindgroup': {
+        usage: '!bindgroup <cluster> <group id>',
+        handler: bindGroup
+    },
+    '!clusterlanguage': {
+        usage: `!clusterlanguage <cluster> <${LANGUAGES.join('|')}|default>`,
+        handler: setClusterLanguage
+    },
+    '!clustercommand': {
+        usage: '!clustercommand [<cluster> <[command]|default>]',
+        handler: setClusterCommand
+    },
+    '!leaders': {
+        usage: '!leaders <cluster> [add|remove <phone>]',
+        handler: manageLeaders
+    },
+    '!report': {
+        usage: '!report <report id>',
+        handler: viewReport
+    },
+    '!regenerate': {
+        usage: '!regenerate <YYYY-MM> <cluster>',
+        handler: regenerateReport
+    },
+    '!resend': {
+        usage: '!resend <YYYY-MM> [cluster]',
+        handler: resendReport
+    },
+    '!reviews': {
+        usage: '!reviews',
+        handler: listReviews
+    },
+    '!export': {
+        usage: '!export <YYYY-MM | YYYY-MM-DD..YYYY-MM-DD> [cluster] [xlsx|csv]',
+        handler: exportSpreadsheet
+    },
+    '!places': {
+        usage: '!places [search]',
+        handler: listPlaces
+    },
+    '!addplace': {
+        usage: '!addplace <name> <latitude> <longitude>',
+        handler: addMapPlace
+    },
+    '!placealias': {
+        usage: '!placealias <place> = <alias>',
+        handler: addMapPlaceAlias
+    },
+    '!removeplace': {
+        usage: '!removeplace <name>',
+        handler: removeMapPlace
+    },
+    '!unmatched': {
+        usage: '!unmatched <YYYY-MM | YYYY-MM-DD..YYYY-MM-DD> [cluster]',
+        handler: listUnmatchedLocations
+    },
+    '!pause': {
+        usage: '!pause',
+        handler: pauseReports
+    },
+    '!resume': {
+        usage: '!resume',
+        handler: resumeReports
+    },
+    '!schedule': {
+        usage: '!schedule [<job> on|off|run|cron <expression>]',
+        handler: manageSchedule
+    }
+};
+
+/**
+ * Check if a JID belongs to an admin (ADMIN_NUMBERS)
+ * @param {string} jid - WhatsApp JID
+ * @returns {boolean}
+ */
+export function isAdmin(jid) {
+    if (!jid) return false;
+
+    // Strip the device suffix (e.g. "2637...:12@s.whatsapp.net")
+    const phone = extractPhone(jid).split(':')[0];
+    return config.adminNumbers.some(number => extractPhone(number).replace(/\D/g, '') === phone);
+}
+
+/**
+ * Get admin JIDs for direct messages
+ * @returns {string[]}
+ */
+export function getAdminJids() {
+    return config.adminNumbers.map(normalizePhone);
+}
+
+/**
+ * Check if a message is an admin command
+ * @param {string} messageText
+ * @returns {boolean}
+ */
+export function isAdminCommand(messageText) {
+    const command = messageText.trim().split(/\s+/)[0].toLowerCase();
+    return Object.prototype.hasOwnProperty.call(ADMIN_COMMANDS, command);
+}
+
+/**
+ * Handle an admin command sent by DM
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} userJid - Sender JID
+ * @param {string} messageText - Full message text
+ */
+export async function handleAdminCommand(sock, userJid, messageText) {
+    const trimmed = messageText.trim();
+    const command = trimmed.split(/\s+/)[0].toLowerCase();
+    const args = trimmed.substring(command.length).trim();
+    const language = await getUserLanguage(userJid);
+
+    if (!isAdmin(userJid)) {
+        logger.warn(`[ADMIN] Permission denied for ${userJid}: ${command}`);
+        await sock.sendMessage(userJid, { text: t(language, 'admin.denied') });
+        return;
+    }
+
+    logger.info(`[ADMIN] ${userJid} ran ${command} ${args}`);
+
+    try {
+        await ADMIN_COMMANDS[command].handler(sock, userJid, args, language);
+    } catch (error) {
+        logger.error(`[ADMIN] Error running ${command}:`, error);
+        await sock.sendMessage(userJid, { text: t(language, 'admin.failed', { command }) });
+    }
+}
+
+/**
+ * Reply with usage for a command
+ */
+async function sendUsage(sock, userJid, command, language) {
+    await sock.sendMessage(userJid, {
+        text: t(language, 'admin.usage', { usage: ADMIN_COMMANDS[command].usage })
+    });
+}
+
+/**
+ * Find a cluster by ID or (case-insensitive) name
+ * @param {string} ref - Cluster ID or name
+ * @returns {Promise<Object|undefined>}
+ */
+async function findAssembly(ref) {
+    if (/^\d+$/.test(ref)) {
+        return (await getAssembly(parseInt(ref))) || undefined;
+    }
+
+    const assemblies = await getAllAssemblies();
+    return assemblies.find(a => a.name.toLowerCase() === ref.toLowerCase());
+}
+
+async function sendAdminHelp(sock, userJid, args, language) {
+    let helpText = `${t(language, 'admin.helpTitle')}\n\n`;
+    Object.entries(ADMIN_COMMANDS).forEach(([command, { usage }]) => {
+        helpText += `${usage}\n   ${t(language, `admin.help.${command.substring(1)}`)}\n`;
+    });
+    helpText += `\n${t(language, 'admin.helpClusterRef')}`;
+
+    await sock.sendMessage(userJid, { text: helpText });
+}
+
+async function listClusters(sock, userJid, args, language) {
+    const assemblies = await getAllAssemblies();
+
+    if (assemblies.length === 0) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.noClusters') });
+        return;
+    }
+
+    let message = `${t(language, 'admin.clustersTitle')}\n\n`;
+    assemblies.forEach(a => {
+        const bound = a.whatsapp_group_id && a.whatsapp_group_id.endsWith('@g.us');
+        const clusterLanguage = LANGUAGE_NAMES[getClusterLanguage(a)];
+        const command = findCommand(a.reporting_command)?.name;
+
+        message += `${a.id}. *${a.name}*\n`;
+        if (bound) {
+            message += `   ✅ ${a.whatsapp_group_id}\n`;
+        } else {
+            message += `   ${a.whatsapp_group_id ? t(language, 'admin.noGroup', { group: a.whatsapp_group_id }) : t(language, 'admin.noGroupEmpty')}\n`;
+        }
+        message += `   🌐 ${a.language ? clusterLanguage : t(language, 'admin.default', { name: clusterLanguage })}\n`;
+        message += `   🖋️ ${command || t(language, 'admin.default', { name: DEFAULT_COMMAND.name })}\n`;
+    });
+
+    await sock.sendMessage(userJid, { text: message });
+}
+
+async function addCluster(sock, userJid, args, language) {
+    const name = args.trim();
+    if (name.length < 2) {
+        await sendUsage(sock, userJid, '!addcluster', language);
+        return;
+    }
+
+    if (await findAssembly(name)) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.clusterExists', { name }) });
+        return;
+    }
+
+    const result = await createAssembly(name, null);
+    await sock.sendMessage(userJid, {
+        text: t(language, 'admin.clusterAdded', { name, id: result.lastInsertRowid })
+    });
+}
+
+async function renameCluster(sock, userJid, args, language) {
+    const match = args.match(/^(\d+)\s+(.+)$/);
+    if (!match) {
+        await sendUsage(sock, userJid, '!renamecluster', language);
+        return;
+    }
+
+    const assembly = await getAssembly(parseInt(match[1]));
+    if (!assembly) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.noClusterId', { id: match[1] }) });
+        return;
+    }
+
+    const newName = match[2].trim();
+    await updateAssembly(assembly.id, newName, assembly.whatsapp_group_id);
+    await sock.sendMessage(userJid, { text: t(language, 'admin.renamed', { old: assembly.name, name: newName }) });
+}
+
+async function bindGroup(sock, userJid, args, language) {
+    const parts = args.split(/\s+/);
+    const groupId = parts.pop();
+    const ref = parts.join(' ');
+
+    if (!ref || !groupId || !groupId.endsWith('@g.us')) {
+        await sendUsage(sock, userJid, '!bindgroup', language);
+        return;
+    }
+
+    const assembly = await findAssembly(ref);
+    if (!assembly) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+        return;
+    }
+
+    await updateAssembly(assembly.id, assembly.name, groupId);
+    await sock.sendMessage(userJid, { text: t(language, 'admin.groupBound', { cluster: assembly.name, group: groupId }) });
+}
+
+async function setClusterLanguage(sock, userJid, args, language) {
+    const parts = args.split(/\s+/);
+    const input = parts.pop();
+    const ref = parts.join(' ');
+    const useDefault = input?.toLowerCase() === 'default';
+    const clusterLanguage = useDefault ? null : parseLanguage(input);
+
+    if (!ref || (!useDefault && !clusterLanguage)) {
+        await sendUsage(sock, userJid, '!clusterlanguage', language);
+        return;
+    }
+
+    const assembly = await findAssembly(ref);
+    if (!assembly) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+        return;
+    }
+
+    await setAssemblyLanguage(assembly.id, clusterLanguage);
+    const name = LANGUAGE_NAMES[getClusterLanguage({ language: clusterLanguage })];
+    await sock.sendMessage(userJid, {
+        text: t(language, clusterLanguage ? 'admin.languageSet' : 'admin.languageDefault', { cluster: assembly.name, language: name })
+    });
+}
+
+async function setClusterCommand(sock, userJid, args, language) {
+    args = args.trim();
+
+    // No arguments: list the commands
+    if (!args) {
+        let message = `${t(language, 'admin.commandsTitle')}\n\n`;
+        Object.values(SMC_COMMANDS).forEach(c => {
+            message += `${c === DEFAULT_COMMAND ? t(language, 'admin.default', { name: c.name }) : c.name}\n   ${c.description}\n`;
+        });
+        message += `\n${t(language, 'admin.commandsFooter', { usage: ADMIN_COMMANDS['!clustercommand'].usage })}`;
+        await sock.sendMessage(userJid, { text: message });
+        return;
+    }
+
+    // "<cluster> [Command Name]" or "<cluster> default"
+    const bracket = args.indexOf('[');
+    const parts = args.split(/\s+/);
+    const input = bracket > 0 ? args.substring(bracket) : parts.pop();
+    const ref = bracket > 0 ? args.substring(0, bracket).trim() : parts.join(' ');
+    const useDefault = input?.toLowerCase() === 'default';
+    const command = useDefault ? null : findCommand(input);
+
+    if (!ref || (!useDefault && !command)) {
+        await sendUsage(sock, userJid, '!clustercommand', language);
+        return;
+    }
+
+    const assembly = await findAssembly(ref);
+    if (!assembly) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+        return;
+    }
+
+    await setAssemblyReportingCommand(assembly.id, command?.name || null);
+    await sock.sendMessage(userJid, {
+        text: t(language, command ? 'admin.commandSet' : 'admin.commandDefault', {
+            cluster: assembly.name,
+            command: (command || DEFAULT_COMMAND).name
+        })
+    });
+}
+
+async function manageLeaders(sock, userJid, args, language) {
+    args = args.trim();
+    if (!args) {
+        await sendUsage(sock, userJid, '!leaders', language);
+        return;
+    }
+
+    // "<cluster> add <phone>", "<cluster> remove <phone>" or just "<cluster>"
+    const change = args.match(/^(.+?)\s+(add|remove)\s+(\+?[\d\s-]+)$/i);
+    const ref = change ? change[1] : args;
+
+    const assembly = await findAssembly(ref);
+    if (!assembly) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+        return;
+    }
+
+    if (change) {
+        const phone = change[3].replace(/\D/g, '');
+        if (phone.length < 9) {
+            await sock.sendMessage(userJid, { text: t(language, 'admin.notAPhone', { input: change[3] }) });
+            return;
+        }
+
+        if (change[2].toLowerCase() === 'add') {
+            await addClusterLeader(assembly.id, phone);
+            logger.info(`Admin ${userJid} added leader ${phone} to ${assembly.name}`);
+        } else {
+            const { changes } = await removeClusterLeader(assembly.id, phone);
+            if (!changes) {
+                await sock.sendMessage(userJid, { text: t(language, 'admin.notALeader', { phone, cluster: assembly.name }) });
+                return;
+            }
+            logger.info(`Admin ${userJid} removed leader ${phone} from ${assembly.name}`);
+        }
+    }
+
+    const leaders = await getClusterLeaders(assembly.id);
+    let message = `${t(language, 'admin.leadersTitle', { cluster: assembly.name })}\n\n`;
+    message += leaders.length > 0
+        ? leaders.map(leader => `• ${leader.phone}`).join('\n')
+        : t(language, 'admin.noLeaders');
+    message += `\n\n${ADMIN_COMMANDS['!leaders'].usage}`;
+
+    await sock.sendMessage(userJid, { text: message });
+}
+
+async function viewReport(sock, userJid, args, language) {
+    const id = parseInt(args);
+    if (isNaN(id)) {
+        await sendUsage(sock, userJid, '!report', language);
+        return;
+    }
+
+    const report = await getReport(id);
+    if (!report) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.reportNotFound', { id }) });
+        return;
+    }
+
+    let message = `${t(language, 'admin.reportTitle', { id: report.id, source: report.source || 'form' })}\n`;
+    if (report.status === 'pending_duplicate') {
+        message += `${t(language, 'admin.reportHeld', { id: report.duplicate_of })}\n`;
+    }
+    message += '\n';
+    message += formatReportMessage(report);
+
+    await sock.sendMessage(userJid, { text: message });
+}
+
+async function regenerateReport(sock, userJid, args, language) {
+    const [month, ...rest] = args.split(/\s+/);
+    const range = getMonthRange(month);
+    const ref = rest.join(' ');
+
+    if (!range || !ref) {
+        await sendUsage(sock, userJid, '!regenerate', language);
+        return;
+    }
+
+    const assembly = await findAssembly(ref);
+    if (!assembly) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+        return;
+    }
+
+    await sock.sendMessage(userJid, {
+        text: t(language, 'admin.regenerating', { cluster: assembly.name, month })
+    });
+
+    const report = await generateAssemblyReport(assembly, range.start, range.end);
+    if (report.totalOutreaches === 0) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.noReports', { cluster: assembly.name, month }) });
+        return;
+    }
+
+    await sendAssemblyReport(sock, userJid, report);
+}
+
+async function resendReport(sock, userJid, args, language) {
+    const [month, ...rest] = args.split(/\s+/);
+    const range = getMonthRange(month);
+    const ref = rest.join(' ');
+
+    if (!range) {
+        await sendUsage(sock, userJid, '!resend', language);
+        return;
+    }
+
+    let assemblyIds;
+    if (ref) {
+        const assembly = await findAssembly(ref);
+        if (!assembly) {
+            await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+            return;
+        }
+        assemblyIds = [assembly.id];
+    }
+
+    await sock.sendMessage(userJid, {
+        text: t(language, ref ? 'admin.resendingOne' : 'admin.resendingAll', { month })
+    });
+
+    // The admin asked for it, so it is posted without leader review
+    const sent = await generateAndDistributeMonthlyReport({
+        startDate: range.start,
+        endDate: range.end,
+        assemblyIds,
+        review: false
+    });
+
+    await sock.sendMessage(userJid, {
+        text: sent.length > 0
+            ? t(language, 'admin.resent', { month, chats: sent.join(', ') })
+            : t(language, 'admin.nothingResent', { month })
+    });
+}
+
+async function listReviews(sock, userJid, args, language) {
+    const reviews = await getOpenReportReviews();
+    if (reviews.length === 0) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.noReviews') });
+        return;
+    }
+
+    let message = `${t(language, 'admin.reviewsTitle')}\n\n`;
+    for (const review of reviews) {
+        const leaders = await getReviewLeaders(review);
+        const date = String(review.escalated_at || review.submitted_at).substring(0, 10);
+        message += `*Draft #${review.id}* - ${review.report_data.assemblyName}, ${review.report_data.period}\n`;
+        message += `   ${t(language, review.status === 'escalated' ? 'admin.reviewEscalated' : 'admin.reviewPending', { date })}`;
+        message += ` · ${t(language, 'admin.reviewLeaders', { leaders: leaders.length > 0 ? leaders.join(', ') : t(language, 'admin.none') })}\n`;
+    }
+    message += `\n${t(language, 'admin.reviewsHint')}`;
+
+    await sock.sendMessage(userJid, { text: message });
+}
+
+/**
+ * Parse "YYYY-MM" or "YYYY-MM-DD..YYYY-MM-DD" into a date range
+ * @returns {{start: string, end: string}|null}
+ */
+function parsePeriod(period) {
+    const range = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(period || '');
+    if (range) {
+        return range[1] <= range[2] ? { start: range[1], end: range[2] } : null;
+    }
+    return getMonthRange(period);
+}
+
+async function exportSpreadsheet(sock, userJid, args, language) {
+    const parts = args.split(/\s+/).filter(Boolean);
+    const range = parsePeriod(parts.shift());
+
+    let format = 'xlsx';
+    if (parts.length > 0 && EXPORT_FORMATS.includes(parts[parts.length - 1].toLowerCase())) {
+        format = parts.pop().toLowerCase();
+    }
+    const ref = parts.join(' ');
+
+    if (!range) {
+        await sendUsage(sock, userJid, '!export', language);
+        return;
+    }
+
+    let assembly = null;
+    if (ref) {
+        assembly = await findAssembly(ref);
+        if (!assembly) {
+            await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+            return;
+        }
+    }
+
+    const { files, reportCount } = await exportReports({
+        startDate: range.start,
+        endDate: range.end,
+        assembly,
+        format
+    });
+
+    await sock.sendMessage(userJid, {
+        text: t(language, 'admin.exported', {
+            scope: assembly ? assembly.name : t(language, 'admin.allClusters'),
+            start: range.start,
+            end: range.end,
+            count: reportCount
+        })
+    });
+    await sendExportFiles(sock, userJid, files);
+}
+
+async function listPlaces(sock, userJid, args, language) {
+    const search = normalizePlaceName(args);
+    const places = (await getPlaces()).filter(place =>
+        !search || [place.name, ...(place.aliases || [])].some(name => normalizePlaceName(name).includes(search))
+    );
+
+    if (places.length === 0) {
+        await sock.sendMessage(userJid, {
+            text: search ? t(language, 'admin.noPlacesMatch', { search: args.trim() }) : t(language, 'admin.noPlaces')
+        });
+        return;
+    }
+
+    let message = `${t(language, 'admin.placesTitle', { count: places.length })}\n\n`;
+    places.forEach(place => {
+        message += `*${place.name}* ${place.latitude}, ${place.longitude}\n`;
+        if (place.aliases?.length > 0) {
+            message += `   ${t(language, 'admin.placeAliases', { aliases: place.aliases.join(', ') })}\n`;
+        }
+    });
+
+    await sock.sendMessage(userJid, { text: message });
+}
+
+async function addMapPlace(sock, userJid, args, language) {
+    // Coordinates may be pasted from a maps app as "-18.97, 32.67"
+    const match = args.match(/^(.+?)\s+(-?\d+(?:\.\d+)?)\s*,?\s+(-?\d+(?:\.\d+)?)$/);
+    const latitude = match ? parseFloat(match[2]) : NaN;
+    const longitude = match ? parseFloat(match[3]) : NaN;
+
+    if (!match || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        await sendUsage(sock, userJid, '!addplace', language);
+        return;
+    }
+
+    const { place, created } = await addPlace(match[1].trim(), latitude, longitude);
+    await sock.sendMessage(userJid, {
+        text: t(language, created ? 'admin.placeAdded' : 'admin.placeMoved', { place: place.name, latitude, longitude })
+    });
+}
+
+async function addMapPlaceAlias(sock, userJid, args, language) {
+    const [name, alias] = args.split('=').map(part => part.trim());
+    if (!name || !alias) {
+        await sendUsage(sock, userJid, '!placealias', language);
+        return;
+    }
+
+    const { place, conflict } = await addPlaceAlias(name, alias);
+    if (!place) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.placeNotFound', { name }) });
+        return;
+    }
+    if (conflict) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.aliasTaken', { alias, place: conflict.name }) });
+        return;
+    }
+
+    await sock.sendMessage(userJid, { text: t(language, 'admin.aliasAdded', { alias, place: place.name }) });
+}
+
+async function removeMapPlace(sock, userJid, args, language) {
+    const name = args.trim();
+    if (!name) {
+        await sendUsage(sock, userJid, '!removeplace', language);
+        return;
+    }
+
+    const place = await removePlace(name);
+    await sock.sendMessage(userJid, {
+        text: place ? t(language, 'admin.placeRemoved', { place: place.name }) : t(language, 'admin.placeNotFound', { name })
+    });
+}
+
+async function listUnmatchedLocations(sock, userJid, args, language) {
+    const parts = args.split(/\s+/).filter(Boolean);
+    const range = parsePeriod(parts.shift());
+    const ref = parts.join(' ');
+
+    if (!range) {
+        await sendUsage(sock, userJid, '!unmatched', language);
+        return;
+    }
+
+    let reports;
+    let name = t(language, 'admin.allClusters');
+    if (ref) {
+        const assembly = await findAssembly(ref);
+        if (!assembly) {
+            await sock.sendMessage(userJid, { text: t(language, 'admin.clusterNotFound', { ref }) });
+            return;
+        }
+        name = assembly.name;
+        reports = await getReportsForAssembly(assembly.id, range.start, range.end);
+    } else {
+        reports = (await getReportsByDateRange(range.start, range.end)).filter(r => r.status === 'active');
+    }
+
+    const { unmatched } = await resolveReportLocations(reports);
+    await sock.sendMessage(userJid, {
+        text: unmatched.length > 0
+            ? `${t(language, 'admin.unmatchedTitle', { scope: name, ...range })}\n\n${formatUnmatchedLocations(unmatched)}`
+            : t(language, 'admin.allMatched', { scope: name, ...range })
+    });
+}
+
+async function pauseReports(sock, userJid, args, language) {
+    pauseScheduler();
+    await sock.sendMessage(userJid, { text: t(language, 'admin.paused') });
+}
+
+async function resumeReports(sock, userJid, args, language) {
+    resumeScheduler();
+    await sock.sendMessage(userJid, { text: t(language, 'admin.resumed') });
+}
+
+async function manageSchedule(sock, userJid, args, language) {
+    if (!args) {
+        await showSchedule(sock, userJid, language);
+        return;
+    }
+
+    const [name, action, ...rest] = args.split(/\s+/);
+    const job = getSchedulerStatus().jobs.find(j => j.name === name);
+    if (!job) {
+        await sock.sendMessage(userJid, { text: t(language, 'admin.noJob', { name }) });
+        return;
+    }
+
+    let message;
+    try {
+        switch ((action || '').toLowerCase()) {
+            case 'on':
+            case 'off':
+                await updateJob(name, { enabled: action.toLowerCase() === 'on' });
+                message = t(language, action.toLowerCase() === 'on' ? 'admin.jobEnabled' : 'admin.jobDisabled', { name });
+                break;
+            case 'cron':
+                await updateJob(name, { cron: rest.join(' ') });
+                message = t(language, 'admin.jobCronSet', { name, cron: rest.join(' ') });
+                break;
+            case 'run':
+                await sock.sendMessage(userJid, { text: t(language, 'admin.jobRunning', { name }) });
+                message = t(language, 'admin.jobResult', { name, result: await queueJob(name) });
+                break;
+            default:
+                await sendUsage(sock, userJid, '!schedule', language);
+                return;
+        }
+    } catch (error) {
+        message = t(language, 'admin.jobFailed', { name, error: error.message });
+    }
+
+    await sock.sendMessage(userJid, { text: message });
+}
+
+async function showSchedule(sock, userJid, language) {
+    const status = getSchedulerStatus();
+    const state = !status.running ? 'admin.schedulerStopped' : status.paused ? 'admin.schedulerPaused' : 'admin.schedulerActive';
+
+    let message = `${t(language, 'admin.scheduleTitle')}\n`;
+    message += `${t(language, state)}\n\n`;
+
+    status.jobs.forEach(job => {
+        message += `${job.enabled ? '✅' : '⛔'} *${job.name}* (${job.type})\n`;
+        message += `   ${t(language, 'admin.jobCron', { cron: job.cron })}`;
+        message += `${job.period ? ` · ${t(language, 'admin.jobPeriod', { period: job.period })}` : ''}\n`;
+        message += `   ${t(language, 'admin.jobAudience', { audience: job.audience.join(', ') })}\n`;
+        if (job.nextRun) message += `   ${t(language, 'admin.jobNextRun', { time: job.nextRun.toLocaleString() })}\n`;
+        if (job.lastRun) message += `   ${t(language, 'admin.jobLastRun', { time: job.lastRun.toLocaleString(), result: job.lastResult })}\n`;
+        else if (job.lastResult) message += `   ${job.lastResult}\n`;
+    });
+
+    message += `\n${t(language, 'admin.scheduleHint')}`;
+    await sock.sendMessage(userJid, { text: message });
+}
@@ -9,6 +9,9 @@ import logger from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { handleMessageDelete } from './messageDeleteHandler.js';
+import { handleMessageEdit } from './messageEditHandler.js';
+import { getMediaCaption } from '../services/reportMediaStore.js';
+import { getLocationPin, handleLocationPin } from './locationPinHandler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -92,6 +95,21 @@ export async function startWhatsAppConnection(messageHandler) {
                     continue;
                 }
 
+                // Check for "Edit" — delivered as a protocolMessage type 14 (MESSAGE_EDIT),
+                // sometimes wrapped in an editedMessage envelope
+                const editProtocol = msg.message?.protocolMessage?.type === 14
+                    ? msg.message.protocolMessage
+                    : msg.message?.editedMessage?.message?.protocolMessage;
+                if (editProtocol?.type === 14 && isGroup) {
+                    const editedKey = editProtocol.key;
+                    if (editedKey) {
+                        logger.info(`[CONNECTION] Protocol MESSAGE_EDIT detected — edited key: ${JSON.stringify(editedKey)}`);
+                        editedKey.remoteJid = editedKey.remoteJid || remoteJid;
+                        await handleMessageEdit(sock, editedKey, editProtocol.editedMessage);
+                    }
+                    continue;
+                }
+
                 // Ignore messages from self
                 if (msg.key.fromMe) {
                     logger.debug(`[CONNECTION] Ignoring message from self (fromMe=true)`);
@@ -100,6 +118,14 @@ export async function startWhatsAppConnection(messageHandler) {
 
                 logger.info(`[CONNECTION] Message from: ${remoteJid} (group: ${isGroup})`);
 
+                // Location pin — attached to a report instead of being read as text
+                const pin = getLocationPin(msg.message);
+                if (pin) {
+                    logger.info(`[CONNECTION] Location pin from ${remoteJid}: ${pin.latitude}, ${pin.longitude}`);
+                    await handleLocationPin(sock, msg, pin);
+                    continue;
+                }
+
                 // Extract message text from different message types
                 let messageText = '';
 
@@ -123,6 +149,10 @@ export async function startWhatsAppConnection(messageHandler) {
                 else if (msg.message?.templateButtonReplyMessage) {
                     messageText = msg.message.templateButtonReplyMessage.selectedId;
                 }
+                // Image/video/document caption (reports sent with a photo)
+                else {
+                    messageText = getMediaCaption(msg.message);
+                }
 
                 // Ignore if no text extracted
                 if (!messageText) {
@@ -0,0 +1,88 @@
+import { getReport, getReportByMessageId, updateReport } from '../database/db.js';
+import { getQuotedMessage } from './reportEditHandler.js';
+import { isAdmin } from './adminCommandHandler.js';
+import { t, allTranslations } from '../i18n/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Duplicate confirmations
+ * A suspected duplicate is saved with status 'pending_duplicate' (not counted in stats).
+ * The sender counts it by replying "CONFIRM" to the bot's warning or to their report.
+ */
+
+// Matches the warning title in any language
+const WARNING_PATTERN = new RegExp(
+    allTranslations('duplicate.title').map(title => title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+    'i'
+);
+
+/**
+ * Build the warning posted when a report is held as a suspected duplicate
+ * @param {string} senderPhone - Sender phone (for the mention)
+ * @param {number} heldId - ID of the held report
+ * @param {Object} original - The saved report it appears to duplicate
+ * @param {string} [language] - Language of the held report
+ * @returns {string}
+ */
+export function formatDuplicateWarning(senderPhone, heldId, original, language) {
+    return `⚠️ *${t(language, 'duplicate.title')}* @${senderPhone}\n\n` +
+        t(language, 'duplicate.warning', {
+            originalId: original.id,
+            date: original.activity_date,
+            place: original.location || original.area || 'N/A',
+            reporter: original.reporter_name || 'Unknown',
+            heldId
+        });
+}
+
+/**
+ * Find the held report a confirmation reply refers to
+ */
+async function findHeldReport(quoted) {
+    // Reply to the bot's warning ("📋 Held as Report #13"), in any language
+    const warning = WARNING_PATTERN.test(quoted.text) && quoted.text.match(/📋[^\n]*Report #(\d+)/);
+    if (warning) {
+        return getReport(parseInt(warning[1]));
+    }
+
+    // Reply to the held report message itself
+    return getReportByMessageId(quoted.id);
+}
+
+/**
+ * Handle a "CONFIRM" reply to a held duplicate
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {string} messageText - Message text
+ * @param {string} [language] - Language to reply in (the cluster's)
+ * @returns {Promise<boolean>} True if the message was a confirmation and has been handled
+ */
+export async function handleDuplicateConfirmation(sock, msg, messageText, language) {
+    if (!/^\W*(confirm|confirmed|yes|hongu|ehe|yebo)\W*$/i.test(messageText.trim())) return false;
+
+    const quoted = getQuotedMessage(msg);
+    if (!quoted) return false;
+
+    const groupJid = msg.key.remoteJid;
+    const report = await findHeldReport(quoted);
+    if (!report || report.whatsapp_group_id !== groupJid || report.status !== 'pending_duplicate') return false;
+
+    const senderJid = msg.key.participant || msg.participant;
+    const senderPhone = senderJid ? senderJid.split('@')[0] : 'unknown';
+
+    if (senderPhone !== report.reporter_phone && !isAdmin(senderJid)) {
+        await sock.sendMessage(groupJid, {
+            text: t(language, 'duplicate.onlySender', { phone: senderPhone, id: report.id }),
+            mentions: [senderJid]
+        });
+        return true;
+    }
+
+    await updateReport(report.id, { status: 'active' });
+    logger.info(`[DUPLICATE] Report #${report.id} confirmed by ${senderJid}`);
+
+    await sock.sendMessage(groupJid, {
+        text: t(language, 'duplicate.confirmed', { id: report.id })
+    });
+    return true;
+}
@@ -1,5 +1,13 @@
-import { isEvangelismReport, parseReport, validateParsedReport } from '../utils/groupReportParser.js';
-import { getAssemblyByGroupJid, createGroupReport } from '../database/db.js';
+import { isEvangelismReport, parseReport, validateParsedReport, detectReportLanguage } from '../utils/groupReportParser.js';
+import { getAssemblyByGroupJid, createGroupReport, getReportsForAssemblyOnDate } from '../database/db.js';
+import { findDuplicate } from '../utils/duplicateDetector.js';
+import { handleReportCorrection } from './reportEditHandler.js';
+import { handleDuplicateConfirmation, formatDuplicateWarning } from './duplicateReportHandler.js';
+import { saveReportMedia } from '../services/reportMediaStore.js';
+import { takePendingPin } from './locationPinHandler.js';
+import { formatSavedConfirmation, formatValidationError } from './reportReplies.js';
+import { getGroupLanguage } from '../i18n/preferences.js';
+import { t } from '../i18n/index.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -19,6 +27,23 @@ export async function handleGroupMessage(sock, msg, messageText) {
 
     logger.info(`[GROUP] Message received in group: ${groupJid} from: ${senderJid}`);
 
+    const clusterLanguage = await getGroupLanguage(groupJid);
+
+    // Replies to a saved report (or its confirmation): "CONFIRM" for a held duplicate,
+    // or corrected fields, e.g. "Saved: 7"
+    if (!isEvangelismReport(messageText)) {
+        try {
+            if (await handleDuplicateConfirmation(sock, msg, messageText, clusterLanguage)) return;
+            if (await handleReportCorrection(sock, msg, messageText, clusterLanguage)) return;
+        } catch (error) {
+            logger.error('[GROUP] Error applying report correction:', error);
+            await sock.sendMessage(groupJid, {
+                text: t(clusterLanguage, 'report.updateFailed')
+            });
+            return;
+        }
+    }
+
     // Check if this is an evangelism report
     if (!isEvangelismReport(messageText)) {
         logger.info(`[GROUP] Not an evangelism report, ignoring.`);
@@ -27,22 +52,22 @@ export async function handleGroupMessage(sock, msg, messageText) {
 
     logger.info(`[GROUP] Detected evangelism report in group: ${groupJid}`);
 
+    // Reply in the language the report was written in (the cluster's language if unclear)
+    const language = detectReportLanguage(messageText, clusterLanguage);
+
     try {
         // Parse the report
         const parsedReport = parseReport(messageText);
-        logger.info(`[GROUP] Parsed report:`, JSON.stringify(parsedReport));
+        logger.info(`[GROUP] Parsed report (${language}):`, JSON.stringify(parsedReport));
 
         // Validate the parsed data
-        const validation = validateParsedReport(parsedReport);
+        const validation = validateParsedReport(parsedReport, language);
 
         if (!validation.valid) {
             logger.warn(`[GROUP] Invalid evangelism report from ${senderJid}:`, validation.errors);
 
             // Optionally send error message to group
-            const errorMsg = `❌ *Evangelism Report Error* @${senderJid.split('@')[0]}\n\n` +
-                `The report could not be saved due to the following issues:\n` +
-                validation.errors.map(err => `• ${err}`).join('\n') +
-                `\n\n_Please check the format and try again._`;
+            const errorMsg = formatValidationError(language, senderJid.split('@')[0], validation.errors);
 
             await sock.sendMessage(groupJid, {
                 text: errorMsg,
@@ -58,7 +83,7 @@ export async function handleGroupMessage(sock, msg, messageText) {
         if (!assembly) {
             logger.warn(`[GROUP] No assembly found for group: ${groupJid}`);
             await sock.sendMessage(groupJid, {
-                text: '❌ This group is not configured as a cluster group. Please contact the administrator.'
+                text: t(language, 'report.notClusterGroup')
             });
             return;
         }
@@ -71,20 +96,49 @@ export async function handleGroupMessage(sock, msg, messageText) {
             parsedReport.reporter_name = senderPhone;
         }
 
+        // A location pin shared just before the report marks exactly where it happened
+        const pin = takePendingPin(groupJid, senderJid);
+        if (pin) {
+            parsedReport.latitude = pin.latitude;
+            parsedReport.longitude = pin.longitude;
+        }
+
+        // Same cluster and day, same place, and the same summary or team → hold for confirmation
+        const sameDayReports = await getReportsForAssemblyOnDate(assembly.id, parsedReport.activity_date);
+        const duplicate = findDuplicate(parsedReport, sameDayReports);
+
+        if (duplicate) {
+            const held = await createGroupReport(assembly.id, parsedReport, senderPhone, msg.key.id, {
+                status: 'pending_duplicate',
+                duplicateOf: duplicate.id
+            });
+
+            logger.warn(`[GROUP] Report #${held.lastInsertRowid} held as possible duplicate of #${duplicate.id}`);
+            await saveReportMedia(sock, msg, held.lastInsertRowid);
+
+            await sock.sendMessage(groupJid, {
+                text: formatDuplicateWarning(senderPhone, held.lastInsertRowid, duplicate, language),
+                mentions: [senderJid]
+            });
+            return;
+        }
+
         // Save the report
         const result = await createGroupReport(assembly.id, parsedReport, senderPhone, msg.key.id);
 
         logger.info(`[GROUP] Report saved successfully with ID: ${result.lastInsertRowid}`);
 
+        // Report sent as a photo/video caption → keep the media for the monthly PDF
+        const media = await saveReportMedia(sock, msg, result.lastInsertRowid);
+
         // Send confirmation message
-        const confirmMsg = `✅ *Evangelism Report Saved!* @${senderPhone}\n\n` +
-            `📋 Report #${result.lastInsertRowid}\n` +
-            `📅 Date: ${parsedReport.activity_date}\n` +
-            `🏘️ Area: ${parsedReport.area || 'N/A'}\n` +
-            `✝️ Saved: ${parsedReport.saved}\n` +
-            `🙏 Healed: ${parsedReport.healed}\n` +
-            `🏛️ Cluster: ${assembly.name}\n\n` +
-            `Thank you for your faithfulness! 🙏`;
+        const confirmMsg = formatSavedConfirmation(language, {
+            senderPhone,
+            reportId: result.lastInsertRowid,
+            report: parsedReport,
+            assembly,
+            media
+        });
 
         await sock.sendMessage(groupJid, {
             text: confirmMsg,
@@ -95,7 +149,7 @@ export async function handleGroupMessage(sock, msg, messageText) {
         logger.error('[GROUP] Error processing group report:', error);
 
         await sock.sendMessage(groupJid, {
-            text: '❌ An error occurred while saving the report. Please try again or contact the administrator.'
+            text: t(language, 'report.saveFailed')
         });
     }
 }
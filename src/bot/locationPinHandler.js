@@ -0,0 +1,134 @@
+import { getAssemblyByGroupJid, updateReport } from '../database/db.js';
+import { getQuotedMessage, findQuotedReport } from './reportEditHandler.js';
+import { isAdmin } from './adminCommandHandler.js';
+import { hasActiveForm, processFormLocationPin } from '../forms/reportForm.js';
+import { getClusterLanguage, getUserLanguage } from '../i18n/preferences.js';
+import { t } from '../i18n/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Location pins
+ * A WhatsApp location pin marks exactly where an outreach happened:
+ *  - in the group, as a reply to a report (or its confirmation) → added to that report
+ *  - in the group, on its own → attached to the sender's next report in that group
+ *  - in a DM during the report form → used for the report being filled in
+ * Pinned reports are plotted at their exact point instead of being looked up by name.
+ */
+
+// A pin waits this long for the sender's report before it is dropped
+const PENDING_PIN_TTL_MS = 2 * 60 * 60 * 1000;
+
+// `${groupJid}|${phone}` → { latitude, longitude, name, receivedAt }
+const pendingPins = new Map();
+
+/**
+ * Phone number of a sender JID, without the device suffix
+ */
+function senderPhoneOf(jid) {
+    return jid ? jid.split('@')[0].split(':')[0] : 'unknown';
+}
+
+/**
+ * Get the pin from a location (or live location) message
+ * @param {Object} message - msg.message
+ * @returns {{latitude: number, longitude: number, name: string|null}|null} Null if not a location message
+ */
+export function getLocationPin(message) {
+    const location = message?.locationMessage || message?.liveLocationMessage;
+    if (!location || !Number.isFinite(location.degreesLatitude) || !Number.isFinite(location.degreesLongitude)) {
+        return null;
+    }
+
+    return {
+        latitude: location.degreesLatitude,
+        longitude: location.degreesLongitude,
+        name: location.name || location.address || null
+    };
+}
+
+/**
+ * Hold a sender's pin for their next report, dropping pins nobody reported after
+ * @param {string} key - `${groupJid}|${phone}`
+ * @param {Object} pin - From getLocationPin
+ */
+function holdPin(key, pin) {
+    const now = Date.now();
+    for (const [heldKey, held] of pendingPins) {
+        if (now - held.receivedAt > PENDING_PIN_TTL_MS) pendingPins.delete(heldKey);
+    }
+
+    pendingPins.set(key, { ...pin, receivedAt: now });
+}
+
+/**
+ * Take (and forget) the pin a sender shared in a group before their report
+ * @param {string} groupJid - Group JID
+ * @param {string} senderJid - Sender JID
+ * @returns {Object|null}
+ */
+export function takePendingPin(groupJid, senderJid) {
+    const key = `${groupJid}|${senderPhoneOf(senderJid)}`;
+    const pin = pendingPins.get(key);
+    pendingPins.delete(key);
+
+    if (!pin || Date.now() - pin.receivedAt > PENDING_PIN_TTL_MS) return null;
+    return pin;
+}
+
+/**
+ * Handle a location pin in a group or DM
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {Object} pin - From getLocationPin
+ */
+export async function handleLocationPin(sock, msg, pin) {
+    const remoteJid = msg.key.remoteJid;
+
+    if (!remoteJid.endsWith('@g.us')) {
+        if (await hasActiveForm(remoteJid)) {
+            await processFormLocationPin(sock, remoteJid, pin);
+        } else {
+            await sock.sendMessage(remoteJid, { text: t(await getUserLanguage(remoteJid), 'pin.noReport') });
+        }
+        return;
+    }
+
+    // Only cluster groups take reports
+    const assembly = await getAssemblyByGroupJid(remoteJid);
+    if (!assembly) return;
+
+    const senderJid = msg.key.participant || msg.participant;
+    const senderPhone = senderPhoneOf(senderJid);
+    const language = getClusterLanguage(assembly);
+
+    const quoted = getQuotedMessage(msg);
+    const report = quoted ? await findQuotedReport(quoted) : null;
+
+    if (report && report.whatsapp_group_id === remoteJid) {
+        // Only the original reporter (or an admin) may change a report
+        if (senderPhone !== report.reporter_phone && !isAdmin(senderJid)) {
+            await sock.sendMessage(remoteJid, {
+                text: t(language, 'correction.onlyReporter', { phone: senderPhone, id: report.id }),
+                mentions: [senderJid]
+            });
+            return;
+        }
+
+        await updateReport(report.id, { latitude: pin.latitude, longitude: pin.longitude });
+        logger.info(`[PIN] Report #${report.id} pinned at ${pin.latitude}, ${pin.longitude}`);
+
+        await sock.sendMessage(remoteJid, {
+            text: t(language, 'pin.attached', { id: report.id, phone: senderPhone }),
+            mentions: [senderJid]
+        });
+        return;
+    }
+
+    holdPin(`${remoteJid}|${senderPhone}`, pin);
+    logger.info(`[PIN] Holding pin from ${senderPhone} for their next report in ${remoteJid}`);
+
+    await sock.sendMessage(remoteJid, {
+        text: t(language, 'pin.pending', { phone: senderPhone }),
+        mentions: [senderJid]
+    });
+}
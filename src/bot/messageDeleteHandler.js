@@ -1,5 +1,8 @@
 import logger from '../utils/logger.js';
 import { deleteReportByMessageId } from '../database/db.js';
+import { deleteReportMediaFiles } from '../services/reportMediaStore.js';
+import { getGroupLanguage } from '../i18n/preferences.js';
+import { t } from '../i18n/index.js';
 
 /**
  * Handle deleted WhatsApp messages.
@@ -29,6 +32,7 @@ export async function handleMessageDelete(sock, keys) {
             }
 
             logger.info(`[DELETE] Report #${deleted.id} deleted from DB (originally by ${deleted.reporter_name})`);
+            deleteReportMediaFiles(deleted.id);
 
             // Determine the deleter's display name.
             // In Baileys, the participant who deleted is in key.participant (group sender).
@@ -40,14 +44,14 @@ export async function handleMessageDelete(sock, keys) {
             // so we fall back to phone number.
             const deleterDisplay = deleterPhone;
 
-            // Send notification to the group
-            const notifyMsg =
-                `🗑️ *Report #${deleted.id} has been deleted.*\n\n` +
-                `👤 Deleted by: ${deleterDisplay}\n` +
-                `📋 Original reporter: ${deleted.reporter_name || 'Unknown'}\n` +
-                `📅 Activity date: ${deleted.activity_date || 'N/A'}\n` +
-                `📍 Location: ${deleted.location || 'N/A'}\n\n` +
-                `_This report has been removed from the database._`;
+            // Send notification to the group, in the cluster's language
+            const notifyMsg = t(await getGroupLanguage(groupJid), 'delete.notice', {
+                id: deleted.id,
+                deleter: deleterDisplay,
+                reporter: deleted.reporter_name || 'Unknown',
+                date: deleted.activity_date || 'N/A',
+                location: deleted.location || 'N/A'
+            });
 
             await sock.sendMessage(groupJid, { text: notifyMsg });
 
@@ -0,0 +1,87 @@
+import logger from '../utils/logger.js';
+import { parseReport, validateParsedReport, detectReportLanguage } from '../utils/groupReportParser.js';
+import { getReportByMessageId } from '../database/db.js';
+import { applyReportCorrections, formatChangeSummary } from './reportEditHandler.js';
+import { getMediaCaption } from '../services/reportMediaStore.js';
+import { formatEditRejected } from './reportReplies.js';
+import { getGroupLanguage } from '../i18n/preferences.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Handle an edited WhatsApp message.
+ * If the edited message is a saved evangelism report, re-parse it and update
+ * the stored report, then notify the group.
+ *
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} key - Key of the original (edited) message
+ * @param {Object} editedMessage - New message content from the protocol message
+ */
+export async function handleMessageEdit(sock, key, editedMessage) {
+    const waMessageId = key.id;
+    const groupJid = key.remoteJid;
+
+    // Only process group messages
+    if (!groupJid?.endsWith('@g.us')) return;
+
+    logger.info(`[EDIT] Message edited in ${groupJid} — WA ID: ${waMessageId}`);
+
+    try {
+        const report = await getReportByMessageId(waMessageId);
+
+        if (!report) {
+            // The edited message wasn't a tracked evangelism report — ignore
+            logger.info(`[EDIT] Message ${waMessageId} was not a tracked report, ignoring.`);
+            return;
+        }
+
+        const text = editedMessage?.conversation ||
+            editedMessage?.extendedTextMessage?.text ||
+            getMediaCaption(editedMessage);
+        const language = detectReportLanguage(text, await getGroupLanguage(groupJid));
+        const parsed = parseReport(text);
+        const validation = validateParsedReport(parsed, language);
+
+        if (!validation.valid) {
+            logger.warn(`[EDIT] Edited report #${report.id} is invalid:`, validation.errors);
+
+            await sock.sendMessage(groupJid, {
+                text: formatEditRejected(language, report.id, validation.errors)
+            });
+            return;
+        }
+
+        // The edit replaces the whole report: optional lines that were removed are cleared,
+        // but a missing reporter line keeps the name we saved originally
+        const fields = {
+            ...parsed,
+            area: parsed.area || null,
+            city: parsed.city || null,
+            response_moments: parsed.response_moments || null,
+            reporting_command: parsed.reporting_command || null
+        };
+        if (!fields.reporter_name) delete fields.reporter_name;
+
+        const { changes, errors } = await applyReportCorrections(report, fields, language);
+
+        if (errors.length > 0) {
+            logger.warn(`[EDIT] Could not apply edit to report #${report.id}:`, errors);
+
+            await sock.sendMessage(groupJid, {
+                text: formatEditRejected(language, report.id, errors)
+            });
+            return;
+        }
+
+        if (changes.length === 0) {
+            logger.info(`[EDIT] Report #${report.id} edited without changes to saved fields`);
+            return;
+        }
+
+        await sock.sendMessage(groupJid, {
+            text: `${t(language, 'edit.updated', { id: report.id })}\n\n${formatChangeSummary(changes)}`
+        });
+
+    } catch (error) {
+        logger.error(`[EDIT] Error handling edited message ${waMessageId}:`, error);
+    }
+}
@@ -3,6 +3,10 @@ import logger from '../utils/logger.js';
 import { startReportForm, processFormResponse, hasActiveForm } from '../forms/reportForm.js';
 import { handleGroupMessage } from './groupMessageHandler.js';
 import { hasActiveTestReport, startTestReport, processTestReportResponse } from './testReportHandler.js';
+import { isAdmin, isAdminCommand, handleAdminCommand } from './adminCommandHandler.js';
+import { handleReviewReply } from './reportReviewHandler.js';
+import { getUserLanguage, setUserLanguage } from '../i18n/preferences.js';
+import { t, LANGUAGES, LANGUAGE_NAMES, parseLanguage } from '../i18n/index.js';
 
 /**
  * Main message handler
@@ -22,6 +26,12 @@ export async function handleMessage(sock, msg, messageText) {
 
     logger.info(`Message from ${userJid}: ${messageText}`);
 
+    // Admin commands (permission is checked inside, non-admins are refused)
+    if (isAdminCommand(messageText)) {
+        await handleAdminCommand(sock, userJid, messageText);
+        return;
+    }
+
     // Check if user has an active test report session
     if (hasActiveTestReport(userJid)) {
         await processTestReportResponse(sock, userJid, messageText);
@@ -34,19 +44,31 @@ export async function handleMessage(sock, msg, messageText) {
         return;
     }
 
+    // Leaders approving, regenerating or correcting a draft report
+    if (await handleReviewReply(sock, msg, messageText)) {
+        return;
+    }
+
     // Check for wake phrase ('evangelism')
     const normalizedMessage = messageText.trim().toLowerCase();
+    const language = await getUserLanguage(userJid);
 
     if (normalizedMessage === 'evangelism') {
         await sock.sendMessage(userJid, {
-            text: '🚫❌ Evangelism reports cannot be submitted via DM.\n\n📢 Please use the group to submit your report! 🙏'
+            text: t(language, 'dm.reportsInGroupOnly')
         });
         return;
     }
 
     // Help command
     if (normalizedMessage === '!help' || normalizedMessage === 'help') {
-        await sendHelpMessage(sock, userJid);
+        await sendHelpMessage(sock, userJid, language);
+        return;
+    }
+
+    // Language command ("!language", "!language sn")
+    if (normalizedMessage === '!language' || normalizedMessage.startsWith('!language ')) {
+        await handleLanguageCommand(sock, userJid, messageText.trim().substring('!language'.length).trim(), language);
         return;
     }
 
@@ -59,7 +81,7 @@ export async function handleMessage(sock, msg, messageText) {
     // Unknown command - send gentle reminder
     if (normalizedMessage.startsWith('!')) {
         await sock.sendMessage(userJid, {
-            text: `I don't recognize that command. Send "evangelism" to start an evangelism report, or send "!help" for assistance.`
+            text: t(language, 'dm.unknownCommand')
         });
     }
 }
@@ -67,21 +89,37 @@ export async function handleMessage(sock, msg, messageText) {
 /**
  * Send help message
  */
-async function sendHelpMessage(sock, userJid) {
-    let helpText = `📖 EVANGELISM REPORTER BOT\n\n`;
-    helpText += `Welcome to ${config.churchName}'s Evangelism Reporter!\n\n`;
-    helpText += `**COMMANDS:**\n`;
-    helpText += `evangelism - Start new evangelism report\n`;
-    helpText += `testreport - Generate a test report for a specific cluster & month\n`;
-    helpText += `!help - Show this help message\n`;
-    helpText += `cancel - Cancel current form (during filling)\n\n`;
-    helpText += `**HOW IT WORKS:**\n`;
-    helpText += `1. Send "evangelism" to begin\n`;
-    helpText += `2. Answer the questions step by step\n`;
-    helpText += `3. Review and confirm your report\n`;
-    helpText += `4. Your report is automatically posted to your assembly group\n\n`;
-    helpText += `All reports are stored and analyzed for monthly summaries.\n\n`;
-    helpText += `God bless your evangelism efforts! 🙏`;
+async function sendHelpMessage(sock, userJid, language) {
+    let helpText = t(language, 'help.text', { church: config.churchName });
+    if (isAdmin(userJid)) {
+        helpText += t(language, 'help.admin');
+    }
+    helpText += t(language, 'help.blessing');
 
     await sock.sendMessage(userJid, { text: helpText });
 }
+
+/**
+ * Show or change the language the bot uses in DMs with this user
+ */
+async function handleLanguageCommand(sock, userJid, input, language) {
+    if (!input) {
+        const options = LANGUAGES.map(code => `!language ${code} - ${LANGUAGE_NAMES[code]}`).join('\n');
+        await sock.sendMessage(userJid, {
+            text: t(language, 'language.current', { language: LANGUAGE_NAMES[language], options })
+        });
+        return;
+    }
+
+    const chosen = parseLanguage(input);
+    if (!chosen) {
+        await sock.sendMessage(userJid, { text: t(language, 'language.unknown', { input }) });
+        return;
+    }
+
+    await setUserLanguage(userJid, chosen);
+    logger.info(`Language for ${userJid} set to ${chosen}`);
+
+    // Confirm in the new language
+    await sock.sendMessage(userJid, { text: t(chosen, 'language.changed', { language: LANGUAGE_NAMES[chosen] }) });
+}
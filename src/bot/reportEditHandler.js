@@ -0,0 +1,174 @@
+import { parseReportFields, validateParsedReport, detectReportLanguage } from '../utils/groupReportParser.js';
+import { getReport, getReportByMessageId, updateReport } from '../database/db.js';
+import { isAdmin } from './adminCommandHandler.js';
+import { CONFIRMATION_PATTERN } from './reportReplies.js';
+import { t, FALLBACK_LANGUAGE } from '../i18n/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Report corrections
+ * A reporter fixes a saved group report by replying to the bot's
+ * "✅ Evangelism Report Saved!" confirmation (or to their own report)
+ * with only the corrected fields, e.g. "Saved: 7".
+ */
+
+// Fields a correction may change (labels come from the message catalogue, label.<field>)
+const EDITABLE_FIELDS = [
+    'activity_date', 'location', 'area', 'city', 'activity_type', 'preachers_team',
+    'message_summary', 'response_moments', 'saved', 'healed', 'reporter_name', 'reporting_command'
+];
+
+/**
+ * Get the message a group message is replying to
+ * @param {Object} msg - Message object
+ * @returns {{id: string, participant: string, text: string}|null} Quoted message or null if not a reply
+ */
+export function getQuotedMessage(msg) {
+    // Text replies, and location pins shared as a reply
+    const contextInfo = msg.message?.extendedTextMessage?.contextInfo || msg.message?.locationMessage?.contextInfo;
+    if (!contextInfo?.stanzaId) return null;
+
+    const quoted = contextInfo.quotedMessage || {};
+    return {
+        id: contextInfo.stanzaId,
+        participant: contextInfo.participant,
+        text: quoted.conversation || quoted.extendedTextMessage?.text || ''
+    };
+}
+
+/**
+ * Find the saved report a reply refers to
+ * @param {{id: string, text: string}} quoted - Quoted message
+ * @returns {Promise<Object|null>}
+ */
+export async function findQuotedReport(quoted) {
+    // Reply to the bot's confirmation ("📋 Report #12"), in any report language
+    const confirmation = CONFIRMATION_PATTERN.test(quoted.text) && quoted.text.match(/Report #(\d+)/);
+    if (confirmation) {
+        return getReport(parseInt(confirmation[1]));
+    }
+
+    // Reply to the original report message
+    return getReportByMessageId(quoted.id);
+}
+
+/**
+ * List the fields whose values differ from the saved report
+ * @param {Object} report - Saved report
+ * @param {Object} fields - Parsed fields
+ * @param {string} [language] - Language for the field labels
+ * @returns {Array<{field: string, label: string, from: *, to: *}>}
+ */
+export function diffReportFields(report, fields, language = FALLBACK_LANGUAGE) {
+    return Object.entries(fields)
+        .filter(([field, value]) => EDITABLE_FIELDS.includes(field) && String(report[field] ?? '') !== String(value ?? ''))
+        .map(([field, value]) => ({
+            field,
+            label: t(language, `label.${field}`),
+            from: report[field],
+            to: value
+        }));
+}
+
+/**
+ * Validate corrections against the full report and save them
+ * @param {Object} report - Saved report
+ * @param {Object} fields - Parsed fields (only the ones to change)
+ * @param {string} [language] - Language for labels and validation errors
+ * @returns {Promise<{changes: Array, errors: string[]}>}
+ */
+export async function applyReportCorrections(report, fields, language = FALLBACK_LANGUAGE) {
+    const changes = diffReportFields(report, fields, language);
+    if (changes.length === 0) {
+        return { changes, errors: [] };
+    }
+
+    // Validate the report as it would look after the change
+    const validation = validateParsedReport({ ...report, ...fields }, language);
+    if (!validation.valid) {
+        return { changes: [], errors: validation.errors };
+    }
+
+    const update = Object.fromEntries(changes.map(c => [c.field, c.to]));
+    await updateReport(report.id, update);
+
+    logger.info(`[EDIT] Report #${report.id} updated: ${changes.map(c => c.field).join(', ')}`);
+    return { changes, errors: [] };
+}
+
+/**
+ * Format a list of changes as "• Saved: 5 → 7" lines
+ * @param {Array} changes - From diffReportFields
+ * @returns {string}
+ */
+export function formatChangeSummary(changes) {
+    const shorten = (value) => {
+        const text = value === null || value === undefined || value === '' ? '—' : String(value);
+        return text.length > 40 ? `${text.substring(0, 40)}...` : text;
+    };
+
+    return changes
+        .map(c => `• ${c.label}: ${shorten(c.from)} → ${shorten(c.to)}`)
+        .join('\n');
+}
+
+/**
+ * Handle a reply that corrects a saved report
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {string} messageText - Message text
+ * @param {string} [clusterLanguage] - The cluster's language, used when the correction's language is unclear
+ * @returns {Promise<boolean>} True if the message was a correction and has been handled
+ */
+export async function handleReportCorrection(sock, msg, messageText, clusterLanguage = FALLBACK_LANGUAGE) {
+    const quoted = getQuotedMessage(msg);
+    if (!quoted) return false;
+
+    // Ordinary replies ("Amen!") contain no report fields
+    const fields = parseReportFields(messageText);
+    if (Object.keys(fields).length === 0) return false;
+
+    const groupJid = msg.key.remoteJid;
+    const report = await findQuotedReport(quoted);
+    if (!report || report.whatsapp_group_id !== groupJid) return false;
+
+    const senderJid = msg.key.participant || msg.participant;
+    const senderPhone = senderJid ? senderJid.split('@')[0] : 'unknown';
+
+    const language = detectReportLanguage(messageText, clusterLanguage);
+
+    logger.info(`[EDIT] Correction for report #${report.id} from ${senderJid}:`, JSON.stringify(fields));
+
+    // Only the original reporter (or an admin) may change a report
+    if (senderPhone !== report.reporter_phone && !isAdmin(senderJid)) {
+        await sock.sendMessage(groupJid, {
+            text: t(language, 'correction.onlyReporter', { phone: senderPhone, id: report.id }),
+            mentions: [senderJid]
+        });
+        return true;
+    }
+
+    const { changes, errors } = await applyReportCorrections(report, fields, language);
+
+    if (errors.length > 0) {
+        await sock.sendMessage(groupJid, {
+            text: `${t(language, 'correction.notChanged', { id: report.id, phone: senderPhone })}\n\n` +
+                errors.map(err => `• ${err}`).join('\n'),
+            mentions: [senderJid]
+        });
+        return true;
+    }
+
+    if (changes.length === 0) {
+        await sock.sendMessage(groupJid, {
+            text: t(language, 'correction.nothingToChange', { id: report.id })
+        });
+        return true;
+    }
+
+    await sock.sendMessage(groupJid, {
+        text: `${t(language, 'correction.updated', { id: report.id, phone: senderPhone })}\n\n${formatChangeSummary(changes)}`,
+        mentions: [senderJid]
+    });
+    return true;
+}
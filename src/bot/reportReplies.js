@@ -0,0 +1,72 @@
+import { t, allTranslations } from '../i18n/index.js';
+
+/**
+ * Report replies
+ * The bot answers a group report in the language it was written in
+ * (see detectReportLanguage). "Report #12" stays the same in every language
+ * so replies to a confirmation can always be traced back to the report.
+ */
+
+/**
+ * Matches the saved-report confirmation title in any language
+ */
+export const CONFIRMATION_PATTERN = new RegExp(
+    allTranslations('report.savedTitle').map(title => title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+    'i'
+);
+
+/**
+ * Format the "report saved" confirmation
+ * @param {string} language - Language the report was written in
+ * @param {Object} details
+ * @param {string} details.senderPhone - Reporter's phone (for the @mention)
+ * @param {number} details.reportId - Saved report ID
+ * @param {Object} details.report - Parsed report
+ * @param {Object} details.assembly - Cluster the report was saved for
+ * @param {Object|null} [details.media] - Saved media, if the report came with a photo
+ * @returns {string}
+ */
+export function formatSavedConfirmation(language, { senderPhone, reportId, report, assembly, media = null }) {
+    const label = (field) => t(language, `label.${field}`);
+
+    return `✅ *${t(language, 'report.savedTitle')}* @${senderPhone}\n\n` +
+        `📋 Report #${reportId}\n` +
+        `📅 ${label('activity_date')}: ${report.activity_date}\n` +
+        `🏘️ ${label('area')}: ${report.area || 'N/A'}\n` +
+        `✝️ ${label('saved')}: ${report.saved}\n` +
+        `🙏 ${label('healed')}: ${report.healed}\n` +
+        `🏛️ ${label('cluster')}: ${assembly.name}\n` +
+        (report.reporting_command ? `🖋️ ${label('reporting_command')}: ${report.reporting_command}\n` : '') +
+        (media ? `📷 ${t(language, media.media_type === 'image' ? 'report.photoSaved' : 'report.attachmentSaved')}\n` : '') +
+        (report.latitude != null ? `📌 ${t(language, 'report.pinAttached')}\n` : '') +
+        `\n` +
+        `_${t(language, 'report.correctionHint', { example: `${label('saved')}: 7` })}_\n\n` +
+        t(language, 'report.thanks');
+}
+
+/**
+ * Format the "report could not be saved" message
+ * @param {string} language - Language the report was written in
+ * @param {string} senderPhone - Reporter's phone (for the @mention)
+ * @param {string[]} errors - Validation errors (already in the same language)
+ * @returns {string}
+ */
+export function formatValidationError(language, senderPhone, errors) {
+    return `❌ *${t(language, 'report.errorTitle')}* @${senderPhone}\n\n` +
+        `${t(language, 'report.errorIntro')}\n` +
+        errors.map(err => `• ${err}`).join('\n') +
+        `\n\n_${t(language, 'report.errorHint')}_`;
+}
+
+/**
+ * Format the "edited report was not updated" message
+ * @param {string} language - Language the edited report is written in
+ * @param {number} reportId - Report ID
+ * @param {string[]} errors - Validation errors (already in the same language)
+ * @returns {string}
+ */
+export function formatEditRejected(language, reportId, errors) {
+    return `${t(language, 'edit.rejected', { id: reportId })}\n` +
+        errors.map(err => `• ${err}`).join('\n') +
+        `\n\n_${t(language, 'edit.kept')}_`;
+}
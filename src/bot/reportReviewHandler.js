@@ -0,0 +1,96 @@
+import { getReportReview, getOpenReportReviews } from '../database/db.js';
+import {
+    isOpenReview,
+    getReviewLeaders,
+    getReviewerJids,
+    approveReview,
+    regenerateReview,
+    editReview
+} from '../services/reportReview.js';
+import { isAdmin } from './adminCommandHandler.js';
+import { getQuotedMessage } from './reportEditHandler.js';
+import { parseReviewReply } from '../utils/reviewReplyParser.js';
+import { getUserLanguage } from '../i18n/preferences.js';
+import { extractPhone } from '../utils/helpers.js';
+import { t } from '../i18n/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Review replies
+ * Leaders (and admins) decide on a draft report by DM (see parseReviewReply), replying
+ * to the draft's "📝 Draft #12" message or naming the draft. Approving publishes to the
+ * cluster group, so it always needs the draft's number; a bare "approve" only gets the
+ * exact command to send back.
+ */
+
+/**
+ * Handle a DM that may be a decision on a draft report
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {string} messageText - Message text
+ * @returns {Promise<boolean>} true when the message was a review reply (handled)
+ */
+export async function handleReviewReply(sock, msg, messageText) {
+    const reply = parseReviewReply(messageText);
+    if (!reply) return false;
+
+    const userJid = msg.key.remoteJid;
+    const phone = extractPhone(userJid).split(':')[0];
+    const language = await getUserLanguage(userJid);
+
+    // The draft: named in the message, quoted, or the only one waiting for this reviewer
+    const quotedId = getQuotedMessage(msg)?.text.match(/Draft #(\d+)/)?.[1];
+    const id = reply.id || (quotedId ? parseInt(quotedId) : null);
+
+    let review;
+    if (id) {
+        review = await getReportReview(id);
+        if (!review) {
+            await sock.sendMessage(userJid, { text: t(language, 'review.closed', { id }) });
+            return true;
+        }
+    } else {
+        const waiting = [];
+        for (const open of await getOpenReportReviews()) {
+            if ((await getReviewerJids(open)).some(jid => extractPhone(jid) === phone)) {
+                waiting.push(open);
+            }
+        }
+
+        // Not waiting on anyone's decision: an ordinary message
+        if (waiting.length === 0) return false;
+
+        if (waiting.length > 1) {
+            const drafts = waiting.map(r => `#${r.id} (${r.report_data.assemblyName})`).join(', ');
+            await sock.sendMessage(userJid, { text: t(language, 'review.which', { drafts, id: waiting[0].id }) });
+            return true;
+        }
+        review = waiting[0];
+    }
+
+    const leaders = await getReviewLeaders(review);
+    if (!leaders.includes(phone) && !isAdmin(userJid)) {
+        await sock.sendMessage(userJid, { text: t(language, 'review.notReviewer', { id: review.id }) });
+        return true;
+    }
+
+    if (!isOpenReview(review)) {
+        await sock.sendMessage(userJid, { text: t(language, 'review.closed', { id: review.id }) });
+        return true;
+    }
+
+    logger.info(`[REVIEW] ${reply.action} on draft #${review.id} from ${phone}`);
+
+    if (reply.action === 'approve' && !reply.id) {
+        await sock.sendMessage(userJid, { text: t(language, 'review.approveWithId', { id: review.id }) });
+    } else if (reply.action === 'approve') {
+        await approveReview(sock, review, userJid);
+    } else if (reply.action === 'regenerate') {
+        await sock.sendMessage(userJid, { text: t(language, 'review.regenerating', { id: review.id }) });
+        await regenerateReview(sock, review, userJid);
+    } else {
+        await editReview(sock, review, userJid, reply.edits);
+    }
+
+    return true;
+}
@@ -2,11 +2,13 @@ import logger from '../utils/logger.js';
 import { getAllAssemblies } from '../database/db.js';
 import { generateAssemblyReport } from '../services/aiReportGenerator.js';
 import { generatePDFReport } from '../services/pdfGenerator.js';
+import { getUserLanguage } from '../i18n/preferences.js';
+import { t } from '../i18n/index.js';
 import fs from 'fs';
 
 /**
  * In-memory state for test report interactive flow
- * Key: userJid, Value: { step, assemblies, selectedAssembly, months }
+ * Key: userJid, Value: { step, language, assemblies, selectedAssembly, months }
  */
 const testReportState = new Map();
 
@@ -21,11 +23,12 @@ export function hasActiveTestReport(userJid) {
  * Start the interactive test report flow
  */
 export async function startTestReport(sock, userJid) {
+    const language = await getUserLanguage(userJid);
     const assemblies = await getAllAssemblies();
 
     if (assemblies.length === 0) {
         await sock.sendMessage(userJid, {
-            text: '❌ No clusters/assemblies configured. Please contact the administrator.'
+            text: t(language, 'testreport.noClusters')
         });
         return;
     }
@@ -33,21 +36,14 @@ export async function startTestReport(sock, userJid) {
     // Save state
     testReportState.set(userJid, {
         step: 'select_assembly',
+        language,
         assemblies
     });
 
     // Show assembly selection
-    let message = '📊 *TEST REPORT GENERATOR*\n\n';
-    message += '🏛️ *Select the cluster you want a report for:*\n\n';
+    const options = assemblies.map((assembly, index) => `  ${index + 1}. ${assembly.name}`).join('\n');
 
-    assemblies.forEach((assembly, index) => {
-        message += `  ${index + 1}. ${assembly.name}\n`;
-    });
-
-    message += '\n🔢 Reply with the number of the cluster';
-    message += '\n\n_Type "cancel" to cancel._';
-
-    await sock.sendMessage(userJid, { text: message });
+    await sock.sendMessage(userJid, { text: t(language, 'testreport.selectCluster', { options }) });
 }
 
 /**
@@ -62,7 +58,7 @@ export async function processTestReportResponse(sock, userJid, message) {
     // Handle cancel
     if (text === 'cancel') {
         testReportState.delete(userJid);
-        await sock.sendMessage(userJid, { text: '❌ Test report cancelled.' });
+        await sock.sendMessage(userJid, { text: t(state.language, 'testreport.cancelled') });
         return;
     }
 
@@ -81,7 +77,7 @@ async function processAssemblySelection(sock, userJid, message, state) {
 
     if (isNaN(num) || num < 1 || num > state.assemblies.length) {
         await sock.sendMessage(userJid, {
-            text: `❌ Please enter a valid number between 1 and ${state.assemblies.length}.`
+            text: t(state.language, 'testreport.invalidNumber', { max: state.assemblies.length })
         });
         return;
     }
@@ -112,17 +108,11 @@ async function processAssemblySelection(sock, userJid, message, state) {
     testReportState.set(userJid, state);
 
     // Show month selection
-    let msg = `✅ Selected: *${selectedAssembly.name}*\n\n`;
-    msg += '📅 *Select the month for the report:*\n\n';
+    const options = months.map((m, index) => `  ${index + 1}. ${m.label}`).join('\n');
 
-    months.forEach((m, index) => {
-        msg += `  ${index + 1}. ${m.label}\n`;
+    await sock.sendMessage(userJid, {
+        text: t(state.language, 'testreport.selectMonth', { cluster: selectedAssembly.name, options })
     });
-
-    msg += '\n🔢 Reply with the number of the month';
-    msg += '\n\n_Type "cancel" to cancel._';
-
-    await sock.sendMessage(userJid, { text: msg });
 }
 
 /**
@@ -133,19 +123,20 @@ async function processMonthSelection(sock, userJid, message, state) {
 
     if (isNaN(num) || num < 1 || num > state.months.length) {
         await sock.sendMessage(userJid, {
-            text: `❌ Please enter a valid number between 1 and ${state.months.length}.`
+            text: t(state.language, 'testreport.invalidNumber', { max: state.months.length })
         });
         return;
     }
 
     const selectedMonth = state.months[num - 1];
     const assembly = state.selectedAssembly;
+    const language = state.language;
 
     // Clear state before generating (so user isn't stuck if it errors)
     testReportState.delete(userJid);
 
     await sock.sendMessage(userJid, {
-        text: `⏳ Generating report for *${assembly.name}* — *${selectedMonth.label}*...\n\nThis may take a moment while the AI analyzes the data.`
+        text: t(language, 'testreport.generating', { cluster: assembly.name, month: selectedMonth.label })
     });
 
     try {
@@ -153,13 +144,12 @@ async function processMonthSelection(sock, userJid, message, state) {
         const reportData = await generateAssemblyReport(
             assembly,
             selectedMonth.startDate,
-            selectedMonth.endDate,
-            { command: '[Executor Report]' }
+            selectedMonth.endDate
         );
 
         if (reportData.totalOutreaches === 0) {
             await sock.sendMessage(userJid, {
-                text: `⚠️ No evangelism reports found for *${assembly.name}* in *${selectedMonth.label}*.`
+                text: t(language, 'testreport.noReports', { cluster: assembly.name, month: selectedMonth.label })
             });
             return;
         }
@@ -168,17 +158,17 @@ async function processMonthSelection(sock, userJid, message, state) {
         const pdfPath = await generatePDFReport(reportData);
 
         // Send summary
-        let summary = `📊 *${assembly.name} — ${selectedMonth.label} REPORT*\n`;
+        let summary = `${t(language, 'testreport.title', { cluster: assembly.name, month: selectedMonth.label })}\n`;
         summary += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
-        summary += `📝 Total Outreaches: ${reportData.totalOutreaches}\n`;
-        summary += `✝️ Saved: ${reportData.totalSaved}\n`;
-        summary += `🙏 Healed: ${reportData.totalHealed}\n\n`;
+        summary += `📝 ${t(language, 'summary.totalOutreaches')}: ${reportData.totalOutreaches}\n`;
+        summary += `✝️ ${t(language, 'label.saved')}: ${reportData.totalSaved}\n`;
+        summary += `🙏 ${t(language, 'label.healed')}: ${reportData.totalHealed}\n\n`;
 
         if (reportData.locations.length > 0) {
-            summary += `📍 Locations: ${reportData.locations.join(', ')}\n\n`;
+            summary += `📍 ${t(language, 'testreport.locations')}: ${reportData.locations.join(', ')}\n\n`;
         }
         if (reportData.labourers.length > 0) {
-            summary += `👥 Labourers: ${reportData.labourers.join(', ')}\n\n`;
+            summary += `👥 ${t(language, 'testreport.labourers')}: ${reportData.labourers.join(', ')}\n\n`;
         }
 
         summary += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
@@ -193,7 +183,7 @@ async function processMonthSelection(sock, userJid, message, state) {
             document: fileBuffer,
             mimetype: 'application/pdf',
             fileName: fileName,
-            caption: `📄 ${assembly.name} — ${selectedMonth.label} Full Report`
+            caption: t(language, 'testreport.pdfCaption', { cluster: assembly.name, month: selectedMonth.label })
         });
 
         logger.info(`Test report for ${assembly.name} (${selectedMonth.label}) sent to ${userJid}`);
@@ -201,7 +191,7 @@ async function processMonthSelection(sock, userJid, message, state) {
     } catch (error) {
         logger.error(`Error generating test report:`, error);
         await sock.sendMessage(userJid, {
-            text: '❌ Error generating the report. Please check the logs or try again.'
+            text: t(language, 'testreport.failed')
         });
     }
 }
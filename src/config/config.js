@@ -1,13 +1,21 @@
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
 
 dotenv.config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = resolve(__dirname, '../..');
+
 const config = {
     // Church information
     churchName: process.env.CHURCH_NAME || 'Our Church',
 
     // Bot configuration
     wakePhrase: process.env.WAKE_PHRASE || '!evangelism',
+    // Language for bot messages when a user or cluster hasn't chosen one: 'en', 'sn' or 'nd'
+    defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en',
     nodeEnv: process.env.NODE_ENV || 'development',
 
     // Admin configuration
@@ -15,15 +23,68 @@ const config = {
         ? process.env.ADMIN_NUMBERS.split(',').map(n => n.trim())
         : [],
 
+    // Leadership WhatsApp group for the national report (optional, e.g. 1203...@g.us)
+    leadershipGroupJid: process.env.LEADERSHIP_GROUP_JID || null,
+
     // OpenAI configuration
     openaiApiKey: process.env.OPENAI_API_KEY || null,
 
-    // Report schedule (cron format)
+    // AI narratives: 'openai', 'openai_compatible' (any OpenAI-style API, e.g. a local
+    // llama.cpp or Ollama server at AI_BASE_URL), 'stub' (fixed text, for tests) or 'none'.
+    // Defaults to 'openai' when OPENAI_API_KEY is set, otherwise 'none' (built-in summaries)
+    aiProvider: process.env.AI_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none'),
+    aiBaseUrl: process.env.AI_BASE_URL || null,
+    aiApiKey: process.env.AI_API_KEY || process.env.OPENAI_API_KEY || null,
+    aiModel: process.env.AI_MODEL || null,
+    aiTemperature: parseFloat(process.env.AI_TEMPERATURE || '0.7'),
+    aiMaxTokens: parseInt(process.env.AI_MAX_TOKENS) || 2500,
+    aiTimeoutMs: (parseInt(process.env.AI_TIMEOUT_SECONDS) || 120) * 1000,
+    aiRetries: parseInt(process.env.AI_RETRIES || '2'),
+
+    // Report schedule (cron format) - used by the built-in monthly_report job
     reportSchedule: process.env.REPORT_SCHEDULE || '0 9 1 * *',
 
+    // Scheduled jobs file (optional) - see schedules.example.json
+    schedulesFile: resolve(PROJECT_ROOT, process.env.SCHEDULES_FILE || 'schedules.json'),
+
+    // Remind a cluster group after this many days without a report
+    reminderSilentDays: parseInt(process.env.REMINDER_SILENT_DAYS) || 7,
+
+    // Leader review: cluster reports go to the cluster's leaders as drafts and are only
+    // posted once approved; drafts with no decision after this many hours go to the admins
+    reportReview: process.env.REPORT_REVIEW !== 'false',
+    reviewTimeoutHours: parseInt(process.env.REVIEW_TIMEOUT_HOURS) || 48,
+
+    // Database backend: 'supabase', 'sqlite' or 'memory'
+    dbBackend: process.env.DB_BACKEND || 'supabase',
+
     // Database (Supabase)
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseKey: process.env.SUPABASE_KEY,
+    // Direct Postgres connection string, used only by `npm run migrate`
+    supabaseDbUrl: process.env.SUPABASE_DB_URL || null,
+
+    // Apply pending schema migrations on startup (always on for sqlite/memory)
+    autoMigrate: process.env.AUTO_MIGRATE === 'true',
+
+    // Database (SQLite) - relative paths resolve from the project root
+    sqlitePath: resolve(PROJECT_ROOT, process.env.SQLITE_PATH || 'data/evangelism.db'),
+
+    // Photos/videos sent with reports (captions) - stored per report under this folder
+    mediaDir: resolve(PROJECT_ROOT, process.env.MEDIA_DIR || 'data/media'),
+    mediaMaxBytes: (parseInt(process.env.MEDIA_MAX_MB) || 16) * 1024 * 1024,
+
+    // "Scenes from the field" photos in the monthly PDF (0 photos turns the gallery off)
+    galleryMaxPhotos: parseInt(process.env.GALLERY_MAX_PHOTOS ?? '12') || 0,
+    galleryMaxBytes: (parseFloat(process.env.GALLERY_MAX_MB) || 4) * 1024 * 1024,
+
+    // Local REST API - started with the bot when API_ENABLED=true, or alone with `npm run api`
+    apiEnabled: process.env.API_ENABLED === 'true',
+    apiHost: process.env.API_HOST || '127.0.0.1',
+    apiPort: parseInt(process.env.API_PORT) || 3000,
+    apiTokens: process.env.API_TOKENS
+        ? process.env.API_TOKENS.split(',').map(t => t.trim()).filter(Boolean)
+        : [],
 
     // Logging
     logLevel: process.env.LOG_LEVEL || 'info',
@@ -94,16 +94,49 @@ export const SMC_COMMANDS = {
 // Default command when none is specified
 export const DEFAULT_COMMAND = SMC_COMMANDS.EXECUTOR_REPORT;
 
+/**
+ * Comparable form of a command name or key:
+ * '[Edit - Executor Present]' and 'EDIT_EXECUTOR_PRESENT' → 'edit executor present'
+ */
+function commandKey(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Find a command by name or key, without falling back to the default
+ * @param {string} commandName - Command name ('[Cluster Compilation]', 'Cluster Compilation') or key ('CLUSTER_COMPILATION')
+ * @returns {Object|null} Command configuration, or null if there is no such command
+ */
+export function findCommand(commandName) {
+    if (!commandName) return null;
+
+    const key = commandKey(commandName);
+    const match = Object.entries(SMC_COMMANDS).find(
+        ([id, c]) => commandKey(c.name) === key || commandKey(id) === key
+    );
+    return match ? match[1] : null;
+}
+
+/**
+ * Find the command a report is tagged with, e.g. "[Edit - Executor Present]"
+ * @param {string} text - Report message
+ * @returns {Object|null} Command configuration of the first bracketed tag that names one
+ */
+export function findCommandTag(text) {
+    for (const match of String(text || '').matchAll(/\[([^\]\n]+)\]/g)) {
+        const command = findCommand(match[1]);
+        if (command) return command;
+    }
+    return null;
+}
+
 /**
  * Get command by name
  * @param {string} commandName - Command name (e.g., '[Executor Report]')
  * @returns {Object} Command configuration
  */
 export function getCommandByName(commandName) {
-    const command = Object.values(SMC_COMMANDS).find(
-        c => c.name.toLowerCase() === commandName.toLowerCase()
-    );
-    return command || DEFAULT_COMMAND;
+    return findCommand(commandName) || DEFAULT_COMMAND;
 }
 
 /**
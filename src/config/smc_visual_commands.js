@@ -16,8 +16,15 @@ export const MAP_CONFIG = {
 
     // Styling
     backgroundColor: '#ffffff',
-    gridColor: '#e0e0e0',
-    axisColor: '#000000',
+
+    // Base map (bundled GeoJSON in src/assets/geo)
+    outsideColor: '#e8eef2',   // neighbouring countries
+    landColor: '#f7f4ea',
+    borderColor: '#5f6b73',
+    provinceColor: '#8d8d8d',
+    districtColor: '#d6d0bf',
+    roadColor: '#e0a15a',
+    townColor: '#707070',
 
     // Pin colors (cycle through these for multiple locations)
     pinColors: ['#1a73e8', '#ea4335', '#34a853', '#fbbc04', '#9c27b0', '#00bcd4', '#ff6f00'],
@@ -25,22 +32,55 @@ export const MAP_CONFIG = {
     // Typography
     fontSize: 11,
     titleFontSize: 14,
-    axisFontSize: 10,
+    townFontSize: 9,
+    legendFontSize: 11,
 
     // Features
-    showGrid: true,
-    showAxes: true,
     autoGenerate: true, // Auto-generate map when multiple locations detected
 
+    // View: fitted to the pins, padded by this share of their spread,
+    // and never zoomed in closer than minSpanDegrees (~33 km) so nearby towns show
+    fitPadding: 0.15,
+    minSpanDegrees: 0.3,
+
     // Layout
-    padding: 60,
+    padding: 20,
     titleSpace: 40,
+    legendWidth: 210,
 
     // Pin styling
     pinRadius: 5,
     labelOffset: 8
 };
 
+export const CHART_CONFIG = {
+    // Canvas dimensions (each chart)
+    width: 800,
+    height: 380,
+
+    // Styling
+    backgroundColor: '#ffffff',
+    gridColor: '#e6e6e6',
+    axisColor: '#555555',
+    savedColor: '#1a73e8',
+    healedColor: '#34a853',
+
+    // Pie slice colors (activity types beyond the last one are grouped as "Other")
+    pieColors: ['#1a73e8', '#ea4335', '#34a853', '#fbbc04', '#9c27b0', '#00bcd4', '#ff6f00'],
+
+    // Typography
+    fontSize: 12,
+    titleFontSize: 16,
+
+    // Layout
+    padding: 50,
+    titleSpace: 45,
+    legendSpace: 30,
+
+    // Months shown in the trend chart (ending with the report's month)
+    trendMonths: 12
+};
+
 /**
  * Check if visual command is present in text or options
  * @param {string|Object} input - Command string or options object
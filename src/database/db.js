@@ -1,23 +1,47 @@
-import { createClient } from '@supabase/supabase-js';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import { loadRepository, assertRepository } from './repository.js';
+import { getPendingMigrations, runMigrations } from './migrator.js';
 
-// Initialize Supabase client
-const supabase = createClient(config.supabaseUrl, config.supabaseKey);
+// Storage backend selected by DB_BACKEND (see repository.js)
+let repository = await loadRepository(config);
 
 /**
- * Initialize database connection check
+ * Replace the active storage backend (e.g. an in-memory store in tests)
+ * @param {Object} newRepository - Object implementing the repository interface
+ */
+export function setRepository(newRepository) {
+  assertRepository(newRepository);
+  repository = newRepository;
+  logger.debug('[DB] Storage backend replaced');
+}
+
+/**
+ * Get the active storage backend
+ * @returns {Object}
+ */
+export function getRepository() {
+  return repository;
+}
+
+/**
+ * Initialize database connection and check the schema version.
+ * Local backends apply pending migrations automatically; Supabase only does so
+ * with AUTO_MIGRATE=true, otherwise startup stops until `npm run migrate` is run.
  */
 export async function initializeDatabase() {
-  logger.info('Checking Supabase connection...');
-  const { error } = await supabase.from('assemblies').select('count', { count: 'exact', head: true });
+  await repository.initializeDatabase();
+
+  const pending = await getPendingMigrations(repository);
+  if (pending.length === 0) return;
 
-  if (error) {
-    logger.error('Failed to connect to Supabase:', error.message);
-    throw error;
+  if (config.autoMigrate || config.dbBackend !== 'supabase') {
+    await runMigrations(repository);
+    return;
   }
 
-  logger.info('Supabase connection successful');
+  const names = pending.map(m => `${String(m.version).padStart(3, '0')}_${m.name}`).join(', ');
+  throw new Error(`Database schema is out of date (pending: ${names}). Run "npm run migrate" or set AUTO_MIGRATE=true.`);
 }
 
 /**
@@ -25,54 +49,23 @@ export async function initializeDatabase() {
  */
 
 export async function createAssembly(name, whatsappGroupId) {
-  const { data, error } = await supabase
-    .from('assemblies')
-    .insert([{ name, whatsapp_group_id: whatsappGroupId }])
-    .select();
-
-  if (error) throw error;
-  return { lastInsertRowid: data[0].id }; // Maintain compatibility with SQLite return shape
+  return repository.createAssembly(name, whatsappGroupId);
 }
 
 export async function getAssembly(id) {
-  const { data, error } = await supabase
-    .from('assemblies')
-    .select('*')
-    .eq('id', id)
-    .single();
-
-  if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "Row not found"
-  return data;
+  return repository.getAssembly(id);
 }
 
 export async function getAllAssemblies() {
-  const { data, error } = await supabase
-    .from('assemblies')
-    .select('*')
-    .order('name', { ascending: true });
-
-  if (error) throw error;
-  return data;
+  return repository.getAllAssemblies();
 }
 
 export async function updateAssembly(id, name, whatsappGroupId) {
-  const { error } = await supabase
-    .from('assemblies')
-    .update({ name, whatsapp_group_id: whatsappGroupId })
-    .eq('id', id);
-
-  if (error) throw error;
-  return { changes: 1 };
+  return repository.updateAssembly(id, name, whatsappGroupId);
 }
 
 export async function deleteAssembly(id) {
-  const { error } = await supabase
-    .from('assemblies')
-    .delete()
-    .eq('id', id);
-
-  if (error) throw error;
-  return { changes: 1 };
+  return repository.deleteAssembly(id);
 }
 
 /**
@@ -81,44 +74,33 @@ export async function deleteAssembly(id) {
  * @returns {Promise<Object|undefined>} Assembly object or undefined
  */
 export async function getAssemblyByGroupJid(groupJid) {
-  const { data, error } = await supabase
-    .from('assemblies')
-    .select('*')
-    .eq('whatsapp_group_id', groupJid)
-    .single();
+  return repository.getAssemblyByGroupJid(groupJid);
+}
 
-  if (error && error.code !== 'PGRST116') throw error;
-  return data || undefined;
+/**
+ * Set the language a cluster's group messages are sent in
+ * @param {number} id - Assembly ID
+ * @param {string|null} language - Language code (null for the default)
+ */
+export async function setAssemblyLanguage(id, language) {
+  return repository.setAssemblyLanguage(id, language);
 }
 
+/**
+ * Set the SMC reporting command a cluster's reports are written under
+ * @param {number} id - Assembly ID
+ * @param {string|null} command - Command name, e.g. '[Cluster Compilation]' (null for the default)
+ */
+export async function setAssemblyReportingCommand(id, command) {
+  return repository.setAssemblyReportingCommand(id, command);
+}
 
 /**
  * REPORTS - CRUD Operations
  */
 
 export async function createReport(reportData) {
-  const { data, error } = await supabase
-    .from('reports')
-    .insert([{
-      assembly_id: reportData.assembly_id,
-      activity_date: reportData.activity_date,
-      location: reportData.location,
-      area: reportData.area || null,
-      city: reportData.city || null,
-      activity_type: reportData.activity_type,
-      preachers_team: reportData.preachers_team,
-      message_summary: reportData.message_summary,
-      response_moments: reportData.response_moments || null,
-      saved: reportData.saved ?? reportData.converts ?? 0,
-      healed: reportData.healed ?? reportData.sick_prayed_for ?? 0,
-      reporter_name: reportData.reporter_name,
-      reporter_phone: reportData.reporter_phone,
-      source: reportData.source || 'form'
-    }])
-    .select();
-
-  if (error) throw error;
-  return { lastInsertRowid: data[0].id };
+  return repository.createReport(reportData);
 }
 
 /**
@@ -127,50 +109,10 @@ export async function createReport(reportData) {
  * @param {Object} reportData
  * @param {string} senderPhone
  * @param {string} waMessageId - WhatsApp message ID (for deletion tracking)
+ * @param {Object} options - { status: 'pending_duplicate', duplicateOf } to hold a suspected duplicate
  */
-export async function createGroupReport(assemblyId, reportData, senderPhone, waMessageId = null) {
-  const insertData = {
-    assembly_id: assemblyId,
-    activity_date: reportData.activity_date,
-    location: reportData.location,
-    area: reportData.area || null,
-    city: reportData.city || null,
-    activity_type: reportData.activity_type,
-    preachers_team: reportData.preachers_team || reportData.reporter_name,
-    message_summary: reportData.message_summary,
-    response_moments: reportData.response_moments || null,
-    saved: reportData.saved ?? reportData.converts ?? 0,
-    healed: reportData.healed ?? reportData.sick_prayed_for ?? 0,
-    reporter_name: reportData.reporter_name,
-    reporter_phone: senderPhone,
-    source: 'group_message',
-    posted_to_group: true,
-  };
-
-  // Include wa_message_id if provided (column may not exist yet — fall back if needed)
-  if (waMessageId) insertData.wa_message_id = waMessageId;
-
-  const { data, error } = await supabase
-    .from('reports')
-    .insert([insertData])
-    .select();
-
-  if (error) {
-    // If wa_message_id column doesn't exist yet, retry without it
-    if (waMessageId && (error.code === '42703' || error.message?.includes('wa_message_id'))) {
-      logger.warn('[DB] wa_message_id column not found, saving report without it. Add the column to enable deletion tracking.');
-      delete insertData.wa_message_id;
-      const { data: data2, error: error2 } = await supabase
-        .from('reports')
-        .insert([insertData])
-        .select();
-      if (error2) throw error2;
-      return { lastInsertRowid: data2[0].id };
-    }
-    throw error;
-  }
-
-  return { lastInsertRowid: data[0].id };
+export async function createGroupReport(assemblyId, reportData, senderPhone, waMessageId = null, options = {}) {
+  return repository.createGroupReport(assemblyId, reportData, senderPhone, waMessageId, options);
 }
 
 /**
@@ -179,230 +121,284 @@ export async function createGroupReport(assemblyId, reportData, senderPhone, waM
  * @returns {Promise<Object|null>} Deleted report data or null if not found
  */
 export async function deleteReportByMessageId(waMessageId) {
-  // First fetch the report (with assembly info) so we can include it in the group notification
-  const { data: report, error: fetchError } = await supabase
-    .from('reports')
-    .select(`
-      id,
-      reporter_name,
-      activity_date,
-      location,
-      assemblies (
-        name,
-        whatsapp_group_id
-      )
-    `)
-    .eq('wa_message_id', waMessageId)
-    .single();
-
-  if (fetchError && fetchError.code === 'PGRST116') return null; // Not found — not a tracked report
-  if (fetchError) throw fetchError;
-
-  // Now delete it
-  const { error: deleteError } = await supabase
-    .from('reports')
-    .delete()
-    .eq('wa_message_id', waMessageId);
-
-  if (deleteError) throw deleteError;
-
-  return {
-    id: report.id,
-    reporter_name: report.reporter_name,
-    activity_date: report.activity_date,
-    location: report.location,
-    assembly_name: report.assemblies?.name,
-    whatsapp_group_id: report.assemblies?.whatsapp_group_id
-  };
+  return repository.deleteReportByMessageId(waMessageId);
 }
 
+/**
+ * Get a report by ID
+ * @param {number} id - Report ID
+ * @returns {Promise<Object|null>} Report (with assembly_name) or null if there is no such report
+ */
 export async function getReport(id) {
-  // Join with assemblies to get name and group id
-  const { data, error } = await supabase
-    .from('reports')
-    .select(`
-      *,
-      assemblies (
-        name,
-        whatsapp_group_id
-      )
-    `)
-    .eq('id', id)
-    .single();
-
-  if (error) throw error;
-
-  // Flatten the structure to match SQLite return
-  if (data && data.assemblies) {
-    data.assembly_name = data.assemblies.name;
-    data.whatsapp_group_id = data.assemblies.whatsapp_group_id;
-    delete data.assemblies;
-  }
+  return repository.getReport(id);
+}
+
+/**
+ * Get a report by the WhatsApp message ID it was posted as
+ * @param {string} waMessageId - WhatsApp message ID
+ * @returns {Promise<Object|null>} Report (with assembly_name) or null if not tracked
+ */
+export async function getReportByMessageId(waMessageId) {
+  return repository.getReportByMessageId(waMessageId);
+}
 
-  return data;
+/**
+ * Update fields of an existing report
+ * @param {number} id - Report ID
+ * @param {Object} fields - Columns to change (e.g. { saved: 7 }); other fields are ignored
+ * @returns {Promise<Object>} Updated report
+ */
+export async function updateReport(id, fields) {
+  return repository.updateReport(id, fields);
 }
 
 export async function getReportsByDateRange(startDate, endDate) {
-  const { data, error } = await supabase
-    .from('reports')
-    .select(`
-      *,
-      assemblies (
-        name
-      )
-    `)
-    .gte('activity_date', startDate)
-    .lte('activity_date', endDate)
-    .order('activity_date', { ascending: false });
-
-  if (error) throw error;
-
-  // Flatten
-  return data.map(r => {
-    if (r.assemblies) {
-      r.assembly_name = r.assemblies.name;
-      delete r.assemblies;
-    }
-    return r;
-  });
+  return repository.getReportsByDateRange(startDate, endDate);
 }
 
 export async function getReportsByAssembly(assemblyId) {
-  const { data, error } = await supabase
-    .from('reports')
-    .select('*')
-    .eq('assembly_id', assemblyId)
-    .order('activity_date', { ascending: false });
-
-  if (error) throw error;
-  return data;
+  return repository.getReportsByAssembly(assemblyId);
 }
 
 export async function markReportAsPosted(reportId) {
-  const { error } = await supabase
-    .from('reports')
-    .update({ posted_to_group: true })
-    .eq('id', reportId);
+  return repository.markReportAsPosted(reportId);
+}
+
+/**
+ * REPORT MEDIA - Photos/videos attached to reports
+ */
 
-  if (error) throw error;
-  return { changes: 1 };
+/**
+ * Link a stored media file to a report
+ * @param {number} reportId - Report ID
+ * @param {Object} media - { media_type, mime_type, file_path, file_size, wa_message_id }
+ */
+export async function addReportMedia(reportId, media) {
+  return repository.addReportMedia(reportId, media);
 }
 
 /**
- * USERS - Form State Management
+ * Get media stored for a report
+ * @param {number} reportId - Report ID
+ * @returns {Promise<Array>}
  */
+export async function getReportMedia(reportId) {
+  return repository.getReportMedia(reportId);
+}
 
-export async function getUserFormState(phone) {
-  const { data, error } = await supabase
-    .from('users')
-    .select('*')
-    .eq('phone', phone)
-    .single();
+/**
+ * Get a cluster's media for a period, with the report's date, location and team
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} mediaType - 'image', 'video' or 'document'
+ * @returns {Promise<Array>}
+ */
+export async function getReportMediaForAssembly(assemblyId, startDate, endDate, mediaType = 'image') {
+  return repository.getReportMediaForAssembly(assemblyId, startDate, endDate, mediaType);
+}
+
+/**
+ * SCHEDULES - Scheduled job overrides
+ */
+
+/**
+ * Get all scheduled jobs saved in the database
+ * @returns {Promise<Array>} { name, type, cron, period, audience, enabled, options }
+ */
+export async function getSchedules() {
+  return repository.getSchedules();
+}
 
-  if (error && error.code !== 'PGRST116') throw error;
-  return data || undefined;
+/**
+ * Create or replace a scheduled job
+ * @param {Object} schedule - { name, type, cron, period, audience, enabled, options }
+ */
+export async function saveSchedule(schedule) {
+  return repository.saveSchedule(schedule);
 }
 
-export async function saveUserFormState(phone, step, formData) {
-  const { error } = await supabase
-    .from('users')
-    .upsert({
-      phone,
-      current_form_step: step,
-      form_data: formData, // Supabase handles JSONB automatically
-      updated_at: new Date()
-    });
+/**
+ * PLACES - Gazetteer for the location map
+ */
 
-  if (error) throw error;
-  return { changes: 1 };
+/**
+ * Get every known place
+ * @returns {Promise<Array>} { name, latitude, longitude, aliases }
+ */
+export async function getPlaces() {
+  return repository.getPlaces();
 }
 
-export async function clearUserFormState(phone) {
-  const { error } = await supabase
-    .from('users')
-    .delete()
-    .eq('phone', phone);
+/**
+ * Create or replace a place (matched by exact name)
+ * @param {Object} place - { name, latitude, longitude, aliases }
+ */
+export async function savePlace(place) {
+  return repository.savePlace(place);
+}
 
-  if (error) throw error;
-  return { changes: 1 };
+/**
+ * Delete a place
+ * @param {string} name - Exact place name
+ * @returns {Promise<{changes: number}>}
+ */
+export async function deletePlace(name) {
+  return repository.deletePlace(name);
 }
 
 /**
- * STATISTICS - Aggregation Queries (Performed in JS)
+ * CLUSTER LEADERS - Who reviews a cluster's reports before they are posted
  */
 
-export async function getMonthlyStatsByAssembly(startDate, endDate) {
-  // 1. Get all assemblies
-  const assemblies = await getAllAssemblies();
+/**
+ * Get a cluster's leaders
+ * @param {number} assemblyId - Assembly ID
+ * @returns {Promise<Array>} { assembly_id, phone }
+ */
+export async function getClusterLeaders(assemblyId) {
+  return repository.getClusterLeaders(assemblyId);
+}
 
-  // 2. Get all reports in range
-  const { data: reports, error } = await supabase
-    .from('reports')
-    .select('assembly_id, saved, healed')
-    .gte('activity_date', startDate)
-    .lte('activity_date', endDate);
+/**
+ * Add a leader to a cluster (no change if already a leader)
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} phone - Phone number, digits only
+ */
+export async function addClusterLeader(assemblyId, phone) {
+  return repository.addClusterLeader(assemblyId, phone);
+}
 
-  if (error) throw error;
+/**
+ * Remove a leader from a cluster
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} phone - Phone number, digits only
+ * @returns {Promise<{changes: number}>}
+ */
+export async function removeClusterLeader(assemblyId, phone) {
+  return repository.removeClusterLeader(assemblyId, phone);
+}
 
-  // 3. Aggregate
-  const stats = assemblies.map(assembly => {
-    const assemblyReports = reports.filter(r => r.assembly_id === assembly.id);
-    return {
-      assembly_id: assembly.id,
-      assembly_name: assembly.name,
-      total_reports: assemblyReports.length,
-      total_saved: assemblyReports.reduce((sum, r) => sum + (r.saved || 0), 0),
-      total_healed: assemblyReports.reduce((sum, r) => sum + (r.healed || 0), 0)
-    };
-  });
+/**
+ * REPORT REVIEWS - Draft cluster reports waiting for a leader's approval
+ */
 
-  return stats.sort((a, b) => b.total_reports - a.total_reports);
+/**
+ * Save a draft report for review
+ * @param {Object} review - { assembly_id, start_date, end_date, audience, report_data, status }
+ * @returns {Promise<{lastInsertRowid: number}>}
+ */
+export async function createReportReview(review) {
+  return repository.createReportReview(review);
 }
 
-export async function getMonthlyStats(startDate, endDate) {
-  const { data: reports, error } = await supabase
-    .from('reports')
-    .select('saved, healed')
-    .gte('activity_date', startDate)
-    .lte('activity_date', endDate);
+/**
+ * Get a review by ID
+ * @param {number} id - Review ID
+ * @returns {Promise<Object|null>} Review (audience and report_data parsed) or null
+ */
+export async function getReportReview(id) {
+  return repository.getReportReview(id);
+}
 
-  if (error) throw error;
+/**
+ * Get the reviews still waiting for a decision (status 'pending' or 'escalated'), oldest first
+ * @returns {Promise<Array>}
+ */
+export async function getOpenReportReviews() {
+  return repository.getOpenReportReviews();
+}
 
-  return {
-    total_reports: reports.length,
-    total_saved: reports.reduce((sum, r) => sum + (r.saved || 0), 0),
-    total_healed: reports.reduce((sum, r) => sum + (r.healed || 0), 0)
-  };
+/**
+ * Update fields of a review
+ * @param {number} id - Review ID
+ * @param {Object} fields - { report_data, status, submitted_at, escalated_at, decided_by, decided_at }; other fields are ignored
+ */
+export async function updateReportReview(id, fields) {
+  return repository.updateReportReview(id, fields);
 }
 
-export async function getActivityTypeBreakdown(startDate, endDate) {
-  const { data: reports, error } = await supabase
-    .from('reports')
-    .select('activity_type, saved, healed')
-    .gte('activity_date', startDate)
-    .lte('activity_date', endDate);
+/**
+ * Change a review's status, but only if it still has one of the given statuses
+ * @param {number} id - Review ID
+ * @param {string} status - New status
+ * @param {string[]} fromStatuses - Statuses the review must have now
+ * @returns {Promise<{changes: number}>} changes is 0 when the review had another status
+ */
+export async function updateReportReviewStatus(id, status, fromStatuses) {
+  return repository.updateReportReviewStatus(id, status, fromStatuses);
+}
 
-  if (error) throw error;
+/**
+ * USERS - Form State Management
+ */
 
-  // Group by activity_type
-  const groups = {};
+export async function getUserFormState(phone) {
+  return repository.getUserFormState(phone);
+}
 
-  reports.forEach(r => {
-    if (!groups[r.activity_type]) {
-      groups[r.activity_type] = {
-        activity_type: r.activity_type,
-        count: 0,
-        total_saved: 0,
-        total_healed: 0
-      };
-    }
+export async function saveUserFormState(phone, step, formData) {
+  return repository.saveUserFormState(phone, step, formData);
+}
 
-    groups[r.activity_type].count++;
-    groups[r.activity_type].total_saved += (r.saved || 0);
-    groups[r.activity_type].total_healed += (r.healed || 0);
-  });
+export async function clearUserFormState(phone) {
+  return repository.clearUserFormState(phone);
+}
 
-  return Object.values(groups).sort((a, b) => b.count - a.count);
+/**
+ * USER PREFERENCES
+ */
+
+/**
+ * Get a user's saved preferences
+ * @param {string} phone - User phone (JID without the @ part)
+ * @returns {Promise<Object|undefined>} { phone, language } or undefined if none saved
+ */
+export async function getUserPreferences(phone) {
+  return repository.getUserPreferences(phone);
+}
+
+/**
+ * Save a user's language (null clears it)
+ * @param {string} phone - User phone (JID without the @ part)
+ * @param {string|null} language - Language code
+ */
+export async function saveUserLanguage(phone, language) {
+  return repository.saveUserLanguage(phone, language);
+}
+
+/**
+ * STATISTICS - Aggregation Queries (held duplicates are not counted)
+ */
+
+export async function getMonthlyStatsByAssembly(startDate, endDate) {
+  return repository.getMonthlyStatsByAssembly(startDate, endDate);
+}
+
+export async function getMonthlyStats(startDate, endDate) {
+  return repository.getMonthlyStats(startDate, endDate);
+}
+
+/**
+ * Reports, saved and healed per activity type
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {number|null} [assemblyId] - Limit to one assembly (default: all)
+ * @returns {Promise<Array<{activity_type: string, count: number, total_saved: number, total_healed: number}>>}
+ */
+export async function getActivityTypeBreakdown(startDate, endDate, assemblyId = null) {
+  return repository.getActivityTypeBreakdown(startDate, endDate, assemblyId);
+}
+
+/**
+ * Reports, saved and healed per month for an assembly (months with no reports are left out)
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array<{month: string, total_reports: number, total_saved: number, total_healed: number}>>} month is YYYY-MM, oldest first
+ */
+export async function getMonthlyTrend(assemblyId, startDate, endDate) {
+  return repository.getMonthlyTrend(assemblyId, startDate, endDate);
 }
 
 /**
@@ -413,16 +409,15 @@ export async function getActivityTypeBreakdown(startDate, endDate) {
  * @returns {Promise<Array>} Reports with selected fields only
  */
 export async function getReportsForAssembly(assemblyId, startDate, endDate) {
-  const { data, error } = await supabase
-    .from('reports')
-    .select('activity_date, location, area, city, activity_type, preachers_team, message_summary, saved, healed')
-    .eq('assembly_id', assemblyId)
-    .gte('activity_date', startDate)
-    .lte('activity_date', endDate)
-    .order('activity_date', { ascending: true });
-
-  if (error) throw error;
-  return data;
+  return repository.getReportsForAssembly(assemblyId, startDate, endDate);
 }
 
-export default supabase;
+/**
+ * Get counted reports for an assembly on a single day (used for duplicate detection)
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} activityDate - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>}
+ */
+export async function getReportsForAssemblyOnDate(assemblyId, activityDate) {
+  return repository.getReportsForAssemblyOnDate(assemblyId, activityDate);
+}
@@ -0,0 +1,43 @@
+/**
+ * Apply pending schema migrations to the configured database
+ *
+ * Usage:
+ *   npm run migrate
+ *   npm run migrate -- --status     (list applied and pending migrations only)
+ */
+
+import { getRepository } from './db.js';
+import { loadMigrations, runMigrations } from './migrator.js';
+
+async function migrate() {
+    const repository = getRepository();
+    await repository.initializeDatabase();
+
+    if (process.argv.includes('--status')) {
+        const applied = new Map((await repository.getAppliedMigrations()).map(m => [Number(m.version), m]));
+        const migrations = await loadMigrations();
+
+        console.log('\n📦 SCHEMA MIGRATIONS\n');
+        migrations.forEach(m => {
+            const label = `${String(m.version).padStart(3, '0')}_${m.name}`;
+            const record = applied.get(m.version);
+            console.log(record
+                ? `   ✅ ${label} (applied ${record.applied_at})`
+                : `   ⏳ ${label} - pending`);
+        });
+        console.log('');
+        return;
+    }
+
+    const appliedNow = await runMigrations(repository);
+    console.log(appliedNow.length > 0
+        ? `\n✅ Applied ${appliedNow.length} migration(s)\n`
+        : '\n✅ Database schema is already up to date\n');
+}
+
+migrate()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,82 @@
+/**
+ * Initial schema: assemblies (clusters), reports and users (form state).
+ * Uses IF NOT EXISTS so it can be applied to projects created before migrations existed.
+ */
+
+export const description = 'Create assemblies, reports and users tables';
+
+export const postgres = `
+  CREATE TABLE IF NOT EXISTS assemblies (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    whatsapp_group_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+  );
+
+  CREATE TABLE IF NOT EXISTS reports (
+    id BIGSERIAL PRIMARY KEY,
+    assembly_id BIGINT REFERENCES assemblies(id) ON DELETE CASCADE,
+    activity_date DATE NOT NULL,
+    location TEXT,
+    area TEXT,
+    city TEXT,
+    activity_type TEXT,
+    preachers_team TEXT NOT NULL,
+    message_summary TEXT,
+    response_moments TEXT,
+    saved INTEGER DEFAULT 0,
+    healed INTEGER DEFAULT 0,
+    reporter_name TEXT,
+    reporter_phone TEXT,
+    source TEXT DEFAULT 'form',
+    posted_to_group BOOLEAN DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT now()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reports_assembly_date ON reports (assembly_id, activity_date);
+
+  CREATE TABLE IF NOT EXISTS users (
+    phone TEXT PRIMARY KEY,
+    current_form_step INTEGER,
+    form_data JSONB,
+    updated_at TIMESTAMPTZ DEFAULT now()
+  );
+`;
+
+export const sqlite = `
+  CREATE TABLE IF NOT EXISTS assemblies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    whatsapp_group_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    assembly_id INTEGER REFERENCES assemblies(id) ON DELETE CASCADE,
+    activity_date TEXT NOT NULL,
+    location TEXT,
+    area TEXT,
+    city TEXT,
+    activity_type TEXT,
+    preachers_team TEXT NOT NULL,
+    message_summary TEXT,
+    response_moments TEXT,
+    saved INTEGER DEFAULT 0,
+    healed INTEGER DEFAULT 0,
+    reporter_name TEXT,
+    reporter_phone TEXT,
+    source TEXT DEFAULT 'form',
+    posted_to_group INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reports_assembly_date ON reports (assembly_id, activity_date);
+
+  CREATE TABLE IF NOT EXISTS users (
+    phone TEXT PRIMARY KEY,
+    current_form_step INTEGER,
+    form_data TEXT,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
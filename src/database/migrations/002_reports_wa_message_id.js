@@ -0,0 +1,16 @@
+/**
+ * Track the WhatsApp message ID of group reports so deleting the message
+ * in the group also deletes the saved report (messageDeleteHandler.js).
+ */
+
+export const description = 'Add reports.wa_message_id for deletion tracking';
+
+export const postgres = `
+  ALTER TABLE reports ADD COLUMN IF NOT EXISTS wa_message_id TEXT;
+  CREATE INDEX IF NOT EXISTS idx_reports_wa_message_id ON reports (wa_message_id);
+`;
+
+export const sqlite = `
+  ALTER TABLE reports ADD COLUMN wa_message_id TEXT;
+  CREATE INDEX IF NOT EXISTS idx_reports_wa_message_id ON reports (wa_message_id);
+`;
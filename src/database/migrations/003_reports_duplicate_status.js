@@ -0,0 +1,18 @@
+/**
+ * Hold suspected duplicate group reports until the sender confirms them.
+ * Only reports with status 'active' count towards statistics and monthly reports.
+ */
+
+export const description = 'Add reports.status and reports.duplicate_of for duplicate detection';
+
+export const postgres = `
+  ALTER TABLE reports ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';
+  ALTER TABLE reports ADD COLUMN IF NOT EXISTS duplicate_of BIGINT REFERENCES reports(id) ON DELETE SET NULL;
+  CREATE INDEX IF NOT EXISTS idx_reports_status ON reports (status);
+`;
+
+export const sqlite = `
+  ALTER TABLE reports ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+  ALTER TABLE reports ADD COLUMN duplicate_of INTEGER REFERENCES reports(id) ON DELETE SET NULL;
+  CREATE INDEX IF NOT EXISTS idx_reports_status ON reports (status);
+`;
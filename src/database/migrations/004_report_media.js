@@ -0,0 +1,36 @@
+/**
+ * Photos, videos and documents whose caption was an evangelism report.
+ * Files are stored on disk (data/media/<report id>/); this table links them to the report.
+ */
+
+export const description = 'Create report_media table';
+
+export const postgres = `
+  CREATE TABLE IF NOT EXISTS report_media (
+    id BIGSERIAL PRIMARY KEY,
+    report_id BIGINT NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    media_type TEXT NOT NULL,
+    mime_type TEXT,
+    file_path TEXT NOT NULL,
+    file_size INTEGER,
+    wa_message_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_report_media_report ON report_media (report_id);
+`;
+
+export const sqlite = `
+  CREATE TABLE IF NOT EXISTS report_media (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    media_type TEXT NOT NULL,
+    mime_type TEXT,
+    file_path TEXT NOT NULL,
+    file_size INTEGER,
+    wa_message_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_report_media_report ON report_media (report_id);
+`;
@@ -0,0 +1,32 @@
+/**
+ * Scheduled jobs (monthly/quarterly reports, digests, reminders).
+ * Rows override the built-in defaults and the schedules file by job name.
+ */
+
+export const description = 'Create schedules table';
+
+export const postgres = `
+  CREATE TABLE IF NOT EXISTS schedules (
+    name TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    period TEXT,
+    audience JSONB,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    options JSONB,
+    updated_at TIMESTAMPTZ DEFAULT now()
+  );
+`;
+
+export const sqlite = `
+  CREATE TABLE IF NOT EXISTS schedules (
+    name TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    period TEXT,
+    audience TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    options TEXT,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
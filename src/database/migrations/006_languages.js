@@ -0,0 +1,27 @@
+/**
+ * Language preferences for bot messages (en, sn, nd).
+ * Clusters get a language for their group messages; users choose their own
+ * language for DMs with !language. Empty means the default language.
+ */
+
+export const description = 'Add assemblies.language and user_preferences table';
+
+export const postgres = `
+  ALTER TABLE assemblies ADD COLUMN IF NOT EXISTS language TEXT;
+
+  CREATE TABLE IF NOT EXISTS user_preferences (
+    phone TEXT PRIMARY KEY,
+    language TEXT,
+    updated_at TIMESTAMPTZ DEFAULT now()
+  );
+`;
+
+export const sqlite = `
+  ALTER TABLE assemblies ADD COLUMN language TEXT;
+
+  CREATE TABLE IF NOT EXISTS user_preferences (
+    phone TEXT PRIMARY KEY,
+    language TEXT,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
@@ -0,0 +1,67 @@
+/**
+ * Gazetteer of places the location map can plot.
+ * Seeded with the coordinates that used to be hard-coded in coordinateMapGenerator;
+ * admins add and correct places with !addplace and !placealias.
+ * aliases is a JSON array of other spellings people report the place as.
+ */
+
+export const description = 'Create places table';
+
+// name, latitude, longitude, aliases
+const SEED_PLACES = [
+    ['Mutare', -18.9707, 32.6700, []],
+    ['Mutare (Chikabvumbwa)', -18.97, 32.64, ['Chikabvumbwa']],
+    ['Dangamvura', -18.9667, 32.6833, []],
+    ['Mutare CBD', -18.9667, 32.6667, ['Mutare Town']],
+    ['Chikanga', -18.9833, 32.6833, []],
+    ['Sakubva', -18.9833, 32.6500, []],
+    ['Hobhouse', -18.9500, 32.7000, []],
+    ['Penhalonga', -18.8667, 32.7000, []],
+    ['Nyanga Terminus', -18.2167, 32.7500, []],
+    ['Odzi', -18.9667, 32.4167, []],
+    ['Marange', -19.5000, 32.3333, []],
+    ['Bocha', -19.0000, 32.5000, []],
+    ['Chitenderano (Nyazura)', -18.7167, 32.1833, ['Chitenderano', 'Nyazura']],
+    ['Katsuro Market', -18.8833, 32.5167, ['Katsuro']],
+    ['Mutanda', -19.0333, 32.6333, []],
+    ['Rusape', -18.5333, 32.1333, []],
+    ['Marondera', -18.1851, 31.5519, []],
+    ['Bulawayo', -20.1500, 28.5833, []],
+    ['Harare', -17.8292, 31.0522, []],
+    ['Gweru', -19.4500, 29.8167, []],
+    ['Kwekwe', -18.9281, 29.8144, []],
+    ['Kadoma', -18.3328, 29.9150, []],
+    ['Chinhoyi', -17.3667, 30.2000, []]
+];
+
+const seedValues = SEED_PLACES
+    .map(([name, lat, lon, aliases]) => `('${name}', ${lat}, ${lon}, '${JSON.stringify(aliases)}')`)
+    .join(',\n    ');
+
+export const postgres = `
+  CREATE TABLE IF NOT EXISTS places (
+    name TEXT PRIMARY KEY,
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    aliases JSONB NOT NULL DEFAULT '[]',
+    updated_at TIMESTAMPTZ DEFAULT now()
+  );
+
+  INSERT INTO places (name, latitude, longitude, aliases) VALUES
+    ${seedValues}
+  ON CONFLICT (name) DO NOTHING;
+`;
+
+export const sqlite = `
+  CREATE TABLE IF NOT EXISTS places (
+    name TEXT PRIMARY KEY,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    aliases TEXT NOT NULL DEFAULT '[]',
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  INSERT INTO places (name, latitude, longitude, aliases) VALUES
+    ${seedValues}
+  ON CONFLICT (name) DO NOTHING;
+`;
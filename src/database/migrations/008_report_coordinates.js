@@ -0,0 +1,16 @@
+/**
+ * Exact coordinates for reports whose reporter shared a WhatsApp location pin.
+ * Reports without a pin are placed on the map through the places gazetteer.
+ */
+
+export const description = 'Add reports.latitude and reports.longitude';
+
+export const postgres = `
+  ALTER TABLE reports ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+  ALTER TABLE reports ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+`;
+
+export const sqlite = `
+  ALTER TABLE reports ADD COLUMN latitude REAL;
+  ALTER TABLE reports ADD COLUMN longitude REAL;
+`;
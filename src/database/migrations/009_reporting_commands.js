@@ -0,0 +1,18 @@
+/**
+ * SMC reporting commands (see src/config/smc_reporting_commands.js).
+ * Clusters get a default command for their monthly reports; a group report
+ * tagged with a command header, e.g. "[Edit - Executor Present]", keeps it.
+ * Empty means the default command.
+ */
+
+export const description = 'Add assemblies.reporting_command and reports.reporting_command';
+
+export const postgres = `
+  ALTER TABLE assemblies ADD COLUMN IF NOT EXISTS reporting_command TEXT;
+  ALTER TABLE reports ADD COLUMN IF NOT EXISTS reporting_command TEXT;
+`;
+
+export const sqlite = `
+  ALTER TABLE assemblies ADD COLUMN reporting_command TEXT;
+  ALTER TABLE reports ADD COLUMN reporting_command TEXT;
+`;
@@ -0,0 +1,59 @@
+/**
+ * Leader review of cluster reports before they are posted.
+ * cluster_leaders lists who reviews each cluster's reports (phone numbers, digits only);
+ * report_reviews holds each draft report (the generated report data) until it is approved.
+ */
+
+export const description = 'Create cluster_leaders and report_reviews tables';
+
+export const postgres = `
+  CREATE TABLE IF NOT EXISTS cluster_leaders (
+    assembly_id BIGINT NOT NULL REFERENCES assemblies(id) ON DELETE CASCADE,
+    phone TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (assembly_id, phone)
+  );
+
+  CREATE TABLE IF NOT EXISTS report_reviews (
+    id BIGSERIAL PRIMARY KEY,
+    assembly_id BIGINT NOT NULL REFERENCES assemblies(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    audience JSONB NOT NULL,
+    report_data JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    submitted_at TIMESTAMPTZ DEFAULT now(),
+    escalated_at TIMESTAMPTZ,
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_report_reviews_status ON report_reviews (status);
+`;
+
+export const sqlite = `
+  CREATE TABLE IF NOT EXISTS cluster_leaders (
+    assembly_id INTEGER NOT NULL REFERENCES assemblies(id) ON DELETE CASCADE,
+    phone TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (assembly_id, phone)
+  );
+
+  CREATE TABLE IF NOT EXISTS report_reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    assembly_id INTEGER NOT NULL REFERENCES assemblies(id) ON DELETE CASCADE,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    audience TEXT NOT NULL,
+    report_data TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    escalated_at TEXT,
+    decided_by TEXT,
+    decided_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_report_reviews_status ON report_reviews (status);
+`;
@@ -0,0 +1,90 @@
+/**
+ * Schema Migrations
+ * Numbered migrations live in src/database/migrations and are applied in order:
+ *   - NNN_name.js  exports `postgres` and `sqlite` SQL strings (plus optional `description`)
+ *   - NNN_name.sql plain SQL applied unchanged to every backend (must be portable)
+ * Applied versions are recorded in the schema_migrations table of each backend.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(js|sql)$/;
+
+/**
+ * Load all migrations, sorted by version
+ * @returns {Promise<Array<{version: number, name: string, description: string, postgres: string, sqlite: string}>>}
+ */
+export async function loadMigrations() {
+    const files = readdirSync(MIGRATIONS_DIR).filter(f => MIGRATION_FILE.test(f));
+    const migrations = [];
+
+    for (const file of files) {
+        const [, version, name, ext] = file.match(MIGRATION_FILE);
+        const filePath = join(MIGRATIONS_DIR, file);
+
+        if (ext === 'sql') {
+            const sql = readFileSync(filePath, 'utf8');
+            migrations.push({ version: Number(version), name, description: name, postgres: sql, sqlite: sql });
+        } else {
+            const mod = await import(pathToFileURL(filePath).href);
+            migrations.push({
+                version: Number(version),
+                name,
+                description: mod.description || name,
+                postgres: mod.postgres,
+                sqlite: mod.sqlite
+            });
+        }
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    // Two files with the same number would make the order ambiguous
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+
+    return migrations;
+}
+
+/**
+ * Get migrations not yet applied to the repository's database
+ * @param {Object} repository - Active storage repository
+ * @returns {Promise<Array>} Pending migrations, in order
+ */
+export async function getPendingMigrations(repository) {
+    const migrations = await loadMigrations();
+    const applied = new Set((await repository.getAppliedMigrations()).map(m => Number(m.version)));
+    return migrations.filter(m => !applied.has(m.version));
+}
+
+/**
+ * Apply all pending migrations in order, stopping at the first failure
+ * @param {Object} repository - Active storage repository
+ * @returns {Promise<Array>} Migrations that were applied
+ */
+export async function runMigrations(repository) {
+    const pending = await getPendingMigrations(repository);
+
+    if (pending.length === 0) {
+        logger.info('[MIGRATE] Database schema is up to date');
+        return [];
+    }
+
+    for (const migration of pending) {
+        logger.info(`[MIGRATE] Applying ${String(migration.version).padStart(3, '0')}_${migration.name}: ${migration.description}`);
+        await repository.applyMigration(migration);
+    }
+
+    logger.info(`[MIGRATE] Applied ${pending.length} migration(s)`);
+    return pending;
+}
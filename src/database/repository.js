@@ -0,0 +1,132 @@
+/**
+ * Storage Repository
+ * Every storage backend exposes the same set of async functions, so db.js can
+ * delegate to whichever store DB_BACKEND selects:
+ *   - supabase: hosted Supabase project (default)
+ *   - sqlite:   local better-sqlite3 file (SQLITE_PATH)
+ *   - memory:   throwaway SQLite database held in memory (tests, dry runs)
+ */
+
+/**
+ * Functions every repository must implement
+ */
+export const REPOSITORY_METHODS = [
+    'initializeDatabase',
+    // Migrations
+    'getAppliedMigrations',
+    'applyMigration',
+    // Assemblies
+    'createAssembly',
+    'getAssembly',
+    'getAllAssemblies',
+    'updateAssembly',
+    'deleteAssembly',
+    'getAssemblyByGroupJid',
+    'setAssemblyLanguage',
+    'setAssemblyReportingCommand',
+    // Reports
+    'createReport',
+    'createGroupReport',
+    'deleteReportByMessageId',
+    'getReport',
+    'getReportByMessageId',
+    'updateReport',
+    'getReportsByDateRange',
+    'getReportsByAssembly',
+    'markReportAsPosted',
+    'getReportsForAssembly',
+    'getReportsForAssemblyOnDate',
+    // Report media
+    'addReportMedia',
+    'getReportMedia',
+    'getReportMediaForAssembly',
+    // Schedules
+    'getSchedules',
+    'saveSchedule',
+    // Places (gazetteer)
+    'getPlaces',
+    'savePlace',
+    'deletePlace',
+    // Cluster leaders (report reviewers)
+    'getClusterLeaders',
+    'addClusterLeader',
+    'removeClusterLeader',
+    // Report reviews
+    'createReportReview',
+    'getReportReview',
+    'getOpenReportReviews',
+    'updateReportReview',
+    'updateReportReviewStatus',
+    // Users (form state)
+    'getUserFormState',
+    'saveUserFormState',
+    'clearUserFormState',
+    // User preferences
+    'getUserPreferences',
+    'saveUserLanguage',
+    // Statistics
+    'getMonthlyStatsByAssembly',
+    'getMonthlyStats',
+    'getActivityTypeBreakdown',
+    'getMonthlyTrend'
+];
+
+/**
+ * Report columns updateReport may change; every backend ignores any other field
+ */
+export const REPORT_COLUMNS = new Set([
+    'assembly_id', 'activity_date', 'location', 'area', 'city', 'activity_type', 'preachers_team',
+    'message_summary', 'response_moments', 'saved', 'healed', 'reporter_name', 'reporter_phone',
+    'source', 'posted_to_group', 'wa_message_id', 'status', 'duplicate_of', 'latitude', 'longitude',
+    'reporting_command'
+]);
+
+/**
+ * Review columns updateReportReview may change; every backend ignores any other field
+ */
+export const REVIEW_COLUMNS = new Set(['report_data', 'status', 'submitted_at', 'escalated_at', 'decided_by', 'decided_at']);
+
+const BACKENDS = {
+    supabase: './supabaseRepository.js',
+    sqlite: './sqliteRepository.js',
+    memory: './sqliteRepository.js'
+};
+
+/**
+ * Check that an object implements the repository interface
+ * @param {Object} repository - Candidate repository
+ * @param {string} name - Backend name (for error messages)
+ * @throws {Error} If any repository function is missing
+ */
+export function assertRepository(repository, name = 'custom') {
+    const missing = REPOSITORY_METHODS.filter(method => typeof repository?.[method] !== 'function');
+
+    if (missing.length > 0) {
+        throw new Error(`Storage backend "${name}" is missing: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Load and connect the configured storage backend
+ * @param {Object} config - App config (dbBackend, supabaseUrl, supabaseKey, supabaseDbUrl, sqlitePath)
+ * @returns {Promise<Object>} Connected repository
+ */
+export async function loadRepository(config) {
+    const name = (config.dbBackend || 'supabase').toLowerCase();
+    const modulePath = BACKENDS[name];
+
+    if (!modulePath) {
+        throw new Error(`Unknown DB_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    const repository = await import(modulePath);
+    assertRepository(repository, name);
+
+    if (name === 'supabase') {
+        repository.connect({ url: config.supabaseUrl, key: config.supabaseKey, dbUrl: config.supabaseDbUrl });
+    } else {
+        repository.connect({ filename: name === 'memory' ? ':memory:' : config.sqlitePath });
+    }
+
+    return repository;
+}
@@ -0,0 +1,632 @@
+/**
+ * SQLite repository
+ * Local storage backend built on better-sqlite3. Selected with DB_BACKEND=sqlite
+ * (file at SQLITE_PATH) or DB_BACKEND=memory (in-memory, discarded on exit).
+ * Return shapes match supabaseRepository.js so callers don't care which is active.
+ */
+
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import logger from '../utils/logger.js';
+import { REPORT_COLUMNS, REVIEW_COLUMNS } from './repository.js';
+
+let db = null;
+
+/**
+ * Open (or create) the SQLite database
+ * @param {{filename: string}} options - Database file path, or ':memory:'
+ */
+export function connect({ filename }) {
+  if (filename !== ':memory:') {
+    const dir = dirname(filename);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  db = new Database(filename);
+  db.pragma('foreign_keys = ON');
+  if (filename !== ':memory:') {
+    db.pragma('journal_mode = WAL');
+  }
+}
+
+/**
+ * Get the underlying better-sqlite3 handle
+ * @returns {Object|null}
+ */
+export function getClient() {
+  return db;
+}
+
+/**
+ * Initialize database (tables are created by migrations, see migrator.js)
+ */
+export async function initializeDatabase() {
+  logger.info(`Opening SQLite database: ${db.name}`);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  logger.info('SQLite database ready');
+}
+
+/**
+ * MIGRATIONS - Schema versioning
+ */
+
+export async function getAppliedMigrations() {
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC').all();
+}
+
+/**
+ * Apply a migration and record it, atomically
+ * @param {{version: number, name: string, sqlite: string}} migration
+ */
+export async function applyMigration(migration) {
+  if (!migration.sqlite) {
+    throw new Error(`Migration ${migration.version}_${migration.name} has no SQLite statements`);
+  }
+
+  db.transaction(() => {
+    db.exec(migration.sqlite);
+    db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+      .run(migration.version, migration.name);
+  })();
+}
+
+/**
+ * Convert SQLite integer flags back to booleans (Supabase returns real booleans)
+ */
+function toReport(row) {
+  if (!row) return row;
+  return { ...row, posted_to_group: Boolean(row.posted_to_group) };
+}
+
+/**
+ * ASSEMBLIES - CRUD Operations
+ */
+
+export async function createAssembly(name, whatsappGroupId) {
+  const result = db
+    .prepare('INSERT INTO assemblies (name, whatsapp_group_id) VALUES (?, ?)')
+    .run(name, whatsappGroupId);
+
+  return { lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+export async function getAssembly(id) {
+  return db.prepare('SELECT * FROM assemblies WHERE id = ?').get(id) || null;
+}
+
+export async function getAllAssemblies() {
+  return db.prepare('SELECT * FROM assemblies ORDER BY name ASC').all();
+}
+
+export async function updateAssembly(id, name, whatsappGroupId) {
+  db.prepare('UPDATE assemblies SET name = ?, whatsapp_group_id = ? WHERE id = ?')
+    .run(name, whatsappGroupId, id);
+  return { changes: 1 };
+}
+
+export async function deleteAssembly(id) {
+  db.prepare('DELETE FROM assemblies WHERE id = ?').run(id);
+  return { changes: 1 };
+}
+
+export async function setAssemblyLanguage(id, language) {
+  db.prepare('UPDATE assemblies SET language = ? WHERE id = ?').run(language, id);
+  return { changes: 1 };
+}
+
+export async function setAssemblyReportingCommand(id, command) {
+  db.prepare('UPDATE assemblies SET reporting_command = ? WHERE id = ?').run(command, id);
+  return { changes: 1 };
+}
+
+/**
+ * Get assembly by WhatsApp group JID
+ * @param {string} groupJid - WhatsApp group JID
+ * @returns {Promise<Object|undefined>} Assembly object or undefined
+ */
+export async function getAssemblyByGroupJid(groupJid) {
+  return db.prepare('SELECT * FROM assemblies WHERE whatsapp_group_id = ?').get(groupJid);
+}
+
+/**
+ * REPORTS - CRUD Operations
+ */
+
+const INSERT_REPORT = `
+  INSERT INTO reports (
+    assembly_id, activity_date, location, area, city, activity_type, preachers_team,
+    message_summary, response_moments, saved, healed, reporter_name, reporter_phone,
+    source, posted_to_group, wa_message_id, status, duplicate_of, latitude, longitude,
+    reporting_command
+  ) VALUES (
+    @assembly_id, @activity_date, @location, @area, @city, @activity_type, @preachers_team,
+    @message_summary, @response_moments, @saved, @healed, @reporter_name, @reporter_phone,
+    @source, @posted_to_group, @wa_message_id, @status, @duplicate_of, @latitude, @longitude,
+    @reporting_command
+  )
+`;
+
+export async function createReport(reportData) {
+  const result = db.prepare(INSERT_REPORT).run({
+    assembly_id: reportData.assembly_id,
+    activity_date: reportData.activity_date,
+    location: reportData.location,
+    area: reportData.area || null,
+    city: reportData.city || null,
+    activity_type: reportData.activity_type,
+    preachers_team: reportData.preachers_team,
+    message_summary: reportData.message_summary,
+    response_moments: reportData.response_moments || null,
+    saved: reportData.saved ?? reportData.converts ?? 0,
+    healed: reportData.healed ?? reportData.sick_prayed_for ?? 0,
+    reporter_name: reportData.reporter_name,
+    reporter_phone: reportData.reporter_phone,
+    source: reportData.source || 'form',
+    posted_to_group: 0,
+    wa_message_id: null,
+    status: 'active',
+    duplicate_of: null,
+    latitude: reportData.latitude ?? null,
+    longitude: reportData.longitude ?? null,
+    reporting_command: reportData.reporting_command || null
+  });
+
+  return { lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+/**
+ * Create report from group message
+ * @param {number} assemblyId
+ * @param {Object} reportData
+ * @param {string} senderPhone
+ * @param {string} waMessageId - WhatsApp message ID (for deletion tracking)
+ * @param {Object} options - { status, duplicateOf } for reports held as suspected duplicates
+ */
+export async function createGroupReport(assemblyId, reportData, senderPhone, waMessageId = null, options = {}) {
+  const result = db.prepare(INSERT_REPORT).run({
+    assembly_id: assemblyId,
+    activity_date: reportData.activity_date,
+    location: reportData.location,
+    area: reportData.area || null,
+    city: reportData.city || null,
+    activity_type: reportData.activity_type,
+    preachers_team: reportData.preachers_team || reportData.reporter_name,
+    message_summary: reportData.message_summary,
+    response_moments: reportData.response_moments || null,
+    saved: reportData.saved ?? reportData.converts ?? 0,
+    healed: reportData.healed ?? reportData.sick_prayed_for ?? 0,
+    reporter_name: reportData.reporter_name,
+    reporter_phone: senderPhone,
+    source: 'group_message',
+    posted_to_group: 1,
+    wa_message_id: waMessageId,
+    status: options.status || 'active',
+    duplicate_of: options.duplicateOf || null,
+    latitude: reportData.latitude ?? null,
+    longitude: reportData.longitude ?? null,
+    reporting_command: reportData.reporting_command || null
+  });
+
+  return { lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+/**
+ * Delete a report by WhatsApp message ID (used when reporter deletes their message)
+ * @param {string} waMessageId - WhatsApp message ID
+ * @returns {Promise<Object|null>} Deleted report data or null if not found
+ */
+export async function deleteReportByMessageId(waMessageId) {
+  const report = db.prepare(`
+    SELECT r.id, r.reporter_name, r.activity_date, r.location,
+           a.name AS assembly_name, a.whatsapp_group_id
+    FROM reports r
+    LEFT JOIN assemblies a ON a.id = r.assembly_id
+    WHERE r.wa_message_id = ?
+  `).get(waMessageId);
+
+  if (!report) return null; // Not a tracked report
+
+  db.prepare('DELETE FROM reports WHERE wa_message_id = ?').run(waMessageId);
+
+  return report;
+}
+
+export async function getReport(id) {
+  const row = db.prepare(`
+    SELECT r.*, a.name AS assembly_name, a.whatsapp_group_id
+    FROM reports r
+    LEFT JOIN assemblies a ON a.id = r.assembly_id
+    WHERE r.id = ?
+  `).get(id);
+
+  return toReport(row) || null;
+}
+
+/**
+ * Get a report by the WhatsApp message ID it was posted as
+ * @param {string} waMessageId - WhatsApp message ID
+ * @returns {Promise<Object|null>} Report or null if not tracked
+ */
+export async function getReportByMessageId(waMessageId) {
+  const row = db.prepare(`
+    SELECT r.*, a.name AS assembly_name, a.whatsapp_group_id
+    FROM reports r
+    LEFT JOIN assemblies a ON a.id = r.assembly_id
+    WHERE r.wa_message_id = ?
+  `).get(waMessageId);
+
+  return toReport(row) || null;
+}
+
+/**
+ * Update fields of an existing report
+ * @param {number} id - Report ID
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<Object>} Updated report row
+ */
+export async function updateReport(id, fields) {
+  const columns = Object.keys(fields).filter(column => REPORT_COLUMNS.has(column));
+
+  if (columns.length > 0) {
+    const values = columns.map(column => typeof fields[column] === 'boolean' ? Number(fields[column]) : fields[column]);
+    db.prepare(`UPDATE reports SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(...values, id);
+  }
+
+  return toReport(db.prepare('SELECT * FROM reports WHERE id = ?').get(id));
+}
+
+/**
+ * Get counted reports for an assembly on a single day (used for duplicate detection)
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} activityDate - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>}
+ */
+export async function getReportsForAssemblyOnDate(assemblyId, activityDate) {
+  return db.prepare(`
+    SELECT id, activity_date, location, area, preachers_team, message_summary, reporter_name, reporter_phone
+    FROM reports
+    WHERE assembly_id = ? AND activity_date = ? AND status = 'active'
+  `).all(assemblyId, activityDate);
+}
+
+export async function getReportsByDateRange(startDate, endDate) {
+  return db.prepare(`
+    SELECT r.*, a.name AS assembly_name
+    FROM reports r
+    LEFT JOIN assemblies a ON a.id = r.assembly_id
+    WHERE r.activity_date BETWEEN ? AND ?
+    ORDER BY r.activity_date DESC
+  `).all(startDate, endDate).map(toReport);
+}
+
+export async function getReportsByAssembly(assemblyId) {
+  return db.prepare('SELECT * FROM reports WHERE assembly_id = ? ORDER BY activity_date DESC')
+    .all(assemblyId)
+    .map(toReport);
+}
+
+export async function markReportAsPosted(reportId) {
+  db.prepare('UPDATE reports SET posted_to_group = 1 WHERE id = ?').run(reportId);
+  return { changes: 1 };
+}
+
+/**
+ * REPORT MEDIA - Photos/videos attached to reports
+ */
+
+export async function addReportMedia(reportId, media) {
+  const result = db.prepare(`
+    INSERT INTO report_media (report_id, media_type, mime_type, file_path, file_size, wa_message_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    reportId,
+    media.media_type,
+    media.mime_type || null,
+    media.file_path,
+    media.file_size || null,
+    media.wa_message_id || null
+  );
+
+  return { lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+export async function getReportMedia(reportId) {
+  return db.prepare('SELECT * FROM report_media WHERE report_id = ? ORDER BY id ASC').all(reportId);
+}
+
+export async function getReportMediaForAssembly(assemblyId, startDate, endDate, mediaType = 'image') {
+  return db.prepare(`
+    SELECT m.*, r.activity_date, r.location, r.area, r.preachers_team
+    FROM report_media m
+    JOIN reports r ON r.id = m.report_id
+    WHERE r.assembly_id = ? AND r.activity_date BETWEEN ? AND ? AND r.status = 'active'
+      AND m.media_type = ?
+    ORDER BY r.activity_date ASC, m.id ASC
+  `).all(assemblyId, startDate, endDate, mediaType);
+}
+
+/**
+ * SCHEDULES - Scheduled job overrides
+ */
+
+export async function getSchedules() {
+  return db.prepare('SELECT name, type, cron, period, audience, enabled, options FROM schedules ORDER BY name ASC')
+    .all()
+    .map(row => ({
+      ...row,
+      audience: row.audience ? JSON.parse(row.audience) : null,
+      enabled: Boolean(row.enabled),
+      options: row.options ? JSON.parse(row.options) : null
+    }));
+}
+
+export async function saveSchedule(schedule) {
+  db.prepare(`
+    INSERT INTO schedules (name, type, cron, period, audience, enabled, options, updated_at)
+    VALUES (@name, @type, @cron, @period, @audience, @enabled, @options, @updated_at)
+    ON CONFLICT(name) DO UPDATE SET
+      type = excluded.type,
+      cron = excluded.cron,
+      period = excluded.period,
+      audience = excluded.audience,
+      enabled = excluded.enabled,
+      options = excluded.options,
+      updated_at = excluded.updated_at
+  `).run({
+    name: schedule.name,
+    type: schedule.type,
+    cron: schedule.cron,
+    period: schedule.period || null,
+    audience: schedule.audience ? JSON.stringify(schedule.audience) : null,
+    enabled: schedule.enabled === false ? 0 : 1,
+    options: schedule.options ? JSON.stringify(schedule.options) : null,
+    updated_at: new Date().toISOString()
+  });
+
+  return { changes: 1 };
+}
+
+/**
+ * PLACES - Gazetteer for the location map
+ */
+
+export async function getPlaces() {
+  return db.prepare('SELECT name, latitude, longitude, aliases FROM places ORDER BY name ASC')
+    .all()
+    .map(row => ({ ...row, aliases: row.aliases ? JSON.parse(row.aliases) : [] }));
+}
+
+export async function savePlace(place) {
+  db.prepare(`
+    INSERT INTO places (name, latitude, longitude, aliases, updated_at)
+    VALUES (@name, @latitude, @longitude, @aliases, @updated_at)
+    ON CONFLICT(name) DO UPDATE SET
+      latitude = excluded.latitude,
+      longitude = excluded.longitude,
+      aliases = excluded.aliases,
+      updated_at = excluded.updated_at
+  `).run({
+    name: place.name,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    aliases: JSON.stringify(place.aliases || []),
+    updated_at: new Date().toISOString()
+  });
+
+  return { changes: 1 };
+}
+
+export async function deletePlace(name) {
+  const result = db.prepare('DELETE FROM places WHERE name = ?').run(name);
+  return { changes: result.changes };
+}
+
+/**
+ * CLUSTER LEADERS - Report reviewers
+ */
+
+export async function getClusterLeaders(assemblyId) {
+  return db.prepare('SELECT assembly_id, phone FROM cluster_leaders WHERE assembly_id = ? ORDER BY phone ASC')
+    .all(assemblyId);
+}
+
+export async function addClusterLeader(assemblyId, phone) {
+  const result = db.prepare('INSERT INTO cluster_leaders (assembly_id, phone) VALUES (?, ?) ON CONFLICT DO NOTHING')
+    .run(assemblyId, phone);
+  return { changes: result.changes };
+}
+
+export async function removeClusterLeader(assemblyId, phone) {
+  const result = db.prepare('DELETE FROM cluster_leaders WHERE assembly_id = ? AND phone = ?').run(assemblyId, phone);
+  return { changes: result.changes };
+}
+
+/**
+ * REPORT REVIEWS - Draft reports waiting for approval
+ */
+
+function toReview(row) {
+  if (!row) return row;
+  return { ...row, audience: JSON.parse(row.audience), report_data: JSON.parse(row.report_data) };
+}
+
+export async function createReportReview(review) {
+  const result = db.prepare(`
+    INSERT INTO report_reviews (assembly_id, start_date, end_date, audience, report_data, status, submitted_at, escalated_at)
+    VALUES (@assembly_id, @start_date, @end_date, @audience, @report_data, @status, @submitted_at, @escalated_at)
+  `).run({
+    assembly_id: review.assembly_id,
+    start_date: review.start_date,
+    end_date: review.end_date,
+    audience: JSON.stringify(review.audience),
+    report_data: JSON.stringify(review.report_data),
+    status: review.status || 'pending',
+    submitted_at: new Date().toISOString(),
+    escalated_at: review.escalated_at || null
+  });
+
+  return { lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+export async function getReportReview(id) {
+  return toReview(db.prepare('SELECT * FROM report_reviews WHERE id = ?').get(id)) || null;
+}
+
+export async function getOpenReportReviews() {
+  return db.prepare(`SELECT * FROM report_reviews WHERE status IN ('pending', 'escalated') ORDER BY id ASC`)
+    .all()
+    .map(toReview);
+}
+
+export async function updateReportReview(id, fields) {
+  const columns = Object.keys(fields).filter(column => REVIEW_COLUMNS.has(column));
+
+  if (columns.length > 0) {
+    const values = columns.map(column => column === 'report_data' ? JSON.stringify(fields[column]) : fields[column]);
+    db.prepare(`UPDATE report_reviews SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(...values, id);
+  }
+
+  return { changes: 1 };
+}
+
+export async function updateReportReviewStatus(id, status, fromStatuses) {
+  const result = db.prepare(`
+    UPDATE report_reviews SET status = ?
+    WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})
+  `).run(status, id, ...fromStatuses);
+
+  return { changes: result.changes };
+}
+
+/**
+ * USERS - Form State Management
+ */
+
+export async function getUserFormState(phone) {
+  const row = db.prepare('SELECT * FROM users WHERE phone = ?').get(phone);
+  if (!row) return undefined;
+
+  return { ...row, form_data: row.form_data ? JSON.parse(row.form_data) : {} };
+}
+
+export async function saveUserFormState(phone, step, formData) {
+  db.prepare(`
+    INSERT INTO users (phone, current_form_step, form_data, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(phone) DO UPDATE SET
+      current_form_step = excluded.current_form_step,
+      form_data = excluded.form_data,
+      updated_at = excluded.updated_at
+  `).run(phone, step, JSON.stringify(formData), new Date().toISOString());
+
+  return { changes: 1 };
+}
+
+export async function clearUserFormState(phone) {
+  db.prepare('DELETE FROM users WHERE phone = ?').run(phone);
+  return { changes: 1 };
+}
+
+/**
+ * USER PREFERENCES
+ */
+
+export async function getUserPreferences(phone) {
+  return db.prepare('SELECT phone, language FROM user_preferences WHERE phone = ?').get(phone);
+}
+
+export async function saveUserLanguage(phone, language) {
+  db.prepare(`
+    INSERT INTO user_preferences (phone, language, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(phone) DO UPDATE SET
+      language = excluded.language,
+      updated_at = excluded.updated_at
+  `).run(phone, language, new Date().toISOString());
+
+  return { changes: 1 };
+}
+
+/**
+ * STATISTICS - Aggregation Queries (only reports with status 'active' are counted)
+ */
+
+export async function getMonthlyStatsByAssembly(startDate, endDate) {
+  return db.prepare(`
+    SELECT a.id AS assembly_id,
+           a.name AS assembly_name,
+           COUNT(r.id) AS total_reports,
+           COALESCE(SUM(r.saved), 0) AS total_saved,
+           COALESCE(SUM(r.healed), 0) AS total_healed
+    FROM assemblies a
+    LEFT JOIN reports r
+      ON r.assembly_id = a.id AND r.activity_date BETWEEN ? AND ? AND r.status = 'active'
+    GROUP BY a.id
+    ORDER BY total_reports DESC, a.name ASC
+  `).all(startDate, endDate);
+}
+
+export async function getMonthlyStats(startDate, endDate) {
+  return db.prepare(`
+    SELECT COUNT(*) AS total_reports,
+           COALESCE(SUM(saved), 0) AS total_saved,
+           COALESCE(SUM(healed), 0) AS total_healed
+    FROM reports
+    WHERE activity_date BETWEEN ? AND ? AND status = 'active'
+  `).get(startDate, endDate);
+}
+
+export async function getActivityTypeBreakdown(startDate, endDate, assemblyId = null) {
+  return db.prepare(`
+    SELECT activity_type,
+           COUNT(*) AS count,
+           COALESCE(SUM(saved), 0) AS total_saved,
+           COALESCE(SUM(healed), 0) AS total_healed
+    FROM reports
+    WHERE activity_date BETWEEN ? AND ? AND status = 'active'
+      AND (? IS NULL OR assembly_id = ?)
+    GROUP BY activity_type
+    ORDER BY count DESC
+  `).all(startDate, endDate, assemblyId, assemblyId);
+}
+
+export async function getMonthlyTrend(assemblyId, startDate, endDate) {
+  return db.prepare(`
+    SELECT substr(activity_date, 1, 7) AS month,
+           COUNT(*) AS total_reports,
+           COALESCE(SUM(saved), 0) AS total_saved,
+           COALESCE(SUM(healed), 0) AS total_healed
+    FROM reports
+    WHERE assembly_id = ? AND activity_date BETWEEN ? AND ? AND status = 'active'
+    GROUP BY month
+    ORDER BY month ASC
+  `).all(assemblyId, startDate, endDate);
+}
+
+/**
+ * Get reports for a specific assembly within a date range (only fields needed for AI report)
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Reports with selected fields only
+ */
+export async function getReportsForAssembly(assemblyId, startDate, endDate) {
+  return db.prepare(`
+    SELECT activity_date, location, area, city, latitude, longitude, activity_type, preachers_team, message_summary, saved, healed,
+           reporting_command
+    FROM reports
+    WHERE assembly_id = ? AND activity_date BETWEEN ? AND ? AND status = 'active'
+    ORDER BY activity_date ASC
+  `).all(assemblyId, startDate, endDate);
+}
@@ -0,0 +1,908 @@
+/**
+ * Supabase repository
+ * Stores assemblies, reports and form state in a hosted Supabase (Postgres) project.
+ * Selected with DB_BACKEND=supabase (the default).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import logger from '../utils/logger.js';
+import { REPORT_COLUMNS, REVIEW_COLUMNS } from './repository.js';
+
+let supabase = null;
+let databaseUrl = null;
+
+/**
+ * Create the Supabase client
+ * @param {{url: string, key: string, dbUrl?: string}} options - Project URL, API key and
+ *   optional direct Postgres connection string (only needed to apply migrations)
+ */
+export function connect({ url, key, dbUrl }) {
+  if (!url || !key) {
+    throw new Error('SUPABASE_URL and SUPABASE_KEY must be set when DB_BACKEND=supabase');
+  }
+  supabase = createClient(url, key);
+  databaseUrl = dbUrl || null;
+}
+
+/**
+ * Get the underlying Supabase client
+ * @returns {Object|null}
+ */
+export function getClient() {
+  return supabase;
+}
+
+/**
+ * Initialize database connection check
+ */
+export async function initializeDatabase() {
+  logger.info('Checking Supabase connection...');
+  const { error } = await supabase.from('assemblies').select('count', { count: 'exact', head: true });
+
+  if (error) {
+    logger.error('Failed to connect to Supabase:', error.message);
+    throw error;
+  }
+
+  logger.info('Supabase connection successful');
+}
+
+/**
+ * MIGRATIONS - Schema versioning
+ */
+
+const MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ DEFAULT now()
+  )
+`;
+
+export async function getAppliedMigrations() {
+  const { data, error } = await supabase
+    .from('schema_migrations')
+    .select('version, name, applied_at')
+    .order('version', { ascending: true });
+
+  // 42P01 / PGRST205: table doesn't exist yet — nothing has been applied
+  if (error && (error.code === '42P01' || error.code === 'PGRST205')) return [];
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Apply a migration and record it, in a single transaction.
+ * The REST API can't run DDL, so this connects to Postgres directly (SUPABASE_DB_URL).
+ * @param {{version: number, name: string, postgres: string}} migration
+ */
+export async function applyMigration(migration) {
+  if (!databaseUrl) {
+    throw new Error('SUPABASE_DB_URL must be set to apply migrations (Project Settings → Database → Connection string)');
+  }
+  if (!migration.postgres) {
+    throw new Error(`Migration ${migration.version}_${migration.name} has no Postgres statements`);
+  }
+
+  const { default: pg } = await import('pg');
+  const client = new pg.Client({ connectionString: databaseUrl });
+  await client.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(MIGRATIONS_TABLE);
+    await client.query(migration.postgres);
+    await client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    );
+    await client.query('COMMIT');
+
+    // PostgREST caches the schema — reload it so new tables/columns are visible to the client
+    await client.query("NOTIFY pgrst, 'reload schema'");
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * ASSEMBLIES - CRUD Operations
+ */
+
+export async function createAssembly(name, whatsappGroupId) {
+  const { data, error } = await supabase
+    .from('assemblies')
+    .insert([{ name, whatsapp_group_id: whatsappGroupId }])
+    .select();
+
+  if (error) throw error;
+  return { lastInsertRowid: data[0].id }; // Maintain compatibility with SQLite return shape
+}
+
+export async function getAssembly(id) {
+  const { data, error } = await supabase
+    .from('assemblies')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "Row not found"
+  return data;
+}
+
+export async function getAllAssemblies() {
+  const { data, error } = await supabase
+    .from('assemblies')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function updateAssembly(id, name, whatsappGroupId) {
+  const { error } = await supabase
+    .from('assemblies')
+    .update({ name, whatsapp_group_id: whatsappGroupId })
+    .eq('id', id);
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+export async function setAssemblyLanguage(id, language) {
+  const { error } = await supabase
+    .from('assemblies')
+    .update({ language })
+    .eq('id', id);
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+export async function setAssemblyReportingCommand(id, command) {
+  const { error } = await supabase
+    .from('assemblies')
+    .update({ reporting_command: command })
+    .eq('id', id);
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+export async function deleteAssembly(id) {
+  const { error } = await supabase
+    .from('assemblies')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+/**
+ * Get assembly by WhatsApp group JID
+ * @param {string} groupJid - WhatsApp group JID
+ * @returns {Promise<Object|undefined>} Assembly object or undefined
+ */
+export async function getAssemblyByGroupJid(groupJid) {
+  const { data, error } = await supabase
+    .from('assemblies')
+    .select('*')
+    .eq('whatsapp_group_id', groupJid)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || undefined;
+}
+
+
+/**
+ * REPORTS - CRUD Operations
+ */
+
+export async function createReport(reportData) {
+  const { data, error } = await supabase
+    .from('reports')
+    .insert([{
+      assembly_id: reportData.assembly_id,
+      activity_date: reportData.activity_date,
+      location: reportData.location,
+      area: reportData.area || null,
+      city: reportData.city || null,
+      activity_type: reportData.activity_type,
+      preachers_team: reportData.preachers_team,
+      message_summary: reportData.message_summary,
+      response_moments: reportData.response_moments || null,
+      saved: reportData.saved ?? reportData.converts ?? 0,
+      healed: reportData.healed ?? reportData.sick_prayed_for ?? 0,
+      reporter_name: reportData.reporter_name,
+      reporter_phone: reportData.reporter_phone,
+      source: reportData.source || 'form',
+      latitude: reportData.latitude ?? null,
+      longitude: reportData.longitude ?? null,
+      reporting_command: reportData.reporting_command || null
+    }])
+    .select();
+
+  if (error) throw error;
+  return { lastInsertRowid: data[0].id };
+}
+
+/**
+ * Create report from group message
+ * @param {number} assemblyId
+ * @param {Object} reportData
+ * @param {string} senderPhone
+ * @param {string} waMessageId - WhatsApp message ID (for deletion tracking)
+ * @param {Object} options - { status, duplicateOf } for reports held as suspected duplicates
+ */
+export async function createGroupReport(assemblyId, reportData, senderPhone, waMessageId = null, options = {}) {
+  const insertData = {
+    assembly_id: assemblyId,
+    activity_date: reportData.activity_date,
+    location: reportData.location,
+    area: reportData.area || null,
+    city: reportData.city || null,
+    activity_type: reportData.activity_type,
+    preachers_team: reportData.preachers_team || reportData.reporter_name,
+    message_summary: reportData.message_summary,
+    response_moments: reportData.response_moments || null,
+    saved: reportData.saved ?? reportData.converts ?? 0,
+    healed: reportData.healed ?? reportData.sick_prayed_for ?? 0,
+    reporter_name: reportData.reporter_name,
+    reporter_phone: senderPhone,
+    source: 'group_message',
+    posted_to_group: true,
+    status: options.status || 'active',
+    duplicate_of: options.duplicateOf || null,
+    latitude: reportData.latitude ?? null,
+    longitude: reportData.longitude ?? null,
+    reporting_command: reportData.reporting_command || null,
+  };
+
+  if (waMessageId) insertData.wa_message_id = waMessageId;
+
+  const { data, error } = await supabase
+    .from('reports')
+    .insert([insertData])
+    .select();
+
+  if (error) throw error;
+  return { lastInsertRowid: data[0].id };
+}
+
+/**
+ * Delete a report by WhatsApp message ID (used when reporter deletes their message)
+ * @param {string} waMessageId - WhatsApp message ID
+ * @returns {Promise<Object|null>} Deleted report data or null if not found
+ */
+export async function deleteReportByMessageId(waMessageId) {
+  // First fetch the report (with assembly info) so we can include it in the group notification
+  const { data: report, error: fetchError } = await supabase
+    .from('reports')
+    .select(`
+      id,
+      reporter_name,
+      activity_date,
+      location,
+      assemblies (
+        name,
+        whatsapp_group_id
+      )
+    `)
+    .eq('wa_message_id', waMessageId)
+    .single();
+
+  if (fetchError && fetchError.code === 'PGRST116') return null; // Not found — not a tracked report
+  if (fetchError) throw fetchError;
+
+  // Now delete it
+  const { error: deleteError } = await supabase
+    .from('reports')
+    .delete()
+    .eq('wa_message_id', waMessageId);
+
+  if (deleteError) throw deleteError;
+
+  return {
+    id: report.id,
+    reporter_name: report.reporter_name,
+    activity_date: report.activity_date,
+    location: report.location,
+    assembly_name: report.assemblies?.name,
+    whatsapp_group_id: report.assemblies?.whatsapp_group_id
+  };
+}
+
+export async function getReport(id) {
+  // Join with assemblies to get name and group id
+  const { data, error } = await supabase
+    .from('reports')
+    .select(`
+      *,
+      assemblies (
+        name,
+        whatsapp_group_id
+      )
+    `)
+    .eq('id', id)
+    .single();
+
+  if (error && error.code === 'PGRST116') return null; // PGRST116 is "Row not found"
+  if (error) throw error;
+
+  // Flatten the structure to match SQLite return
+  if (data.assemblies) {
+    data.assembly_name = data.assemblies.name;
+    data.whatsapp_group_id = data.assemblies.whatsapp_group_id;
+    delete data.assemblies;
+  }
+
+  return data;
+}
+
+/**
+ * Get a report by the WhatsApp message ID it was posted as
+ * @param {string} waMessageId - WhatsApp message ID
+ * @returns {Promise<Object|null>} Report or null if not tracked
+ */
+export async function getReportByMessageId(waMessageId) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select(`
+      *,
+      assemblies (
+        name,
+        whatsapp_group_id
+      )
+    `)
+    .eq('wa_message_id', waMessageId)
+    .single();
+
+  if (error && error.code === 'PGRST116') return null;
+  if (error) throw error;
+
+  if (data.assemblies) {
+    data.assembly_name = data.assemblies.name;
+    data.whatsapp_group_id = data.assemblies.whatsapp_group_id;
+    delete data.assemblies;
+  }
+
+  return data;
+}
+
+/**
+ * Update fields of an existing report
+ * @param {number} id - Report ID
+ * @param {Object} fields - Columns to change
+ * @returns {Promise<Object>} Updated report row
+ */
+export async function updateReport(id, fields) {
+  const changes = Object.fromEntries(
+    Object.entries(fields).filter(([column]) => REPORT_COLUMNS.has(column))
+  );
+
+  if (Object.keys(changes).length === 0) {
+    const { data, error } = await supabase.from('reports').select('*').eq('id', id);
+    if (error) throw error;
+    return data[0];
+  }
+
+  const { data, error } = await supabase
+    .from('reports')
+    .update(changes)
+    .eq('id', id)
+    .select();
+
+  if (error) throw error;
+  return data[0];
+}
+
+/**
+ * Get counted reports for an assembly on a single day (used for duplicate detection)
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} activityDate - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>}
+ */
+export async function getReportsForAssemblyOnDate(assemblyId, activityDate) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select('id, activity_date, location, area, preachers_team, message_summary, reporter_name, reporter_phone')
+    .eq('assembly_id', assemblyId)
+    .eq('activity_date', activityDate)
+    .eq('status', 'active');
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getReportsByDateRange(startDate, endDate) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select(`
+      *,
+      assemblies (
+        name
+      )
+    `)
+    .gte('activity_date', startDate)
+    .lte('activity_date', endDate)
+    .order('activity_date', { ascending: false });
+
+  if (error) throw error;
+
+  // Flatten
+  return data.map(r => {
+    if (r.assemblies) {
+      r.assembly_name = r.assemblies.name;
+      delete r.assemblies;
+    }
+    return r;
+  });
+}
+
+export async function getReportsByAssembly(assemblyId) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select('*')
+    .eq('assembly_id', assemblyId)
+    .order('activity_date', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function markReportAsPosted(reportId) {
+  const { error } = await supabase
+    .from('reports')
+    .update({ posted_to_group: true })
+    .eq('id', reportId);
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+/**
+ * REPORT MEDIA - Photos/videos attached to reports
+ */
+
+export async function addReportMedia(reportId, media) {
+  const { data, error } = await supabase
+    .from('report_media')
+    .insert([{
+      report_id: reportId,
+      media_type: media.media_type,
+      mime_type: media.mime_type || null,
+      file_path: media.file_path,
+      file_size: media.file_size || null,
+      wa_message_id: media.wa_message_id || null
+    }])
+    .select();
+
+  if (error) throw error;
+  return { lastInsertRowid: data[0].id };
+}
+
+export async function getReportMedia(reportId) {
+  const { data, error } = await supabase
+    .from('report_media')
+    .select('*')
+    .eq('report_id', reportId)
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getReportMediaForAssembly(assemblyId, startDate, endDate, mediaType = 'image') {
+  const { data, error } = await supabase
+    .from('report_media')
+    .select('*, reports!inner(activity_date, location, area, preachers_team, assembly_id, status)')
+    .eq('media_type', mediaType)
+    .eq('reports.assembly_id', assemblyId)
+    .eq('reports.status', 'active')
+    .gte('reports.activity_date', startDate)
+    .lte('reports.activity_date', endDate)
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+
+  return data
+    .map(({ reports, ...media }) => ({
+      ...media,
+      activity_date: reports.activity_date,
+      location: reports.location,
+      area: reports.area,
+      preachers_team: reports.preachers_team
+    }))
+    .sort((a, b) => a.activity_date.localeCompare(b.activity_date));
+}
+
+/**
+ * SCHEDULES - Scheduled job overrides
+ */
+
+export async function getSchedules() {
+  const { data, error } = await supabase
+    .from('schedules')
+    .select('name, type, cron, period, audience, enabled, options')
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function saveSchedule(schedule) {
+  const { error } = await supabase
+    .from('schedules')
+    .upsert({
+      name: schedule.name,
+      type: schedule.type,
+      cron: schedule.cron,
+      period: schedule.period || null,
+      audience: schedule.audience || null,
+      enabled: schedule.enabled !== false,
+      options: schedule.options || null,
+      updated_at: new Date()
+    });
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+/**
+ * PLACES - Gazetteer for the location map
+ */
+
+export async function getPlaces() {
+  const { data, error } = await supabase
+    .from('places')
+    .select('name, latitude, longitude, aliases')
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function savePlace(place) {
+  const { error } = await supabase
+    .from('places')
+    .upsert({
+      name: place.name,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      aliases: place.aliases || [],
+      updated_at: new Date()
+    });
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+export async function deletePlace(name) {
+  const { data, error } = await supabase
+    .from('places')
+    .delete()
+    .eq('name', name)
+    .select('name');
+
+  if (error) throw error;
+  return { changes: data.length };
+}
+
+/**
+ * CLUSTER LEADERS - Report reviewers
+ */
+
+export async function getClusterLeaders(assemblyId) {
+  const { data, error } = await supabase
+    .from('cluster_leaders')
+    .select('assembly_id, phone')
+    .eq('assembly_id', assemblyId)
+    .order('phone', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function addClusterLeader(assemblyId, phone) {
+  const { data, error } = await supabase
+    .from('cluster_leaders')
+    .upsert({ assembly_id: assemblyId, phone }, { onConflict: 'assembly_id,phone', ignoreDuplicates: true })
+    .select('phone');
+
+  if (error) throw error;
+  return { changes: data.length };
+}
+
+export async function removeClusterLeader(assemblyId, phone) {
+  const { data, error } = await supabase
+    .from('cluster_leaders')
+    .delete()
+    .eq('assembly_id', assemblyId)
+    .eq('phone', phone)
+    .select('phone');
+
+  if (error) throw error;
+  return { changes: data.length };
+}
+
+/**
+ * REPORT REVIEWS - Draft reports waiting for approval
+ */
+
+export async function createReportReview(review) {
+  const { data, error } = await supabase
+    .from('report_reviews')
+    .insert([{
+      assembly_id: review.assembly_id,
+      start_date: review.start_date,
+      end_date: review.end_date,
+      audience: review.audience,
+      report_data: review.report_data,
+      status: review.status || 'pending',
+      submitted_at: new Date(),
+      escalated_at: review.escalated_at || null
+    }])
+    .select();
+
+  if (error) throw error;
+  return { lastInsertRowid: data[0].id };
+}
+
+export async function getReportReview(id) {
+  const { data, error } = await supabase
+    .from('report_reviews')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+export async function getOpenReportReviews() {
+  const { data, error } = await supabase
+    .from('report_reviews')
+    .select('*')
+    .in('status', ['pending', 'escalated'])
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function updateReportReview(id, fields) {
+  const changes = Object.fromEntries(
+    Object.entries(fields).filter(([column]) => REVIEW_COLUMNS.has(column))
+  );
+  if (Object.keys(changes).length === 0) return { changes: 1 };
+
+  const { error } = await supabase
+    .from('report_reviews')
+    .update(changes)
+    .eq('id', id);
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+export async function updateReportReviewStatus(id, status, fromStatuses) {
+  // One conditional UPDATE, so two callers can't both move the review on
+  const { data, error } = await supabase
+    .from('report_reviews')
+    .update({ status })
+    .eq('id', id)
+    .in('status', fromStatuses)
+    .select('id');
+
+  if (error) throw error;
+  return { changes: data.length };
+}
+
+/**
+ * USERS - Form State Management
+ */
+
+export async function getUserFormState(phone) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('phone', phone)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || undefined;
+}
+
+export async function saveUserFormState(phone, step, formData) {
+  const { error } = await supabase
+    .from('users')
+    .upsert({
+      phone,
+      current_form_step: step,
+      form_data: formData, // Supabase handles JSONB automatically
+      updated_at: new Date()
+    });
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+export async function clearUserFormState(phone) {
+  const { error } = await supabase
+    .from('users')
+    .delete()
+    .eq('phone', phone);
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+/**
+ * USER PREFERENCES
+ */
+
+export async function getUserPreferences(phone) {
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .select('phone, language')
+    .eq('phone', phone)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || undefined;
+}
+
+export async function saveUserLanguage(phone, language) {
+  const { error } = await supabase
+    .from('user_preferences')
+    .upsert({
+      phone,
+      language,
+      updated_at: new Date()
+    });
+
+  if (error) throw error;
+  return { changes: 1 };
+}
+
+/**
+ * STATISTICS - Aggregation Queries (Performed in JS)
+ */
+
+export async function getMonthlyStatsByAssembly(startDate, endDate) {
+  // 1. Get all assemblies
+  const assemblies = await getAllAssemblies();
+
+  // 2. Get all counted reports in range (held duplicates are excluded)
+  const { data: reports, error } = await supabase
+    .from('reports')
+    .select('assembly_id, saved, healed')
+    .eq('status', 'active')
+    .gte('activity_date', startDate)
+    .lte('activity_date', endDate);
+
+  if (error) throw error;
+
+  // 3. Aggregate
+  const stats = assemblies.map(assembly => {
+    const assemblyReports = reports.filter(r => r.assembly_id === assembly.id);
+    return {
+      assembly_id: assembly.id,
+      assembly_name: assembly.name,
+      total_reports: assemblyReports.length,
+      total_saved: assemblyReports.reduce((sum, r) => sum + (r.saved || 0), 0),
+      total_healed: assemblyReports.reduce((sum, r) => sum + (r.healed || 0), 0)
+    };
+  });
+
+  return stats.sort((a, b) => b.total_reports - a.total_reports);
+}
+
+export async function getMonthlyStats(startDate, endDate) {
+  const { data: reports, error } = await supabase
+    .from('reports')
+    .select('saved, healed')
+    .eq('status', 'active')
+    .gte('activity_date', startDate)
+    .lte('activity_date', endDate);
+
+  if (error) throw error;
+
+  return {
+    total_reports: reports.length,
+    total_saved: reports.reduce((sum, r) => sum + (r.saved || 0), 0),
+    total_healed: reports.reduce((sum, r) => sum + (r.healed || 0), 0)
+  };
+}
+
+export async function getActivityTypeBreakdown(startDate, endDate, assemblyId = null) {
+  let query = supabase
+    .from('reports')
+    .select('activity_type, saved, healed')
+    .eq('status', 'active')
+    .gte('activity_date', startDate)
+    .lte('activity_date', endDate);
+
+  if (assemblyId !== null) {
+    query = query.eq('assembly_id', assemblyId);
+  }
+
+  const { data: reports, error } = await query;
+
+  if (error) throw error;
+
+  // Group by activity_type
+  const groups = {};
+
+  reports.forEach(r => {
+    if (!groups[r.activity_type]) {
+      groups[r.activity_type] = {
+        activity_type: r.activity_type,
+        count: 0,
+        total_saved: 0,
+        total_healed: 0
+      };
+    }
+
+    groups[r.activity_type].count++;
+    groups[r.activity_type].total_saved += (r.saved || 0);
+    groups[r.activity_type].total_healed += (r.healed || 0);
+  });
+
+  return Object.values(groups).sort((a, b) => b.count - a.count);
+}
+
+export async function getMonthlyTrend(assemblyId, startDate, endDate) {
+  const { data: reports, error } = await supabase
+    .from('reports')
+    .select('activity_date, saved, healed')
+    .eq('assembly_id', assemblyId)
+    .eq('status', 'active')
+    .gte('activity_date', startDate)
+    .lte('activity_date', endDate);
+
+  if (error) throw error;
+
+  // Group by YYYY-MM
+  const months = {};
+
+  reports.forEach(r => {
+    const month = r.activity_date.substring(0, 7);
+    if (!months[month]) {
+      months[month] = { month, total_reports: 0, total_saved: 0, total_healed: 0 };
+    }
+
+    months[month].total_reports++;
+    months[month].total_saved += (r.saved || 0);
+    months[month].total_healed += (r.healed || 0);
+  });
+
+  return Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
+}
+
+/**
+ * Get reports for a specific assembly within a date range (only fields needed for AI report)
+ * @param {number} assemblyId - Assembly ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Reports with selected fields only
+ */
+export async function getReportsForAssembly(assemblyId, startDate, endDate) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select('activity_date, location, area, city, latitude, longitude, activity_type, preachers_team, message_summary, saved, healed, reporting_command')
+    .eq('status', 'active')
+    .eq('assembly_id', assemblyId)
+    .gte('activity_date', startDate)
+    .lte('activity_date', endDate)
+    .order('activity_date', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
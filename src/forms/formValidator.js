@@ -1,20 +1,48 @@
 // Form validation functions
+// Every validator takes the user's language last and returns the error in that language
+import { t, FALLBACK_LANGUAGE } from '../i18n/index.js';
+
+// Words accepted in any language, whatever language the user has chosen
+const YES_WORDS = ['yes', 'y', 'hongu', 'ehe', 'yebo'];
+const NO_WORDS = ['no', 'n', 'kwete', 'aiwa', 'hatshi', 'hayi', 'cha'];
+const NONE_WORDS = ['none', 'skip', 'hapana', 'lutho', 'kakho', ''];
+const TODAY_WORDS = ['today', 'nhasi', 'lamuhla'];
+const YESTERDAY_WORDS = ['yesterday', 'nezuro', 'izolo'];
+
+/**
+ * Check a text answer's length
+ * @returns {{valid: boolean, value?: string, error?: string}}
+ */
+function validateLength(input, fieldName, min, max, language) {
+    const value = input.trim();
+
+    if (value.length < min) {
+        return { valid: false, error: t(language, 'validation.tooShort', { field: fieldName, min }) };
+    }
+
+    if (value.length > max) {
+        return { valid: false, error: t(language, 'validation.tooLong', { field: fieldName, max }) };
+    }
+
+    return { valid: true, value };
+}
 
 /**
  * Validate cluster selection
  * @param {string} input
  * @param {number} maxOptions
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: number, error?: string}}
  */
-export function validateAssemblySelection(input, maxOptions) {
+export function validateAssemblySelection(input, maxOptions, language = FALLBACK_LANGUAGE) {
     const num = parseInt(input.trim());
 
     if (isNaN(num)) {
-        return { valid: false, error: 'Please enter a valid number.' };
+        return { valid: false, error: t(language, 'validation.enterNumber') };
     }
 
     if (num < 1 || num > maxOptions) {
-        return { valid: false, error: `Please enter a number between 1 and ${maxOptions}.` };
+        return { valid: false, error: t(language, 'validation.numberRange', { max: maxOptions }) };
     }
 
     return { valid: true, value: num };
@@ -23,37 +51,29 @@ export function validateAssemblySelection(input, maxOptions) {
 /**
  * Validate name input
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateName(input) {
-    const name = input.trim();
-
-    if (name.length < 2) {
-        return { valid: false, error: 'Name must be at least 2 characters long.' };
-    }
-
-    if (name.length > 100) {
-        return { valid: false, error: 'Name is too long (max 100 characters).' };
-    }
-
-    return { valid: true, value: name };
+export function validateName(input, language = FALLBACK_LANGUAGE) {
+    return validateLength(input, t(language, 'validation.name'), 2, 100, language);
 }
 
 /**
  * Validate date input
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateDate(input) {
+export function validateDate(input, language = FALLBACK_LANGUAGE) {
     const trimmed = input.trim().toLowerCase();
 
     // Handle shortcuts
-    if (trimmed === 'today') {
+    if (TODAY_WORDS.includes(trimmed)) {
         const today = new Date();
         return { valid: true, value: today.toISOString().split('T')[0] };
     }
 
-    if (trimmed === 'yesterday') {
+    if (YESTERDAY_WORDS.includes(trimmed)) {
         const yesterday = new Date();
         yesterday.setDate(yesterday.getDate() - 1);
         return { valid: true, value: yesterday.toISOString().split('T')[0] };
@@ -74,7 +94,7 @@ export function validateDate(input) {
     if (isNaN(dateObj.getTime())) {
         return {
             valid: false,
-            error: 'Invalid date format. Please use DD/MM/YYYY, "today", or "yesterday".'
+            error: t(language, 'validation.invalidDate')
         };
     }
 
@@ -83,7 +103,7 @@ export function validateDate(input) {
     today.setHours(23, 59, 59, 999);
 
     if (dateObj > today) {
-        return { valid: false, error: 'Activity date cannot be in the future.' };
+        return { valid: false, error: t(language, 'validation.futureDate') };
     }
 
     // Return in YYYY-MM-DD format for database
@@ -97,79 +117,53 @@ export function validateDate(input) {
 /**
  * Validate location input
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateLocation(input) {
-    const location = input.trim();
-
-    if (location.length < 2) {
-        return { valid: false, error: 'Location must be at least 2 characters long.' };
-    }
-
-    if (location.length > 200) {
-        return { valid: false, error: 'Location is too long (max 200 characters).' };
-    }
-
-    return { valid: true, value: location };
+export function validateLocation(input, language = FALLBACK_LANGUAGE) {
+    return validateLength(input, t(language, 'label.location'), 2, 200, language);
 }
 
 /**
  * Validate area input
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateArea(input) {
-    const area = input.trim();
-
-    if (area.length < 2) {
-        return { valid: false, error: 'Area must be at least 2 characters long.' };
-    }
-
-    if (area.length > 200) {
-        return { valid: false, error: 'Area is too long (max 200 characters).' };
-    }
-
-    return { valid: true, value: area };
+export function validateArea(input, language = FALLBACK_LANGUAGE) {
+    return validateLength(input, t(language, 'label.area'), 2, 200, language);
 }
 
 /**
  * Validate city input
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateCity(input) {
-    const city = input.trim();
-
-    if (city.length < 2) {
-        return { valid: false, error: 'City must be at least 2 characters long.' };
-    }
-
-    if (city.length > 200) {
-        return { valid: false, error: 'City is too long (max 200 characters).' };
-    }
-
-    return { valid: true, value: city };
+export function validateCity(input, language = FALLBACK_LANGUAGE) {
+    return validateLength(input, t(language, 'label.city'), 2, 200, language);
 }
 
 /**
  * Validate number input (for people reached/conversions)
  * @param {string} input
  * @param {string} fieldName
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: number, error?: string}}
  */
-export function validateNumber(input, fieldName = 'Number') {
+export function validateNumber(input, fieldName = 'Number', language = FALLBACK_LANGUAGE) {
     const num = parseInt(input.trim());
 
     if (isNaN(num)) {
-        return { valid: false, error: `${fieldName} must be a valid number.` };
+        return { valid: false, error: t(language, 'validation.notANumber', { field: fieldName }) };
     }
 
     if (num < 0) {
-        return { valid: false, error: `${fieldName} cannot be negative.` };
+        return { valid: false, error: t(language, 'validation.negative', { field: fieldName }) };
     }
 
     if (num > 1000000) {
-        return { valid: false, error: `${fieldName} seems too large. Please verify.` };
+        return { valid: false, error: t(language, 'validation.tooLarge', { field: fieldName }) };
     }
 
     return { valid: true, value: num };
@@ -179,115 +173,79 @@ export function validateNumber(input, fieldName = 'Number') {
  * Validate activity type selection
  * @param {string} input
  * @param {number} maxOptions
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: number, error?: string}}
  */
-export function validateActivityType(input, maxOptions) {
-    const num = parseInt(input.trim());
-
-    if (isNaN(num)) {
-        return { valid: false, error: 'Please enter a valid number.' };
-    }
-
-    if (num < 1 || num > maxOptions) {
-        return { valid: false, error: `Please enter a number between 1 and ${maxOptions}.` };
-    }
-
-    return { valid: true, value: num };
+export function validateActivityType(input, maxOptions, language = FALLBACK_LANGUAGE) {
+    return validateAssemblySelection(input, maxOptions, language);
 }
 
 /**
  * Validate preachers team input
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateTeam(input) {
-    const team = input.trim();
-
-    if (team.length < 2) {
-        return { valid: false, error: 'Preachers team must be at least 2 characters long.' };
-    }
-
-    if (team.length > 200) {
-        return { valid: false, error: 'Preachers team is too long (max 200 characters).' };
-    }
-
-    return { valid: true, value: team };
+export function validateTeam(input, language = FALLBACK_LANGUAGE) {
+    return validateLength(input, t(language, 'label.preachers_team'), 2, 200, language);
 }
 
 /**
  * Validate message summary input
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateMessageSummary(input) {
-    const summary = input.trim();
-
-    if (summary.length < 10) {
-        return { valid: false, error: 'Message summary must be at least 10 characters long.' };
-    }
-
-    if (summary.length > 1000) {
-        return { valid: false, error: 'Message summary is too long (max 1000 characters).' };
-    }
-
-    return { valid: true, value: summary };
+export function validateMessageSummary(input, language = FALLBACK_LANGUAGE) {
+    return validateLength(input, t(language, 'label.message_summary'), 10, 1000, language);
 }
 
 /**
  * Validate response/notable moments input (optional)
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateResponseMoments(input) {
-    const response = input.trim().toLowerCase();
-
-    // "none" or "skip" means no response moments
-    if (response === 'none' || response === 'skip' || response === '') {
+export function validateResponseMoments(input, language = FALLBACK_LANGUAGE) {
+    // "none"/"skip" (or "hapana"/"lutho") means no response moments
+    if (NONE_WORDS.includes(input.trim().toLowerCase())) {
         return { valid: true, value: null };
     }
 
-    if (input.trim().length > 1000) {
-        return { valid: false, error: 'Response/moments are too long (max 1000 characters).' };
-    }
-
-    return { valid: true, value: input.trim() };
+    return validateLength(input, t(language, 'label.response_moments'), 0, 1000, language);
 }
 
 /**
  * Validate notes input (optional)
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: string, error?: string}}
  */
-export function validateNotes(input) {
-    const notes = input.trim().toLowerCase();
-
-    // "none" or "skip" means no notes
-    if (notes === 'none' || notes === 'skip' || notes === '') {
+export function validateNotes(input, language = FALLBACK_LANGUAGE) {
+    // "none"/"skip" (or "hapana"/"lutho") means no notes
+    if (NONE_WORDS.includes(input.trim().toLowerCase())) {
         return { valid: true, value: null };
     }
 
-    if (input.trim().length > 1000) {
-        return { valid: false, error: 'Notes are too long (max 1000 characters).' };
-    }
-
-    return { valid: true, value: input.trim() };
+    return validateLength(input, t(language, 'validation.notes'), 0, 1000, language);
 }
 
 /**
  * Validate yes/no confirmation
  * @param {string} input
+ * @param {string} [language]
  * @returns {{valid: boolean, value?: boolean, error?: string}}
  */
-export function validateConfirmation(input) {
+export function validateConfirmation(input, language = FALLBACK_LANGUAGE) {
     const response = input.trim().toLowerCase();
 
-    if (response === 'yes' || response === 'y') {
+    if (YES_WORDS.includes(response)) {
         return { valid: true, value: true };
     }
 
-    if (response === 'no' || response === 'n') {
+    if (NO_WORDS.includes(response)) {
         return { valid: true, value: false };
     }
 
-    return { valid: false, error: 'Please reply with "yes" or "no".' };
+    return { valid: false, error: t(language, 'validation.yesOrNo') };
 }
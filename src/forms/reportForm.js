@@ -23,6 +23,8 @@ import config from '../config/config.js';
 import logger from '../utils/logger.js';
 import { formatDate } from '../utils/helpers.js';
 import { postReportToGroup } from '../services/groupPoster.js';
+import { getUserLanguage } from '../i18n/preferences.js';
+import { t } from '../i18n/index.js';
 
 // Form steps
 const STEPS = {
@@ -53,16 +55,17 @@ export async function startReportForm(sock, userJid) {
     // Clear any existing form state
     await clearUserFormState(userJid);
 
-    // Initialize form data
+    // Initialize form data (the form is asked in the user's language)
     const formData = {
-        reporter_phone: userJid
+        reporter_phone: userJid,
+        language: await getUserLanguage(userJid)
     };
 
     // Save initial state
     await saveUserFormState(userJid, STEPS.ASSEMBLY, formData);
 
     // Send assembly selection prompt
-    await sendAssemblyPrompt(sock, userJid);
+    await sendAssemblyPrompt(sock, userJid, formData.language);
 }
 
 /**
@@ -72,24 +75,27 @@ export async function startReportForm(sock, userJid) {
  * @param {string} message - User's message
  */
 export async function processFormResponse(sock, userJid, message) {
+    // Get current form state
+    const userState = await getUserFormState(userJid);
+    const formData = userState?.form_data; // JSON already parsed by db.js
+    const language = formData?.language || await getUserLanguage(userJid);
+
     // Check for cancel command
     if (message.trim().toLowerCase() === 'cancel') {
         await clearUserFormState(userJid);
         await sock.sendMessage(userJid, {
-            text: '❌ Form cancelled. Send "evangelism" to start a new report.'
+            text: t(language, 'form.cancelled')
         });
         return;
     }
 
-    // Get current form state
-    const userState = await getUserFormState(userJid);
     if (!userState) {
         logger.warn(`No form state found for ${userJid}`);
         return;
     }
 
     const currentStep = userState.current_form_step;
-    const formData = userState.form_data; // JSON already parsed by db.js
+    formData.language = language;
 
     // Process based on current step
     switch (currentStep) {
@@ -138,39 +144,60 @@ export async function processFormResponse(sock, userJid, message) {
     }
 }
 
+/**
+ * Use a location pin shared during the form
+ * At the location question the pin answers it; at any other question it is
+ * kept for the report and the question still stands.
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} userJid - User's WhatsApp JID
+ * @param {{latitude: number, longitude: number, name: string|null}} pin - Shared location
+ */
+export async function processFormLocationPin(sock, userJid, pin) {
+    const userState = await getUserFormState(userJid);
+    if (!userState) return;
+
+    const formData = userState.form_data;
+    const language = formData.language || await getUserLanguage(userJid);
+    formData.language = language;
+    formData.latitude = pin.latitude;
+    formData.longitude = pin.longitude;
+
+    if (userState.current_form_step === STEPS.LOCATION) {
+        const location = pin.name || `${pin.latitude.toFixed(5)}, ${pin.longitude.toFixed(5)}`;
+        await processLocationStep(sock, userJid, location, formData);
+        return;
+    }
+
+    await saveUserFormState(userJid, userState.current_form_step, formData);
+    await sock.sendMessage(userJid, { text: t(language, 'pin.formSaved') });
+}
+
 /**
  * Send assembly selection prompt
  */
-async function sendAssemblyPrompt(sock, userJid) {
+async function sendAssemblyPrompt(sock, userJid, language) {
     const assemblies = await getAllAssemblies();
 
     if (assemblies.length === 0) {
         await sock.sendMessage(userJid, {
-            text: '❌ No clusters configured. Please contact the administrator.'
+            text: t(language, 'form.noClusters')
         });
         await clearUserFormState(userJid);
         return;
     }
 
-    let message = '📋 *EVANGELISM REPORT FORM*\n\n';
-    message += 'TM *Select your cluster:*\n\n';
+    const options = assemblies.map((assembly, index) => `▪️ ${index + 1}. ${assembly.name}`).join('\n');
 
-    assemblies.forEach((assembly, index) => {
-        message += `▪️ ${index + 1}. ${assembly.name}\n`;
-    });
-
-    message += '\n🔢 Reply with the number of your cluster';
-    message += '\n\n_Type "cancel" anytime to cancel._';
-
-    await sock.sendMessage(userJid, { text: message });
+    await sock.sendMessage(userJid, { text: t(language, 'form.selectCluster', { options }) });
 }
 
 /**
  * Process assembly selection
  */
 async function processAssemblyStep(sock, userJid, message, formData) {
+    const language = formData.language;
     const assemblies = await getAllAssemblies();
-    const validation = validateAssemblySelection(message, assemblies.length);
+    const validation = validateAssemblySelection(message, assemblies.length, language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -179,7 +206,7 @@ async function processAssemblyStep(sock, userJid, message, formData) {
 
     const selectedAssembly = assemblies[validation.value - 1];
     if (!selectedAssembly) {
-        await sock.sendMessage(userJid, { text: '❌ Invalid cluster selection.' });
+        await sock.sendMessage(userJid, { text: t(language, 'form.invalidCluster') });
         return;
     }
 
@@ -189,18 +216,14 @@ async function processAssemblyStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.DATE, formData);
 
-    let response = `✅ Cluster: *${selectedAssembly.name}*\n\n`;
-    response += '📅 *When did this evangelism activity take place?*\n';
-    response += '(Enter date as DD/MM/YYYY, or type "today" or "yesterday")';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(language, 'form.askDate', { cluster: selectedAssembly.name }) });
 }
 
 /**
  * Process date input
  */
 async function processDateStep(sock, userJid, message, formData) {
-    const validation = validateDate(message);
+    const validation = validateDate(message, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -212,18 +235,16 @@ async function processDateStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.LOCATION, formData);
 
-    let response = `✅ Date: ${formatDate(validation.value)}\n\n`;
-    response += '📍 Where did this activity take place?\n';
-    response += '(Enter location/area name)';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, {
+        text: t(formData.language, 'form.askLocation', { date: formatDate(validation.value) })
+    });
 }
 
 /**
  * Process location input
  */
 async function processLocationStep(sock, userJid, message, formData) {
-    const validation = validateLocation(message);
+    const validation = validateLocation(message, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -235,18 +256,14 @@ async function processLocationStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.AREA, formData);
 
-    let response = `✅ Location: *${validation.value}*\n\n`;
-    response += '🏘️ *What area is this in?*\n';
-    response += '(Enter the area/neighbourhood name)';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(formData.language, 'form.askArea', { location: validation.value }) });
 }
 
 /**
  * Process area input
  */
 async function processAreaStep(sock, userJid, message, formData) {
-    const validation = validateArea(message);
+    const validation = validateArea(message, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -258,18 +275,14 @@ async function processAreaStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.CITY, formData);
 
-    let response = `✅ Area: *${validation.value}*\n\n`;
-    response += '🏙️ *What city/town is this in?*\n';
-    response += '(Enter the city or town name)';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(formData.language, 'form.askCity', { area: validation.value }) });
 }
 
 /**
  * Process city input
  */
 async function processCityStep(sock, userJid, message, formData) {
-    const validation = validateCity(message);
+    const validation = validateCity(message, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -281,23 +294,19 @@ async function processCityStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.ACTIVITY_TYPE, formData);
 
-    let response = `✅ City: *${validation.value}*\n\n`;
-    response += '📋 *What type of evangelism activity was this?*\n\n';
+    // Activity type names stay in English - they are stored and charted as-is
+    const options = config.activityTypes.map((type, index) => `▪️ ${index + 1}. ${type}`).join('\n');
 
-    config.activityTypes.forEach((type, index) => {
-        response += `▪️ ${index + 1}. ${type}\n`;
+    await sock.sendMessage(userJid, {
+        text: t(formData.language, 'form.askActivityType', { city: validation.value, options })
     });
-
-    response += '\n🔢 Reply with the number:';
-
-    await sock.sendMessage(userJid, { text: response });
 }
 
 /**
  * Process activity type input
  */
 async function processActivityTypeStep(sock, userJid, message, formData) {
-    const validation = validateActivityType(message, config.activityTypes.length);
+    const validation = validateActivityType(message, config.activityTypes.length, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -312,21 +321,13 @@ async function processActivityTypeStep(sock, userJid, message, formData) {
         formData.selected_other = true;
         await saveUserFormState(userJid, STEPS.CUSTOM_ACTIVITY_TYPE, formData);
 
-        let response = '✅ Activity Type: *Other*\n\n';
-        response += '📝 *Please specify the type of evangelism activity:*\n';
-        response += '(Enter the activity type in your own words, e.g., "Bus Evangelism", "Market Outreach")';
-
-        await sock.sendMessage(userJid, { text: response });
+        await sock.sendMessage(userJid, { text: t(formData.language, 'form.askCustomActivityType') });
     } else {
         // Standard activity type selected, move to preachers team
         formData.activity_type = selectedType;
         await saveUserFormState(userJid, STEPS.PREACHERS_TEAM, formData);
 
-        let response = `✅ Activity Type: *${selectedType}*\n\n`;
-        response += '👥 *Who were the preachers/team members involved?*\n';
-        response += '(Enter names, e.g., "John, Mary, Peter")';
-
-        await sock.sendMessage(userJid, { text: response });
+        await sock.sendMessage(userJid, { text: t(formData.language, 'form.askTeam', { type: selectedType }) });
     }
 }
 
@@ -339,14 +340,14 @@ async function processCustomActivityTypeStep(sock, userJid, message, formData) {
     // Validate custom activity type
     if (customType.length < 3) {
         await sock.sendMessage(userJid, {
-            text: '❌ Activity type must be at least 3 characters long.'
+            text: t(formData.language, 'form.customTypeTooShort')
         });
         return;
     }
 
     if (customType.length > 100) {
         await sock.sendMessage(userJid, {
-            text: '❌ Activity type is too long (max 100 characters).'
+            text: t(formData.language, 'form.customTypeTooLong')
         });
         return;
     }
@@ -358,18 +359,14 @@ async function processCustomActivityTypeStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.PREACHERS_TEAM, formData);
 
-    let response = `✅ Activity Type: ${customType}\n\n`;
-    response += '👥 Who were the preachers/team members involved?\n';
-    response += '(Enter names, e.g., "John, Mary, Peter")';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(formData.language, 'form.askTeam', { type: customType }) });
 }
 
 /**
  * Process preachers team input
  */
 async function processPreachersTeamStep(sock, userJid, message, formData) {
-    const validation = validateTeam(message);
+    const validation = validateTeam(message, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -381,18 +378,14 @@ async function processPreachersTeamStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.MESSAGE_SUMMARY, formData);
 
-    let response = `✅ Preachers/Team: ${validation.value}\n\n`;
-    response += '📖 Please provide a summary of what happened during the activity:\n';
-    response += '(Describe the message, events, etc. - minimum 10 characters)';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(formData.language, 'form.askSummary', { team: validation.value }) });
 }
 
 /**
  * Process message summary input
  */
 async function processMessageSummaryStep(sock, userJid, message, formData) {
-    const validation = validateMessageSummary(message);
+    const validation = validateMessageSummary(message, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -404,18 +397,14 @@ async function processMessageSummaryStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.RESPONSE_MOMENTS, formData);
 
-    let response = `✅ Summary recorded\n\n`;
-    response += '✨ Any notable responses or moments?\n';
-    response += '(Describe memorable moments, testimonies, etc., or type "none" to skip)';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(formData.language, 'form.askMoments') });
 }
 
 /**
  * Process response/notable moments input
  */
 async function processResponseMomentsStep(sock, userJid, message, formData) {
-    const validation = validateResponseMoments(message);
+    const validation = validateResponseMoments(message, formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -427,18 +416,16 @@ async function processResponseMomentsStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.SAVED, formData);
 
-    let response = validation.value ? '✅ Notable moments recorded\n\n' : '— No notable moments\n\n';
-    response += '✝️ How many people were saved?\n';
-    response += '(Enter a number, or 0 if none)';
+    const recorded = t(formData.language, validation.value ? 'form.momentsRecorded' : 'form.noMoments');
 
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: `${recorded}\n\n${t(formData.language, 'form.askSaved')}` });
 }
 
 /**
  * Process saved input
  */
 async function processSavedStep(sock, userJid, message, formData) {
-    const validation = validateNumber(message, 'Saved');
+    const validation = validateNumber(message, t(formData.language, 'label.saved'), formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -450,18 +437,14 @@ async function processSavedStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.HEALED, formData);
 
-    let response = `✅ Saved: ${validation.value}\n\n`;
-    response += '🙏 How many people were healed?\n';
-    response += '(Enter a number, or 0 if none)';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(formData.language, 'form.askHealed', { saved: validation.value }) });
 }
 
 /**
  * Process healed input
  */
 async function processHealedStep(sock, userJid, message, formData) {
-    const validation = validateNumber(message, 'Healed');
+    const validation = validateNumber(message, t(formData.language, 'label.healed'), formData.language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -473,17 +456,15 @@ async function processHealedStep(sock, userJid, message, formData) {
     // Move to next step
     await saveUserFormState(userJid, STEPS.REPORTER_NAME, formData);
 
-    let response = `✅ Healed: ${validation.value}\n\n`;
-    response += '📝 Finally, please enter your full name (reporter):';
-
-    await sock.sendMessage(userJid, { text: response });
+    await sock.sendMessage(userJid, { text: t(formData.language, 'form.askName', { healed: validation.value }) });
 }
 
 /**
  * Process reporter name input
  */
 async function processReporterNameStep(sock, userJid, message, formData) {
-    const validation = validateName(message);
+    const language = formData.language;
+    const validation = validateName(message, language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -495,26 +476,27 @@ async function processReporterNameStep(sock, userJid, message, formData) {
     // Move to confirmation step
     await saveUserFormState(userJid, STEPS.CONFIRMATION, formData);
 
+    const label = (field) => t(language, `label.${field}`);
+
     // Send summary for confirmation
-    let summary = '📖 REPORT SUMMARY 📖\n';
+    let summary = `${t(language, 'form.summaryTitle')}\n`;
     summary += '━━━━━━━━━━━━━━━━━━━━\n';
-    summary += `TM Cluster: ${formData.assembly_name}\n`;
-    summary += `📅 Date: ${formatDate(formData.activity_date)}\n`;
-    summary += `📍 Location: ${formData.location}\n`;
-    summary += `🏘️ Area: ${formData.area}\n`;
-    summary += `🏙️ City: ${formData.city}\n`;
-    summary += `📋 Activity Type: ${formData.activity_type}\n`;
-    summary += `👥 Preachers/Team: ${formData.preachers_team}\n`;
-    summary += `📖 Summary: ${formData.message_summary.substring(0, 100)}${formData.message_summary.length > 100 ? '...' : ''}\n`;
+    summary += `TM ${label('cluster')}: ${formData.assembly_name}\n`;
+    summary += `📅 ${label('activity_date')}: ${formatDate(formData.activity_date)}\n`;
+    summary += `📍 ${label('location')}: ${formData.location}${formData.latitude != null ? ' 📌' : ''}\n`;
+    summary += `🏘️ ${label('area')}: ${formData.area}\n`;
+    summary += `🏙️ ${label('city')}: ${formData.city}\n`;
+    summary += `📋 ${t(language, 'form.summaryActivityType')}: ${formData.activity_type}\n`;
+    summary += `👥 ${t(language, 'form.summaryTeam')}: ${formData.preachers_team}\n`;
+    summary += `📖 ${t(language, 'form.summarySummary')}: ${formData.message_summary.substring(0, 100)}${formData.message_summary.length > 100 ? '...' : ''}\n`;
     if (formData.response_moments) {
-        summary += `✨ Notable Moments: ${formData.response_moments.substring(0, 100)}${formData.response_moments.length > 100 ? '...' : ''}\n`;
+        summary += `✨ ${label('response_moments')}: ${formData.response_moments.substring(0, 100)}${formData.response_moments.length > 100 ? '...' : ''}\n`;
     }
-    summary += `✝️ Saved: ${formData.saved}\n`;
-    summary += `🙏 Healed: ${formData.healed}\n`;
-    summary += `📝 Reporter: ${formData.reporter_name}\n`;
+    summary += `✝️ ${label('saved')}: ${formData.saved}\n`;
+    summary += `🙏 ${label('healed')}: ${formData.healed}\n`;
+    summary += `📝 ${label('reporter_name')}: ${formData.reporter_name}\n`;
     summary += '━━━━━━━━━━━━━━━━━━━━\n\n';
-    summary += '✅ Reply with *"yes"* to submit\n';
-    summary += '❌ Reply with *"no"* to cancel';
+    summary += t(language, 'form.confirm');
 
     await sock.sendMessage(userJid, { text: summary });
 }
@@ -523,7 +505,8 @@ async function processReporterNameStep(sock, userJid, message, formData) {
  * Process confirmation
  */
 async function processConfirmationStep(sock, userJid, message, formData) {
-    const validation = validateConfirmation(message);
+    const language = formData.language;
+    const validation = validateConfirmation(message, language);
 
     if (!validation.valid) {
         await sock.sendMessage(userJid, { text: `❌ ${validation.error}` });
@@ -534,7 +517,7 @@ async function processConfirmationStep(sock, userJid, message, formData) {
         // User said no
         await clearUserFormState(userJid);
         await sock.sendMessage(userJid, {
-            text: '❌ Report cancelled. Send "evangelism" to start a new report.'
+            text: t(language, 'form.reportCancelled')
         });
         return;
     }
@@ -549,7 +532,7 @@ async function processConfirmationStep(sock, userJid, message, formData) {
 
         // Send success message
         await sock.sendMessage(userJid, {
-            text: '✅ Report submitted successfully!\n\nYour evangelism report has been saved and will be posted to your cluster group.\n\nThank you for your faithfulness! 🙏'
+            text: t(language, 'form.submitted')
         });
 
         // Post to group
@@ -558,7 +541,7 @@ async function processConfirmationStep(sock, userJid, message, formData) {
     } catch (error) {
         logger.error('Error saving report:', error);
         await sock.sendMessage(userJid, {
-            text: '❌ Error saving report. Please try again later or contact the administrator.'
+            text: t(language, 'form.saveFailed')
         });
         await clearUserFormState(userJid);
     }
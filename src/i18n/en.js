@@ -0,0 +1,348 @@
+/**
+ * English messages (the reference catalogue - every key must exist here)
+ * Placeholders in {braces} are filled in by t().
+ */
+export default {
+    // Field labels (keyed by report column)
+    'label.activity_date': 'Date',
+    'label.location': 'Location',
+    'label.area': 'Area',
+    'label.city': 'City',
+    'label.activity_type': 'Type of Activity',
+    'label.preachers_team': 'Preachers Team',
+    'label.message_summary': 'Message Summary',
+    'label.response_moments': 'Notable Moments',
+    'label.saved': 'Saved',
+    'label.healed': 'Healed',
+    'label.reporter_name': 'Reporter',
+    'label.reporting_command': 'Reporting Command',
+    'label.cluster': 'Cluster',
+
+    // Report kinds (scheduled report titles)
+    'kind.daily': 'Daily',
+    'kind.weekly': 'Weekly',
+    'kind.monthly': 'Monthly',
+    'kind.quarterly': 'Quarterly',
+
+    // Direct messages
+    'dm.reportsInGroupOnly': '🚫❌ Evangelism reports cannot be submitted via DM.\n\n📢 Please use the group to submit your report! 🙏',
+    'dm.unknownCommand': 'I don\'t recognize that command. Send "evangelism" to start an evangelism report, or send "!help" for assistance.',
+    'help.text':
+        '📖 EVANGELISM REPORTER BOT\n\n' +
+        'Welcome to {church}\'s Evangelism Reporter!\n\n' +
+        '**COMMANDS:**\n' +
+        'evangelism - Start new evangelism report\n' +
+        'testreport - Generate a test report for a specific cluster & month\n' +
+        '!language - Choose the language I reply to you in\n' +
+        '!help - Show this help message\n' +
+        'cancel - Cancel current form (during filling)\n\n' +
+        '**HOW IT WORKS:**\n' +
+        '1. Send "evangelism" to begin\n' +
+        '2. Answer the questions step by step\n' +
+        '3. Review and confirm your report\n' +
+        '4. Your report is automatically posted to your assembly group\n\n' +
+        'All reports are stored and analyzed for monthly summaries.\n\n',
+    'help.admin': '🔐 You are an administrator - send !admin for admin commands.\n\n',
+    'help.blessing': 'God bless your evangelism efforts! 🙏',
+
+    // Language preference
+    'language.current': '🌐 Your language: *{language}*\n\nTo change it, send one of:\n{options}',
+    'language.changed': '✅ From now on I will reply to you in *{language}*.',
+    'language.unknown': '❌ I don\'t know the language "{input}". Send !language to see the options.',
+
+    // Report form (DM)
+    'form.cancelled': '❌ Form cancelled. Send "evangelism" to start a new report.',
+    'form.noClusters': '❌ No clusters configured. Please contact the administrator.',
+    'form.selectCluster': '📋 *EVANGELISM REPORT FORM*\n\nTM *Select your cluster:*\n\n{options}\n\n🔢 Reply with the number of your cluster\n\n_Type "cancel" anytime to cancel._',
+    'form.invalidCluster': '❌ Invalid cluster selection.',
+    'form.askDate': '✅ Cluster: *{cluster}*\n\n📅 *When did this evangelism activity take place?*\n(Enter date as DD/MM/YYYY, or type "today" or "yesterday")',
+    'form.askLocation': '✅ Date: {date}\n\n📍 Where did this activity take place?\n(Enter location/area name, or share a 📍 location pin)',
+    'form.askArea': '✅ Location: *{location}*\n\n🏘️ *What area is this in?*\n(Enter the area/neighbourhood name)',
+    'form.askCity': '✅ Area: *{area}*\n\n🏙️ *What city/town is this in?*\n(Enter the city or town name)',
+    'form.askActivityType': '✅ City: *{city}*\n\n📋 *What type of evangelism activity was this?*\n\n{options}\n\n🔢 Reply with the number:',
+    'form.askCustomActivityType': '✅ Activity Type: *Other*\n\n📝 *Please specify the type of evangelism activity:*\n(Enter the activity type in your own words, e.g., "Bus Evangelism", "Market Outreach")',
+    'form.customTypeTooShort': '❌ Activity type must be at least 3 characters long.',
+    'form.customTypeTooLong': '❌ Activity type is too long (max 100 characters).',
+    'form.askTeam': '✅ Activity Type: *{type}*\n\n👥 *Who were the preachers/team members involved?*\n(Enter names, e.g., "John, Mary, Peter")',
+    'form.askSummary': '✅ Preachers/Team: {team}\n\n📖 Please provide a summary of what happened during the activity:\n(Describe the message, events, etc. - minimum 10 characters)',
+    'form.askMoments': '✅ Summary recorded\n\n✨ Any notable responses or moments?\n(Describe memorable moments, testimonies, etc., or type "none" to skip)',
+    'form.momentsRecorded': '✅ Notable moments recorded',
+    'form.noMoments': '— No notable moments',
+    'form.askSaved': '✝️ How many people were saved?\n(Enter a number, or 0 if none)',
+    'form.askHealed': '✅ Saved: {saved}\n\n🙏 How many people were healed?\n(Enter a number, or 0 if none)',
+    'form.askName': '✅ Healed: {healed}\n\n📝 Finally, please enter your full name (reporter):',
+    'form.summaryTitle': '📖 REPORT SUMMARY 📖',
+    'form.summaryActivityType': 'Activity Type',
+    'form.summaryTeam': 'Preachers/Team',
+    'form.summarySummary': 'Summary',
+    'form.confirm': '✅ Reply with *"yes"* to submit\n❌ Reply with *"no"* to cancel',
+    'form.reportCancelled': '❌ Report cancelled. Send "evangelism" to start a new report.',
+    'form.submitted': '✅ Report submitted successfully!\n\nYour evangelism report has been saved and will be posted to your cluster group.\n\nThank you for your faithfulness! 🙏',
+    'form.saveFailed': '❌ Error saving report. Please try again later or contact the administrator.',
+
+    // Form answer validation
+    'validation.enterNumber': 'Please enter a valid number.',
+    'validation.numberRange': 'Please enter a number between 1 and {max}.',
+    'validation.tooShort': '{field} must be at least {min} characters long.',
+    'validation.tooLong': '{field} is too long (max {max} characters).',
+    'validation.invalidDate': 'Invalid date format. Please use DD/MM/YYYY, "today", or "yesterday".',
+    'validation.futureDate': 'Activity date cannot be in the future.',
+    'validation.notANumber': '{field} must be a valid number.',
+    'validation.negative': '{field} cannot be negative.',
+    'validation.tooLarge': '{field} seems too large. Please verify.',
+    'validation.yesOrNo': 'Please reply with "yes" or "no".',
+    'validation.name': 'Name',
+    'validation.notes': 'Notes',
+
+    // Group reports
+    'report.savedTitle': 'Evangelism Report Saved!',
+    'report.photoSaved': 'Photo saved with the report',
+    'report.attachmentSaved': 'Attachment saved with the report',
+    'report.pinAttached': 'Location pin attached to the report',
+    'report.correctionHint': 'To fix a mistake, reply to this message with the corrected line, e.g. "{example}".',
+    'report.thanks': 'Thank you for your faithfulness! 🙏',
+    'report.errorTitle': 'Evangelism Report Error',
+    'report.errorIntro': 'The report could not be saved due to the following issues:',
+    'report.errorHint': 'Please check the format and try again.',
+    'report.notClusterGroup': '❌ This group is not configured as a cluster group. Please contact the administrator.',
+    'report.saveFailed': '❌ An error occurred while saving the report. Please try again or contact the administrator.',
+    'report.updateFailed': '❌ An error occurred while updating the report. Please try again or contact the administrator.',
+
+    // Group report validation
+    'parser.missing': 'Missing required field: {field}',
+    'parser.empty': 'Empty required field: {field}',
+    'parser.invalidDate': 'Invalid date format. Use DD/MM/YYYY (e.g. 10/02/2026)',
+    'parser.notANumber': '{field} must be a number',
+
+    // Duplicates
+    'duplicate.title': 'Possible Duplicate Report',
+    'duplicate.warning':
+        'This looks like Report #{originalId} which is already saved:\n' +
+        '📅 {date} — 📍 {place}\n' +
+        '📝 Reported by {reporter}\n\n' +
+        '📋 Held as Report #{heldId} — it will *not* be counted in the totals.\n\n' +
+        'If this is a different outreach, reply to this message with *CONFIRM* to count it. ' +
+        'Otherwise, delete your message to discard it.',
+    'duplicate.onlySender': '⛔ @{phone} only the person who sent Report #{id} can confirm it.',
+    'duplicate.confirmed': '✅ Report #{id} confirmed and counted. Thank you! 🙏',
+
+    // Corrections and edits
+    'correction.onlyReporter': '⛔ @{phone} only the original reporter can correct Report #{id}.',
+    'correction.notChanged': '❌ *Report #{id} was not changed* @{phone}',
+    'correction.nothingToChange': 'ℹ️ Report #{id} already has those values - nothing to change.',
+    'correction.updated': '✏️ *Report #{id} updated* @{phone}',
+    'edit.rejected': '❌ *Report #{id} was not updated.*\n\nThe edited message has the following issues:',
+    'edit.kept': 'The previously saved values are kept.',
+    'edit.updated': '✏️ *Report #{id} updated*',
+
+    // Location pins
+    'pin.attached': '📍 Location pin added to Report #{id} @{phone}. It will be shown at that exact point on the map.',
+    'pin.pending': '📍 Location received @{phone}. It will be attached to your next report in this group.',
+    'pin.noReport': '📍 To attach a location, share it in your cluster group as a reply to your report, or just before sending it.',
+    'pin.formSaved': '📍 Location pin saved for this report. Please carry on with the question above.',
+
+    // Deletions
+    'delete.notice':
+        '🗑️ *Report #{id} has been deleted.*\n\n' +
+        '👤 Deleted by: {deleter}\n' +
+        '📋 Original reporter: {reporter}\n' +
+        '📅 Activity date: {date}\n' +
+        '📍 Location: {location}\n\n' +
+        '_This report has been removed from the database._',
+
+    // Form reports posted to the group
+    'post.title': '📊 EVANGELISM REPORT 📊',
+    'post.activity': 'Activity',
+    'post.team': 'Team',
+    'post.summary': 'Summary',
+    'post.results': 'Results',
+
+    // Scheduled report summary
+    'summary.title': '📊 {kind} EVANGELISM REPORT 📊',
+    'summary.period': 'Period',
+    'summary.keyStatistics': 'KEY STATISTICS',
+    'summary.totalOutreaches': 'Total Outreaches',
+    'summary.locations': 'LOCATIONS PREACHED AT',
+    'summary.labourers': 'LABOURERS IN THE FIELD',
+    'summary.attached': '📄 Full report with detailed analysis attached.',
+    'summary.praise': 'Praise God for His faithfulness! 🙏',
+    'summary.pdfCaption': '📄 {cluster} - {period} Full Report',
+
+    // National report
+    'national.title': '📊 NATIONAL {kind} EVANGELISM REPORT 📊',
+    'national.clustersReporting': 'Clusters reporting: {count} of {total}',
+    'national.ranking': 'CLUSTER RANKING',
+    'national.silent': '⚠️ No reports from: {clusters}',
+    'national.pdfCaption': '📄 {church} - {period} National Report',
+
+    // Leader review of draft reports ("Draft #12" stays the same in every language)
+    'review.title': '📝 *Draft #{id}* - {cluster}, {period}',
+    'review.intro': 'This report is waiting for your review. Only approved reports are posted to the cluster group.',
+    'review.instructions':
+        'Reply to this message with:\n' +
+        '• *APPROVE #{id}* - post it as it is\n' +
+        '• *REGENERATE* - write the narrative again\n' +
+        '• *NARRATIVE:* and/or *CONCLUSION:* followed by your corrected text (copy it from the message above)',
+    'review.deadline': 'If no one decides within {hours} hours, the draft goes to the admins.',
+    'review.factCheck': '⚠️ The fact check removed sentences mentioning: {claims}',
+    'review.noLeaders': 'This cluster has no leaders to review its reports, so the draft has come to the admins.',
+    'review.escalated': '⏰ The cluster leaders made no decision within {hours} hours - please review.',
+    'review.regenerated': '🔄 Regenerated by {by}.',
+    'review.edited': '✏️ Edited by {by}.',
+    'review.approveWithId': 'To post draft #{id} to the cluster group, send *APPROVE #{id}* with the draft\'s number.',
+    'review.regenerating': '⏳ Regenerating draft #{id}...',
+    'review.approved': '✅ Draft #{id} ({cluster}) was approved by {by} and posted to {count} chat(s).',
+    'review.postFailed': '❌ Draft #{id} could not be posted: {error}\nReply APPROVE #{id} to try again.',
+    'review.escalatedLeaders': '⏰ Draft #{id} ({cluster}) had no decision within {hours} hours and has been passed to the admins. You can still decide on it.',
+    'review.closed': 'Draft #{id} is no longer waiting for review.',
+    'review.notReviewer': '⛔ Only the cluster\'s leaders and the admins can review draft #{id}.',
+    'review.which': 'Several drafts are waiting for you: {drafts}\nReply to the draft\'s message, or add its number, e.g. "APPROVE #{id}".',
+
+    // Reminders
+    'reminder.message':
+        '👋 Hello *{cluster}*!\n\n' +
+        'We haven\'t received an evangelism report from this group in the last {days} days. ' +
+        'If you\'ve been out preaching, we\'d love to hear about it! 🙌\n\n' +
+        'Copy the template in the next message, fill it in and send it here.\n\n' +
+        '_"How beautiful are the feet of them that preach the gospel of peace" - Romans 10:15_',
+
+    // Weekly digest
+    'digest.title': '🗞️ *WEEKLY EVANGELISM DIGEST*',
+    'digest.dates': '{start} to {end}',
+    'digest.outreaches': 'Outreaches',
+    'digest.up': '{count} (▲ {difference} from last week)',
+    'digest.down': '{count} (▼ {difference} from last week)',
+    'digest.same': '{count} (same as last week)',
+    'digest.places': 'Places reached',
+    'digest.labourers': 'Labourers in the field',
+    'digest.more': '...and {count} more',
+    'digest.closing': 'Thank you for your faithfulness this week! Keep going! 🔥',
+
+    // Test report (DM)
+    'testreport.noClusters': '❌ No clusters/assemblies configured. Please contact the administrator.',
+    'testreport.selectCluster': '📊 *TEST REPORT GENERATOR*\n\n🏛️ *Select the cluster you want a report for:*\n\n{options}\n\n🔢 Reply with the number of the cluster\n\n_Type "cancel" to cancel._',
+    'testreport.cancelled': '❌ Test report cancelled.',
+    'testreport.invalidNumber': '❌ Please enter a valid number between 1 and {max}.',
+    'testreport.selectMonth': '✅ Selected: *{cluster}*\n\n📅 *Select the month for the report:*\n\n{options}\n\n🔢 Reply with the number of the month\n\n_Type "cancel" to cancel._',
+    'testreport.generating': '⏳ Generating report for *{cluster}* — *{month}*...\n\nThis may take a moment while the AI analyzes the data.',
+    'testreport.noReports': '⚠️ No evangelism reports found for *{cluster}* in *{month}*.',
+    'testreport.title': '📊 *{cluster} — {month} REPORT*',
+    'testreport.locations': 'Locations',
+    'testreport.labourers': 'Labourers',
+    'testreport.pdfCaption': '📄 {cluster} — {month} Full Report',
+    'testreport.failed': '❌ Error generating the report. Please check the logs or try again.',
+
+    // Test reports for every cluster (yesterday's activity)
+    'testreport.allGenerating': 'Generating assembly reports... Please wait.',
+    'testreport.allNoReports': 'No evangelism reports found for the period.',
+    'testreport.allPdfCaption': '📄 {cluster} - Daily Report ({date})',
+    'testreport.allGenerated': '✅ Generated {count} assembly report(s).',
+    'testreport.allFailed': 'Error generating test report. Check logs.',
+
+    // Admin commands (DM). Command names and their arguments stay in English.
+    'admin.denied': '⛔ Sorry, that command is only available to administrators.',
+    'admin.failed': '❌ Error running {command}. Check the logs for details.',
+    'admin.usage': 'Usage: {usage}',
+    'admin.helpTitle': '🔐 *ADMIN COMMANDS*',
+    'admin.helpClusterRef': '_<cluster> can be the cluster ID or name._',
+    'admin.help.admin': 'Show this list of admin commands',
+    'admin.help.clusters': 'List clusters and their group IDs',
+    'admin.help.addcluster': 'Add a new cluster',
+    'admin.help.renamecluster': 'Rename a cluster',
+    'admin.help.bindgroup': 'Bind a WhatsApp group to a cluster',
+    'admin.help.clusterlanguage': 'Set the language of a cluster\'s group messages',
+    'admin.help.clustercommand': 'List reporting commands, or set the one a cluster\'s reports are written under',
+    'admin.help.leaders': 'List a cluster\'s leaders, who approve its reports before they are posted',
+    'admin.help.report': 'View a saved report',
+    'admin.help.regenerate': 'Regenerate a monthly report and send it to you',
+    'admin.help.resend': 'Regenerate a month and post it to the cluster group(s)',
+    'admin.help.reviews': 'List draft reports waiting for approval',
+    'admin.help.export': 'Export reports and summaries as a spreadsheet',
+    'admin.help.places': 'List the places the location map knows',
+    'admin.help.addplace': 'Add a map place, or correct its coordinates',
+    'admin.help.placealias': 'Teach the map another spelling of a place',
+    'admin.help.removeplace': 'Remove a place from the map',
+    'admin.help.unmatched': 'List reported locations the map could not place',
+    'admin.help.pause': 'Pause all scheduled jobs',
+    'admin.help.resume': 'Resume scheduled jobs',
+    'admin.help.schedule': 'List scheduled jobs and next runs, or change/run one',
+    'admin.default': '{name} (default)',
+    'admin.none': 'none',
+    'admin.allClusters': 'all clusters',
+    'admin.clusterNotFound': '❌ Cluster "{ref}" not found. Send !clusters to see the list.',
+
+    'admin.noClusters': 'No clusters configured. Use !addcluster <name>.',
+    'admin.clustersTitle': '🏛️ *CLUSTERS*',
+    'admin.noGroup': '⚠️ No group bound ({group})',
+    'admin.noGroupEmpty': '⚠️ No group bound',
+    'admin.clusterExists': '❌ Cluster "{name}" already exists.',
+    'admin.clusterAdded': '✅ Cluster *{name}* added (ID {id}).\n\nBind its group with:\n!bindgroup {id} <group id>',
+    'admin.noClusterId': '❌ No cluster with ID {id}.',
+    'admin.renamed': '✅ Renamed *{old}* to *{name}*.',
+    'admin.groupBound': '✅ *{cluster}* is now bound to {group}.',
+    'admin.languageSet': '✅ *{cluster}* group messages will now be in {language}.',
+    'admin.languageDefault': '✅ *{cluster}* group messages will now be in {language} (the default language).',
+    'admin.commandsTitle': '🖋️ *REPORTING COMMANDS*',
+    'admin.commandsFooter':
+        'Set a cluster\'s command with:\n{usage}\n\n' +
+        '_Reporters can also start a group report with a command, e.g. "Evangelism Report [Edit - Executor Present]"._',
+    'admin.commandSet': '✅ *{cluster}* reports will now be written as {command}.',
+    'admin.commandDefault': '✅ *{cluster}* reports will now be written as {command} (the default command).',
+
+    'admin.notAPhone': '❌ "{input}" is not a phone number. Use the full number with the country code, e.g. 263771234567.',
+    'admin.notALeader': '❌ {phone} is not a leader of *{cluster}*.',
+    'admin.leadersTitle': '👥 *{cluster} LEADERS*',
+    'admin.noLeaders': 'No leaders yet - this cluster\'s draft reports go to the admins.',
+
+    'admin.reportNotFound': '❌ Report #{id} not found.',
+    'admin.reportTitle': '📋 Report #{id} ({source})',
+    'admin.reportHeld': '⚠️ Held as a possible duplicate of Report #{id} - not counted',
+    'admin.regenerating': '⏳ Regenerating *{cluster}* report for {month}...',
+    'admin.noReports': '⚠️ No reports found for *{cluster}* in {month}.',
+    'admin.resendingOne': '⏳ Regenerating and posting {month} reports to the cluster group...',
+    'admin.resendingAll': '⏳ Regenerating and posting {month} reports to all cluster groups...',
+    'admin.resent': '✅ Posted {month} report to: {chats}',
+    'admin.nothingResent': '⚠️ Nothing was posted for {month} (no reports, or no group bound).',
+
+    'admin.noReviews': '✅ No draft reports are waiting for approval.',
+    'admin.reviewsTitle': '📝 *DRAFTS WAITING FOR APPROVAL*',
+    'admin.reviewPending': 'Pending since {date}',
+    'admin.reviewEscalated': '⏰ Escalated since {date}',
+    'admin.reviewLeaders': 'Leaders: {leaders}',
+    'admin.reviewsHint': 'Reply "APPROVE #<id>", "REGENERATE #<id>", or "#<id>" followed by NARRATIVE: / CONCLUSION: and the corrected text.',
+
+    'admin.exported': '📊 Export for *{scope}* ({start} to {end}): {count} report(s).',
+
+    'admin.noPlaces': 'No places yet. Use !addplace <name> <latitude> <longitude>.',
+    'admin.noPlacesMatch': 'No places match "{search}".',
+    'admin.placesTitle': '📍 *PLACES* ({count})',
+    'admin.placeAliases': 'aka {aliases}',
+    'admin.placeAdded': '✅ Added *{place}* at {latitude}, {longitude}.',
+    'admin.placeMoved': '✅ Moved *{place}* to {latitude}, {longitude}.',
+    'admin.placeNotFound': '❌ Place "{name}" not found. Send !places to see the list.',
+    'admin.aliasTaken': '❌ "{alias}" already means *{place}*.',
+    'admin.aliasAdded': '✅ "{alias}" will now be plotted at *{place}*.',
+    'admin.placeRemoved': '✅ Removed *{place}* from the map.',
+    'admin.unmatchedTitle': '📍 *LOCATIONS NOT IN THE GAZETTEER*\n_{scope}, {start} to {end}_',
+    'admin.allMatched': '✅ Every location reported for {scope} ({start} to {end}) is on the map.',
+
+    'admin.paused': '⏸️ Scheduled jobs paused. Send !resume to turn them back on.\n\n_The pause resets if the bot restarts._',
+    'admin.resumed': '▶️ Scheduled jobs resumed.',
+    'admin.noJob': '❌ No job called "{name}". Send !schedule to see the list.',
+    'admin.jobEnabled': '✅ *{name}* enabled.',
+    'admin.jobDisabled': '✅ *{name}* disabled.',
+    'admin.jobCronSet': '✅ *{name}* now runs on: {cron}',
+    'admin.jobRunning': '⏳ Running *{name}*...',
+    'admin.jobResult': '✅ *{name}*: {result}',
+    'admin.jobFailed': '❌ Could not update *{name}*: {error}',
+    'admin.scheduleTitle': '🗓️ *SCHEDULED JOBS*',
+    'admin.schedulerStopped': 'Status: ⛔ No active jobs',
+    'admin.schedulerPaused': 'Status: ⏸️ Paused',
+    'admin.schedulerActive': 'Status: ✅ Active',
+    'admin.jobCron': 'Cron: {cron}',
+    'admin.jobPeriod': 'Period: {period}',
+    'admin.jobAudience': 'To: {audience}',
+    'admin.jobNextRun': 'Next run: {time}',
+    'admin.jobLastRun': 'Last run: {time} - {result}',
+    'admin.scheduleHint': '_Change a job with !schedule <job> on|off|run|cron <expression>_'
+};
@@ -0,0 +1,84 @@
+import en from './en.js';
+import sn from './sn.js';
+import nd from './nd.js';
+
+/**
+ * Message catalogue
+ * Every user-facing bot message lives in en.js under a dotted key; sn.js and nd.js
+ * translate the same keys. A key missing from a translation falls back to English.
+ */
+
+const CATALOGUES = { en, sn, nd };
+
+export const LANGUAGES = Object.keys(CATALOGUES);
+export const FALLBACK_LANGUAGE = 'en';
+
+export const LANGUAGE_NAMES = {
+    en: 'English',
+    sn: 'ChiShona',
+    nd: 'isiNdebele'
+};
+
+// Extra names people type for each language (!language shona)
+const LANGUAGE_ALIASES = {
+    en: ['english', 'chirungu', 'isingisi'],
+    sn: ['shona', 'chishona'],
+    nd: ['ndebele', 'isindebele', 'sindebele']
+};
+
+/**
+ * Check whether a language code has a catalogue
+ * @param {string} language
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(language) {
+    return LANGUAGES.includes(language);
+}
+
+/**
+ * Turn user input ("sn", "Shona", "isiNdebele") into a language code
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function parseLanguage(input) {
+    const value = String(input || '').trim().toLowerCase();
+    if (!value) return null;
+    if (isSupportedLanguage(value)) return value;
+
+    return LANGUAGES.find(code =>
+        LANGUAGE_NAMES[code].toLowerCase() === value || LANGUAGE_ALIASES[code].includes(value)
+    ) || null;
+}
+
+/**
+ * Check whether a message key exists
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return key in CATALOGUES[FALLBACK_LANGUAGE];
+}
+
+/**
+ * Get every translation of a message key (used to recognise bot messages in any language)
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function allTranslations(key) {
+    return [...new Set(LANGUAGES.map(language => t(language, key)))];
+}
+
+/**
+ * Translate a message, filling in {placeholders}
+ * @param {string} language - Language code (unknown codes fall back to English)
+ * @param {string} key - Message key, e.g. 'form.askDate'
+ * @param {Object} [vars] - Placeholder values
+ * @returns {string}
+ */
+export function t(language, key, vars = {}) {
+    const template = CATALOGUES[language]?.[key] ?? CATALOGUES[FALLBACK_LANGUAGE][key] ?? key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+    );
+}
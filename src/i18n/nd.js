@@ -0,0 +1,328 @@
+/**
+ * Ndebele messages (isiNdebele)
+ * Keys missing here fall back to English.
+ */
+export default {
+    'label.activity_date': 'Usuku',
+    'label.location': 'Indawo',
+    'label.area': 'Isiqinti',
+    'label.city': 'Idolobha',
+    'label.activity_type': 'Uhlobo lomsebenzi',
+    'label.preachers_team': 'Abatshumayeli',
+    'label.message_summary': 'Isifinyezo selizwi',
+    'label.response_moments': 'Okwenzakeleyo',
+    'label.saved': 'Abasindisiweyo',
+    'label.healed': 'Abaphilisiweyo',
+    'label.reporter_name': 'Umbiki',
+    'label.reporting_command': 'Reporting Command',
+    'label.cluster': 'Cluster',
+
+    'kind.daily': 'Wosuku',
+    'kind.weekly': 'Weviki',
+    'kind.monthly': 'Wenyanga',
+    'kind.quarterly': 'Wezinyanga Ezintathu',
+
+    'dm.reportsInGroupOnly': '🚫❌ Imibiko yevangeli ayithunyelwa lapha ku DM.\n\n📢 Thumelani umbiko wenu eqenjini! 🙏',
+    'dm.unknownCommand': 'Angiwuzwisisi lowo mlayo. Thumelani "evangelism" ukuze liqale umbiko, kumbe "!help" ukuze lincediswe.',
+    'help.text':
+        '📖 EVANGELISM REPORTER BOT\n\n' +
+        'Lamukelekile ku Evangelism Reporter ye{church}!\n\n' +
+        '**IMILAYO:**\n' +
+        'evangelism - Qalisani umbiko omutsha\n' +
+        'testreport - Enzani umbiko wokuhlola we cluster lenyanga\n' +
+        '!language - Khethani ulimi engiliphendula ngalo\n' +
+        '!help - Tshengisani lumlayezo\n' +
+        'cancel - Misani ifomu (lisagcwalisa)\n\n' +
+        '**KUSEBENZA NJANI:**\n' +
+        '1. Thumelani "evangelism" ukuze liqale\n' +
+        '2. Phendulani imibuzo ngokulandelana\n' +
+        '3. Hlolani beselivuma umbiko wenu\n' +
+        '4. Umbiko wenu uthunyelwa eqenjini lenu ngokwawo\n\n' +
+        'Imibiko yonke iyagcinwa njalo ihlolisiswe ukwenza isifinyezo senyanga.\n\n',
+    'help.admin': '🔐 Lingu admin - thumelani !admin ukuze libone imilayo ye admin.\n\n',
+    'help.blessing': 'UNkulunkulu abusise umsebenzi wenu wokutshumayela! 🙏',
+
+    'language.current': '🌐 Ulimi lwenu: *{language}*\n\nUkuluntshintsha, thumelani okukodwa kwalokhu:\n{options}',
+    'language.changed': '✅ Kusukela manje ngizaliphendula nge*{language}*.',
+    'language.unknown': '❌ Angilwazi ulimi "{input}". Thumelani !language ukuze libone okukhethwayo.',
+
+    'form.cancelled': '❌ Ifomu imisiwe. Thumelani "evangelism" ukuze liqale umbiko omutsha.',
+    'form.noClusters': '❌ Akula ma cluster ahleliweyo. Xhumanani lo admin.',
+    'form.selectCluster': '📋 *IFOMU YOMBIKO WEVANGELI*\n\nTM *Khethani i cluster yenu:*\n\n{options}\n\n🔢 Phendulani ngenombolo ye cluster yenu\n\n_Bhalani "cancel" noma nini ukuze limise._',
+    'form.invalidCluster': '❌ I cluster elikhethileyo ayikho.',
+    'form.askDate': '✅ Cluster: *{cluster}*\n\n📅 *Umsebenzi lo wenziwa nini?*\n(Bhalani usuku njenge DD/MM/YYYY, kumbe "lamuhla" loba "izolo")',
+    'form.askLocation': '✅ Usuku: {date}\n\n📍 Umsebenzi lo wenzelwa ngaphi?\n(Bhalani ibizo lendawo, kumbe lithumele 📍 iphini lendawo)',
+    'form.askArea': '✅ Indawo: *{location}*\n\n🏘️ *Kusesiqintini sini?*\n(Bhalani ibizo lesiqinti)',
+    'form.askCity': '✅ Isiqinti: *{area}*\n\n🏙️ *Kusedolobheni lipi?*\n(Bhalani ibizo ledolobha)',
+    'form.askActivityType': '✅ Idolobha: *{city}*\n\n📋 *Bekungumsebenzi wevangeli onjani?*\n\n{options}\n\n🔢 Phendulani ngenombolo:',
+    'form.askCustomActivityType': '✅ Uhlobo lomsebenzi: *Okunye*\n\n📝 *Chazani uhlobo lomsebenzi wevangeli:*\n(Bhalani ngamazwi enu, isibonelo "Ukutshumayela ebhasini", "Ukutshumayela emakethe")',
+    'form.customTypeTooShort': '❌ Uhlobo lomsebenzi kumele lube lezinhlamvu ezingaba ngu 3.',
+    'form.customTypeTooLong': '❌ Uhlobo lomsebenzi lude kakhulu (izinhlamvu ezi 100 kuphela).',
+    'form.askTeam': '✅ Uhlobo lomsebenzi: *{type}*\n\n👥 *Ngobani abatshumayeli/iqembu elalikhona?*\n(Bhalani amabizo, isibonelo "John, Mary, Peter")',
+    'form.askSummary': '✅ Abatshumayeli: {team}\n\n📖 Sinikeni isifinyezo salokho okwenzakala emsebenzini:\n(Chazani ilizwi, okwenzakeleyo, lokunye - izinhlamvu ezingaba ngu 10)',
+    'form.askMoments': '✅ Isifinyezo sibhaliwe\n\n✨ Kukhona okuqakathekileyo okwenzakeleyo na?\n(Chazani okwenzakeleyo, ubufakazi, lokunye, kumbe libhale "lutho" ukuze ledlule)',
+    'form.momentsRecorded': '✅ Okwenzakeleyo kubhaliwe',
+    'form.noMoments': '— Akukho okuqakathekileyo',
+    'form.askSaved': '✝️ Bangaki abasindisiweyo?\n(Bhalani inombolo, kumbe 0 nxa bengekho)',
+    'form.askHealed': '✅ Abasindisiweyo: {saved}\n\n🙏 Bangaki abaphilisiweyo?\n(Bhalani inombolo, kumbe 0 nxa bengekho)',
+    'form.askName': '✅ Abaphilisiweyo: {healed}\n\n📝 Okokucina, bhalani ibizo lenu eligcweleyo (umbiki):',
+    'form.summaryTitle': '📖 ISIFINYEZO SOMBIKO 📖',
+    'form.summaryActivityType': 'Uhlobo lomsebenzi',
+    'form.summaryTeam': 'Abatshumayeli',
+    'form.summarySummary': 'Isifinyezo',
+    'form.confirm': '✅ Phendulani *"yebo"* ukuze lithumele\n❌ Phendulani *"hatshi"* ukuze limise',
+    'form.reportCancelled': '❌ Umbiko umisiwe. Thumelani "evangelism" ukuze liqale umbiko omutsha.',
+    'form.submitted': '✅ Umbiko uthunyelwe!\n\nUmbiko wenu ugciniwe njalo uzathunyelwa eqenjini le cluster yenu.\n\nSiyabonga ngokuthembeka kwenu! 🙏',
+    'form.saveFailed': '❌ Kube lephutha ekugcineni umbiko. Zamani futhi ngemva kwesikhathi kumbe lixhumane lo admin.',
+
+    'validation.enterNumber': 'Bhalani inombolo eqondileyo.',
+    'validation.numberRange': 'Bhalani inombolo ephakathi kuka 1 lo {max}.',
+    'validation.tooShort': '{field} kumele kube lezinhlamvu ezingaba ngu {min}.',
+    'validation.tooLong': '{field} kude kakhulu (izinhlamvu ezi {max} kuphela).',
+    'validation.invalidDate': 'Usuku alubhalwanga kahle. Bhalani DD/MM/YYYY, "lamuhla", kumbe "izolo".',
+    'validation.futureDate': 'Usuku lomsebenzi alungeke lube ngolwakusasa.',
+    'validation.notANumber': '{field} kumele kube yinombolo eqondileyo.',
+    'validation.negative': '{field} akungeke kube ngaphansi kuka 0.',
+    'validation.tooLarge': '{field} kunengi kakhulu. Hlolani futhi.',
+    'validation.yesOrNo': 'Phendulani "yebo" kumbe "hatshi".',
+    'validation.name': 'Ibizo',
+    'validation.notes': 'Okunye okubhaliweyo',
+
+    'report.savedTitle': 'Umbiko Ugciniwe!',
+    'report.photoSaved': 'Isithombe sigcinwe lombiko',
+    'report.attachmentSaved': 'Ifayili ligcinwe lombiko',
+    'report.pinAttached': 'Iphini lendawo linamathiselwe embikweni',
+    'report.correctionHint': 'Ukulungisa iphutha, phendulani lumlayezo ngomugqa olungisiweyo, isibonelo "{example}".',
+    'report.thanks': 'Siyabonga ngokuthembeka kwenu! 🙏',
+    'report.errorTitle': 'Iphutha Embikweni',
+    'report.errorIntro': 'Umbiko awugcinwanga ngenxa yalokhu okulandelayo:',
+    'report.errorHint': 'Hlolani indlela obhalwe ngayo lizame futhi.',
+    'report.notClusterGroup': '❌ Leli qembu kalihlelwanga njengeqembu le cluster. Xhumanani lo admin.',
+    'report.saveFailed': '❌ Kube lephutha ekugcineni umbiko. Zamani futhi kumbe lixhumane lo admin.',
+    'report.updateFailed': '❌ Kube lephutha ekulungiseni umbiko. Zamani futhi kumbe lixhumane lo admin.',
+
+    'parser.missing': 'Akukho {field}: lokhu kuyadingeka',
+    'parser.empty': '{field} akubhalwanga lutho: lokhu kuyadingeka',
+    'parser.invalidDate': 'Usuku alubhalwanga kahle. Bhalani DD/MM/YYYY (isibonelo 10/02/2026)',
+    'parser.notANumber': '{field} kumele kube yinombolo',
+
+    'duplicate.title': 'Umbiko Ongaba Uphindiwe',
+    'duplicate.warning':
+        'Lokhu kufana le Report #{originalId} esigciniwe:\n' +
+        '📅 {date} — 📍 {place}\n' +
+        '📝 Ibikwe ngu {reporter}\n\n' +
+        '📋 Ibanjwe njenge Report #{heldId} — *kayizukubalwa* enanini.\n\n' +
+        'Nxa kungumsebenzi ohlukileyo, phendulani lumlayezo ngo *CONFIRM* ukuze ibalwe. ' +
+        'Nxa kungenjalo, susani umlayezo wenu ukuze ilahlwe.',
+    'duplicate.onlySender': '⛔ @{phone} ngothumele i Report #{id} kuphela ongayivuma.',
+    'duplicate.confirmed': '✅ Report #{id} ivunyiwe njalo ibaliwe. Siyabonga! 🙏',
+
+    'correction.onlyReporter': '⛔ @{phone} ngumbiki wokuqala kuphela ongalungisa i Report #{id}.',
+    'correction.notChanged': '❌ *Report #{id} kayintshintshwanga* @{phone}',
+    'correction.nothingToChange': 'ℹ️ Report #{id} isilalokho elikubhalileyo - akulalutho olokuntshintsha.',
+    'correction.updated': '✏️ *Report #{id} ilungisiwe* @{phone}',
+    'edit.rejected': '❌ *Report #{id} kayintshintshwanga.*\n\nUmlayezo olungisiweyo ulalezi zinkinga:',
+    'edit.kept': 'Okwakugcinwe kuqala kuhlala kunjalo.',
+    'edit.updated': '✏️ *Report #{id} ilungisiwe*',
+
+    'pin.attached': '📍 Iphini lendawo lengezelelwe ku Report #{id} @{phone}. Lizabonakala endaweni leyo kanye emephini.',
+    'pin.pending': '📍 Indawo yamukelwe @{phone}. Izanamathiselwa embikweni wenu olandelayo kuleli qembu.',
+    'pin.noReport': '📍 Ukuze lengeze indawo, yithumeleni eqenjini lenu niphendula umbiko wenu, kumbe ngaphambi kokuwuthumela.',
+    'pin.formSaved': '📍 Iphini lendawo ligcinwe lalumbiko. Phendulani umbuzo ongaphezulu.',
+
+    'delete.notice':
+        '🗑️ *Report #{id} isusiwe.*\n\n' +
+        '👤 Isuswe ngu: {deleter}\n' +
+        '📋 Umbiki wokuqala: {reporter}\n' +
+        '📅 Usuku lomsebenzi: {date}\n' +
+        '📍 Indawo: {location}\n\n' +
+        '_Umbiko lo ususiwe ku database._',
+
+    'post.title': '📊 UMBIKO WEVANGELI 📊',
+    'post.activity': 'Umsebenzi',
+    'post.team': 'Iqembu',
+    'post.summary': 'Isifinyezo',
+    'post.results': 'Okutholakeleyo',
+
+    'summary.title': '📊 UMBIKO {kind} WEVANGELI 📊',
+    'summary.period': 'Isikhathi',
+    'summary.keyStatistics': 'AMANANI AMQOKA',
+    'summary.totalOutreaches': 'Imisebenzi yonke yokutshumayela',
+    'summary.locations': 'INDAWO EZATSHUMAYELWA KUZO',
+    'summary.labourers': 'ABASEBENZI ENSIMINI',
+    'summary.attached': '📄 Umbiko ogcweleyo olokuhlolisisa ufakiwe.',
+    'summary.praise': 'Kadumiswe uNkulunkulu ngokuthembeka kwakhe! 🙏',
+    'summary.pdfCaption': '📄 {cluster} - Umbiko Ogcweleyo we {period}',
+
+    'national.title': '📊 UMBIKO {kind} WEVANGELI WELIZWE LONKE 📊',
+    'national.clustersReporting': 'Ama cluster athumele imibiko: {count} kwayi {total}',
+    'national.ranking': 'UKULANDELANA KWAMA CLUSTER',
+    'national.silent': '⚠️ Akula mibiko evela ku: {clusters}',
+    'national.pdfCaption': '📄 {church} - Umbiko Welizwe Lonke we {period}',
+
+    'review.title': '📝 *Draft #{id}* - {cluster}, {period}',
+    'review.intro': 'Umbiko lo ulindele ukuthi uwuhlole. Yimibiko evunyiweyo kuphela ethunyelwa eqenjini le cluster.',
+    'review.instructions':
+        'Phendula umlayezo lo ngo:\n' +
+        '• *APPROVE #{id}* - ukuthi uthunyelwe unjalo\n' +
+        '• *REGENERATE* - ukuthi indaba ibhalwe kutsha\n' +
+        '• *NARRATIVE:* lo/kumbe *CONCLUSION:* kulandele amazwi owalungisileyo (wathathe emlayezweni ongaphezulu)',
+    'review.deadline': 'Nxa kungela okhethayo phakathi kwamahola angu {hours}, idraft izathunyelwa kuma admin.',
+    'review.factCheck': '⚠️ Ukuhlolwa kweqiniso kususe imitsho ekhuluma nge: {claims}',
+    'review.noLeaders': 'Le cluster kayilabakhokheli abahlola imibiko yayo, ngakho idraft ize kuma admin.',
+    'review.escalated': '⏰ Abakhokheli be cluster kabakhethanga phakathi kwamahola angu {hours} - siza uyihlole.',
+    'review.regenerated': '🔄 Ibhalwe kutsha ngu {by}.',
+    'review.edited': '✏️ Ilungiswe ngu {by}.',
+    'review.approveWithId': 'Ukuze idraft #{id} ithunyelwe eqenjini le cluster, thumela *APPROVE #{id}* lenombolo yedraft.',
+    'review.regenerating': '⏳ Ngibhala idraft #{id} kutsha...',
+    'review.approved': '✅ Draft #{id} ({cluster}) ivunywe ngu {by} njalo ithunyelwe kuma chat angu {count}.',
+    'review.postFailed': '❌ Draft #{id} ayithunyelwanga: {error}\nPhendula APPROVE #{id} ukuze siphinde sizame.',
+    'review.escalatedLeaders': '⏰ Draft #{id} ({cluster}) ayikhethwanga phakathi kwamahola angu {hours} ngakho idluliselwe kuma admin. Lingaqhubeka likhetha.',
+    'review.closed': 'Draft #{id} kayisalindanga ukuhlolwa.',
+    'review.notReviewer': '⛔ Ngabakhokheli be cluster lama admin kuphela abangahlola idraft #{id}.',
+    'review.which': 'Kulama draft amanengi akulindeleyo: {drafts}\nPhendula umlayezo wedraft leyo, kumbe ufake inombolo yayo, isibonelo "APPROVE #{id}".',
+
+    'reminder.message':
+        '👋 Salibonani *{cluster}*!\n\n' +
+        'Kasitholanga umbiko wevangeli kuleli qembu ezinsukwini ezi {days} ezedluleyo. ' +
+        'Nxa belisiyatshumayela, singathanda ukuzwa ngakho! 🙌\n\n' +
+        'Thathani ifomu elisemlayezweni olandelayo, liligcwalise beselilithumela lapha.\n\n' +
+        '_"Yeka ubuhle bezinyawo zabatshumayela ivangeli lokuthula" - KwabaseRoma 10:15_',
+
+    'digest.title': '🗞️ *ISIFINYEZO SEVIKI SEVANGELI*',
+    'digest.dates': '{start} kusiya ku {end}',
+    'digest.outreaches': 'Imisebenzi yokutshumayela',
+    'digest.up': '{count} (▲ {difference} ukwedlula iviki edlulileyo)',
+    'digest.down': '{count} (▼ {difference} ngaphansi kweviki edlulileyo)',
+    'digest.same': '{count} (kuyafana leviki edlulileyo)',
+    'digest.places': 'Indawo ezifinyelelwe',
+    'digest.labourers': 'Abasebenzi ensimini',
+    'digest.more': '...lezinye ezi {count}',
+    'digest.closing': 'Siyabonga ngokuthembeka kwenu kuleli viki! Qhubekani! 🔥',
+
+    'testreport.noClusters': '❌ Akula ma cluster ahleliweyo. Xhumanani lo admin.',
+    'testreport.selectCluster': '📊 *UMENZI WOMBIKO WOKUHLOLA*\n\n🏛️ *Khethani i cluster elifuna umbiko wayo:*\n\n{options}\n\n🔢 Phendulani ngenombolo ye cluster\n\n_Bhalani "cancel" ukuze limise._',
+    'testreport.cancelled': '❌ Umbiko wokuhlola umisiwe.',
+    'testreport.invalidNumber': '❌ Bhalani inombolo eqondileyo ephakathi kuka 1 lo {max}.',
+    'testreport.selectMonth': '✅ Ikhethiwe: *{cluster}*\n\n📅 *Khethani inyanga yombiko:*\n\n{options}\n\n🔢 Phendulani ngenombolo yenyanga\n\n_Bhalani "cancel" ukuze limise._',
+    'testreport.generating': '⏳ Ngenza umbiko we *{cluster}* — *{month}*...\n\nLokhu kungathatha isikhathi i AI ihlolisisa ulwazi.',
+    'testreport.noReports': '⚠️ Akula mibiko yevangeli ye *{cluster}* ku *{month}*.',
+    'testreport.title': '📊 *{cluster} — UMBIKO WE {month}*',
+    'testreport.locations': 'Indawo',
+    'testreport.labourers': 'Abasebenzi',
+    'testreport.pdfCaption': '📄 {cluster} — Umbiko Ogcweleyo we {month}',
+    'testreport.failed': '❌ Kube lephutha ekwenzeni umbiko. Zamani futhi.',
+
+    'testreport.allGenerating': 'Ngenza imibiko yama cluster... Lindani kancane.',
+    'testreport.allNoReports': 'Akula mibiko yevangeli etholakeleyo kulesi sikhathi.',
+    'testreport.allPdfCaption': '📄 {cluster} - Umbiko Wosuku ({date})',
+    'testreport.allGenerated': '✅ Ngenze imibiko yama cluster engu {count}.',
+    'testreport.allFailed': 'Kube lephutha ekwenzeni umbiko wokuhlola. Hlolani ama log.',
+
+    'admin.denied': '⛔ Uxolo, lowo mlayo ngowama admin kuphela.',
+    'admin.failed': '❌ Kube lephutha ekwenzeni u {command}. Hlolani ama log ukuze libone okwenzakeleyo.',
+    'admin.usage': 'Ukusetshenziswa: {usage}',
+    'admin.helpTitle': '🔐 *IMILAYO YE ADMIN*',
+    'admin.helpClusterRef': '_<cluster> ingaba yi ID kumbe ibizo le cluster._',
+    'admin.help.admin': 'Tshengisani imilayo ye admin le',
+    'admin.help.clusters': 'Tshengisani ama cluster lama ID amaqembu awo',
+    'admin.help.addcluster': 'Engezani i cluster entsha',
+    'admin.help.renamecluster': 'Ntshintshani ibizo le cluster',
+    'admin.help.bindgroup': 'Hlanganisani iqembu le WhatsApp le cluster',
+    'admin.help.clusterlanguage': 'Khethani ulimi lwemilayezo yeqembu le cluster',
+    'admin.help.clustercommand': 'Tshengisani ama reporting command, kumbe likhethe elibhalwa ngalo imibiko ye cluster',
+    'admin.help.leaders': 'Tshengisani abakhokheli be cluster, abavuma imibiko yayo ingakathunyelwa',
+    'admin.help.report': 'Bonani umbiko ogciniweyo',
+    'admin.help.regenerate': 'Enzani umbiko wenyanga kutsha lithunyelelwe wona',
+    'admin.help.resend': 'Enzani inyanga kutsha liyithumele emaqenjini ama cluster',
+    'admin.help.reviews': 'Tshengisani ama draft alindele ukuvunywa',
+    'admin.help.export': 'Khuphani imibiko lezifinyezo njenge spreadsheet',
+    'admin.help.places': 'Tshengisani indawo ezaziwa yimephu',
+    'admin.help.addplace': 'Engezani indawo emephini, kumbe lilungise ama coordinate ayo',
+    'admin.help.placealias': 'Fundisani imephu okunye ukubhalwa kwendawo',
+    'admin.help.removeplace': 'Susani indawo emephini',
+    'admin.help.unmatched': 'Tshengisani indawo ezibikiweyo imephu engazitholanga',
+    'admin.help.pause': 'Misani yonke imisebenzi ehleliweyo',
+    'admin.help.resume': 'Qhubekisani imisebenzi ehleliweyo',
+    'admin.help.schedule': 'Tshengisani imisebenzi ehleliweyo lesikhathi elizakwenziwa ngaso, kumbe lintshintshe/lenze owodwa',
+    'admin.default': '{name} (ejwayelekileyo)',
+    'admin.none': 'akulamuntu',
+    'admin.allClusters': 'wonke ama cluster',
+    'admin.clusterNotFound': '❌ I cluster "{ref}" ayitholakalanga. Thumelani !clusters ukuze libone uhlu.',
+
+    'admin.noClusters': 'Akula ma cluster ahleliweyo. Sebenzisani !addcluster <ibizo>.',
+    'admin.clustersTitle': '🏛️ *AMA CLUSTER*',
+    'admin.noGroup': '⚠️ Akula qembu elihlanganisiweyo ({group})',
+    'admin.noGroupEmpty': '⚠️ Akula qembu elihlanganisiweyo',
+    'admin.clusterExists': '❌ I cluster "{name}" isikhona.',
+    'admin.clusterAdded': '✅ I cluster *{name}* yengeziwe (ID {id}).\n\nHlanganisani iqembu layo ngo:\n!bindgroup {id} <group id>',
+    'admin.noClusterId': '❌ Akula cluster ele ID {id}.',
+    'admin.renamed': '✅ *{old}* manje ithiwa *{name}*.',
+    'admin.groupBound': '✅ *{cluster}* manje ihlanganiswe lo {group}.',
+    'admin.languageSet': '✅ Imilayezo yeqembu le *{cluster}* izakuba ngesi {language}.',
+    'admin.languageDefault': '✅ Imilayezo yeqembu le *{cluster}* izakuba ngesi {language} (ulimi olujwayelekileyo).',
+    'admin.commandsTitle': '🖋️ *AMA REPORTING COMMAND*',
+    'admin.commandsFooter':
+        'Khethani i command ye cluster ngo:\n{usage}\n\n' +
+        '_Ababhali bemibiko bangaqalisa umbiko weqembu nge command, isibonelo "Evangelism Report [Edit - Executor Present]"._',
+    'admin.commandSet': '✅ Imibiko ye *{cluster}* izabhalwa njenge {command}.',
+    'admin.commandDefault': '✅ Imibiko ye *{cluster}* izabhalwa njenge {command} (i command ejwayelekileyo).',
+
+    'admin.notAPhone': '❌ "{input}" kayisiyo nombolo yefoni. Sebenzisani inombolo epheleleyo lekhodi yelizwe, isibonelo 263771234567.',
+    'admin.notALeader': '❌ {phone} kasuye umkhokheli we *{cluster}*.',
+    'admin.leadersTitle': '👥 *ABAKHOKHELI BE {cluster}*',
+    'admin.noLeaders': 'Akula bakhokheli okwakhathesi - ama draft ale cluster aya kuma admin.',
+
+    'admin.reportNotFound': '❌ Report #{id} ayitholakalanga.',
+    'admin.reportTitle': '📋 Report #{id} ({source})',
+    'admin.reportHeld': '⚠️ Ibanjwe njengokungaba yiphinda le Report #{id} - kayibalwa',
+    'admin.regenerating': '⏳ Ngenza kutsha umbiko we *{cluster}* we {month}...',
+    'admin.noReports': '⚠️ Akula mibiko ye *{cluster}* ku {month}.',
+    'admin.resendingOne': '⏳ Ngenza kutsha ngithumela imibiko ye {month} eqenjini le cluster...',
+    'admin.resendingAll': '⏳ Ngenza kutsha ngithumela imibiko ye {month} kuwo wonke amaqembu ama cluster...',
+    'admin.resent': '✅ Umbiko we {month} uthunyelwe ku: {chats}',
+    'admin.nothingResent': '⚠️ Kakulalutho oluthunyelweyo lwe {month} (akula mibiko, kumbe akula qembu elihlanganisiweyo).',
+
+    'admin.noReviews': '✅ Akula ma draft alindele ukuvunywa.',
+    'admin.reviewsTitle': '📝 *AMA DRAFT ALINDELE UKUVUNYWA*',
+    'admin.reviewPending': 'Ilindile kusukela ngo {date}',
+    'admin.reviewEscalated': '⏰ Idluliselwe kuma admin kusukela ngo {date}',
+    'admin.reviewLeaders': 'Abakhokheli: {leaders}',
+    'admin.reviewsHint': 'Phendulani "APPROVE #<id>", "REGENERATE #<id>", kumbe "#<id>" kulandele NARRATIVE: / CONCLUSION: lamazwi alungisiweyo.',
+
+    'admin.exported': '📊 Imibiko ye *{scope}* ({start} kusiya ku {end}): imibiko engu {count}.',
+
+    'admin.noPlaces': 'Akula ndawo okwakhathesi. Sebenzisani !addplace <ibizo> <latitude> <longitude>.',
+    'admin.noPlacesMatch': 'Akula ndawo efanana lo "{search}".',
+    'admin.placesTitle': '📍 *INDAWO* ({count})',
+    'admin.placeAliases': 'ibizwa njalo ngokuthi {aliases}',
+    'admin.placeAdded': '✅ *{place}* yengeziwe ku {latitude}, {longitude}.',
+    'admin.placeMoved': '✅ *{place}* isiwe ku {latitude}, {longitude}.',
+    'admin.placeNotFound': '❌ Indawo "{name}" ayitholakalanga. Thumelani !places ukuze libone uhlu.',
+    'admin.aliasTaken': '❌ "{alias}" isivele itsho *{place}*.',
+    'admin.aliasAdded': '✅ "{alias}" izabekwa emephini ku *{place}*.',
+    'admin.placeRemoved': '✅ *{place}* isusiwe emephini.',
+    'admin.unmatchedTitle': '📍 *INDAWO EZINGEKHO EMEPHINI*\n_{scope}, {start} kusiya ku {end}_',
+    'admin.allMatched': '✅ Zonke indawo ezibikiweyo ze {scope} ({start} kusiya ku {end}) zisemephini.',
+
+    'admin.paused': '⏸️ Imisebenzi ehleliweyo imisiwe. Thumelani !resume ukuze iqhubeke.\n\n_Ukumiswa kuyaphela nxa i bot iqalisa kutsha._',
+    'admin.resumed': '▶️ Imisebenzi ehleliweyo iqhubekile.',
+    'admin.noJob': '❌ Akula msebenzi othiwa "{name}". Thumelani !schedule ukuze libone uhlu.',
+    'admin.jobEnabled': '✅ *{name}* ivuliwe.',
+    'admin.jobDisabled': '✅ *{name}* ivaliwe.',
+    'admin.jobCronSet': '✅ *{name}* manje yenziwa ngo: {cron}',
+    'admin.jobRunning': '⏳ Ngenza u *{name}*...',
+    'admin.jobResult': '✅ *{name}*: {result}',
+    'admin.jobFailed': '❌ *{name}* ayintshintshanga: {error}',
+    'admin.scheduleTitle': '🗓️ *IMISEBENZI EHLELIWEYO*',
+    'admin.schedulerStopped': 'Isimo: ⛔ Akula msebenzi osebenzayo',
+    'admin.schedulerPaused': 'Isimo: ⏸️ Imisiwe',
+    'admin.schedulerActive': 'Isimo: ✅ Iyasebenza',
+    'admin.jobCron': 'Cron: {cron}',
+    'admin.jobPeriod': 'Isikhathi: {period}',
+    'admin.jobAudience': 'Ku: {audience}',
+    'admin.jobNextRun': 'Uzakwenziwa: {time}',
+    'admin.jobLastRun': 'Wenziwe: {time} - {result}',
+    'admin.scheduleHint': '_Ntshintshani umsebenzi ngo !schedule <job> on|off|run|cron <expression>_'
+
+};
@@ -0,0 +1,77 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { getUserPreferences, saveUserLanguage, getAssemblyByGroupJid } from '../database/db.js';
+import { FALLBACK_LANGUAGE, isSupportedLanguage } from './index.js';
+
+/**
+ * Language preferences
+ * DMs use the user's chosen language (!language), group messages use the
+ * cluster's language (!clusterlanguage). Both fall back to DEFAULT_LANGUAGE.
+ */
+
+/**
+ * The configured default language (English if DEFAULT_LANGUAGE is not a known code)
+ * @returns {string}
+ */
+export function getDefaultLanguage() {
+    return isSupportedLanguage(config.defaultLanguage) ? config.defaultLanguage : FALLBACK_LANGUAGE;
+}
+
+/**
+ * Phone number part of a JID, without the device suffix ("2637...:12@s.whatsapp.net" → "2637...")
+ * @param {string} jid
+ * @returns {string}
+ */
+function phoneFromJid(jid) {
+    return jid.split('@')[0].split(':')[0];
+}
+
+/**
+ * Get the language a user has chosen for DMs
+ * @param {string} userJid - User's WhatsApp JID
+ * @returns {Promise<string>}
+ */
+export async function getUserLanguage(userJid) {
+    try {
+        const preferences = await getUserPreferences(phoneFromJid(userJid));
+        if (isSupportedLanguage(preferences?.language)) {
+            return preferences.language;
+        }
+    } catch (error) {
+        logger.error('Error loading language preference:', error);
+    }
+
+    return getDefaultLanguage();
+}
+
+/**
+ * Save the language a user wants DMs in
+ * @param {string} userJid - User's WhatsApp JID
+ * @param {string} language - Language code
+ */
+export async function setUserLanguage(userJid, language) {
+    await saveUserLanguage(phoneFromJid(userJid), language);
+}
+
+/**
+ * Get a cluster's language
+ * @param {Object|null} assembly - Assembly record
+ * @returns {string}
+ */
+export function getClusterLanguage(assembly) {
+    return isSupportedLanguage(assembly?.language) ? assembly.language : getDefaultLanguage();
+}
+
+/**
+ * Get the language of the cluster that owns a group
+ * @param {string} groupJid - Group JID
+ * @returns {Promise<string>}
+ */
+export async function getGroupLanguage(groupJid) {
+    try {
+        return getClusterLanguage(await getAssemblyByGroupJid(groupJid));
+    } catch (error) {
+        logger.error('Error loading cluster language:', error);
+        return getDefaultLanguage();
+    }
+}
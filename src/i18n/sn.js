@@ -0,0 +1,327 @@
+/**
+ * Shona messages (ChiShona)
+ * Keys missing here fall back to English.
+ */
+export default {
+    'label.activity_date': 'Zuva',
+    'label.location': 'Nzvimbo',
+    'label.area': 'Nharaunda',
+    'label.city': 'Guta',
+    'label.activity_type': 'Rudzi rweEvangelism',
+    'label.preachers_team': 'Vaparidzi',
+    'label.message_summary': 'Pfupiso yeShoko',
+    'label.response_moments': 'Zvakaitika',
+    'label.saved': 'Vakaponeswa',
+    'label.healed': 'Vakaporeswa',
+    'label.reporter_name': 'Akanyora',
+    'label.reporting_command': 'Reporting Command',
+    'label.cluster': 'Cluster',
+
+    'kind.daily': 'Yezuva',
+    'kind.weekly': 'Yevhiki',
+    'kind.monthly': 'Yemwedzi',
+    'kind.quarterly': 'Yemwedzi Mitatu',
+
+    'dm.reportsInGroupOnly': '🚫❌ Maripoti e evangelism haatumirwe pano pa DM.\n\n📢 Tumirai ripoti yenyu muboka! 🙏',
+    'dm.unknownCommand': 'Handinzwisise murayiro uyu. Tumirai "evangelism" kuti mutange ripoti, kana "!help" kuti mubatsirwe.',
+    'help.text':
+        '📖 EVANGELISM REPORTER BOT\n\n' +
+        'Mauya kuEvangelism Reporter ye{church}!\n\n' +
+        '**MIRAYIRO:**\n' +
+        'evangelism - Tangai ripoti itsva\n' +
+        'testreport - Gadzirai ripoti yekuedza ye cluster nemwedzi\n' +
+        '!language - Sarudzai mutauro wandinokupindurai nawo\n' +
+        '!help - Ratidzai mashoko aya\n' +
+        'cancel - Misai fomu (muchiri kuzadza)\n\n' +
+        '**ZVINOSHANDA SEI:**\n' +
+        '1. Tumirai "evangelism" kuti mutange\n' +
+        '2. Pindurai mibvunzo umwe neumwe\n' +
+        '3. Ongororai mobvuma ripoti yenyu\n' +
+        '4. Ripoti yenyu inotumirwa kuboka renyu pachayo\n\n' +
+        'Maripoti ose anochengetwa uye anoongororwa kuti pagadzirwe pfupiso yemwedzi.\n\n',
+    'help.admin': '🔐 Muri admin - tumirai !admin kuti muone mirayiro ye admin.\n\n',
+    'help.blessing': 'Mwari vakomborere basa renyu rekuparidza! 🙏',
+
+    'language.current': '🌐 Mutauro wenyu: *{language}*\n\nKuti muuchinje, tumirai chimwe chezvinotevera:\n{options}',
+    'language.changed': '✅ Kubva zvino ndichakupindurai ne*{language}*.',
+    'language.unknown': '❌ Handizivi mutauro wekuti "{input}". Tumirai !language kuti muone zvamungasarudza.',
+
+    'form.cancelled': '❌ Fomu yamiswa. Tumirai "evangelism" kuti mutange ripoti itsva.',
+    'form.noClusters': '❌ Hapana ma cluster akagadzirirwa. Taurai na admin.',
+    'form.selectCluster': '📋 *FOMU YERIPOTI YE EVANGELISM*\n\nTM *Sarudzai cluster yenyu:*\n\n{options}\n\n🔢 Pindurai nenhamba ye cluster yenyu\n\n_Nyorai "cancel" chero nguva kuti mumise._',
+    'form.invalidCluster': '❌ Cluster yamasarudza haipo.',
+    'form.askDate': '✅ Cluster: *{cluster}*\n\n📅 *Basa iri rakaitwa rini?*\n(Nyorai zuva se DD/MM/YYYY, kana kuti "nhasi" kana "nezuro")',
+    'form.askLocation': '✅ Zuva: {date}\n\n📍 Basa iri rakaitirwa kupi?\n(Nyorai zita renzvimbo, kana tumirai 📍 pini yenzvimbo)',
+    'form.askArea': '✅ Nzvimbo: *{location}*\n\n🏘️ *Iri munharaunda ipi?*\n(Nyorai zita renharaunda)',
+    'form.askCity': '✅ Nharaunda: *{area}*\n\n🏙️ *Iri muguta ripi?*\n(Nyorai zita reguta kana taundi)',
+    'form.askActivityType': '✅ Guta: *{city}*\n\n📋 *Raiva basa rerudzii re evangelism?*\n\n{options}\n\n🔢 Pindurai nenhamba:',
+    'form.askCustomActivityType': '✅ Rudzi rwebasa: *Zvimwe*\n\n📝 *Tsanangurai rudzi rwebasa re evangelism:*\n(Nyorai nemashoko enyu, semuenzaniso "Kuparidza mubhazi", "Kuparidza mumusika")',
+    'form.customTypeTooShort': '❌ Rudzi rwebasa runofanira kuva nemavara anosvika 3.',
+    'form.customTypeTooLong': '❌ Rudzi rwebasa rwareba zvakanyanya (mavara 100 chete).',
+    'form.askTeam': '✅ Rudzi rwebasa: *{type}*\n\n👥 *Ndivanaani vaparidzi/chikwata chakaenda?*\n(Nyorai mazita, semuenzaniso "John, Mary, Peter")',
+    'form.askSummary': '✅ Vaparidzi: {team}\n\n📖 Tipei pfupiso yezvakaitika pabasa iri:\n(Tsanangurai shoko, zvakaitika, nezvimwe - mavara anosvika 10)',
+    'form.askMoments': '✅ Pfupiso yanyorwa\n\n✨ Pane zvakaitika zvinokosha here?\n(Tsanangurai zvakaitika, uchapupu, nezvimwe, kana nyorai "hapana" kuti mupfuure)',
+    'form.momentsRecorded': '✅ Zvakaitika zvanyorwa',
+    'form.noMoments': '— Hapana zvakaitika zvinokosha',
+    'form.askSaved': '✝️ Vanhu vangani vakaponeswa?\n(Nyorai nhamba, kana 0 kana pasina)',
+    'form.askHealed': '✅ Vakaponeswa: {saved}\n\n🙏 Vanhu vangani vakaporeswa?\n(Nyorai nhamba, kana 0 kana pasina)',
+    'form.askName': '✅ Vakaporeswa: {healed}\n\n📝 Pakupedzisira, nyorai zita renyu rizere (akanyora ripoti):',
+    'form.summaryTitle': '📖 PFUPISO YERIPOTI 📖',
+    'form.summaryActivityType': 'Rudzi rwebasa',
+    'form.summaryTeam': 'Vaparidzi',
+    'form.summarySummary': 'Pfupiso',
+    'form.confirm': '✅ Pindurai *"hongu"* kuti mutumire\n❌ Pindurai *"kwete"* kuti mumise',
+    'form.reportCancelled': '❌ Ripoti yamiswa. Tumirai "evangelism" kuti mutange ripoti itsva.',
+    'form.submitted': '✅ Ripoti yatumirwa!\n\nRipoti yenyu yachengetwa uye ichatumirwa kuboka re cluster yenyu.\n\nTinotenda nekutendeka kwenyu! 🙏',
+    'form.saveFailed': '❌ Pane dambudziko pakuchengeta ripoti. Edzai zvakare gare gare kana kutaura na admin.',
+
+    'validation.enterNumber': 'Nyorai nhamba chaiyo.',
+    'validation.numberRange': 'Nyorai nhamba iri pakati pa1 na{max}.',
+    'validation.tooShort': '{field} inofanira kuva nemavara anosvika {min}.',
+    'validation.tooLong': '{field} yareba zvakanyanya (mavara {max} chete).',
+    'validation.invalidDate': 'Zuva harina kunyorwa nemazvo. Nyorai DD/MM/YYYY, "nhasi", kana "nezuro".',
+    'validation.futureDate': 'Zuva rebasa harigoni kuva remberi.',
+    'validation.notANumber': '{field} inofanira kuva nhamba chaiyo.',
+    'validation.negative': '{field} haigoni kuva pasi pe0.',
+    'validation.tooLarge': '{field} yakawandisa. Tarisai zvakare.',
+    'validation.yesOrNo': 'Pindurai "hongu" kana "kwete".',
+    'validation.name': 'Zita',
+    'validation.notes': 'Zvimwe zvakanyorwa',
+
+    'report.savedTitle': 'Ripoti Yachengetwa!',
+    'report.photoSaved': 'Mufananidzo wachengetwa neripoti',
+    'report.attachmentSaved': 'Faira rachengetwa neripoti',
+    'report.pinAttached': 'Pini yenzvimbo yabatanidzwa neripoti',
+    'report.correctionHint': 'Kugadzirisa kukanganisa, pindurai meseji iyi nemutsara wakagadziriswa, semuenzaniso "{example}".',
+    'report.thanks': 'Tinotenda nekutendeka kwenyu! 🙏',
+    'report.errorTitle': 'Ripoti Ine Dambudziko',
+    'report.errorIntro': 'Ripoti haina kuchengetwa nekuda kwezvinotevera:',
+    'report.errorHint': 'Tarisai manyorerwo acho mozoedza zvakare.',
+    'report.notClusterGroup': '❌ Boka iri harina kugadzirirwa kuva boka re cluster. Taurai na admin.',
+    'report.saveFailed': '❌ Pane dambudziko rakaitika pakuchengeta ripoti. Edzai zvakare kana kutaura na admin.',
+    'report.updateFailed': '❌ Pane dambudziko rakaitika pakugadzirisa ripoti. Edzai zvakare kana kutaura na admin.',
+
+    'parser.missing': 'Hapana {field}: izvi zvinodiwa',
+    'parser.empty': '{field} haina chakanyorwa: izvi zvinodiwa',
+    'parser.invalidDate': 'Zuva harina kunyorwa nemazvo. Nyorai DD/MM/YYYY (semuenzaniso 10/02/2026)',
+    'parser.notANumber': '{field} inofanira kuva nhamba',
+
+    'duplicate.title': 'Ripoti Ingangove Yadzokororwa',
+    'duplicate.warning':
+        'Ripoti iyi yakafanana ne Report #{originalId} yakatochengetwa:\n' +
+        '📅 {date} — 📍 {place}\n' +
+        '📝 Yakanyorwa na{reporter}\n\n' +
+        '📋 Yabatwa se Report #{heldId} — *haisi* kuverengerwa muhuwandu.\n\n' +
+        'Kana iri rimwe basa rakasiyana, pindurai meseji iyi ne *CONFIRM* kuti iverengwe. ' +
+        'Kana zvisina kudaro, dzimai meseji yenyu kuti ibviswe.',
+    'duplicate.onlySender': '⛔ @{phone} munhu akatumira Report #{id} chete ndiye anogona kuibvumira.',
+    'duplicate.confirmed': '✅ Report #{id} yabvumirwa uye yaverengwa. Tinotenda! 🙏',
+
+    'correction.onlyReporter': '⛔ @{phone} akanyora Report #{id} chete ndiye anogona kuigadzirisa.',
+    'correction.notChanged': '❌ *Report #{id} haina kuchinjwa* @{phone}',
+    'correction.nothingToChange': 'ℹ️ Report #{id} yatova nezvamanyora - hapana chekuchinja.',
+    'correction.updated': '✏️ *Report #{id} yagadziriswa* @{phone}',
+    'edit.rejected': '❌ *Report #{id} haina kugadziriswa.*\n\nMeseji yamagadzirisa ine matambudziko anotevera:',
+    'edit.kept': 'Zvakanga zvachengetwa kare zvasiyiwa zvakadaro.',
+    'edit.updated': '✏️ *Report #{id} yagadziriswa*',
+
+    'pin.attached': '📍 Pini yenzvimbo yawedzerwa kuReport #{id} @{phone}. Ichaoneka panzvimbo chaiyo pamepu.',
+    'pin.pending': '📍 Nzvimbo yagamuchirwa @{phone}. Ichabatanidzwa neripoti yenyu inotevera muboka rino.',
+    'pin.noReport': '📍 Kuti muwedzere nzvimbo, itumirei muboka renyu sekupindura ripoti yenyu, kana musati maitumira.',
+    'pin.formSaved': '📍 Pini yenzvimbo yachengetwa neripoti iyi. Pindurai mubvunzo uri pamusoro.',
+
+    'delete.notice':
+        '🗑️ *Report #{id} yadzimwa.*\n\n' +
+        '👤 Yadzimwa na: {deleter}\n' +
+        '📋 Akanyora: {reporter}\n' +
+        '📅 Zuva rebasa: {date}\n' +
+        '📍 Nzvimbo: {location}\n\n' +
+        '_Ripoti iyi yabviswa mudhatabhesi._',
+
+    'post.title': '📊 RIPOTI YE EVANGELISM 📊',
+    'post.activity': 'Basa',
+    'post.team': 'Chikwata',
+    'post.summary': 'Pfupiso',
+    'post.results': 'Zvabuda',
+
+    'summary.title': '📊 RIPOTI {kind} YE EVANGELISM 📊',
+    'summary.period': 'Nguva',
+    'summary.keyStatistics': 'HUWANDU HUKURU',
+    'summary.totalOutreaches': 'Mabasa ese ekuparidza',
+    'summary.locations': 'NZVIMBO DZAKAPARIDZWA',
+    'summary.labourers': 'VASHANDI VARI MUMUNDA',
+    'summary.attached': '📄 Ripoti yakazara ine ongororo yakabatanidzwa.',
+    'summary.praise': 'Mwari ngaarumbidzwe nekutendeka kwake! 🙏',
+    'summary.pdfCaption': '📄 {cluster} - Ripoti Yakazara ye{period}',
+
+    'national.title': '📊 RIPOTI {kind} YE EVANGELISM YENYIKA YESE 📊',
+    'national.clustersReporting': 'Ma cluster akatumira maripoti: {count} pa{total}',
+    'national.ranking': 'KURONGEKA KWEMA CLUSTER',
+    'national.silent': '⚠️ Hapana maripoti kubva ku: {clusters}',
+    'national.pdfCaption': '📄 {church} - Ripoti Yenyika Yese ye{period}',
+
+    'review.title': '📝 *Draft #{id}* - {cluster}, {period}',
+    'review.intro': 'Ripoti iyi yakamirira kuti muiongorore. Maripoti abvumirwa chete ndiwo anotumirwa muboka re cluster.',
+    'review.instructions':
+        'Pindurai meseji iyi ne:\n' +
+        '• *APPROVE #{id}* - kuti itumirwe sezvairi\n' +
+        '• *REGENERATE* - kuti nyaya inyorwe patsva\n' +
+        '• *NARRATIVE:* uye/kana *CONCLUSION:* zvichiteverwa nemashoko amagadzirisa (atorei mumeseji iri pamusoro)',
+    'review.deadline': 'Kana pasina anosarudza mukati memaawa {hours}, draft inoendeswa kuma admin.',
+    'review.factCheck': '⚠️ Kuongorora chokwadi kwabvisa mitsara inotaura nezve: {claims}',
+    'review.noLeaders': 'Cluster iyi haina vatungamiri vanoongorora maripoti ayo, saka draft yauya kuma admin.',
+    'review.escalated': '⏰ Vatungamiri ve cluster havana kusarudza mukati memaawa {hours} - tapota iongororei.',
+    'review.regenerated': '🔄 Yanyorwa patsva na{by}.',
+    'review.edited': '✏️ Yagadziriswa na{by}.',
+    'review.approveWithId': 'Kuti draft #{id} itumirwe muboka re cluster, tumirai *APPROVE #{id}* ine nhamba ye draft.',
+    'review.regenerating': '⏳ Ndiri kunyora draft #{id} patsva...',
+    'review.approved': '✅ Draft #{id} ({cluster}) yabvumirwa na{by} uye yatumirwa kuma chat {count}.',
+    'review.postFailed': '❌ Draft #{id} haina kukwanisa kutumirwa: {error}\nPindurai APPROVE #{id} kuti tiedze zvakare.',
+    'review.escalatedLeaders': '⏰ Draft #{id} ({cluster}) haina kusarudzwa mukati memaawa {hours} saka yaendeswa kuma admin. Munogona kuramba muchisarudza.',
+    'review.closed': 'Draft #{id} haisisina kumirira kuongororwa.',
+    'review.notReviewer': '⛔ Vatungamiri ve cluster nema admin chete ndivo vanogona kuongorora draft #{id}.',
+    'review.which': 'Mune ma draft akawanda akakumirirai: {drafts}\nPindurai meseji ye draft yacho, kana kuti isai nhamba yayo, semuenzaniso "APPROVE #{id}".',
+
+    'reminder.message':
+        '👋 Mhoroi *{cluster}*!\n\n' +
+        'Hatina kugamuchira ripoti ye evangelism kubva muboka rino mumazuva {days} apfuura. ' +
+        'Kana manga muchiparidza, tinoda kunzwa nezvazvo! 🙌\n\n' +
+        'Torai fomu iri mumeseji inotevera, muizadze mozoitumira pano.\n\n' +
+        '_"Akanaka sei makumbo avanoparidza evhangeri yorugare" - VaRoma 10:15_',
+
+    'digest.title': '🗞️ *PFUPISO YEVHIKI YE EVANGELISM*',
+    'digest.dates': '{start} kusvika {end}',
+    'digest.outreaches': 'Mabasa ekuparidza',
+    'digest.up': '{count} (▲ {difference} kupfuura vhiki rapfuura)',
+    'digest.down': '{count} (▼ {difference} pane vhiki rapfuura)',
+    'digest.same': '{count} (zvakafanana nevhiki rapfuura)',
+    'digest.places': 'Nzvimbo dzasvikwa',
+    'digest.labourers': 'Vashandi vari mumunda',
+    'digest.more': '...nedzimwe {count}',
+    'digest.closing': 'Tinotenda nekutendeka kwenyu vhiki rino! Rambai muchienderera! 🔥',
+
+    'testreport.noClusters': '❌ Hapana ma cluster akagadzirirwa. Taurai na admin.',
+    'testreport.selectCluster': '📊 *MUGADZIRI WERIPOTI YEKUEDZA*\n\n🏛️ *Sarudzai cluster yamunoda ripoti yayo:*\n\n{options}\n\n🔢 Pindurai nenhamba ye cluster\n\n_Nyorai "cancel" kuti mumise._',
+    'testreport.cancelled': '❌ Ripoti yekuedza yamiswa.',
+    'testreport.invalidNumber': '❌ Nyorai nhamba chaiyo iri pakati pa1 na{max}.',
+    'testreport.selectMonth': '✅ Yasarudzwa: *{cluster}*\n\n📅 *Sarudzai mwedzi weripoti:*\n\n{options}\n\n🔢 Pindurai nenhamba yemwedzi\n\n_Nyorai "cancel" kuti mumise._',
+    'testreport.generating': '⏳ Ndiri kugadzira ripoti ye*{cluster}* — *{month}*...\n\nZvinogona kutora nguva AI ichiongorora mashoko.',
+    'testreport.noReports': '⚠️ Hapana maripoti e evangelism e*{cluster}* mu*{month}*.',
+    'testreport.title': '📊 *{cluster} — RIPOTI YE{month}*',
+    'testreport.locations': 'Nzvimbo',
+    'testreport.labourers': 'Vashandi',
+    'testreport.pdfCaption': '📄 {cluster} — Ripoti Yakazara ye{month}',
+    'testreport.failed': '❌ Pane dambudziko pakugadzira ripoti. Edzai zvakare.',
+
+    'testreport.allGenerating': 'Ndiri kugadzira maripoti ema cluster... Mirai zvishoma.',
+    'testreport.allNoReports': 'Hapana maripoti e evangelism akawanikwa panguva iyi.',
+    'testreport.allPdfCaption': '📄 {cluster} - Ripoti Yezuva ({date})',
+    'testreport.allGenerated': '✅ Ndagadzira maripoti ema cluster {count}.',
+    'testreport.allFailed': 'Pane dambudziko pakugadzira ripoti yekuedza. Tarisai ma log.',
+
+    'admin.denied': '⛔ Ndine urombo, murayiro uyu ndewema admin chete.',
+    'admin.failed': '❌ Pane dambudziko pakuita {command}. Tarisai ma log kuti muone zvakaitika.',
+    'admin.usage': 'Mashandisiro: {usage}',
+    'admin.helpTitle': '🔐 *MIRAYIRO YE ADMIN*',
+    'admin.helpClusterRef': '_<cluster> inogona kuva ID kana zita re cluster._',
+    'admin.help.admin': 'Ratidzai mirayiro ye admin iyi',
+    'admin.help.clusters': 'Ratidzai ma cluster nema ID emapoka awo',
+    'admin.help.addcluster': 'Wedzerai cluster itsva',
+    'admin.help.renamecluster': 'Chinjai zita re cluster',
+    'admin.help.bindgroup': 'Batanidzai boka re WhatsApp ne cluster',
+    'admin.help.clusterlanguage': 'Sarudzai mutauro wemameseji eboka re cluster',
+    'admin.help.clustercommand': 'Ratidzai ma reporting command, kana sarudzai rinonyorwa maripoti e cluster',
+    'admin.help.leaders': 'Ratidzai vatungamiri ve cluster, vanobvumira maripoti ayo asati atumirwa',
+    'admin.help.report': 'Onai ripoti yakachengetwa',
+    'admin.help.regenerate': 'Gadzirai ripoti yemwedzi patsva muitumirwe',
+    'admin.help.resend': 'Gadzirai mwedzi patsva muutumire kumapoka ema cluster',
+    'admin.help.reviews': 'Ratidzai ma draft akamirira kubvumirwa',
+    'admin.help.export': 'Burutsai maripoti nepfupiso se spreadsheet',
+    'admin.help.places': 'Ratidzai nzvimbo dzinozivikanwa nemepu',
+    'admin.help.addplace': 'Wedzerai nzvimbo pamepu, kana gadzirisai ma coordinate ayo',
+    'admin.help.placealias': 'Dzidzisai mepu mamwe mapeletero enzvimbo',
+    'admin.help.removeplace': 'Bvisai nzvimbo pamepu',
+    'admin.help.unmatched': 'Ratidzai nzvimbo dzakataurwa dzisingawanikwe pamepu',
+    'admin.help.pause': 'Misai mabasa ose akarongwa',
+    'admin.help.resume': 'Dzorerai mabasa akarongwa',
+    'admin.help.schedule': 'Ratidzai mabasa akarongwa nenguva yaanotevera kuitwa, kana chinjai/itai rimwe',
+    'admin.default': '{name} (yakajairwa)',
+    'admin.none': 'hapana',
+    'admin.allClusters': 'ma cluster ose',
+    'admin.clusterNotFound': '❌ Cluster "{ref}" haina kuwanikwa. Tumirai !clusters kuti muone rondedzero.',
+
+    'admin.noClusters': 'Hapana ma cluster akagadzirirwa. Shandisai !addcluster <zita>.',
+    'admin.clustersTitle': '🏛️ *MA CLUSTER*',
+    'admin.noGroup': '⚠️ Hapana boka rakabatanidzwa ({group})',
+    'admin.noGroupEmpty': '⚠️ Hapana boka rakabatanidzwa',
+    'admin.clusterExists': '❌ Cluster "{name}" iripo kare.',
+    'admin.clusterAdded': '✅ Cluster *{name}* yawedzerwa (ID {id}).\n\nBatanidzai boka rayo ne:\n!bindgroup {id} <group id>',
+    'admin.noClusterId': '❌ Hapana cluster ine ID {id}.',
+    'admin.renamed': '✅ *{old}* yanzi *{name}*.',
+    'admin.groupBound': '✅ *{cluster}* yabatanidzwa ne {group}.',
+    'admin.languageSet': '✅ Mameseji eboka re *{cluster}* achava ne {language}.',
+    'admin.languageDefault': '✅ Mameseji eboka re *{cluster}* achava ne {language} (mutauro wakajairwa).',
+    'admin.commandsTitle': '🖋️ *MA REPORTING COMMAND*',
+    'admin.commandsFooter':
+        'Sarudzai command ye cluster ne:\n{usage}\n\n' +
+        '_Vanonyora maripoti vanogonawo kutanga ripoti yeboka ne command, semuenzaniso "Evangelism Report [Edit - Executor Present]"._',
+    'admin.commandSet': '✅ Maripoti e *{cluster}* achanyorwa se {command}.',
+    'admin.commandDefault': '✅ Maripoti e *{cluster}* achanyorwa se {command} (command yakajairwa).',
+
+    'admin.notAPhone': '❌ "{input}" haisi nhamba yefoni. Shandisai nhamba yakazara ine kodhi yenyika, semuenzaniso 263771234567.',
+    'admin.notALeader': '❌ {phone} haasi mutungamiri we *{cluster}*.',
+    'admin.leadersTitle': '👥 *VATUNGAMIRI VE {cluster}*',
+    'admin.noLeaders': 'Hapana vatungamiri parizvino - ma draft e cluster iyi anoenda kuma admin.',
+
+    'admin.reportNotFound': '❌ Report #{id} haina kuwanikwa.',
+    'admin.reportTitle': '📋 Report #{id} ({source})',
+    'admin.reportHeld': '⚠️ Yakamiswa sezvingangove zvakafanana ne Report #{id} - haiverengwe',
+    'admin.regenerating': '⏳ Ndiri kugadzira ripoti ye *{cluster}* ye {month} patsva...',
+    'admin.noReports': '⚠️ Hapana maripoti e *{cluster}* mu {month}.',
+    'admin.resendingOne': '⏳ Ndiri kugadzira nekutumira maripoti e {month} kuboka re cluster...',
+    'admin.resendingAll': '⏳ Ndiri kugadzira nekutumira maripoti e {month} kumapoka ose ema cluster...',
+    'admin.resent': '✅ Ripoti ye {month} yatumirwa ku: {chats}',
+    'admin.nothingResent': '⚠️ Hapana chakatumirwa che {month} (hapana maripoti, kana hapana boka rakabatanidzwa).',
+
+    'admin.noReviews': '✅ Hapana ma draft akamirira kubvumirwa.',
+    'admin.reviewsTitle': '📝 *MA DRAFT AKAMIRIRA KUBVUMIRWA*',
+    'admin.reviewPending': 'Yakamirira kubva {date}',
+    'admin.reviewEscalated': '⏰ Yakaendeswa kuma admin kubva {date}',
+    'admin.reviewLeaders': 'Vatungamiri: {leaders}',
+    'admin.reviewsHint': 'Pindurai "APPROVE #<id>", "REGENERATE #<id>", kana "#<id>" zvichiteverwa ne NARRATIVE: / CONCLUSION: nemashoko amagadzirisa.',
+
+    'admin.exported': '📊 Maripoti e *{scope}* ({start} kusvika {end}): maripoti {count}.',
+
+    'admin.noPlaces': 'Hapana nzvimbo parizvino. Shandisai !addplace <zita> <latitude> <longitude>.',
+    'admin.noPlacesMatch': 'Hapana nzvimbo inoenderana na "{search}".',
+    'admin.placesTitle': '📍 *NZVIMBO* ({count})',
+    'admin.placeAliases': 'inonziwo {aliases}',
+    'admin.placeAdded': '✅ *{place}* yawedzerwa pa {latitude}, {longitude}.',
+    'admin.placeMoved': '✅ *{place}* yaiswa pa {latitude}, {longitude}.',
+    'admin.placeNotFound': '❌ Nzvimbo "{name}" haina kuwanikwa. Tumirai !places kuti muone rondedzero.',
+    'admin.aliasTaken': '❌ "{alias}" inoreva *{place}* kare.',
+    'admin.aliasAdded': '✅ "{alias}" ichaiswa pamepu pa *{place}*.',
+    'admin.placeRemoved': '✅ *{place}* yabviswa pamepu.',
+    'admin.unmatchedTitle': '📍 *NZVIMBO DZISIRI PAMEPU*\n_{scope}, {start} kusvika {end}_',
+    'admin.allMatched': '✅ Nzvimbo dzose dzakataurwa dze {scope} ({start} kusvika {end}) dziri pamepu.',
+
+    'admin.paused': '⏸️ Mabasa akarongwa amiswa. Tumirai !resume kuti aenderere.\n\n_Kumiswa kunobva kana bot ikatangiswa patsva._',
+    'admin.resumed': '▶️ Mabasa akarongwa aenderera.',
+    'admin.noJob': '❌ Hapana basa rinonzi "{name}". Tumirai !schedule kuti muone rondedzero.',
+    'admin.jobEnabled': '✅ *{name}* yavhurwa.',
+    'admin.jobDisabled': '✅ *{name}* yadzimwa.',
+    'admin.jobCronSet': '✅ *{name}* ichaitwa pa: {cron}',
+    'admin.jobRunning': '⏳ Ndiri kuita *{name}*...',
+    'admin.jobResult': '✅ *{name}*: {result}',
+    'admin.jobFailed': '❌ *{name}* haina kuchinjwa: {error}',
+    'admin.scheduleTitle': '🗓️ *MABASA AKARONGWA*',
+    'admin.schedulerStopped': 'Mamiriro: ⛔ Hapana mabasa ari kushanda',
+    'admin.schedulerPaused': 'Mamiriro: ⏸️ Amiswa',
+    'admin.schedulerActive': 'Mamiriro: ✅ Ari kushanda',
+    'admin.jobCron': 'Cron: {cron}',
+    'admin.jobPeriod': 'Nguva: {period}',
+    'admin.jobAudience': 'Ku: {audience}',
+    'admin.jobNextRun': 'Richaitwa: {time}',
+    'admin.jobLastRun': 'Rakaitwa: {time} - {result}',
+    'admin.scheduleHint': '_Chinjai basa ne !schedule <job> on|off|run|cron <expression>_'
+};
@@ -1,8 +1,10 @@
 import logger from './utils/logger.js';
 import { initializeDatabase } from './database/db.js';
+import { initializeAI } from './ai/provider.js';
 import { startWhatsAppConnection } from './bot/connection.js';
 import { handleMessage } from './bot/messageHandler.js';
 import { startScheduler } from './services/scheduler.js';
+import { startApiServer } from './api/server.js';
 import config from './config/config.js';
 
 /**
@@ -23,16 +25,27 @@ async function main() {
         await initializeDatabase();
         logger.info('✓ Database ready');
 
+        // Check the AI provider settings (narratives for the reports)
+        await initializeAI();
+
         // Start WhatsApp connection
         logger.info('Starting WhatsApp connection...');
         logger.info('Please scan the QR code with your WhatsApp');
         await startWhatsAppConnection(handleMessage);
 
-        // Start scheduler for monthly reports
-        logger.info('Starting monthly report scheduler...');
-        startScheduler();
+        // Start scheduled jobs (monthly reports etc.)
+        logger.info('Starting scheduler...');
+        await startScheduler();
         logger.info('✓ Scheduler active');
 
+        // Start the local REST API alongside the bot
+        if (config.apiEnabled) {
+            logger.info('Starting REST API...');
+            if (await startApiServer()) {
+                logger.info('✓ REST API running');
+            }
+        }
+
         logger.info('');
         logger.info('✓ Bot is running and ready to receive messages!');
         logger.info('');
@@ -1,13 +1,20 @@
-import OpenAI from 'openai';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
 import {
     getAllAssemblies,
-    getReportsForAssembly
+    getReportsForAssembly,
+    getReportsByDateRange,
+    getMonthlyStatsByAssembly,
+    getActivityTypeBreakdown
 } from '../database/db.js';
 import { getMonthName } from '../utils/helpers.js';
-import { detectCommand, DEFAULT_COMMAND } from '../config/smc_reporting_commands.js';
+import { detectCommand, findCommand, DEFAULT_COMMAND } from '../config/smc_reporting_commands.js';
 import { generateLocationPlot } from './coordinateMapGenerator.js';
+import { resolveReportLocations } from './gazetteer.js';
+import { collectTrendData, generateTrendCharts, generateActivityChart } from './trendChartGenerator.js';
+import { prepareGalleryPhotos } from './photoGallery.js';
+import { getAIProvider } from '../ai/provider.js';
+import { factCheckNarrative } from './narrativeFactCheck.js';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -16,18 +23,24 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const REPORTS_DIR = join(__dirname, '../../reports');
 
+// Message summaries sent to the AI for the national report (the rest are left out to keep the prompt short)
+const NATIONAL_MAX_SUMMARIES = 60;
+
 /**
  * Generate AI-powered evangelism reports for ALL assemblies
  * Each assembly gets its own separate report
  * @param {string} startDate - Report start date (YYYY-MM-DD)
  * @param {string} endDate - Report end date (YYYY-MM-DD)
- * @param {Object} options - Report options
+ * @param {Object} options - Report options (assemblyIds: limit to these assemblies)
  * @returns {Promise<Array>} Array of report data objects (one per assembly)
  */
 export async function generateAssemblyReports(startDate, endDate, options = {}) {
     logger.info(`Generating assembly-based reports for ${startDate} to ${endDate}`);
 
-    const assemblies = await getAllAssemblies();
+    let assemblies = await getAllAssemblies();
+    if (options.assemblyIds) {
+        assemblies = assemblies.filter(a => options.assemblyIds.includes(a.id));
+    }
     const reports = [];
 
     for (const assembly of assemblies) {
@@ -52,40 +65,39 @@ export async function generateAssemblyReports(startDate, endDate, options = {})
 
 /**
  * Generate a report for a single assembly
- * @param {Object} assembly - Assembly object { id, name }
+ * @param {Object} assembly - Assembly object { id, name, reporting_command }
  * @param {string} startDate - Report start date (YYYY-MM-DD)
  * @param {string} endDate - Report end date (YYYY-MM-DD)
  * @param {Object} options - Report options
+ * @param {string} [options.command] - SMC command to write the whole report under (overrides the cluster's and the reports' own)
  * @returns {Promise<Object>} Report data for this assembly
  */
 export async function generateAssemblyReport(assembly, startDate, endDate, options = {}) {
-    const command = detectCommand(options.command || DEFAULT_COMMAND.name);
-
     // Fetch only the needed fields for this assembly
     const reports = await getReportsForAssembly(assembly.id, startDate, endDate);
 
+    // Each field report is written under its own command header, or the cluster's command
+    const clusterCommand = findCommand(assembly.reporting_command) || DEFAULT_COMMAND;
+    const reportCommands = reports.map(r => findCommand(r.reporting_command) || clusterCommand);
+    const command = options.command
+        ? detectCommand(options.command)
+        : mostUsedCommand(reportCommands, clusterCommand);
+
     // Extract and deduplicate data
     const uniqueLocations = deduplicateLocations(
         reports.map(r => r.location).filter(Boolean)
     );
 
-    const uniquePreachers = deduplicateLabourers(
-        reports.flatMap(r => {
-            if (!r.preachers_team) return [];
-            // Split on comma AND 'and' (surrounded by spaces)
-            return r.preachers_team
-                .split(/,|\s+and\s+/i)
-                .map(n => n.trim());
-        }).filter(Boolean)
-    );
+    const uniquePreachers = extractLabourers(reports);
 
     const uniqueActivityTypes = deduplicateList(
         reports.map(r => r.activity_type).filter(Boolean)
     );
 
-    const messageSummaries = reports
-        .map(r => r.message_summary)
-        .filter(Boolean);
+    const summarised = reports
+        .map((r, i) => ({ summary: r.message_summary, command: reportCommands[i] }))
+        .filter(r => r.summary);
+    const messageSummaries = summarised.map(r => r.summary);
 
     // Aggregate stats
     const totalSaved = reports.reduce((sum, r) => sum + (r.saved || 0), 0);
@@ -95,6 +107,7 @@ export async function generateAssemblyReport(assembly, startDate, endDate, optio
     const reportData = {
         assemblyName: assembly.name,
         period: options.periodTitle || getMonthName(startDate),
+        reportKind: options.reportKind || 'Monthly',
         startDate,
         endDate,
         command: command.name,
@@ -105,6 +118,8 @@ export async function generateAssemblyReport(assembly, startDate, endDate, optio
         labourers: uniquePreachers,
         activityTypes: uniqueActivityTypes,
         messageSummaries,
+        // Command each summary was written under (only used when it differs from the report's)
+        summaryCommands: options.command ? [] : summarised.map(r => r.command.name),
         // Keep overall for backward compatibility with PDF generator
         overall: {
             totalReports: reports.length,
@@ -114,32 +129,37 @@ export async function generateAssemblyReport(assembly, startDate, endDate, optio
     };
 
     // Generate AI narrative
-    if (config.openaiApiKey) {
+    const ai = await getAIProvider();
+    if (ai) {
         try {
-            const narrative = await generateNarrative(reportData, command);
-            reportData.narrative = narrative.narrative;
-            reportData.messageEmphasis = narrative.messageEmphasis;
-            reportData.conclusion = narrative.conclusion;
+            const narrative = await generateNarrative(ai, reportData, command);
+            applyCheckedNarrative(reportData, narrative, generateFallbackSections);
         } catch (error) {
             logger.error(`Error generating AI narrative for ${assembly.name}:`, error);
-            reportData.narrative = generateFallbackNarrative(reportData);
-            reportData.messageEmphasis = generateFallbackMessageEmphasis();
-            reportData.conclusion = generateFallbackConclusion(reportData);
+            Object.assign(reportData, generateFallbackSections(reportData));
         }
     } else {
-        logger.info('No OpenAI API key - using fallback narrative');
-        reportData.narrative = generateFallbackNarrative(reportData);
-        reportData.messageEmphasis = generateFallbackMessageEmphasis();
-        reportData.conclusion = generateFallbackConclusion(reportData);
+        logger.info('No AI provider configured - using fallback narrative');
+        Object.assign(reportData, generateFallbackSections(reportData));
+    }
+
+    // Place reports on the map (location, then area, then city) and note unknown places for admins
+    let mapPoints = [];
+    try {
+        const resolved = await resolveReportLocations(reports);
+        mapPoints = resolved.points;
+        reportData.unmatchedLocations = resolved.unmatched;
+    } catch (error) {
+        logger.error('Error looking up location coordinates:', error);
+        reportData.unmatchedLocations = [];
     }
 
-    // Generate location map if multiple locations
-    if (uniqueLocations.length > 1) {
+    // Generate location map if multiple places
+    if (mapPoints.length > 1) {
         try {
             const mapPath = join(REPORTS_DIR, `map_${assembly.name.replace(/\s+/g, '_')}_${startDate}.png`);
             const title = `${assembly.name} - ${reportData.period} Evangelism Locations`;
-            await generateLocationPlot(uniqueLocations, title, mapPath);
-            reportData.mapImagePath = mapPath;
+            reportData.mapImagePath = await generateLocationPlot(mapPoints, title, mapPath);
         } catch (error) {
             logger.error('Error generating location map:', error);
             reportData.mapImagePath = null;
@@ -148,6 +168,118 @@ export async function generateAssemblyReport(assembly, startDate, endDate, optio
         reportData.mapImagePath = null;
     }
 
+    // Weekly, month-by-month and activity-type charts
+    try {
+        reportData.trends = await collectTrendData(assembly, startDate, endDate, reports);
+        reportData.charts = await generateTrendCharts(reportData.trends, assembly.name, startDate);
+    } catch (error) {
+        logger.error('Error generating trend charts:', error);
+        reportData.charts = { weekly: null, trend: null, activity: null };
+    }
+
+    // Outreach photos sent with reports
+    try {
+        reportData.photos = await prepareGalleryPhotos(assembly, startDate, endDate);
+    } catch (error) {
+        logger.error('Error preparing gallery photos:', error);
+        reportData.photos = [];
+    }
+
+    return reportData;
+}
+
+/**
+ * Generate the national (church-wide) report: every cluster's figures side by side,
+ * a combined map and activity breakdown, and a narrative for the leadership
+ * @param {string} startDate - Report start date (YYYY-MM-DD)
+ * @param {string} endDate - Report end date (YYYY-MM-DD)
+ * @param {Object} options - Report options (periodTitle, reportKind)
+ * @returns {Promise<Object>} National report data (scope: 'national')
+ */
+export async function generateNationalReport(startDate, endDate, options = {}) {
+    logger.info(`Generating national report for ${startDate} to ${endDate}`);
+
+    const reports = (await getReportsByDateRange(startDate, endDate)).filter(r => r.status === 'active');
+    const clusterStats = await getMonthlyStatsByAssembly(startDate, endDate);
+
+    // Most souls saved first, then most outreaches; clusters with no reports at the bottom
+    const clusterRanking = [...clusterStats]
+        .sort((a, b) => b.total_saved - a.total_saved || b.total_reports - a.total_reports || a.assembly_name.localeCompare(b.assembly_name))
+        .map((cluster, index) => ({
+            rank: cluster.total_reports > 0 ? index + 1 : null,
+            assemblyId: cluster.assembly_id,
+            name: cluster.assembly_name,
+            outreaches: cluster.total_reports,
+            saved: cluster.total_saved,
+            healed: cluster.total_healed
+        }));
+
+    const totalSaved = reports.reduce((sum, r) => sum + (r.saved || 0), 0);
+    const totalHealed = reports.reduce((sum, r) => sum + (r.healed || 0), 0);
+
+    const reportData = {
+        scope: 'national',
+        title: config.churchName,
+        period: options.periodTitle || getMonthName(startDate),
+        reportKind: options.reportKind || 'Monthly',
+        startDate,
+        endDate,
+        totalOutreaches: reports.length,
+        totalSaved,
+        totalHealed,
+        clusterRanking,
+        clustersReporting: clusterRanking.filter(c => c.outreaches > 0).length,
+        activityBreakdown: (await getActivityTypeBreakdown(startDate, endDate))
+            .map(row => ({ ...row, activity_type: row.activity_type || 'Other' })),
+        locations: deduplicateLocations(reports.map(r => r.location).filter(Boolean)),
+        labourers: extractLabourers(reports),
+        messageSummaries: reports.map(r => r.message_summary).filter(Boolean)
+    };
+
+    if (reportData.totalOutreaches === 0) {
+        logger.info('No reports in this period - national report is empty');
+        return reportData;
+    }
+
+    // Generate AI narrative
+    const ai = await getAIProvider();
+    if (ai) {
+        try {
+            const narrative = await completeNarrative(ai, buildNationalSystemPrompt(), buildNationalPrompt(reportData));
+            applyCheckedNarrative(reportData, narrative, generateFallbackNationalSections);
+        } catch (error) {
+            logger.error('Error generating AI narrative for the national report:', error);
+            Object.assign(reportData, generateFallbackNationalSections(reportData));
+        }
+    } else {
+        logger.info('No AI provider configured - using fallback narrative');
+        Object.assign(reportData, generateFallbackNationalSections(reportData));
+    }
+
+    // Every cluster's places on one map
+    try {
+        const resolved = await resolveReportLocations(reports);
+        reportData.unmatchedLocations = resolved.unmatched;
+        reportData.mapImagePath = resolved.points.length > 1
+            ? await generateLocationPlot(
+                resolved.points,
+                `${reportData.title} - ${reportData.period} Evangelism Locations`,
+                join(REPORTS_DIR, `map_national_${startDate}.png`)
+            )
+            : null;
+    } catch (error) {
+        logger.error('Error generating national location map:', error);
+        reportData.unmatchedLocations = [];
+        reportData.mapImagePath = null;
+    }
+
+    try {
+        reportData.activityChartPath = await generateActivityChart(reportData.activityBreakdown, 'National', startDate);
+    } catch (error) {
+        logger.error('Error generating national activity chart:', error);
+        reportData.activityChartPath = null;
+    }
+
     return reportData;
 }
 
@@ -214,7 +346,7 @@ const JUNK_NAMES = ['not specified', 'unknown', 'n/a', 'none', '-', ''];
  * Deduplicate labourers/preachers with smart name normalization
  * Handles: trailing periods, Br/Brother variants, junk entries
  */
-function deduplicateLabourers(items) {
+export function deduplicateLabourers(items) {
     const seen = new Map();
     items.forEach(item => {
         const cleaned = normalizePersonName(item);
@@ -231,6 +363,23 @@ function deduplicateLabourers(items) {
     return Array.from(seen.values()).sort();
 }
 
+/**
+ * Collect the deduplicated labourers credited across reports' preachers teams
+ * @param {Array<Object>} reports - Reports with preachers_team
+ * @returns {string[]}
+ */
+export function extractLabourers(reports) {
+    return deduplicateLabourers(
+        reports.flatMap(r => {
+            if (!r.preachers_team) return [];
+            // Split on comma AND 'and' (surrounded by spaces)
+            return r.preachers_team
+                .split(/,|\s+and\s+/i)
+                .map(n => n.trim());
+        }).filter(Boolean)
+    );
+}
+
 /**
  * Normalize a location string for comparison:
  * - Strip trailing punctuation
@@ -255,7 +404,7 @@ function locationKey(loc) {
  * Deduplicate locations with normalization
  * Handles: trailing periods, inconsistent spacing, wrapping parens
  */
-function deduplicateLocations(items) {
+export function deduplicateLocations(items) {
     const seen = new Map();
     items.forEach(item => {
         const cleaned = item.trim().replace(/[.,;:!]+$/, '').trim();
@@ -270,44 +419,83 @@ function deduplicateLocations(items) {
 }
 
 /**
- * Generate narrative report using OpenAI with SMC authority voice
+ * The command most of a cluster's field reports were written under (ties go to the cluster's own)
+ * @param {Object[]} commands - Command of each field report
+ * @param {Object} clusterCommand - The cluster's configured command
+ * @returns {Object} Command configuration
  */
-async function generateNarrative(reportData, command) {
-    const openai = new OpenAI({ apiKey: config.openaiApiKey });
-    const prompt = buildNarrativePrompt(reportData, command);
-
-    logger.info(`Generating narrative for ${reportData.assemblyName} with ${command.voice} voice`);
-
-    const completion = await openai.chat.completions.create({
-        model: 'gpt-5.2',
-        messages: [
-            {
-                role: 'system',
-                content: buildSystemPrompt(command)
-            },
-            {
-                role: 'user',
-                content: prompt
-            }
-        ],
-        temperature: 0.7,
-        max_completion_tokens: 2500
-    });
+function mostUsedCommand(commands, clusterCommand) {
+    const counts = new Map([[clusterCommand, 0]]);
+    commands.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+
+    return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
 
-    const response = completion.choices[0].message.content;
+/**
+ * Generate narrative report with the AI provider in the SMC authority voice
+ */
+async function generateNarrative(ai, reportData, command) {
+    const otherCommands = [...new Set(reportData.summaryCommands)]
+        .filter(name => name !== command.name)
+        .map(findCommand);
+
+    logger.info(`Generating narrative for ${reportData.assemblyName} with ${command.voice} voice (${ai.name}, ${ai.model})`);
+    return completeNarrative(ai, buildSystemPrompt(command, otherCommands), buildNarrativePrompt(reportData, command));
+}
+
+/**
+ * Ask the AI provider for the narrative sections and parse them
+ * @param {Object} ai - Provider from getAIProvider()
+ * @param {string} systemPrompt
+ * @param {string} prompt
+ * @returns {Promise<{narrative: string, messageEmphasis: string[], conclusion: string}>}
+ */
+async function completeNarrative(ai, systemPrompt, prompt) {
+    const response = await ai.complete({ system: systemPrompt, prompt });
     return parseNarrativeResponse(response);
 }
 
+/**
+ * Fact-check the AI's sections against the report and keep what is supported.
+ * A narrative that fails the check is replaced with the built-in one; an empty
+ * conclusion or message emphasis is filled in from it.
+ * @param {Object} reportData - Report being written (gets narrative, messageEmphasis, conclusion and factCheck)
+ * @param {Object} sections - Parsed AI response
+ * @param {Function} fallback - (reportData) => built-in sections
+ */
+function applyCheckedNarrative(reportData, sections, fallback) {
+    const name = reportData.assemblyName || 'the national report';
+    const checked = factCheckNarrative(sections, reportData);
+    reportData.factCheck = { valid: checked.valid, issues: checked.issues };
+
+    if (checked.issues.length > 0) {
+        logger.warn(`Unsupported claims removed from the AI narrative for ${name}: ${checked.issues.map(i => `${i.type} "${i.value}"`).join(', ')}`);
+    }
+
+    if (!checked.valid) {
+        logger.warn(`AI narrative for ${name} failed the fact check - using fallback narrative`);
+        Object.assign(reportData, fallback(reportData));
+        return;
+    }
+
+    const builtIn = fallback(reportData);
+    reportData.narrative = checked.narrative;
+    reportData.messageEmphasis = checked.messageEmphasis.length > 0 ? checked.messageEmphasis : builtIn.messageEmphasis;
+    reportData.conclusion = checked.conclusion || builtIn.conclusion;
+}
+
 /**
  * Build system prompt based on SMC command
+ * @param {Object} command - Command the report is written under
+ * @param {Object[]} [otherCommands] - Other commands some of the field reports were written under
  */
-function buildSystemPrompt(command) {
+function buildSystemPrompt(command, otherCommands = []) {
     let systemPrompt = 'You are writing a monthly evangelism ministry report for a specific cluster/assembly. ';
 
     if (command.voice === 'first_person') {
         systemPrompt += 'You are an EXECUTOR who was physically present during the evangelism activities. ';
         systemPrompt += 'Write in FIRST PERSON using "we", "our", "the Gospel was carried", etc. ';
-        systemPrompt += 'Use an eyewitness, authoritative tone - you SAW these events and can describe resistance, perseverance, and fruit with conviction. ';
+        systemPrompt += 'Use an eyewitness, authoritative tone - you SAW these events and can describe the work and its fruit with conviction. ';
         systemPrompt += 'Write like the Book of Acts: factual, descriptive, emphasizing God\'s work through human obedience.';
     } else if (command.voice === 'luke_style_third_person') {
         systemPrompt += 'You are COMPILING testimony from executors who were present. You were NOT there. ';
@@ -318,9 +506,17 @@ function buildSystemPrompt(command) {
         systemPrompt += 'Write in neutral THIRD PERSON. Use "the team", "evangelists", etc.';
     }
 
-    systemPrompt += '\n\nTone: perseverance, courage, faithful proclamation, spiritual resistance overcome through prayer and boldness.';
+    if (otherCommands.length > 0) {
+        systemPrompt += '\n\nSome field reports were written under a different reporting command, shown before their message summary. ';
+        systemPrompt += 'Keep to that command when drawing on them:';
+        otherCommands.forEach(c => {
+            systemPrompt += `\n- ${c.name}: ${c.description}. ${c.guidelines.join('; ')}`;
+        });
+    }
+
+    systemPrompt += '\n\nTone: perseverance, courage, faithful proclamation.';
     systemPrompt += '\nStyle: formal but passionate, factual but faith-filled, sober but hopeful.';
-    systemPrompt += '\n\nIMPORTANT: Only reference facts from the data provided. Do not invent specific incidents, names, or locations not in the data.';
+    systemPrompt += '\n\nIMPORTANT: Only reference facts from the data provided. Do not invent specific incidents, names, figures or locations not in the data.';
 
     return systemPrompt;
 }
@@ -356,7 +552,8 @@ function buildNarrativePrompt(reportData, command) {
     if (reportData.messageSummaries.length > 0) {
         prompt += `MESSAGE SUMMARIES FROM INDIVIDUAL REPORTS (use these to identify themes):\n`;
         reportData.messageSummaries.forEach((summary, i) => {
-            prompt += `${i + 1}. ${summary}\n`;
+            const summaryCommand = reportData.summaryCommands[i];
+            prompt += `${i + 1}. ${summaryCommand && summaryCommand !== command.name ? `${summaryCommand} ` : ''}${summary}\n`;
         });
         prompt += `\n`;
     }
@@ -369,11 +566,13 @@ function buildNarrativePrompt(reportData, command) {
 
     prompt += `2. Middle Paragraphs: Cover these themes\n`;
     prompt += `   - The clarity and conviction of the preaching (reference actual message summaries above)\n`;
-    prompt += `   - Evangelists testified of their own deliverance from specific sins/bondages\n`;
-    prompt += `   - Resistance encountered (interruptions, loud music, public objections, confrontation)\n`;
-    prompt += `   - The Word did not cease - it continued with persistence and boldness\n`;
-    prompt += `   - Some who initially mocked later listened in silence or continued conversations after the preaching\n`;
-    prompt += `   - Prayer for the sick - hearts opened, space for salvation message\n\n`;
+    if (reportData.totalHealed > 0) {
+        prompt += `   - Prayer for the sick - hearts opened, space for salvation message\n`;
+    }
+    prompt += `   Only where the message summaries above describe them (otherwise leave them out):\n`;
+    prompt += `   - Evangelists testifying of their own deliverance from specific sins/bondages\n`;
+    prompt += `   - Resistance encountered (interruptions, loud music, public objections, confrontation) and the Word continuing with persistence and boldness\n`;
+    prompt += `   - People who initially mocked later listening in silence or continuing conversations after the preaching\n\n`;
 
     prompt += `3. Closing: Summarize the month's work\n`;
     prompt += `   - Steady obedience rather than isolated enthusiasm\n`;
@@ -387,7 +586,7 @@ function buildNarrativePrompt(reportData, command) {
 
     prompt += `CONCLUSION (2-3 sentences):\n`;
     prompt += `- Summarize the month with themes of perseverance, courage, faithful proclamation\n`;
-    prompt += `- Mention resistance in certain places, but the Word continued to be spoken\n`;
+    prompt += `- Mention resistance only if the message summaries describe it\n`;
     prompt += `- Emphasize sustained obedience and foundation laid for future growth\n\n`;
 
     prompt += `Format your response EXACTLY like this:\n`;
@@ -398,6 +597,76 @@ function buildNarrativePrompt(reportData, command) {
     return prompt;
 }
 
+/**
+ * System prompt for the national report (compiled from every cluster's reports)
+ */
+function buildNationalSystemPrompt() {
+    let systemPrompt = `You are writing the national evangelism ministry report for ${config.churchName}, for the church leadership. `;
+    systemPrompt += 'You are COMPILING the reports of all clusters/assemblies. You were NOT there. ';
+    systemPrompt += 'Write in THIRD PERSON using "the clusters", "the evangelists", etc.';
+    systemPrompt += '\n\nTone: perseverance, courage, faithful proclamation; sober and accountable to the figures.';
+    systemPrompt += '\nStyle: formal but passionate, factual but faith-filled.';
+    systemPrompt += '\n\nIMPORTANT: Only reference facts from the data provided. Do not invent specific incidents, names, figures or locations not in the data.';
+    return systemPrompt;
+}
+
+/**
+ * Build the national narrative prompt from the church-wide figures
+ */
+function buildNationalPrompt(reportData) {
+    const reporting = reportData.clusterRanking.filter(c => c.outreaches > 0);
+    const silent = reportData.clusterRanking.filter(c => c.outreaches === 0);
+
+    let prompt = `Write the national evangelism report for ${reportData.title} following this structure:\n\n`;
+
+    prompt += `CONTEXT:\n`;
+    prompt += `- Period: ${reportData.period}\n`;
+    prompt += `- Clusters reporting: ${reportData.clustersReporting} of ${reportData.clusterRanking.length}\n`;
+    prompt += `- Total Outreach Events: ${reportData.totalOutreaches}\n`;
+    prompt += `- People Saved: ${reportData.totalSaved}\n`;
+    prompt += `- People Healed: ${reportData.totalHealed}\n`;
+    prompt += `- Labourers credited: ${reportData.labourers.length}\n`;
+    prompt += `- Places preached at: ${reportData.locations.length}\n\n`;
+
+    prompt += `CLUSTERS (ranked by people saved):\n`;
+    prompt += reporting.map(c => `${c.rank}. ${c.name} - ${c.outreaches} outreaches, ${c.saved} saved, ${c.healed} healed`).join('\n');
+    prompt += `\n`;
+    if (silent.length > 0) {
+        prompt += `Clusters with no reports: ${silent.map(c => c.name).join(', ')}\n`;
+    }
+    prompt += `\n`;
+
+    prompt += `ACTIVITY TYPES:\n`;
+    prompt += reportData.activityBreakdown.map(a => `- ${a.activity_type}: ${a.count} outreaches, ${a.total_saved} saved, ${a.total_healed} healed`).join('\n');
+    prompt += `\n\n`;
+
+    if (reportData.messageSummaries.length > 0) {
+        prompt += `MESSAGE SUMMARIES FROM INDIVIDUAL REPORTS (use these to identify themes):\n`;
+        reportData.messageSummaries.slice(0, NATIONAL_MAX_SUMMARIES).forEach((summary, i) => {
+            prompt += `${i + 1}. ${summary}\n`;
+        });
+        prompt += `\n`;
+    }
+
+    prompt += `INSTRUCTIONS:\n\n`;
+    prompt += `Write a NARRATIVE REPORT section (3-4 paragraphs):\n`;
+    prompt += `1. Opening: How the Gospel was carried across the clusters this period, with the church-wide figures\n`;
+    prompt += `2. The clusters: which carried the most fruit and activity, and how the others contributed (use the ranking above)\n`;
+    prompt += `3. The kinds of outreach used and the themes of the preaching (from the activity types and message summaries)\n`;
+    prompt += `4. Closing: what the leadership should take from the period${silent.length > 0 ? ', including the clusters that sent no reports' : ''}\n\n`;
+
+    prompt += `Then provide:\n`;
+    prompt += `MESSAGE EMPHASIS (5 bullet points) derived from the MESSAGE SUMMARIES above\n\n`;
+    prompt += `CONCLUSION (2-3 sentences) summarising the period for the church as a whole\n\n`;
+
+    prompt += `Format your response EXACTLY like this:\n`;
+    prompt += `NARRATIVE:\n[3-4 paragraphs here]\n\n`;
+    prompt += `MESSAGE EMPHASIS:\n- [bullet 1]\n- [bullet 2]\n- [bullet 3]\n- [bullet 4]\n- [bullet 5]\n\n`;
+    prompt += `CONCLUSION:\n[2-3 sentences here]`;
+
+    return prompt;
+}
+
 /**
  * Parse AI response into structured sections
  */
@@ -442,53 +711,105 @@ function parseNarrativeResponse(response) {
 }
 
 /**
- * Generate fallback narrative when AI is not available
+ * Built-in narrative, message emphasis and conclusion for a cluster report.
+ * Written only from the report data, so it has nothing to fact-check.
+ */
+function generateFallbackSections(reportData) {
+    return {
+        narrative: generateFallbackNarrative(reportData),
+        messageEmphasis: generateFallbackMessageEmphasis(reportData),
+        conclusion: generateFallbackConclusion(reportData)
+    };
+}
+
+// Message summaries that mention opposition to the preaching
+const RESISTANCE_PATTERN = /\b(resist\w*|oppos\w*|interrupt\w*|mock\w*|object\w*|confront\w*|hostil\w*|chased|refused)\b/i;
+
+/**
+ * "1 outreach", "3 outreaches"
+ */
+function countOf(count, singular, plural) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Generate fallback narrative when AI is not available (or its narrative failed the fact check)
  */
 function generateFallbackNarrative(reportData) {
     const name = reportData.assemblyName;
-    let narrative = `In ${reportData.period}, the Gospel was carried faithfully throughout ${name}. `;
-    narrative += `Day after day, the Word of God was proclaimed in ${reportData.locations.join(', ') || 'various locations'}. `;
-    narrative += `The message was not confined to church buildings but was taken into the ordinary flow of daily life.\n\n`;
+    let narrative = `In ${reportData.period}, ${name} carried out ${countOf(reportData.totalOutreaches, 'outreach', 'outreaches')}`;
+    narrative += reportData.locations.length > 0 ? ` at ${reportData.locations.join(', ')}. ` : '. ';
+    if (reportData.activityTypes.length > 0) {
+        narrative += `The work included ${reportData.activityTypes.join(', ')}. `;
+    }
+    if (reportData.labourers.length > 0) {
+        narrative += `The labourers credited were ${reportData.labourers.join(', ')}.`;
+    }
 
-    narrative += `The preaching throughout the month was marked by clarity and conviction. The call was not merely to religious affiliation, `;
-    narrative += `but to repentance and true freedom from sin through Jesus Christ. Evangelists testified openly of their own deliverance from `;
-    narrative += `immorality, ancestral practices, gossip, bitterness, drug abuse, and other forms of bondage. These testimonies became living proof `;
-    narrative += `that the power of Christ is still able to transform lives.\n\n`;
+    narrative += `\n\n${countOf(reportData.totalSaved, 'person was', 'people were')} recorded as saved`;
+    narrative += reportData.totalHealed > 0
+        ? `, and prayer for the sick saw ${countOf(reportData.totalHealed, 'person', 'people')} recorded as healed.`
+        : '.';
 
-    narrative += `In several places, resistance arose. There were interruptions, loud music intended to drown out the message, public objections, `;
-    narrative += `and moments of confrontation. Yet the preaching did not cease. The Word continued to be declared with persistence and boldness. `;
-    narrative += `In some instances, those who initially mocked later listened in silence. In others, conversations continued long after the `;
-    narrative += `open-air preaching had ended.\n\n`;
+    const summaries = reportData.messageSummaries || [];
+    if (summaries.length > 0) {
+        narrative += `\n\nThe reporters summarised the messages preached as: ${summaries.slice(0, 5).map(s => `"${s.trim()}"`).join('; ')}.`;
+    }
 
-    narrative += `Prayer for the sick accompanied the preaching of the Gospel. Individuals in pain and distress were prayed for across various locations. `;
-    narrative += `These moments of prayer opened hearts and created space for the message of salvation to be received. `;
-    narrative += `Throughout the month, the work reflected steady obedience rather than isolated enthusiasm. The Gospel was heard repeatedly across `;
-    narrative += `key areas, and the seed was sown consistently.`;
+    const resistance = summaries.filter(s => RESISTANCE_PATTERN.test(s));
+    if (resistance.length > 0) {
+        narrative += `\n\n${countOf(resistance.length, 'report describes', 'reports describe')} resistance met during the outreach: ${resistance.slice(0, 3).map(s => `"${s.trim()}"`).join('; ')}.`;
+    }
 
     return narrative;
 }
 
 /**
- * Generate fallback message emphasis
+ * Generate fallback message emphasis: the reporters' own message summaries
  */
-function generateFallbackMessageEmphasis() {
-    return [
-        'Repentance and remission of sins',
-        'Holiness as evidence of salvation',
-        'Christ as the only source of freedom',
-        'A call beyond religious routine',
-        'Preparation for eternity'
-    ];
+function generateFallbackMessageEmphasis(reportData) {
+    return [...new Set((reportData.messageSummaries || []).map(s => s.trim()).filter(Boolean))].slice(0, 5);
 }
 
 /**
  * Generate fallback conclusion
  */
 function generateFallbackConclusion(reportData) {
-    return `${reportData.period} in ${reportData.assemblyName} was marked by perseverance, courage, and faithful proclamation. ` +
-        `Though resistance arose in certain places, the Word continued to be spoken. The Gospel moved through streets and transport routes, ` +
-        `through homes and marketplaces, and into individual hearts. The work was carried out not as a single event, but as sustained obedience. ` +
+    let conclusion = `${reportData.period} in ${reportData.assemblyName} saw ${countOf(reportData.totalOutreaches, 'outreach', 'outreaches')}`;
+    if (reportData.locations.length > 0) {
+        conclusion += ` in ${countOf(reportData.locations.length, 'place', 'places')}`;
+    }
+    conclusion += ` and ${reportData.totalSaved} recorded as saved`;
+    conclusion += reportData.totalHealed > 0 ? ` and ${reportData.totalHealed} as healed. ` : '. ';
+    conclusion += 'The fruit recorded reflects continued labour in the field.';
+    return conclusion;
+}
+
+/**
+ * Generate fallback narrative, emphasis and conclusion for the national report
+ */
+function generateFallbackNationalSections(reportData) {
+    const reporting = reportData.clusterRanking.filter(c => c.outreaches > 0);
+    const leading = reporting.slice(0, 3).map(c => c.name);
+
+    let narrative = `In ${reportData.period}, the Gospel was carried by ${reportData.clustersReporting} of the ${reportData.clusterRanking.length} clusters of ${reportData.title}. `;
+    narrative += `Across ${reportData.totalOutreaches} outreaches in ${reportData.locations.length} places, ${reportData.totalSaved} people gave their lives to Christ`;
+    narrative += reportData.totalHealed > 0 ? ` and ${reportData.totalHealed} were prayed for and healed` : '';
+    narrative += `, through the labour of ${reportData.labourers.length} evangelists.\n\n`;
+
+    narrative += `The greatest fruit was recorded in ${leading.join(', ')}.`;
+    if (reportData.activityBreakdown.length > 0) {
+        narrative += ` The work was carried out mostly through ${reportData.activityBreakdown.slice(0, 3).map(a => a.activity_type).join(', ')}.`;
+    }
+
+    const conclusion = `${reportData.period} was marked by faithful proclamation across the clusters of ${reportData.title}. ` +
         `The fruit recorded reflects continued labour in the field and a foundation laid for future growth.`;
+
+    return {
+        narrative,
+        messageEmphasis: generateFallbackMessageEmphasis(reportData),
+        conclusion
+    };
 }
 
 // Keep backward compatibility - export old function name pointing to new logic
@@ -0,0 +1,214 @@
+/**
+ * Base Map
+ *
+ * Offline vector base map for the location plot, drawn from GeoJSON bundled in
+ * src/assets/geo (country border, provinces and towns - see SOURCES.md there).
+ * Districts and main roads are drawn when districts.geojson / roads.geojson are added;
+ * they are not bundled. Any layer file can be replaced with more detailed GeoJSON of
+ * the same name (Polygon/MultiPolygon, LineString/MultiLineString and Point features are drawn).
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { MAP_CONFIG } from '../config/smc_visual_commands.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const GEO_DIR = join(__dirname, '../assets/geo');
+const LAYERS = ['country', 'provinces', 'districts', 'roads', 'towns'];
+
+// Layers that are not bundled: drawn only when their file has been added
+const OPTIONAL_LAYERS = ['districts', 'roads'];
+
+const KM_PER_DEGREE = 111.32;
+const SCALE_STEPS_KM = [1, 2, 5, 10, 20, 50, 100, 200, 500];
+
+let layers = null;
+
+/**
+ * Load the GeoJSON layers (once; a missing or broken file leaves that layer empty)
+ * @returns {Object<string, Array>} layer name → features
+ */
+export function loadBaseMapLayers() {
+    if (layers) return layers;
+
+    layers = {};
+    for (const name of LAYERS) {
+        const file = join(GEO_DIR, `${name}.geojson`);
+        if (OPTIONAL_LAYERS.includes(name) && !existsSync(file)) {
+            layers[name] = [];
+            continue;
+        }
+
+        try {
+            layers[name] = JSON.parse(readFileSync(file, 'utf8')).features || [];
+        } catch (error) {
+            logger.warn(`Base map layer "${name}" not loaded from ${file}: ${error.message}`);
+            layers[name] = [];
+        }
+    }
+
+    return layers;
+}
+
+/**
+ * Fit the view to the points: padded around them, never closer than
+ * MAP_CONFIG.minSpanDegrees, and with east-west distances scaled for the latitude
+ * @param {Array<{lat: number, lon: number}>} points
+ * @param {{left: number, top: number, width: number, height: number}} area - Canvas area for the map
+ * @returns {{toX: Function, toY: Function, kmPerPixel: number}}
+ */
+export function fitProjection(points, area) {
+    const lats = points.map(p => p.lat);
+    const lons = points.map(p => p.lon);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const midLon = (Math.min(...lons) + Math.max(...lons)) / 2;
+    const lonScale = Math.cos(midLat * Math.PI / 180);
+
+    // Spans in "latitude degrees" so both axes use the same units
+    const padding = 1 + 2 * MAP_CONFIG.fitPadding;
+    let latSpan = Math.max((Math.max(...lats) - Math.min(...lats)) * padding, MAP_CONFIG.minSpanDegrees);
+    let lonSpan = Math.max((Math.max(...lons) - Math.min(...lons)) * lonScale * padding, MAP_CONFIG.minSpanDegrees);
+
+    // Widen one axis to the shape of the area
+    if (lonSpan / latSpan < area.width / area.height) {
+        lonSpan = latSpan * area.width / area.height;
+    } else {
+        latSpan = lonSpan * area.height / area.width;
+    }
+
+    const pixelsPerDegree = area.width / lonSpan;
+    const centerX = area.left + area.width / 2;
+    const centerY = area.top + area.height / 2;
+
+    return {
+        toX: (lon) => centerX + (lon - midLon) * lonScale * pixelsPerDegree,
+        toY: (lat) => centerY - (lat - midLat) * pixelsPerDegree,
+        kmPerPixel: KM_PER_DEGREE / pixelsPerDegree
+    };
+}
+
+/**
+ * Rings or lines of a feature as arrays of [lon, lat]
+ */
+function featurePaths(feature) {
+    const geometry = feature.geometry || {};
+    switch (geometry.type) {
+        case 'Polygon':
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'MultiPolygon':
+            return geometry.coordinates.flat();
+        case 'LineString':
+            return [geometry.coordinates];
+        default:
+            return [];
+    }
+}
+
+function tracePaths(ctx, projection, features, close) {
+    ctx.beginPath();
+    features.forEach(feature => {
+        featurePaths(feature).forEach(path => {
+            path.forEach(([lon, lat], i) => {
+                const x = projection.toX(lon);
+                const y = projection.toY(lat);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            if (close) ctx.closePath();
+        });
+    });
+}
+
+/**
+ * Draw the base map into an area of the canvas
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} projection - From fitProjection
+ * @param {{left: number, top: number, width: number, height: number}} area
+ */
+export function drawBaseMap(ctx, projection, area) {
+    const { country, provinces, districts, roads, towns } = loadBaseMapLayers();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(area.left, area.top, area.width, area.height);
+    ctx.clip();
+
+    // Neighbouring countries, then Zimbabwe
+    ctx.fillStyle = MAP_CONFIG.outsideColor;
+    ctx.fillRect(area.left, area.top, area.width, area.height);
+
+    tracePaths(ctx, projection, country, true);
+    ctx.fillStyle = MAP_CONFIG.landColor;
+    ctx.fill();
+
+    tracePaths(ctx, projection, districts, true);
+    ctx.strokeStyle = MAP_CONFIG.districtColor;
+    ctx.lineWidth = 0.75;
+    ctx.stroke();
+
+    tracePaths(ctx, projection, provinces, true);
+    ctx.strokeStyle = MAP_CONFIG.provinceColor;
+    ctx.lineWidth = 1.25;
+    ctx.setLineDash([6, 4]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    tracePaths(ctx, projection, roads, false);
+    ctx.strokeStyle = MAP_CONFIG.roadColor;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    tracePaths(ctx, projection, country, true);
+    ctx.strokeStyle = MAP_CONFIG.borderColor;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Towns (labels in grey so report locations stand out)
+    ctx.font = `${MAP_CONFIG.townFontSize}px Arial`;
+    ctx.textAlign = 'left';
+    towns.forEach(town => {
+        if (town.geometry?.type !== 'Point') return;
+        const [lon, lat] = town.geometry.coordinates;
+        const x = projection.toX(lon);
+        const y = projection.toY(lat);
+        if (x < area.left || x > area.left + area.width || y < area.top || y > area.top + area.height) return;
+
+        ctx.fillStyle = MAP_CONFIG.townColor;
+        ctx.fillRect(x - 2, y - 2, 4, 4);
+        ctx.fillText(town.properties?.name || '', x + 4, y - 3);
+    });
+
+    ctx.restore();
+
+    drawScaleBar(ctx, projection, area);
+}
+
+/**
+ * Scale bar in the bottom-left corner of the map area
+ */
+function drawScaleBar(ctx, projection, area) {
+    const targetKm = (area.width / 5) * projection.kmPerPixel;
+    const km = SCALE_STEPS_KM.reduce((best, step) => (step <= targetKm ? step : best), SCALE_STEPS_KM[0]);
+    const length = km / projection.kmPerPixel;
+    const x = area.left + 10;
+    const y = area.top + area.height - 12;
+
+    ctx.strokeStyle = '#333333';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 4);
+    ctx.lineTo(x, y);
+    ctx.lineTo(x + length, y);
+    ctx.lineTo(x + length, y - 4);
+    ctx.stroke();
+
+    ctx.fillStyle = '#333333';
+    ctx.font = `${MAP_CONFIG.townFontSize}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.fillText(`${km} km`, x + length / 2, y - 5);
+}
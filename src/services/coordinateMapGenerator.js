@@ -1,12 +1,14 @@
 /**
  * Coordinate Map Generator
  * 
- * Generates scatter plot maps showing evangelism locations by coordinate
- * This creates simple geometric plots like the example PDF, not geographic maps
+ * Generates maps showing evangelism locations as pins over an offline base map
+ * (border, provinces and towns - see baseMap.js), fitted to the pins, with a legend.
+ * Coordinates come from shared location pins or the gazetteer (see gazetteer.js resolveReportLocations).
  */
 
 
 import { MAP_CONFIG } from '../config/smc_visual_commands.js';
+import { fitProjection, drawBaseMap, loadBaseMapLayers } from './baseMap.js';
 import logger from '../utils/logger.js';
 import { join } from 'path';
 import { writeFileSync, existsSync, mkdirSync } from 'fs';
@@ -23,44 +25,14 @@ if (!existsSync(REPORTS_DIR)) {
     mkdirSync(REPORTS_DIR, { recursive: true });
 }
 
-/**
- * Zimbabwe location coordinates (latitude, longitude)
- * Expanding this as we discover more locations
- */
-const ZIMBABWE_COORDINATES = {
-    'Mutare': [-18.9707, 32.6700],
-    'Mutare (Chikabvumbwa)': [-18.97, 32.64],
-    'Dangamvura': [-18.9667, 32.6833],
-    'Mutare CBD': [-18.9667, 32.6667],
-    'Chikanga': [-18.9833, 32.6833],
-    'Sakubva': [-18.9833, 32.6500],
-    'Hobhouse': [-18.9500, 32.7000],
-    'Penhalonga': [-18.8667, 32.7000],
-    'Nyanga Terminus': [-18.2167, 32.7500],
-    'Odzi': [-18.9667, 32.4167],
-    'Marange': [-19.5000, 32.3333],
-    'Bocha': [-19.0000, 32.5000],
-    'Chitenderano (Nyazura)': [-18.7167, 32.1833],
-    'Katsuro Market': [-18.8833, 32.5167],
-    'Mutanda': [-19.0333, 32.6333],
-    'Rusape': [-18.5333, 32.1333],
-    'Marondera': [-18.1851, 31.5519],
-    'Bulawayo': [-20.1500, 28.5833],
-    'Harare': [-17.8292, 31.0522],
-    'Gweru': [-19.4500, 29.8167],
-    'Kwekwe': [-18.9281, 29.8144],
-    'Kadoma': [-18.3328, 29.9150],
-    'Chinhoyi': [-17.3667, 30.2000]
-};
-
 /**
  * Generate coordinate scatter plot for locations
- * @param {string[]} locations - Array of location names
+ * @param {Array<{name: string, lat: number, lon: number, pinned?: boolean}>} points - Places to plot (pinned: from a shared location pin)
  * @param {string} title - Title for the map
  * @param {string} outputPath - Path to save the image
  * @returns {Promise<string|null>} Path to generated image or null if failed
  */
-export async function generateLocationPlot(locations, title, outputPath) {
+export async function generateLocationPlot(points, title, outputPath) {
     try {
         // Dynamic import - canvas is optional, don't crash the bot if not installed
         let createCanvas;
@@ -72,37 +44,12 @@ export async function generateLocationPlot(locations, title, outputPath) {
             return null;
         }
 
-        logger.info(`Generating location plot for ${locations.length} locations`);
-
-        // Get coordinates for locations
-        const points = locations
-            .map(loc => {
-                // Try exact match first
-                let coords = ZIMBABWE_COORDINATES[loc];
-
-                // If not found, try case-insensitive match
-                if (!coords) {
-                    const key = Object.keys(ZIMBABWE_COORDINATES).find(
-                        k => k.toLowerCase() === loc.toLowerCase()
-                    );
-                    coords = key ? ZIMBABWE_COORDINATES[key] : null;
-                }
-
-                if (!coords) {
-                    logger.warn(`No coordinates found for location: ${loc}`);
-                    return null;
-                }
-
-                return { name: loc, lat: coords[0], lon: coords[1] };
-            })
-            .filter(Boolean);
-
         if (points.length === 0) {
             logger.warn('No valid coordinates found for any location');
             return null;
         }
 
-        logger.info(`Found coordinates for ${points.length} locations`);
+        logger.info(`Generating location plot for ${points.length} locations`);
 
         // Create canvas
         const canvas = createCanvas(MAP_CONFIG.width, MAP_CONFIG.height);
@@ -112,137 +59,32 @@ export async function generateLocationPlot(locations, title, outputPath) {
         ctx.fillStyle = MAP_CONFIG.backgroundColor;
         ctx.fillRect(0, 0, MAP_CONFIG.width, MAP_CONFIG.height);
 
-        // Calculate bounds
-        const lats = points.map(p => p.lat);
-        const lons = points.map(p => p.lon);
-        const minLat = Math.min(...lats);
-        const maxLat = Math.max(...lats);
-        const minLon = Math.min(...lons);
-        const maxLon = Math.max(...lons);
-
-        // Add padding to ranges
-        const latRange = (maxLat - minLat) || 1;
-        const lonRange = (maxLon - minLon) || 1;
-        const latPadding = latRange * 0.1;
-        const lonPadding = lonRange * 0.1;
-
-        const plotMinLat = minLat - latPadding;
-        const plotMaxLat = maxLat + latPadding;
-        const plotMinLon = minLon - lonPadding;
-        const plotMaxLon = maxLon + lonPadding;
-
-        const plotLatRange = plotMaxLat - plotMinLat;
-        const plotLonRange = plotMaxLon - plotMinLon;
-
-        const plotWidth = MAP_CONFIG.width - 2 * MAP_CONFIG.padding;
-        const plotHeight = MAP_CONFIG.height - 2 * MAP_CONFIG.padding - MAP_CONFIG.titleSpace;
-
         // Draw title
         ctx.fillStyle = '#000000';
         ctx.font = `${MAP_CONFIG.titleFontSize}px Arial`;
         ctx.textAlign = 'center';
         ctx.fillText(title, MAP_CONFIG.width / 2, 30);
 
-        const plotTop = MAP_CONFIG.padding + MAP_CONFIG.titleSpace;
-        const plotLeft = MAP_CONFIG.padding;
-
-        // Draw grid if enabled
-        if (MAP_CONFIG.showGrid) {
-            ctx.strokeStyle = MAP_CONFIG.gridColor;
-            ctx.lineWidth = 1;
-
-            // Vertical lines
-            for (let i = 0; i <= 5; i++) {
-                const x = plotLeft + (plotWidth / 5) * i;
-                ctx.beginPath();
-                ctx.moveTo(x, plotTop);
-                ctx.lineTo(x, plotTop + plotHeight);
-                ctx.stroke();
-            }
-
-            // Horizontal lines
-            for (let i = 0; i <= 5; i++) {
-                const y = plotTop + (plotHeight / 5) * i;
-                ctx.beginPath();
-                ctx.moveTo(plotLeft, y);
-                ctx.lineTo(plotLeft + plotWidth, y);
-                ctx.stroke();
-            }
-        }
+        // Map on the left, legend on the right
+        const area = {
+            left: MAP_CONFIG.padding,
+            top: MAP_CONFIG.titleSpace,
+            width: MAP_CONFIG.width - MAP_CONFIG.legendWidth - 2 * MAP_CONFIG.padding,
+            height: MAP_CONFIG.height - MAP_CONFIG.titleSpace - MAP_CONFIG.padding
+        };
 
-        // Draw axes
-        ctx.strokeStyle = MAP_CONFIG.axisColor;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(plotLeft, plotTop);
-        ctx.lineTo(plotLeft, plotTop + plotHeight);
-        ctx.lineTo(plotLeft + plotWidth, plotTop + plotHeight);
-        ctx.stroke();
-
-        // Convert coordinates to canvas positions
-        function toCanvasX(lon) {
-            return plotLeft + ((lon - plotMinLon) / plotLonRange) * plotWidth;
-        }
+        // Base map fitted to the points
+        const projection = fitProjection(points, area);
+        drawBaseMap(ctx, projection, area);
 
-        function toCanvasY(lat) {
-            // Invert Y axis (canvas Y increases downward, latitude increases upward)
-            return plotTop + plotHeight - ((lat - plotMinLat) / plotLatRange) * plotHeight;
-        }
-
-        // Draw axis labels
-        ctx.fillStyle = '#666666';
-        ctx.font = `${MAP_CONFIG.axisFontSize}px Arial`;
-        ctx.textAlign = 'center';
-        ctx.fillText('Longitude', MAP_CONFIG.width / 2, MAP_CONFIG.height - 10);
-
-        ctx.save();
-        ctx.translate(15, MAP_CONFIG.height / 2);
-        ctx.rotate(-Math.PI / 2);
-        ctx.fillText('Latitude', 0, 0);
-        ctx.restore();
-
-        // Draw tick marks and values
-        ctx.fillStyle = '#666666';
-        ctx.font = `${MAP_CONFIG.axisFontSize}px Arial`;
-        ctx.textAlign = 'center';
-
-        // X-axis ticks (longitude)
-        for (let i = 0; i <= 5; i++) {
-            const lon = plotMinLon + (plotLonRange / 5) * i;
-            const x = plotLeft + (plotWidth / 5) * i;
-            const y = plotTop + plotHeight;
-
-            // Tick mark
-            ctx.beginPath();
-            ctx.moveTo(x, y);
-            ctx.lineTo(x, y + 5);
-            ctx.stroke();
-
-            // Value
-            ctx.fillText(lon.toFixed(1), x, y + 18);
-        }
-
-        // Y-axis ticks (latitude)
-        ctx.textAlign = 'right';
-        for (let i = 0; i <= 5; i++) {
-            const lat = plotMinLat + (plotLatRange / 5) * i;
-            const x = plotLeft;
-            const y = plotTop + plotHeight - (plotHeight / 5) * i;
-
-            // Tick mark
-            ctx.beginPath();
-            ctx.moveTo(x - 5, y);
-            ctx.lineTo(x, y);
-            ctx.stroke();
-
-            // Value
-            ctx.fillText(lat.toFixed(1), x - 8, y + 4);
-        }
+        ctx.strokeStyle = '#999999';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(area.left, area.top, area.width, area.height);
 
         // Draw points and labels
         points.forEach((point, idx) => {
-            const x = toCanvasX(point.lon);
-            const y = toCanvasY(point.lat);
+            const x = projection.toX(point.lon);
+            const y = projection.toY(point.lat);
 
             // Draw pin (circle)
             const color = MAP_CONFIG.pinColors[idx % MAP_CONFIG.pinColors.length];
@@ -251,6 +93,13 @@ export async function generateLocationPlot(locations, title, outputPath) {
             ctx.arc(x, y, MAP_CONFIG.pinRadius, 0, 2 * Math.PI);
             ctx.fill();
 
+            // Outline exact points from shared location pins
+            if (point.pinned) {
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
             // Draw label
             ctx.fillStyle = '#000000';
             ctx.font = `${MAP_CONFIG.fontSize}px Arial`;
@@ -258,6 +107,13 @@ export async function generateLocationPlot(locations, title, outputPath) {
             ctx.fillText(point.name, x + MAP_CONFIG.labelOffset, y + 4);
         });
 
+        drawLegend(ctx, points, {
+            left: area.left + area.width + MAP_CONFIG.padding,
+            top: area.top,
+            width: MAP_CONFIG.legendWidth - MAP_CONFIG.padding,
+            height: area.height
+        });
+
         // Save to file
         const buffer = canvas.toBuffer('image/png');
         writeFileSync(outputPath, buffer);
@@ -272,20 +128,102 @@ export async function generateLocationPlot(locations, title, outputPath) {
 }
 
 /**
- * Add new location coordinates (for expanding the database)
- * @param {string} locationName - Name of the location
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
+ * Legend: each plotted place with its colour and report count, then the base map symbols
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<Object>} points - Plotted points (same order as their colours)
+ * @param {{left: number, top: number, width: number, height: number}} box
  */
-export function addLocationCoordinates(locationName, latitude, longitude) {
-    ZIMBABWE_COORDINATES[locationName] = [latitude, longitude];
-    logger.info(`Added coordinates for ${locationName}: [${latitude}, ${longitude}]`);
+function drawLegend(ctx, points, box) {
+    const lineHeight = MAP_CONFIG.legendFontSize + 7;
+    const symbols = [
+        ['road', 'Main road'],
+        ['province', 'Province boundary'],
+        ['town', 'Town'],
+        ['pinned', 'Exact location pin']
+    ].filter(([symbol]) => {
+        if (symbol === 'pinned') return points.some(p => p.pinned);
+        if (symbol === 'road') return loadBaseMapLayers().roads.length > 0;
+        return true;
+    });
+
+    // Leave room for the symbol key below the places
+    const maxRows = Math.floor((box.height - (symbols.length + 3) * lineHeight) / lineHeight);
+    const shown = points.length > maxRows ? points.slice(0, maxRows - 1) : points;
+
+    let y = box.top + lineHeight;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#000000';
+    ctx.font = `bold ${MAP_CONFIG.legendFontSize}px Arial`;
+    ctx.fillText('Locations', box.left, y);
+
+    ctx.font = `${MAP_CONFIG.legendFontSize}px Arial`;
+    shown.forEach((point, idx) => {
+        y += lineHeight;
+        ctx.fillStyle = MAP_CONFIG.pinColors[idx % MAP_CONFIG.pinColors.length];
+        ctx.beginPath();
+        ctx.arc(box.left + 5, y - 4, MAP_CONFIG.pinRadius, 0, 2 * Math.PI);
+        ctx.fill();
+        if (point.pinned) {
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        const count = point.reports > 1 ? ` (${point.reports})` : '';
+        ctx.fillStyle = '#000000';
+        ctx.fillText(fitText(ctx, `${point.name}${count}`, box.width - 16), box.left + 16, y);
+    });
+
+    if (shown.length < points.length) {
+        y += lineHeight;
+        ctx.fillStyle = '#666666';
+        ctx.fillText(`+${points.length - shown.length} more`, box.left + 16, y);
+    }
+
+    y += lineHeight * 2;
+    ctx.fillStyle = '#000000';
+    ctx.font = `bold ${MAP_CONFIG.legendFontSize}px Arial`;
+    ctx.fillText('Key', box.left, y);
+    ctx.font = `${MAP_CONFIG.legendFontSize}px Arial`;
+
+    symbols.forEach(([symbol, label]) => {
+        y += lineHeight;
+        const sy = y - 4;
+        ctx.beginPath();
+        if (symbol === 'road' || symbol === 'province') {
+            ctx.strokeStyle = symbol === 'road' ? MAP_CONFIG.roadColor : MAP_CONFIG.provinceColor;
+            ctx.lineWidth = symbol === 'road' ? 2 : 1.25;
+            ctx.setLineDash(symbol === 'province' ? [6, 4] : []);
+            ctx.moveTo(box.left, sy);
+            ctx.lineTo(box.left + 12, sy);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        } else if (symbol === 'town') {
+            ctx.fillStyle = MAP_CONFIG.townColor;
+            ctx.fillRect(box.left + 3, sy - 2, 4, 4);
+        } else {
+            ctx.fillStyle = '#ffffff';
+            ctx.arc(box.left + 5, sy, MAP_CONFIG.pinRadius, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#000000';
+        ctx.fillText(label, box.left + 16, y);
+    });
 }
 
 /**
- * Get all known locations
- * @returns {string[]} Array of location names
+ * Shorten text with an ellipsis to fit a width
  */
-export function getKnownLocations() {
-    return Object.keys(ZIMBABWE_COORDINATES);
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+
+    let shortened = text;
+    while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+        shortened = shortened.slice(0, -1);
+    }
+    return `${shortened}…`;
 }
@@ -0,0 +1,262 @@
+import logger from '../utils/logger.js';
+import { getPlaces, savePlace, deletePlace } from '../database/db.js';
+
+/**
+ * Gazetteer
+ * Known places and their coordinates, kept in the places table so admins can
+ * add and correct them (!addplace, !placealias) without a code change.
+ * Reports with a shared location pin are plotted at that exact point; the rest
+ * are placed by matching their location, then area, then city.
+ */
+
+// Fields tried in order when placing a report on the map
+const LOCATION_FIELDS = ['location', 'area', 'city'];
+
+// Names shorter than this are only matched exactly (too many false typo matches)
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Lowercase, drop accents and punctuation, collapse whitespace
+ * ("Chitenderano (Nyazura)." → "chitenderano nyazura")
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizePlaceName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Typos allowed when fuzzy matching a name of this length
+ */
+function allowedTypos(key) {
+    return key.length >= 8 ? 2 : 1;
+}
+
+/**
+ * Normalised name and aliases of a place
+ */
+function placeKeys(place) {
+    return [place.name, ...(place.aliases || [])].map(normalizePlaceName).filter(Boolean);
+}
+
+/**
+ * Find a place by its exact name or one of its aliases (ignoring case and punctuation)
+ * @param {string} name
+ * @param {Array<Object>} places - From getPlaces()
+ * @returns {Object|null}
+ */
+export function findPlace(name, places) {
+    const query = normalizePlaceName(name);
+    if (!query) return null;
+
+    return places.find(place => placeKeys(place).includes(query)) || null;
+}
+
+/**
+ * Match free text from a report ("Sakubva musika", "Dangamvra phase 3") to a known place.
+ * Tries, in order: exact name or alias, a name contained in the text, a name
+ * within a typo or two of the text (or of some of its words).
+ * @param {string} text - Location as reported
+ * @param {Array<Object>} places - From getPlaces()
+ * @returns {Object|null} The place, or null when nothing is close enough
+ */
+export function matchPlace(text, places) {
+    const query = normalizePlaceName(text);
+    if (query.length < 2) return null;
+
+    const exact = findPlace(query, places);
+    if (exact) return exact;
+
+    const words = query.split(' ');
+    let best = null;
+
+    for (const place of places) {
+        for (const key of placeKeys(place)) {
+            // "mutare cbd" should win over "mutare" for "mutare cbd flea market"
+            if (` ${query} `.includes(` ${key} `)) {
+                const candidate = { place, distance: 0, length: key.length };
+                if (isBetterMatch(candidate, best)) best = candidate;
+                continue;
+            }
+
+            if (key.length < MIN_FUZZY_LENGTH) continue;
+
+            // Compare against every run of words as long as the name
+            const keyWords = key.split(' ').length;
+            for (let i = 0; i + keyWords <= words.length; i++) {
+                const window = words.slice(i, i + keyWords).join(' ');
+                const distance = editDistance(window, key);
+                if (distance <= allowedTypos(key)) {
+                    const candidate = { place, distance, length: key.length };
+                    if (isBetterMatch(candidate, best)) best = candidate;
+                }
+            }
+        }
+    }
+
+    return best ? best.place : null;
+}
+
+/**
+ * Fewer typos wins, then the longer (more specific) name
+ */
+function isBetterMatch(candidate, best) {
+    if (!best) return true;
+    if (candidate.distance !== best.distance) return candidate.distance < best.distance;
+    return candidate.length > best.length;
+}
+
+/**
+ * Place each report on the map and collect the locations the gazetteer doesn't know
+ * @param {Array<Object>} reports - Reports with location, area, city and (if pinned) latitude/longitude
+ * @returns {Promise<{points: Array<{name: string, lat: number, lon: number, reports: number, pinned: boolean}>, unmatched: Array<{location: string, plottedAt: string|null, reports: number}>}>}
+ */
+export async function resolveReportLocations(reports) {
+    const places = await getPlaces();
+    const points = new Map();
+    const unmatched = new Map();
+
+    for (const report of reports) {
+        // Shared pin: exact point, labelled with what the reporter called the place
+        if (report.latitude != null && report.longitude != null) {
+            const name = (report.location || report.area || report.city || 'Pinned location').trim();
+            const key = `pin|${normalizePlaceName(name)}|${report.latitude.toFixed(3)}|${report.longitude.toFixed(3)}`;
+            const point = points.get(key) || { name, lat: report.latitude, lon: report.longitude, reports: 0, pinned: true };
+            point.reports++;
+            points.set(key, point);
+            continue;
+        }
+
+        const fields = LOCATION_FIELDS.filter(field => normalizePlaceName(report[field]).length >= 2);
+        if (fields.length === 0) continue;
+
+        let place = null;
+        let matchedField = null;
+        for (const field of fields) {
+            place = matchPlace(report[field], places);
+            if (place) {
+                matchedField = field;
+                break;
+            }
+        }
+
+        if (place) {
+            const point = points.get(place.name) || { name: place.name, lat: place.latitude, lon: place.longitude, reports: 0, pinned: false };
+            point.reports++;
+            points.set(place.name, point);
+        }
+
+        // The most specific thing reported had no place of its own
+        if (matchedField !== fields[0]) {
+            const reported = report[fields[0]].trim();
+            const key = normalizePlaceName(reported);
+            const entry = unmatched.get(key) || { location: reported, plottedAt: place ? place.name : null, reports: 0 };
+            entry.reports++;
+            unmatched.set(key, entry);
+        }
+    }
+
+    if (unmatched.size > 0) {
+        logger.warn(`No gazetteer entry for: ${[...unmatched.values()].map(u => u.location).join(', ')}`);
+    }
+
+    return {
+        points: [...points.values()],
+        unmatched: [...unmatched.values()].sort((a, b) => b.reports - a.reports || a.location.localeCompare(b.location))
+    };
+}
+
+/**
+ * Add a place, or move an existing one (same name or alias) to new coordinates
+ * @param {string} name
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<{place: Object, created: boolean}>}
+ */
+export async function addPlace(name, latitude, longitude) {
+    const existing = findPlace(name, await getPlaces());
+    const place = existing
+        ? { ...existing, latitude, longitude }
+        : { name: name.trim(), latitude, longitude, aliases: [] };
+
+    await savePlace(place);
+    logger.info(`${existing ? 'Moved' : 'Added'} place ${place.name}: [${latitude}, ${longitude}]`);
+
+    return { place, created: !existing };
+}
+
+/**
+ * Record another spelling of a place
+ * @param {string} name - Place name or existing alias
+ * @param {string} alias - New alias
+ * @returns {Promise<{place: Object|null, conflict: Object|null}>} conflict is the place already using the alias
+ */
+export async function addPlaceAlias(name, alias) {
+    const places = await getPlaces();
+    const place = findPlace(name, places);
+    if (!place) return { place: null, conflict: null };
+
+    const conflict = findPlace(alias, places);
+    if (conflict) {
+        return { place, conflict: conflict.name === place.name ? null : conflict };
+    }
+
+    place.aliases = [...(place.aliases || []), alias.trim()];
+    await savePlace(place);
+    logger.info(`Added alias "${alias.trim()}" for place ${place.name}`);
+
+    return { place, conflict: null };
+}
+
+/**
+ * Remove a place (by name or alias)
+ * @param {string} name
+ * @returns {Promise<Object|null>} The removed place
+ */
+export async function removePlace(name) {
+    const place = findPlace(name, await getPlaces());
+    if (!place) return null;
+
+    await deletePlace(place.name);
+    logger.info(`Removed place ${place.name}`);
+    return place;
+}
+
+/**
+ * Format unmatched locations for admins
+ * @param {Array<Object>} unmatched - From resolveReportLocations()
+ * @returns {string}
+ */
+export function formatUnmatchedLocations(unmatched) {
+    return unmatched.map(u => {
+        const count = u.reports > 1 ? ` (${u.reports} reports)` : '';
+        return `• ${u.location}${count} - ${u.plottedAt ? `plotted at ${u.plottedAt}` : 'not on the map'}`;
+    }).join('\n');
+}
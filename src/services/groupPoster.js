@@ -1,6 +1,8 @@
 import { getReport, markReportAsPosted } from '../database/db.js';
 import logger from '../utils/logger.js';
 import { formatDate } from '../utils/helpers.js';
+import { getGroupLanguage } from '../i18n/preferences.js';
+import { t, FALLBACK_LANGUAGE } from '../i18n/index.js';
 
 /**
  * Post evangelism report to WhatsApp group
@@ -26,11 +28,11 @@ export async function postReportToGroup(sock, reportId) {
             return;
         }
 
-        // Format the report message
-        const message = formatReportMessage(report);
+        // Format the report message, in the cluster's language
+        const groupJid = report.whatsapp_group_id;
+        const message = formatReportMessage(report, await getGroupLanguage(groupJid));
 
         // Send to group
-        const groupJid = report.whatsapp_group_id;
         await sock.sendMessage(groupJid, { text: message });
 
         logger.info(`Report ${reportId} posted to group ${groupJid}`);
@@ -46,7 +48,7 @@ export async function postReportToGroup(sock, reportId) {
             try {
                 const report = await getReport(reportId);
                 if (report && !report.posted_to_group) {
-                    const message = formatReportMessage(report);
+                    const message = formatReportMessage(report, await getGroupLanguage(report.whatsapp_group_id));
                     await sock.sendMessage(report.whatsapp_group_id, { text: message });
                     await markReportAsPosted(reportId);
                     logger.info(`Report ${reportId} posted to group on retry`);
@@ -61,35 +63,38 @@ export async function postReportToGroup(sock, reportId) {
 /**
  * Format report for group posting
  * @param {Object} report
+ * @param {string} [language] - Language code
  * @returns {string}
  */
-function formatReportMessage(report) {
-    let message = '📊 EVANGELISM REPORT 📊\n';
+export function formatReportMessage(report, language = FALLBACK_LANGUAGE) {
+    const label = (field) => t(language, `label.${field}`);
+
+    let message = `${t(language, 'post.title')}\n`;
     message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
-    message += `📅 Date: ${formatDate(report.activity_date)}\n`;
-    message += `📍 Location: ${report.location}\n`;
+    message += `📅 ${label('activity_date')}: ${formatDate(report.activity_date)}\n`;
+    message += `📍 ${label('location')}: ${report.location}\n`;
     if (report.area) {
-        message += `🏘️ Area: ${report.area}\n`;
+        message += `🏘️ ${label('area')}: ${report.area}\n`;
     }
     if (report.city) {
-        message += `🏙️ City: ${report.city}\n`;
+        message += `🏙️ ${label('city')}: ${report.city}\n`;
     }
-    message += `📋 Activity: ${report.activity_type}\n`;
-    message += `👥 Team: ${report.preachers_team}\n\n`;
+    message += `📋 ${t(language, 'post.activity')}: ${report.activity_type}\n`;
+    message += `👥 ${t(language, 'post.team')}: ${report.preachers_team}\n\n`;
 
-    message += `📖 Summary:\n${report.message_summary}\n\n`;
+    message += `📖 ${t(language, 'post.summary')}:\n${report.message_summary}\n\n`;
 
     if (report.response_moments) {
-        message += `✨ Notable Moments:\n${report.response_moments}\n\n`;
+        message += `✨ ${label('response_moments')}:\n${report.response_moments}\n\n`;
     }
 
-    message += `📈 Results:\n`;
-    message += `✝️ Saved: ${report.saved}\n`;
-    message += `🙏 Healed: ${report.healed}\n\n`;
+    message += `📈 ${t(language, 'post.results')}:\n`;
+    message += `✝️ ${label('saved')}: ${report.saved}\n`;
+    message += `🙏 ${label('healed')}: ${report.healed}\n\n`;
 
-    message += `📝 Reporter: ${report.reporter_name}\n`;
+    message += `📝 ${label('reporter_name')}: ${report.reporter_name}\n`;
     message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
-    message += `🏛️ Cluster: ${report.assembly_name}`;
+    message += `🏛️ ${label('cluster')}: ${report.assembly_name}`;
 
     return message;
 }
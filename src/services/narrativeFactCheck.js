@@ -0,0 +1,217 @@
+import { normalizePlaceName, matchPlace } from './gazetteer.js';
+
+/**
+ * Narrative fact check
+ * Checks an AI narrative against the report it was written from. Numbers, place
+ * names and people mentioned in the text must appear in the report data (totals,
+ * locations, labourers, cluster figures) or in the reporters' own message summaries.
+ * Sentences with unsupported claims are removed; when too much has to go, the
+ * narrative fails and the caller uses the built-in one instead.
+ */
+
+// More than this share of the narrative's sentences removed → the narrative fails
+const MAX_REMOVED_SHARE = 1 / 3;
+
+// Fewer sentences than this left → the narrative fails
+const MIN_SENTENCES = 2;
+
+// Fewer message emphasis points than this left → use the built-in ones
+const MIN_EMPHASIS_POINTS = 3;
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, hundred: 100
+};
+
+// Number words only count as claims before one of these ("three souls", "five more people")
+const COUNTED_NOUNS = 'people|persons|souls|individuals|lives|converts|outreaches|outreach|events|evangelists|labourers|laborers|preachers|clusters|assemblies|places|locations|areas|sick|healings|salvations|days|weeks';
+
+// Capitalised words after "in", "at", ... that are not places
+const NOT_PLACES = new Set([
+    'god', 'christ', 'jesus', 'lord', 'gospel', 'holy', 'spirit', 'word', 'scripture', 'scriptures', 'bible',
+    'heaven', 'kingdom', 'church', 'calvary', 'father', 'son', 'saviour', 'savior', 'his', 'him', 'the', 'this',
+    'that', 'these', 'those', 'our', 'their', 'every', 'each', 'all', 'some', 'many', 'one', 'a', 'an',
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+    'november', 'december', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    'genesis', 'exodus', 'psalm', 'psalms', 'proverbs', 'isaiah', 'jeremiah', 'matthew', 'mark', 'luke',
+    'john', 'acts', 'romans', 'corinthians', 'galatians', 'ephesians', 'philippians', 'colossians',
+    'thessalonians', 'timothy', 'titus', 'hebrews', 'james', 'peter', 'jude', 'revelation'
+]);
+
+// A capitalised name after one of these is taken as a person ("Brother Tadiwa", "Mai Moyo")
+const PERSON_TITLES = 'Brother|Sister|Br|Sr|Pastor|Evangelist|Elder|Deacon|Deaconess|Mr|Mrs|Ms|Mai|Baba|Amai|Mbuya|Sekuru|Bishop|Apostle|Prophet|Overseer';
+const PERSON_PATTERN = new RegExp(`\\b(?:${PERSON_TITLES})\\.?\\s+([A-Z][\\p{L}'’-]+(?:\\s+[A-Z][\\p{L}'’-]+)?)`, 'gu');
+
+// A capitalised name after one of these is taken as a place ("preached in Sakubva", "At Mutare CBD, ...")
+const PLACE_PREPOSITIONS = ['in', 'at', 'to', 'from', 'through', 'across', 'around', 'near', 'outside', 'within'];
+const PLACE_PATTERN = new RegExp(
+    `\\b(?:${PLACE_PREPOSITIONS.map(p => `[${p[0]}${p[0].toUpperCase()}]${p.slice(1)}`).join('|')})\\s+((?:[A-Z][\\p{L}'’-]+)(?:\\s+(?!(?:${PERSON_TITLES})\\b)(?:[A-Z][\\p{L}'’-]+|\\d+))*)`,
+    'gu'
+);
+
+/**
+ * Gather what the narrative may mention
+ * @param {Object} reportData - Cluster report (generateAssemblyReport) or national report (generateNationalReport)
+ * @returns {{numbers: Set<number>, places: Array<Object>, people: string[], sourceText: string}}
+ */
+export function collectFacts(reportData) {
+    const numbers = new Set([
+        reportData.totalOutreaches,
+        reportData.totalSaved,
+        reportData.totalHealed,
+        reportData.totalSaved + reportData.totalHealed,
+        reportData.locations?.length,
+        reportData.labourers?.length,
+        reportData.activityTypes?.length
+    ]);
+
+    // National report: every cluster's and activity type's figures
+    if (reportData.clusterRanking) {
+        numbers.add(reportData.clustersReporting);
+        numbers.add(reportData.clusterRanking.length);
+        reportData.clusterRanking.forEach(c => [c.rank, c.outreaches, c.saved, c.healed].forEach(n => numbers.add(n)));
+    }
+    (reportData.activityBreakdown || []).forEach(a => [a.count, a.total_saved, a.total_healed].forEach(n => numbers.add(n)));
+
+    // The period's years ("In 2026, ...")
+    [reportData.startDate, reportData.endDate].filter(Boolean).forEach(date => numbers.add(Number(date.substring(0, 4))));
+
+    const names = [
+        ...(reportData.locations || []),
+        reportData.assemblyName,
+        reportData.title,
+        ...(reportData.clusterRanking || []).map(c => c.name)
+    ].filter(Boolean);
+
+    const sourceText = [
+        ...names,
+        ...(reportData.labourers || []),
+        ...(reportData.messageSummaries || [])
+    ].join('\n');
+
+    // Numbers the reporters wrote themselves ("Psalm 23", "phase 3")
+    extractDigits(sourceText).forEach(n => numbers.add(n));
+
+    return {
+        numbers,
+        places: names.map(name => ({ name, aliases: [] })),
+        people: (reportData.labourers || []).map(normalizePlaceName),
+        sourceText: ` ${normalizePlaceName(sourceText)} `
+    };
+}
+
+/**
+ * Numbers written in digits, leaving out Bible references (3:16, 1:1-2) and ordinals (12th)
+ */
+function extractDigits(text) {
+    return [...String(text).replace(/\b\d+:\d+(?:[-–]\d+)?\b/g, ' ').matchAll(/\b\d{1,3}(?:,\d{3})+\b|\b\d+(?:\.\d+)?(?!\d|st|nd|rd|th)\b/g)]
+        .map(match => Number(match[0].replace(/,/g, '')));
+}
+
+/**
+ * Unsupported numbers, places and people in one sentence
+ * @param {string} sentence
+ * @param {Object} facts - From collectFacts
+ * @returns {Array<{type: string, value: string}>}
+ */
+export function findUnsupportedClaims(sentence, facts) {
+    const claims = [];
+
+    extractDigits(sentence).forEach(n => {
+        if (!facts.numbers.has(n)) claims.push({ type: 'number', value: String(n) });
+    });
+
+    const wordPattern = new RegExp(`\\b(${Object.keys(NUMBER_WORDS).join('|')})\\s+(?:[a-z]+\\s+)?(?:${COUNTED_NOUNS})\\b`, 'gi');
+    for (const match of sentence.matchAll(wordPattern)) {
+        if (!facts.numbers.has(NUMBER_WORDS[match[1].toLowerCase()])) {
+            claims.push({ type: 'number', value: match[0] });
+        }
+    }
+
+    for (const match of sentence.matchAll(PLACE_PATTERN)) {
+        const place = match[1];
+        const key = normalizePlaceName(place);
+        if (NOT_PLACES.has(key.split(' ')[0])) continue;
+        if (facts.sourceText.includes(` ${key} `) || matchPlace(place, facts.places)) continue;
+        claims.push({ type: 'place', value: place });
+    }
+
+    for (const match of sentence.matchAll(PERSON_PATTERN)) {
+        const key = normalizePlaceName(match[1]);
+        if (facts.people.some(person => ` ${person} `.includes(` ${key} `)) || facts.sourceText.includes(` ${key} `)) continue;
+        claims.push({ type: 'person', value: match[0] });
+    }
+
+    return claims;
+}
+
+/**
+ * Split text into paragraphs of sentences
+ */
+function splitSentences(text) {
+    return String(text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim().split(/(?<=[.!?]["'”’)]?)\s+(?=["'“‘(]?[A-Z0-9])/).filter(Boolean))
+        .filter(paragraph => paragraph.length > 0);
+}
+
+/**
+ * Remove sentences with unsupported claims from a text
+ * @returns {{text: string, total: number, removed: number, issues: Array}}
+ */
+function checkText(text, facts, section) {
+    const issues = [];
+    let total = 0;
+    let removed = 0;
+
+    const paragraphs = splitSentences(text).map(sentences => sentences.filter(sentence => {
+        total++;
+        const claims = findUnsupportedClaims(sentence, facts);
+        if (claims.length === 0) return true;
+
+        removed++;
+        claims.forEach(claim => issues.push({ ...claim, section, sentence }));
+        return false;
+    }));
+
+    return {
+        text: paragraphs.map(sentences => sentences.join(' ')).filter(Boolean).join('\n\n'),
+        total,
+        removed,
+        issues
+    };
+}
+
+/**
+ * Check the AI's narrative sections against the report data
+ * @param {{narrative: string, messageEmphasis: string[], conclusion: string}} sections - Parsed AI response
+ * @param {Object} reportData - The report the narrative was written for
+ * @returns {{valid: boolean, narrative: string, messageEmphasis: string[], conclusion: string, issues: Array<{type: string, value: string, section: string, sentence: string}>}}
+ *   valid is false when the narrative had to lose too much; the conclusion or message emphasis
+ *   come back empty when nothing of them survived
+ */
+export function factCheckNarrative(sections, reportData) {
+    const facts = collectFacts(reportData);
+
+    const narrative = checkText(sections.narrative, facts, 'narrative');
+    const conclusion = checkText(sections.conclusion, facts, 'conclusion');
+
+    const emphasisIssues = [];
+    const messageEmphasis = (sections.messageEmphasis || []).filter(point => {
+        const claims = findUnsupportedClaims(point, facts);
+        claims.forEach(claim => emphasisIssues.push({ ...claim, section: 'messageEmphasis', sentence: point }));
+        return claims.length === 0;
+    });
+
+    const remaining = narrative.total - narrative.removed;
+    const valid = remaining >= MIN_SENTENCES && narrative.removed <= narrative.total * MAX_REMOVED_SHARE;
+
+    return {
+        valid,
+        narrative: narrative.text,
+        messageEmphasis: messageEmphasis.length >= MIN_EMPHASIS_POINTS ? messageEmphasis : [],
+        conclusion: conclusion.text,
+        issues: [...narrative.issues, ...conclusion.issues, ...emphasisIssues]
+    };
+}
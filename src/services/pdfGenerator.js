@@ -5,6 +5,7 @@ import { dirname, join } from 'path';
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
 import { formatNumber } from '../utils/helpers.js';
+import { CHART_CONFIG } from '../config/smc_visual_commands.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,10 +25,39 @@ if (!existsSync(REPORTS_DIR)) {
 export async function generatePDFReport(reportData) {
     const assemblySlug = (reportData.assemblyName || 'all').replace(/\s+/g, '_');
     const filename = `evangelism_report_${assemblySlug}_${reportData.startDate}_to_${reportData.endDate}.pdf`;
-    const filepath = join(REPORTS_DIR, filename);
 
     logger.info(`Generating PDF report for ${reportData.assemblyName || 'All Assemblies'}: ${filename}`);
 
+    // Build PDF content with SMC structure
+    const filepath = await writePDF(filename, doc => buildSMCPDFContent(doc, reportData));
+    logger.info(`SMC PDF report generated: ${filepath}`);
+    return filepath;
+}
+
+/**
+ * Generate the national report PDF (all clusters)
+ * @param {Object} reportData - From generateNationalReport
+ * @returns {Promise<string>} Path to generated PDF
+ */
+export async function generateNationalPDFReport(reportData) {
+    const filename = `evangelism_report_national_${reportData.startDate}_to_${reportData.endDate}.pdf`;
+
+    logger.info(`Generating national PDF report: ${filename}`);
+
+    const filepath = await writePDF(filename, doc => buildNationalPDFContent(doc, reportData));
+    logger.info(`National PDF report generated: ${filepath}`);
+    return filepath;
+}
+
+/**
+ * Create an A4 PDF in the reports directory
+ * @param {string} filename
+ * @param {Function} build - (doc) => void, adds the content
+ * @returns {Promise<string>} Path to the finished file
+ */
+function writePDF(filename, build) {
+    const filepath = join(REPORTS_DIR, filename);
+
     return new Promise((resolve, reject) => {
         try {
             // Create PDF document
@@ -40,17 +70,12 @@ export async function generatePDFReport(reportData) {
             const stream = createWriteStream(filepath);
             doc.pipe(stream);
 
-            // Build PDF content with SMC structure
-            buildSMCPDFContent(doc, reportData);
+            build(doc);
 
             // Finalize PDF
             doc.end();
 
-            stream.on('finish', () => {
-                logger.info(`SMC PDF report generated: ${filepath}`);
-                resolve(filepath);
-            });
-
+            stream.on('finish', () => resolve(filepath));
             stream.on('error', reject);
 
         } catch (error) {
@@ -69,7 +94,7 @@ function buildSMCPDFContent(doc, reportData) {
     doc.fontSize(24)
         .fillColor('#1a1a1a')
         .font('Helvetica-Bold')
-        .text('MONTHLY MINISTRY REPORT', { align: 'center' });
+        .text(`${(reportData.reportKind || 'Monthly').toUpperCase()} MINISTRY REPORT`, { align: 'center' });
 
     doc.moveDown(0.5);
 
@@ -175,6 +200,15 @@ function buildSMCPDFContent(doc, reportData) {
 
     doc.moveDown(2);
 
+    // ===== GROWTH AND TRENDS SECTION (New Page) =====
+    const charts = reportData.charts || {};
+    const chartPaths = [charts.weekly, charts.trend, charts.activity].filter(chart => chart && existsSync(chart));
+    if (chartPaths.length > 0) {
+        doc.addPage();
+        addTrendCharts(doc, chartPaths);
+        doc.moveDown(2);
+    }
+
     // ===== LABOURERS IN THE FIELD SECTION =====
     // Check if we need a new page
     if (doc.y > doc.page.height - 250) {
@@ -312,6 +346,172 @@ function buildSMCPDFContent(doc, reportData) {
 
     doc.moveDown(3);
 
+    // ===== SCENES FROM THE FIELD SECTION (New Page) =====
+    if (reportData.photos && reportData.photos.length > 0) {
+        doc.addPage();
+        addPhotoGallery(doc, reportData.photos);
+        doc.moveDown(2);
+    }
+
+    // ===== FOOTER =====
+    doc.fontSize(9)
+        .fillColor('#999')
+        .font('Helvetica')
+        .text(`Generated on ${new Date().toLocaleDateString()}`, {
+            align: 'center'
+        });
+
+    doc.text('Powered by Evangelism Reporter Bot', {
+        align: 'center'
+    });
+}
+
+/**
+ * Build the national report: church-wide fruit, cluster ranking, combined map and activity breakdown
+ */
+function buildNationalPDFContent(doc, reportData) {
+    // ===== HEADER =====
+    doc.fontSize(24)
+        .fillColor('#1a1a1a')
+        .font('Helvetica-Bold')
+        .text(`NATIONAL ${(reportData.reportKind || 'Monthly').toUpperCase()} MINISTRY REPORT`, { align: 'center' });
+
+    doc.moveDown(0.5);
+
+    doc.fontSize(20)
+        .fillColor('#222')
+        .font('Helvetica-Bold')
+        .text(reportData.title, { align: 'center' });
+    doc.moveDown(0.3);
+
+    doc.fontSize(18)
+        .fillColor('#333')
+        .font('Helvetica')
+        .text(reportData.period, { align: 'center' });
+
+    addDivider(doc);
+
+    // ===== NARRATIVE REPORT SECTION =====
+    addSectionTitle(doc, 'NARRATIVE REPORT');
+    addParagraph(doc, reportData.narrative, 'No narrative available');
+    addDivider(doc);
+
+    // ===== NATIONAL FRUIT SECTION =====
+    addSectionTitle(doc, `${reportData.period.toUpperCase()} FRUIT`);
+
+    [
+        ['Souls Added', `${formatNumber(reportData.totalSaved)} people gave their lives to Christ.`],
+        ['Healing Ministry', `${formatNumber(reportData.totalHealed)} individuals were prayed for and healed.`],
+        ['Outreaches', `${formatNumber(reportData.totalOutreaches)} outreaches by ${reportData.clustersReporting} of ${reportData.clusterRanking.length} clusters, ` +
+            `with ${reportData.labourers.length} labourers in ${reportData.locations.length} places.`]
+    ].forEach(([heading, line]) => {
+        doc.fontSize(14)
+            .fillColor('#333')
+            .font('Helvetica-Bold')
+            .text(heading);
+
+        doc.fontSize(12)
+            .fillColor('#000')
+            .font('Helvetica')
+            .text(line);
+
+        doc.moveDown(1);
+    });
+
+    // ===== CLUSTER RANKING SECTION (New Page) =====
+    doc.addPage();
+    addSectionTitle(doc, 'CLUSTER RANKING');
+
+    addTable(doc, [
+        { header: '#', width: 0.08, value: c => (c.rank ? String(c.rank) : '-') },
+        { header: 'Cluster', width: 0.44, value: c => c.name },
+        { header: 'Outreaches', width: 0.16, value: c => formatNumber(c.outreaches), align: 'right' },
+        { header: 'Saved', width: 0.16, value: c => formatNumber(c.saved), align: 'right' },
+        { header: 'Healed', width: 0.16, value: c => formatNumber(c.healed), align: 'right' }
+    ], reportData.clusterRanking);
+
+    doc.moveDown(0.5);
+    doc.fontSize(9)
+        .fillColor('#777')
+        .font('Helvetica')
+        .text('Ranked by people saved, then outreaches. Clusters marked - sent no reports this period.');
+
+    // ===== FIELDS ENTERED SECTION (New Page) =====
+    doc.addPage();
+    addSectionTitle(doc, 'FIELDS ENTERED');
+
+    if (reportData.mapImagePath && existsSync(reportData.mapImagePath)) {
+        try {
+            doc.image(reportData.mapImagePath, {
+                fit: [500, 400],
+                align: 'center'
+            });
+            doc.moveDown(1);
+        } catch (error) {
+            logger.error('Error embedding map image:', error);
+        }
+    }
+
+    addParagraph(doc, reportData.locations.length > 0 ? reportData.locations.join(', ') : null, 'No location data available');
+
+    // ===== ACTIVITY BREAKDOWN SECTION (New Page) =====
+    doc.addPage();
+    addSectionTitle(doc, 'ACTIVITY BREAKDOWN');
+
+    if (reportData.activityBreakdown.length > 0) {
+        addTable(doc, [
+            { header: 'Activity', width: 0.52, value: a => a.activity_type },
+            { header: 'Outreaches', width: 0.16, value: a => formatNumber(a.count), align: 'right' },
+            { header: 'Saved', width: 0.16, value: a => formatNumber(a.total_saved), align: 'right' },
+            { header: 'Healed', width: 0.16, value: a => formatNumber(a.total_healed), align: 'right' }
+        ], reportData.activityBreakdown);
+        doc.moveDown(1);
+    } else {
+        addParagraph(doc, null, 'No activity data available');
+    }
+
+    if (reportData.activityChartPath && existsSync(reportData.activityChartPath)) {
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const chartHeight = width * CHART_CONFIG.height / CHART_CONFIG.width;
+        if (doc.y + chartHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        try {
+            doc.image(reportData.activityChartPath, left, doc.y, { width });
+            doc.y += chartHeight + 15;
+        } catch (error) {
+            logger.error('Error embedding activity chart:', error);
+        }
+    }
+
+    addDivider(doc);
+
+    // ===== MESSAGE EMPHASIS SECTION =====
+    addSectionTitle(doc, 'MESSAGE EMPHASIS');
+
+    if (reportData.messageEmphasis && reportData.messageEmphasis.length > 0) {
+        doc.fontSize(11)
+            .fillColor('#333')
+            .font('Helvetica');
+
+        reportData.messageEmphasis.forEach(item => {
+            doc.text(`• ${item}`, { indent: 20 });
+            doc.moveDown(0.5);
+        });
+    } else {
+        addParagraph(doc, null, 'No message emphasis data available');
+    }
+
+    addDivider(doc);
+
+    // ===== CONCLUSION SECTION =====
+    addSectionTitle(doc, 'CONCLUSION');
+    addParagraph(doc, reportData.conclusion, 'No conclusion available');
+
+    doc.moveDown(3);
+
     // ===== FOOTER =====
     doc.fontSize(9)
         .fillColor('#999')
@@ -324,3 +524,204 @@ function buildSMCPDFContent(doc, reportData) {
         align: 'center'
     });
 }
+
+function addSectionTitle(doc, title) {
+    doc.fontSize(18)
+        .fillColor('#1a1a1a')
+        .font('Helvetica-Bold')
+        .text(title, { underline: true });
+
+    doc.moveDown(1);
+}
+
+/**
+ * Justified body text, or a grey placeholder when there is none
+ */
+function addParagraph(doc, text, placeholder) {
+    if (text) {
+        doc.fontSize(11)
+            .fillColor('#333')
+            .font('Helvetica')
+            .text(text, {
+                align: 'justify',
+                lineGap: 4
+            });
+    } else {
+        doc.fontSize(11)
+            .fillColor('#999')
+            .font('Helvetica')
+            .text(placeholder);
+    }
+}
+
+/**
+ * Horizontal line with space around it (starts a new page when near the bottom)
+ */
+function addDivider(doc) {
+    doc.moveDown(2);
+
+    if (doc.y > doc.page.height - 150) {
+        doc.addPage();
+        return;
+    }
+
+    doc.strokeColor('#ddd')
+        .lineWidth(1)
+        .moveTo(50, doc.y)
+        .lineTo(doc.page.width - 50, doc.y)
+        .stroke();
+
+    doc.moveDown(2);
+}
+
+/**
+ * Simple table with a shaded header row, repeated on each new page
+ * @param {Object} doc - PDFKit document
+ * @param {Array<{header: string, width: number, value: Function, align?: string}>} columns - width is a share of the page width
+ * @param {Array<Object>} rows
+ */
+function addTable(doc, columns, rows) {
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - left - doc.page.margins.right;
+    const rowHeight = 20;
+    const cellPadding = 6;
+
+    const drawRow = (cells, y, { bold = false, fill = null } = {}) => {
+        if (fill) {
+            doc.rect(left, y, tableWidth, rowHeight).fill(fill);
+        }
+
+        let x = left;
+        doc.fontSize(10)
+            .fillColor('#222')
+            .font(bold ? 'Helvetica-Bold' : 'Helvetica');
+
+        columns.forEach((column, i) => {
+            const width = column.width * tableWidth;
+            doc.text(cells[i], x + cellPadding, y + 5, {
+                width: width - 2 * cellPadding,
+                align: column.align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += width;
+        });
+    };
+
+    let y = doc.y;
+    drawRow(columns.map(c => c.header), y, { bold: true, fill: '#e8eef2' });
+    y += rowHeight;
+
+    rows.forEach((row, index) => {
+        if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            y = doc.page.margins.top;
+            drawRow(columns.map(c => c.header), y, { bold: true, fill: '#e8eef2' });
+            y += rowHeight;
+        }
+
+        drawRow(columns.map(c => c.value(row)), y, { fill: index % 2 === 1 ? '#f7f7f7' : null });
+        y += rowHeight;
+    });
+
+    // Continue at the left margin below the table
+    doc.x = left;
+    doc.y = y;
+}
+
+/**
+ * Add the "Growth and trends" charts (full width, one under another)
+ * @param {Object} doc - PDFKit document
+ * @param {string[]} chartPaths - Chart images from generateTrendCharts
+ */
+function addTrendCharts(doc, chartPaths) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const chartHeight = width * CHART_CONFIG.height / CHART_CONFIG.width;
+
+    doc.fontSize(18)
+        .fillColor('#1a1a1a')
+        .font('Helvetica-Bold')
+        .text('GROWTH AND TRENDS', { underline: true });
+
+    doc.moveDown(1);
+
+    chartPaths.forEach(chartPath => {
+        if (doc.y + chartHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        try {
+            doc.image(chartPath, left, doc.y, { width });
+        } catch (error) {
+            logger.error(`Error embedding chart ${chartPath}:`, error);
+        }
+
+        doc.y += chartHeight + 15;
+    });
+
+    // Continue at the left margin below the charts
+    doc.x = left;
+}
+
+/**
+ * Add the "Scenes from the field" photo grid (two per row, captioned)
+ * @param {Object} doc - PDFKit document
+ * @param {Array<{path: string, caption: string}>} photos - Prepared gallery photos
+ */
+function addPhotoGallery(doc, photos) {
+    const left = doc.page.margins.left;
+    const gap = 20;
+    const cellWidth = (doc.page.width - left - doc.page.margins.right - gap) / 2;
+    const imageHeight = 170;
+    const captionHeight = 40;
+    const rowHeight = imageHeight + captionHeight + 15;
+
+    doc.fontSize(18)
+        .fillColor('#1a1a1a')
+        .font('Helvetica-Bold')
+        .text('SCENES FROM THE FIELD', { underline: true });
+
+    doc.moveDown(1);
+
+    let rowTop = doc.y;
+
+    photos.forEach((photo, index) => {
+        const column = index % 2;
+
+        // Start a new row (and a new page when the row doesn't fit)
+        if (column === 0 && index > 0) {
+            rowTop += rowHeight;
+        }
+        if (column === 0 && rowTop + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            rowTop = doc.page.margins.top;
+        }
+
+        const x = left + column * (cellWidth + gap);
+
+        try {
+            doc.image(photo.path, x, rowTop, {
+                fit: [cellWidth, imageHeight],
+                align: 'center',
+                valign: 'center'
+            });
+        } catch (error) {
+            logger.error(`Error embedding gallery photo ${photo.path}:`, error);
+        }
+
+        doc.fontSize(9)
+            .fillColor('#555')
+            .font('Helvetica')
+            .text(photo.caption, x, rowTop + imageHeight + 5, {
+                width: cellWidth,
+                height: captionHeight,
+                align: 'center',
+                ellipsis: true
+            });
+    });
+
+    // Continue below the last row
+    doc.x = left;
+    doc.y = rowTop + rowHeight;
+}
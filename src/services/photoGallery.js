@@ -0,0 +1,144 @@
+/**
+ * Photo Gallery
+ *
+ * Picks outreach photos for the monthly PDF ("Scenes from the field") and
+ * downscales them so the PDF stays small enough to send over WhatsApp
+ */
+
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { getReportMediaForAssembly } from '../database/db.js';
+import { join, extname } from 'path';
+import { existsSync, mkdirSync, statSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const REPORTS_DIR = join(__dirname, '../../reports');
+
+// Longest side of a downscaled photo, in pixels (enough for a half-page cell)
+const MAX_PHOTO_DIMENSION = 900;
+const JPEG_QUALITY = 0.7;
+
+// PDFKit can only embed these without conversion
+const EMBEDDABLE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+/**
+ * Choose photos spread across the month: one per report first, then the rest
+ * @param {Array} media - Media rows ordered by activity date
+ * @param {number} limit - Maximum photos
+ * @returns {Array}
+ */
+function selectPhotos(media, limit) {
+    const byReport = new Map();
+    media.forEach(m => {
+        if (!byReport.has(m.report_id)) byReport.set(m.report_id, []);
+        byReport.get(m.report_id).push(m);
+    });
+
+    const selected = [];
+    const groups = [...byReport.values()];
+    for (let round = 0; selected.length < limit; round++) {
+        const picks = groups.filter(g => g[round]).map(g => g[round]);
+        if (picks.length === 0) break;
+        selected.push(...picks.slice(0, limit - selected.length));
+    }
+
+    return selected.sort((a, b) => a.activity_date.localeCompare(b.activity_date));
+}
+
+/**
+ * Build the caption shown under a photo
+ * @param {Object} photo - Media row with report fields
+ * @returns {string}
+ */
+function buildCaption(photo) {
+    const place = [photo.location, photo.area].filter(Boolean).join(', ');
+    const lines = [[photo.activity_date, place].filter(Boolean).join(' - ')];
+    if (photo.preachers_team) lines.push(photo.preachers_team);
+    return lines.join('\n');
+}
+
+/**
+ * Prepare the gallery photos for a cluster's report period.
+ * Photos are downscaled to JPEG with canvas; without canvas, only JPEG/PNG files
+ * small enough for the size budget are used as they are.
+ * @param {Object} assembly - Assembly ({id, name})
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array<{path: string, caption: string}>>}
+ */
+export async function prepareGalleryPhotos(assembly, startDate, endDate) {
+    if (config.galleryMaxPhotos <= 0) return [];
+
+    const media = (await getReportMediaForAssembly(assembly.id, startDate, endDate, 'image'))
+        .map(m => ({ ...m, absolute_path: join(config.mediaDir, m.file_path) }))
+        .filter(m => existsSync(m.absolute_path));
+
+    if (media.length === 0) return [];
+
+    // Dynamic import - canvas is optional, don't crash the bot if not installed
+    let canvasModule = null;
+    try {
+        canvasModule = await import('canvas');
+    } catch (e) {
+        logger.warn('canvas package not installed - gallery photos will not be downscaled. Run: npm install canvas');
+    }
+
+    const galleryDir = join(REPORTS_DIR, `gallery_${assembly.name.replace(/\s+/g, '_')}_${startDate}`);
+    if (canvasModule && !existsSync(galleryDir)) {
+        mkdirSync(galleryDir, { recursive: true });
+    }
+
+    const perPhotoBudget = Math.floor(config.galleryMaxBytes / config.galleryMaxPhotos);
+    const photos = [];
+    let totalBytes = 0;
+
+    for (const photo of selectPhotos(media, config.galleryMaxPhotos)) {
+        try {
+            let path = photo.absolute_path;
+            let size = statSync(path).size;
+
+            if (canvasModule) {
+                path = join(galleryDir, `photo_${photo.id}.jpg`);
+                size = await downscalePhoto(canvasModule, photo.absolute_path, path);
+            } else if (!EMBEDDABLE_EXTENSIONS.includes(extname(path).toLowerCase()) || size > perPhotoBudget) {
+                logger.warn(`Skipping gallery photo ${photo.file_path}: cannot downscale without canvas`);
+                continue;
+            }
+
+            if (totalBytes + size > config.galleryMaxBytes) {
+                logger.warn(`Gallery size limit reached - using ${photos.length} photo(s)`);
+                break;
+            }
+
+            totalBytes += size;
+            photos.push({ path, caption: buildCaption(photo) });
+        } catch (error) {
+            logger.error(`Error preparing gallery photo ${photo.file_path}:`, error);
+        }
+    }
+
+    logger.info(`Prepared ${photos.length} gallery photo(s) for ${assembly.name} (${Math.round(totalBytes / 1024)} KB)`);
+    return photos;
+}
+
+/**
+ * Downscale a photo to MAX_PHOTO_DIMENSION and save it as JPEG
+ * @returns {Promise<number>} Size of the saved file in bytes
+ */
+async function downscalePhoto({ createCanvas, loadImage }, sourcePath, outputPath) {
+    const image = await loadImage(sourcePath);
+    const scale = Math.min(1, MAX_PHOTO_DIMENSION / Math.max(image.width, image.height));
+    const width = Math.round(image.width * scale);
+    const height = Math.round(image.height * scale);
+
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    const buffer = canvas.toBuffer('image/jpeg', { quality: JPEG_QUALITY });
+    writeFileSync(outputPath, buffer);
+    return buffer.length;
+}
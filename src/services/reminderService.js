@@ -0,0 +1,102 @@
+import logger from '../utils/logger.js';
+import { getMonthlyStatsByAssembly, getAllAssemblies } from '../database/db.js';
+import { toISODate } from '../utils/helpers.js';
+import { getReportTemplate } from '../utils/groupReportParser.js';
+import { getClusterLanguage } from '../i18n/preferences.js';
+import { t, FALLBACK_LANGUAGE } from '../i18n/index.js';
+import { resolveAudience } from './scheduleRegistry.js';
+
+/**
+ * Silent cluster reminders
+ * Clusters with no counted reports in the last N days get a friendly nudge in their
+ * group (with the report template to copy), and the admins get the list.
+ */
+
+/**
+ * Find clusters with no counted reports in the last `days` days (including today)
+ * @param {number} days
+ * @returns {Promise<{start: string, end: string, silent: Array<Object>}>} Silent clusters with their assembly row
+ */
+export async function findSilentClusters(days) {
+    const today = new Date();
+    const from = new Date(today);
+    from.setDate(from.getDate() - (days - 1));
+
+    const start = toISODate(from);
+    const end = toISODate(today);
+
+    const [stats, assemblies] = await Promise.all([
+        getMonthlyStatsByAssembly(start, end),
+        getAllAssemblies()
+    ]);
+
+    const silent = stats
+        .filter(s => Number(s.total_reports) === 0)
+        .map(s => ({ ...s, assembly: assemblies.find(a => a.id === s.assembly_id) }))
+        .sort((a, b) => a.assembly_name.localeCompare(b.assembly_name));
+
+    return { start, end, silent };
+}
+
+/**
+ * Build the reminder posted in a silent cluster's group
+ * @param {string} assemblyName
+ * @param {number} days
+ * @param {string} [language] - The cluster's language
+ * @returns {string}
+ */
+export function formatReminderMessage(assemblyName, days, language = FALLBACK_LANGUAGE) {
+    return t(language, 'reminder.message', { cluster: assemblyName, days });
+}
+
+/**
+ * Send reminders to silent clusters and the silent-cluster list to admins
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} options
+ * @param {number} options.days - Days without a report before a cluster counts as silent
+ * @param {string[]} options.audience - 'cluster_groups' posts the reminders; 'admins'/JIDs get the list
+ * @returns {Promise<Array<Object>>} Silent clusters
+ */
+export async function sendClusterReminders(sock, { days, audience }) {
+    const { start, end, silent } = await findSilentClusters(days);
+    logger.info(`[REMINDER] ${silent.length} cluster(s) silent since ${start}`);
+
+    const reminded = [];
+    if (audience.includes('cluster_groups')) {
+        for (const cluster of silent) {
+            const groupJid = resolveAudience(['cluster_groups'], cluster.assembly)[0];
+            if (!groupJid) continue;
+
+            try {
+                const language = getClusterLanguage(cluster.assembly);
+                await sock.sendMessage(groupJid, { text: formatReminderMessage(cluster.assembly_name, days, language) });
+                await sock.sendMessage(groupJid, { text: getReportTemplate(language) });
+                reminded.push(cluster.assembly_name);
+            } catch (error) {
+                logger.error(`[REMINDER] Failed to remind ${cluster.assembly_name}:`, error);
+            }
+        }
+    }
+
+    const listRecipients = resolveAudience(audience.filter(a => a !== 'cluster_groups'));
+    if (listRecipients.length > 0 && silent.length > 0) {
+        let message = `🔕 *SILENT CLUSTERS*\n_No reports from ${start} to ${end}_\n\n`;
+        message += silent.map(c => {
+            const bound = resolveAudience(['cluster_groups'], c.assembly).length > 0;
+            return `• ${c.assembly_name}${bound ? '' : ' ⚠️ no group bound'}`;
+        }).join('\n');
+        if (audience.includes('cluster_groups')) {
+            message += `\n\nReminders posted in ${reminded.length} group(s).`;
+        }
+
+        for (const jid of listRecipients) {
+            try {
+                await sock.sendMessage(jid, { text: message });
+            } catch (error) {
+                logger.error(`[REMINDER] Failed to send silent cluster list to ${jid}:`, error);
+            }
+        }
+    }
+
+    return silent;
+}
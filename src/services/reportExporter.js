@@ -0,0 +1,204 @@
+import fs from 'fs';
+import ExcelJS from 'exceljs';
+import { join, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import logger from '../utils/logger.js';
+import {
+    getReportsByDateRange,
+    getMonthlyStatsByAssembly,
+    getActivityTypeBreakdown
+} from '../database/db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const EXPORTS_DIR = join(__dirname, '../../reports/exports');
+
+export const EXPORT_FORMATS = ['xlsx', 'csv'];
+
+const MIME_TYPES = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv'
+};
+
+/**
+ * Sheet definitions: [column key, header, width]
+ */
+const REPORT_COLUMNS = [
+    ['id', 'Report ID', 10],
+    ['activity_date', 'Date', 12],
+    ['assembly_name', 'Cluster', 20],
+    ['location', 'Location', 20],
+    ['area', 'Area', 16],
+    ['city', 'City', 14],
+    ['latitude', 'Latitude', 11],
+    ['longitude', 'Longitude', 11],
+    ['activity_type', 'Type of Activity', 20],
+    ['preachers_team', 'Preachers Team', 30],
+    ['message_summary', 'Message Summary', 40],
+    ['response_moments', 'Notable Moments', 40],
+    ['reporting_command', 'Reporting Command', 28],
+    ['saved', 'Saved', 8],
+    ['healed', 'Healed', 8],
+    ['reporter_name', 'Reporter', 20],
+    ['reporter_phone', 'Reporter Phone', 16],
+    ['source', 'Source', 14],
+    ['created_at', 'Submitted', 20]
+];
+
+const CLUSTER_COLUMNS = [
+    ['assembly_name', 'Cluster', 24],
+    ['total_reports', 'Outreaches', 12],
+    ['total_saved', 'Saved', 10],
+    ['total_healed', 'Healed', 10]
+];
+
+const ACTIVITY_COLUMNS = [
+    ['activity_type', 'Type of Activity', 24],
+    ['count', 'Outreaches', 12],
+    ['total_saved', 'Saved', 10],
+    ['total_healed', 'Healed', 10]
+];
+
+/**
+ * Gather the export data: counted reports plus the two summaries.
+ * With a cluster, the summaries are limited to that cluster.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object|null} assembly - Cluster to export, or null for all
+ */
+async function collectExportData(startDate, endDate, assembly) {
+    const reports = (await getReportsByDateRange(startDate, endDate))
+        .filter(r => r.status === 'active')
+        .filter(r => !assembly || r.assembly_id === assembly.id)
+        .sort((a, b) => a.activity_date.localeCompare(b.activity_date) || a.id - b.id);
+
+    let clusters = await getMonthlyStatsByAssembly(startDate, endDate);
+    let activityTypes;
+
+    if (assembly) {
+        clusters = clusters.filter(c => c.assembly_id === assembly.id);
+
+        // getActivityTypeBreakdown covers every cluster - total this one's reports the same way
+        const byType = new Map();
+        reports.forEach(r => {
+            const type = r.activity_type || 'Other';
+            const row = byType.get(type) || { activity_type: type, count: 0, total_saved: 0, total_healed: 0 };
+            row.count++;
+            row.total_saved += r.saved || 0;
+            row.total_healed += r.healed || 0;
+            byType.set(type, row);
+        });
+        activityTypes = [...byType.values()].sort((a, b) => b.count - a.count);
+    } else {
+        activityTypes = await getActivityTypeBreakdown(startDate, endDate);
+    }
+
+    return { reports, clusters, activityTypes };
+}
+
+/**
+ * Quote a CSV value when needed
+ */
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text for rows (with a BOM so Excel reads UTF-8 correctly)
+ * @param {Array} columns - Column definitions
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export function toCSV(columns, rows) {
+    const lines = [
+        columns.map(([, header]) => csvValue(header)).join(','),
+        ...rows.map(row => columns.map(([key]) => csvValue(row[key])).join(','))
+    ];
+    return '﻿' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Add a sheet with a bold, frozen header row
+ */
+function addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(([key, header, width]) => ({ key, header, width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+    return sheet;
+}
+
+/**
+ * Export reports and summaries for a date range
+ * @param {Object} options
+ * @param {string} options.startDate - Start date (YYYY-MM-DD)
+ * @param {string} options.endDate - End date (YYYY-MM-DD)
+ * @param {Object} [options.assembly] - Cluster to export (default: all clusters)
+ * @param {string} [options.format] - 'xlsx' (one workbook) or 'csv' (one file per sheet)
+ * @returns {Promise<{files: string[], reportCount: number}>}
+ */
+export async function exportReports({ startDate, endDate, assembly = null, format = 'xlsx' }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format "${format}" (use ${EXPORT_FORMATS.join(' or ')})`);
+    }
+
+    if (!fs.existsSync(EXPORTS_DIR)) {
+        fs.mkdirSync(EXPORTS_DIR, { recursive: true });
+    }
+
+    const { reports, clusters, activityTypes } = await collectExportData(startDate, endDate, assembly);
+    const slug = `${(assembly?.name || 'all_clusters').replace(/\s+/g, '_')}_${startDate}_to_${endDate}`;
+    const files = [];
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+
+        addSheet(workbook, 'Reports', REPORT_COLUMNS, reports);
+        addSheet(workbook, 'Clusters', CLUSTER_COLUMNS, clusters);
+        addSheet(workbook, 'Activity Types', ACTIVITY_COLUMNS, activityTypes);
+
+        const filepath = join(EXPORTS_DIR, `evangelism_${slug}.xlsx`);
+        await workbook.xlsx.writeFile(filepath);
+        files.push(filepath);
+    } else {
+        const sheets = [
+            ['reports', REPORT_COLUMNS, reports],
+            ['clusters', CLUSTER_COLUMNS, clusters],
+            ['activity_types', ACTIVITY_COLUMNS, activityTypes]
+        ];
+
+        sheets.forEach(([name, columns, rows]) => {
+            const filepath = join(EXPORTS_DIR, `evangelism_${name}_${slug}.csv`);
+            fs.writeFileSync(filepath, toCSV(columns, rows));
+            files.push(filepath);
+        });
+    }
+
+    logger.info(`Exported ${reports.length} report(s) for ${assembly?.name || 'all clusters'} (${startDate} to ${endDate}) as ${format}`);
+    return { files, reportCount: reports.length };
+}
+
+/**
+ * Send exported files as WhatsApp documents
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} jid - Group or user JID
+ * @param {string[]} files - Paths from exportReports
+ */
+export async function sendExportFiles(sock, jid, files) {
+    for (const filepath of files) {
+        const fileBuffer = fs.readFileSync(filepath);
+        const fileName = basename(filepath);
+        const extension = fileName.split('.').pop();
+
+        await sock.sendMessage(jid, {
+            document: fileBuffer,
+            mimetype: MIME_TYPES[extension],
+            fileName,
+            caption: `📊 ${fileName}`
+        });
+    }
+}
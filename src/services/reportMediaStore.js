@@ -0,0 +1,130 @@
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import { existsSync, mkdirSync, rmSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { addReportMedia, getReportMedia } from '../database/db.js';
+
+/**
+ * Report media store
+ * Photos, videos and documents whose caption is an evangelism report are saved
+ * under MEDIA_DIR/<report id>/ and linked to the report in report_media.
+ */
+
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    documentMessage: 'document'
+};
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'application/pdf': 'pdf'
+};
+
+/**
+ * Get the media part of a message (documents with captions arrive wrapped)
+ * @param {Object} message - msg.message
+ * @returns {{key: string, type: string, content: Object}|null}
+ */
+export function getMediaContent(message) {
+    const unwrapped = message?.documentWithCaptionMessage?.message || message;
+    if (!unwrapped) return null;
+
+    for (const [key, type] of Object.entries(MEDIA_TYPES)) {
+        if (unwrapped[key]) {
+            return { key, type, content: unwrapped[key] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the caption of a media message
+ * @param {Object} message - msg.message
+ * @returns {string}
+ */
+export function getMediaCaption(message) {
+    return getMediaContent(message)?.content.caption || '';
+}
+
+/**
+ * Download a message's media and store it against a report.
+ * Failures are logged, not thrown - the report itself is already saved.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} msg - Message object
+ * @param {number} reportId - Saved report ID
+ * @returns {Promise<Object|null>} Stored media row or null
+ */
+export async function saveReportMedia(sock, msg, reportId) {
+    const media = getMediaContent(msg.message);
+    if (!media) return null;
+
+    const size = Number(media.content.fileLength || 0);
+    if (size > config.mediaMaxBytes) {
+        logger.warn(`[MEDIA] Skipping ${media.type} for report #${reportId}: ${size} bytes exceeds MEDIA_MAX_MB`);
+        return null;
+    }
+
+    try {
+        const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+            logger: logger.child({ module: 'baileys' }),
+            reuploadRequest: sock.updateMediaMessage
+        });
+
+        const mimeType = (media.content.mimetype || '').split(';')[0];
+        const extension = EXTENSIONS[mimeType] || mimeType.split('/')[1] || 'bin';
+        const reportDir = join(config.mediaDir, String(reportId));
+        if (!existsSync(reportDir)) {
+            mkdirSync(reportDir, { recursive: true });
+        }
+
+        // Stored relative to MEDIA_DIR so the folder can be moved
+        const relativePath = join(String(reportId), `${msg.key.id}.${extension}`);
+        await writeFile(join(config.mediaDir, relativePath), buffer);
+
+        const record = {
+            media_type: media.type,
+            mime_type: mimeType || null,
+            file_path: relativePath,
+            file_size: buffer.length,
+            wa_message_id: msg.key.id
+        };
+        await addReportMedia(reportId, record);
+
+        logger.info(`[MEDIA] Stored ${media.type} for report #${reportId}: ${relativePath}`);
+        return record;
+    } catch (error) {
+        logger.error(`[MEDIA] Failed to store ${media.type} for report #${reportId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Get the stored media for a report with absolute file paths
+ * @param {number} reportId - Report ID
+ * @returns {Promise<Array>}
+ */
+export async function getReportMediaFiles(reportId) {
+    const media = await getReportMedia(reportId);
+    return media
+        .map(m => ({ ...m, absolute_path: join(config.mediaDir, m.file_path) }))
+        .filter(m => existsSync(m.absolute_path));
+}
+
+/**
+ * Remove a deleted report's media folder (the DB rows cascade with the report)
+ * @param {number} reportId - Report ID
+ */
+export function deleteReportMediaFiles(reportId) {
+    const reportDir = join(config.mediaDir, String(reportId));
+    if (existsSync(reportDir)) {
+        rmSync(reportDir, { recursive: true, force: true });
+        logger.info(`[MEDIA] Removed media for deleted report #${reportId}`);
+    }
+}
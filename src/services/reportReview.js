@@ -0,0 +1,335 @@
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import {
+    getAssembly,
+    getClusterLeaders,
+    createReportReview,
+    getReportReview,
+    getOpenReportReviews,
+    updateReportReview,
+    updateReportReviewStatus
+} from '../database/db.js';
+import { normalizePhone, extractPhone } from '../utils/helpers.js';
+import { generateAssemblyReport } from './aiReportGenerator.js';
+import { sendAssemblyReport, distributeAssemblyReport } from './scheduler.js';
+import { resolveAudience } from './scheduleRegistry.js';
+import { getUserLanguage } from '../i18n/preferences.js';
+import { t } from '../i18n/index.js';
+
+/**
+ * Leader review of cluster reports
+ * Before a cluster's report is posted to its group, the summary and PDF go to the
+ * cluster's leaders (!leaders) as "Draft #N". A leader approves it, asks for the
+ * narrative to be regenerated, or sends a corrected NARRATIVE / CONCLUSION; only an
+ * approved draft is posted. Drafts with no decision in time, and drafts of clusters
+ * without leaders, go to the admins, who can decide on any draft.
+ *
+ * Review status: pending → approved, or pending → escalated → approved, passing through
+ * 'approving' while the report is being posted; a newer draft of the same cluster and
+ * period makes the older one 'superseded'.
+ */
+
+const OPEN_STATUSES = ['pending', 'escalated'];
+
+/**
+ * Whether reports sent to this audience are held for review first
+ * @param {string[]} audience - Report job audience
+ * @returns {boolean}
+ */
+export function needsReview(audience) {
+    return config.reportReview && audience.includes('cluster_groups');
+}
+
+/**
+ * Whether a draft is still waiting for a decision
+ * @param {Object} review
+ * @returns {boolean}
+ */
+export function isOpenReview(review) {
+    return OPEN_STATUSES.includes(review.status);
+}
+
+/**
+ * Phone numbers (digits only) of the leaders who review a draft
+ * @param {Object} review
+ * @returns {Promise<string[]>}
+ */
+export async function getReviewLeaders(review) {
+    const leaders = await getClusterLeaders(review.assembly_id);
+    return leaders.map(leader => leader.phone);
+}
+
+/**
+ * Chats a draft goes to: the cluster's leaders, and the admins once escalated (or when there are no leaders)
+ * @param {Object} review
+ * @returns {Promise<string[]>}
+ */
+export async function getReviewerJids(review) {
+    const jids = (await getReviewLeaders(review)).map(normalizePhone);
+    if (review.status === 'escalated' || jids.length === 0) {
+        jids.push(...resolveAudience(['admins']));
+    }
+    return [...new Set(jids)];
+}
+
+/**
+ * Hold a generated cluster report for review and send the draft to the reviewers
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} report - Report data from generateAssemblyReport
+ * @param {Object} assembly - The report's assembly
+ * @param {string[]} audience - Where the report is posted once approved
+ * @returns {Promise<Object>} The review
+ */
+export async function submitForReview(sock, report, assembly, audience) {
+    // A new draft for the same cluster and period replaces the one still waiting
+    const open = await getOpenReportReviews();
+    for (const old of open) {
+        if (old.assembly_id === assembly.id && old.start_date === report.startDate && old.end_date === report.endDate) {
+            await updateReportReview(old.id, { status: 'superseded' });
+            logger.info(`[REVIEW] Draft #${old.id} superseded by a new ${report.period} draft for ${assembly.name}`);
+        }
+    }
+
+    const leaders = await getClusterLeaders(assembly.id);
+    const now = new Date().toISOString();
+
+    const { lastInsertRowid } = await createReportReview({
+        assembly_id: assembly.id,
+        start_date: report.startDate,
+        end_date: report.endDate,
+        audience,
+        report_data: report,
+        status: leaders.length > 0 ? 'pending' : 'escalated',
+        escalated_at: leaders.length > 0 ? null : now
+    });
+
+    const review = await getReportReview(lastInsertRowid);
+    const note = leaders.length > 0 ? null : { key: 'review.noLeaders' };
+    const sent = await sendDraft(sock, review, await getReviewerJids(review), note);
+
+    logger.info(`[REVIEW] Draft #${review.id} (${assembly.name}, ${report.period}) sent to ${sent} reviewer(s)`);
+    return review;
+}
+
+/**
+ * Send a draft (summary, PDF, editable text and the review request) to each chat
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} review
+ * @param {string[]} jids - Reviewer chats
+ * @param {{key: string, vars: Object}|null} note - Message shown above the review request
+ * @returns {Promise<number>} Number of chats the draft was sent to
+ */
+async function sendDraft(sock, review, jids, note) {
+    const report = review.report_data;
+    let sent = 0;
+
+    for (const jid of jids) {
+        try {
+            const language = await getUserLanguage(jid);
+            await sendAssemblyReport(sock, jid, report, language);
+            await sock.sendMessage(jid, { text: formatEditableText(review) });
+            await sock.sendMessage(jid, { text: formatReviewRequest(review, language, note) });
+            sent++;
+        } catch (error) {
+            logger.error(`[REVIEW] Failed to send draft #${review.id} to ${jid}:`, error);
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * The draft's narrative and conclusion, ready to copy, correct and send back
+ */
+function formatEditableText(review) {
+    const report = review.report_data;
+    return `📝 Draft #${review.id}\n\nNARRATIVE:\n${report.narrative || ''}\n\nCONCLUSION:\n${report.conclusion || ''}`;
+}
+
+/**
+ * The review request: which draft, what to reply, and by when
+ */
+function formatReviewRequest(review, language, note) {
+    const report = review.report_data;
+    let message = t(language, 'review.title', { id: review.id, cluster: report.assemblyName, period: report.period });
+
+    if (note) {
+        message += `\n\n${t(language, note.key, note.vars)}`;
+    }
+    message += `\n\n${t(language, 'review.intro')}`;
+
+    const claims = [...new Set((report.factCheck?.issues || []).map(issue => issue.value))];
+    if (claims.length > 0) {
+        message += `\n\n${t(language, 'review.factCheck', { claims: claims.join(', ') })}`;
+    }
+
+    message += `\n\n${t(language, 'review.instructions', { id: review.id })}`;
+
+    if (review.status === 'pending') {
+        message += `\n\n${t(language, 'review.deadline', { hours: config.reviewTimeoutHours })}`;
+    }
+
+    return message;
+}
+
+/**
+ * Send a message to every reviewer of a draft (and the one who acted, if not among them)
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} review
+ * @param {string} key - Message key
+ * @param {Object} vars - Message variables
+ * @param {string[]} [extraJids] - More chats to tell
+ */
+async function notifyReviewers(sock, review, key, vars, extraJids = []) {
+    const jids = [...new Set([...(await getReviewerJids(review)), ...extraJids])];
+
+    for (const jid of jids) {
+        try {
+            const language = await getUserLanguage(jid);
+            await sock.sendMessage(jid, { text: t(language, key, vars) });
+        } catch (error) {
+            logger.error(`[REVIEW] Failed to notify ${jid} about draft #${review.id}:`, error);
+        }
+    }
+}
+
+/**
+ * Approve a draft: post it to its audience and close the review
+ * The draft is claimed ('approving') before posting, so approving it twice (or two
+ * leaders approving at once) posts it only once. If posting fails the review goes
+ * back to waiting and the reviewer can approve again.
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} review
+ * @param {string} reviewerJid - Who approved
+ * @returns {Promise<boolean>} Whether the report was posted
+ */
+export async function approveReview(sock, review, reviewerJid) {
+    const report = review.report_data;
+    const reviewer = extractPhone(reviewerJid).split(':')[0];
+
+    const { changes } = await updateReportReviewStatus(review.id, 'approving', OPEN_STATUSES);
+    if (changes === 0) {
+        const language = await getUserLanguage(reviewerJid);
+        await sock.sendMessage(reviewerJid, { text: t(language, 'review.closed', { id: review.id }) });
+        return false;
+    }
+
+    let posted = 0;
+    try {
+        const assembly = await getAssembly(review.assembly_id);
+        posted = await distributeAssemblyReport(sock, report, assembly, review.audience);
+        if (posted === 0) {
+            throw new Error('no chats to post to (is the cluster\'s WhatsApp group set?)');
+        }
+    } catch (error) {
+        logger.error(`[REVIEW] Failed to post approved draft #${review.id}:`, error);
+        await updateReportReviewStatus(review.id, review.status, ['approving']);
+
+        const language = await getUserLanguage(reviewerJid);
+        await sock.sendMessage(reviewerJid, { text: t(language, 'review.postFailed', { id: review.id, error: error.message }) });
+        return false;
+    }
+
+    await updateReportReview(review.id, {
+        status: 'approved',
+        decided_by: reviewer,
+        decided_at: new Date().toISOString()
+    });
+    logger.info(`[REVIEW] Draft #${review.id} (${report.assemblyName}) approved by ${reviewer} and posted to ${posted} chat(s)`);
+
+    await notifyReviewers(sock, review, 'review.approved', {
+        id: review.id,
+        cluster: report.assemblyName,
+        by: reviewer,
+        count: posted
+    }, [reviewerJid]);
+
+    return true;
+}
+
+/**
+ * Generate the draft's report again (new narrative) and send it to the reviewers
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} review
+ * @param {string} reviewerJid - Who asked
+ * @returns {Promise<Object>} The updated review
+ */
+export async function regenerateReview(sock, review, reviewerJid) {
+    const assembly = await getAssembly(review.assembly_id);
+    const report = await generateAssemblyReport(assembly, review.start_date, review.end_date, {
+        periodTitle: review.report_data.period,
+        reportKind: review.report_data.reportKind
+    });
+
+    // The reviewers get a fresh deadline for the new draft
+    await updateReportReview(review.id, { report_data: report, submitted_at: new Date().toISOString() });
+    const updated = await getReportReview(review.id);
+
+    const by = extractPhone(reviewerJid).split(':')[0];
+    await sendDraft(sock, updated, await getReviewerJids(updated), { key: 'review.regenerated', vars: { by } });
+
+    logger.info(`[REVIEW] Draft #${review.id} regenerated by ${by}`);
+    return updated;
+}
+
+/**
+ * Replace the draft's narrative and/or conclusion and send it to the reviewers
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} review
+ * @param {string} reviewerJid - Who edited
+ * @param {{narrative?: string, conclusion?: string}} edits
+ * @returns {Promise<Object>} The updated review
+ */
+export async function editReview(sock, review, reviewerJid, edits) {
+    // The reviewer's own text is not fact-checked again
+    const report = { ...review.report_data, ...edits, factCheck: null };
+
+    await updateReportReview(review.id, { report_data: report });
+    const updated = await getReportReview(review.id);
+
+    const by = extractPhone(reviewerJid).split(':')[0];
+    await sendDraft(sock, updated, await getReviewerJids(updated), { key: 'review.edited', vars: { by } });
+
+    logger.info(`[REVIEW] Draft #${review.id} edited by ${by}: ${Object.keys(edits).join(', ')}`);
+    return updated;
+}
+
+/**
+ * Pass drafts the leaders have not decided on in time to the escalation audience
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} options
+ * @param {number} options.timeoutHours - Hours since the draft was sent
+ * @param {string[]} options.audience - Who gets the overdue drafts (default job: 'admins')
+ * @returns {Promise<Array<Object>>} Escalated reviews
+ */
+export async function escalateOverdueReviews(sock, { timeoutHours, audience }) {
+    const cutoff = Date.now() - timeoutHours * 60 * 60 * 1000;
+    const overdue = (await getOpenReportReviews())
+        .filter(review => review.status === 'pending' && new Date(review.submitted_at).getTime() <= cutoff);
+
+    const escalated = [];
+    for (const review of overdue) {
+        const leaderJids = await getReviewerJids(review);
+
+        await updateReportReview(review.id, { status: 'escalated', escalated_at: new Date().toISOString() });
+        const updated = await getReportReview(review.id);
+
+        const sent = await sendDraft(sock, updated, resolveAudience(audience), { key: 'review.escalated', vars: { hours: timeoutHours } });
+
+        for (const jid of leaderJids) {
+            try {
+                const language = await getUserLanguage(jid);
+                await sock.sendMessage(jid, {
+                    text: t(language, 'review.escalatedLeaders', { id: review.id, cluster: review.report_data.assemblyName, hours: timeoutHours })
+                });
+            } catch (error) {
+                logger.error(`[REVIEW] Failed to tell ${jid} that draft #${review.id} was escalated:`, error);
+            }
+        }
+
+        logger.info(`[REVIEW] Draft #${review.id} (${review.report_data.assemblyName}) escalated to ${sent} chat(s)`);
+        escalated.push(updated);
+    }
+
+    return escalated;
+}
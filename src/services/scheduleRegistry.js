@@ -0,0 +1,236 @@
+import fs from 'fs';
+import cron from 'node-cron';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { getSchedules } from '../database/db.js';
+import {
+    normalizePhone,
+    getMonthName,
+    getPreviousDayRange,
+    getLastDaysRange,
+    getPreviousWeekRange,
+    getPreviousMonthRange,
+    getPreviousQuarterRange
+} from '../utils/helpers.js';
+
+/**
+ * Schedule registry
+ * Each scheduled job has a name, a type (what it does), a cron expression, a period
+ * (which dates it covers), an audience (who receives it) and an enable flag.
+ *
+ * Definitions are merged by job name, later sources winning:
+ *   1. DEFAULT_JOBS below
+ *   2. The schedules file (SCHEDULES_FILE, default schedules.json)
+ *   3. The schedules table (changed at runtime with the !schedule admin command)
+ */
+
+/**
+ * Period calculators: name → () => { start, end, title }
+ */
+export const PERIODS = {
+    previous_day: () => {
+        const range = getPreviousDayRange();
+        return { ...range, title: range.start };
+    },
+    last_7_days: () => {
+        const range = getLastDaysRange(7);
+        return { ...range, title: `${range.start} to ${range.end}` };
+    },
+    previous_week: () => {
+        const range = getPreviousWeekRange();
+        return { ...range, title: `Week of ${range.start}` };
+    },
+    previous_month: () => {
+        const range = getPreviousMonthRange();
+        return { ...range, title: getMonthName(range.start) };
+    },
+    previous_quarter: () => {
+        const { start, end, quarter, year } = getPreviousQuarterRange();
+        return { start, end, title: `Q${quarter} ${year}` };
+    }
+};
+
+/**
+ * Audiences: 'cluster_groups' (each cluster's own group), 'admins' (DM to ADMIN_NUMBERS),
+ * 'leadership' (the LEADERSHIP_GROUP_JID group) or explicit WhatsApp JIDs
+ */
+export const AUDIENCES = ['cluster_groups', 'admins', 'leadership'];
+
+/**
+ * Built-in jobs
+ */
+export const DEFAULT_JOBS = [
+    {
+        name: 'monthly_report',
+        type: 'report',
+        cron: config.reportSchedule,
+        period: 'previous_month',
+        audience: ['cluster_groups'],
+        enabled: true,
+        options: { reportKind: 'Monthly' }
+    },
+    {
+        name: 'quarterly_report',
+        type: 'report',
+        cron: '0 9 5 1,4,7,10 *',
+        period: 'previous_quarter',
+        audience: ['cluster_groups'],
+        enabled: false,
+        options: { reportKind: 'Quarterly' }
+    },
+    {
+        name: 'national_report',
+        type: 'national_report',
+        cron: config.reportSchedule,
+        period: 'previous_month',
+        audience: ['leadership', 'admins'],
+        enabled: true,
+        options: { reportKind: 'Monthly' }
+    },
+    {
+        name: 'weekly_digest',
+        type: 'weekly_digest',
+        cron: '0 8 * * 1',
+        period: 'last_7_days',
+        audience: ['cluster_groups'],
+        enabled: true,
+        options: {}
+    },
+    {
+        name: 'reminders',
+        type: 'reminders',
+        cron: '0 10 * * 5',
+        period: null,
+        audience: ['cluster_groups', 'admins'],
+        enabled: true,
+        options: {}
+    },
+    {
+        name: 'review_escalation',
+        type: 'review_escalation',
+        cron: '0 * * * *',
+        period: null,
+        audience: ['admins'],
+        enabled: true,
+        options: {}
+    }
+];
+
+/**
+ * Normalise an audience from the file/DB ("admins, 2637...@s.whatsapp.net" or an array)
+ * @param {string|string[]} audience
+ * @returns {string[]}
+ */
+export function normalizeAudience(audience) {
+    const list = Array.isArray(audience) ? audience : String(audience || '').split(',');
+    return list.map(a => a.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve an audience into chat JIDs for one assembly
+ * @param {string[]} audience - 'cluster_groups', 'admins', 'leadership' and/or JIDs
+ * @param {Object} [assembly] - Assembly the message is about (none for church-wide messages)
+ * @returns {string[]}
+ */
+export function resolveAudience(audience, assembly) {
+    const jids = audience.flatMap(target => {
+        if (target === 'cluster_groups') {
+            return assembly?.whatsapp_group_id?.endsWith('@g.us') ? [assembly.whatsapp_group_id] : [];
+        }
+        if (target === 'admins') {
+            return config.adminNumbers.map(normalizePhone);
+        }
+        if (target === 'leadership') {
+            return config.leadershipGroupJid ? [config.leadershipGroupJid] : [];
+        }
+        return [target];
+    });
+
+    return [...new Set(jids)];
+}
+
+/**
+ * Check a job definition, returning a list of problems (empty when valid)
+ * @param {Object} job - Merged job definition
+ * @param {string[]} jobTypes - Job types the scheduler can run
+ * @returns {string[]}
+ */
+export function validateJob(job, jobTypes) {
+    const errors = [];
+
+    if (!jobTypes.includes(job.type)) {
+        errors.push(`unknown type "${job.type}"`);
+    }
+    if (!job.cron || !cron.validate(job.cron)) {
+        errors.push(`invalid cron "${job.cron}"`);
+    }
+    if (job.period && !PERIODS[job.period]) {
+        errors.push(`unknown period "${job.period}"`);
+    }
+
+    const badAudience = job.audience.filter(a => !AUDIENCES.includes(a) && !a.includes('@'));
+    if (badAudience.length > 0) {
+        errors.push(`unknown audience ${badAudience.join(', ')}`);
+    }
+
+    // Only a cluster's leaders and the admins can decide on a draft
+    if (job.type === 'review_escalation' && job.audience.some(a => a !== 'admins')) {
+        errors.push('review_escalation can only go to "admins" (no one else can decide on a draft)');
+    }
+
+    return errors;
+}
+
+/**
+ * Read job definitions from the schedules file, if there is one
+ * @returns {Array}
+ */
+function loadScheduleFile() {
+    if (!fs.existsSync(config.schedulesFile)) return [];
+
+    try {
+        const parsed = JSON.parse(fs.readFileSync(config.schedulesFile, 'utf8'));
+        const jobs = Array.isArray(parsed) ? parsed : parsed.jobs;
+        if (!Array.isArray(jobs)) {
+            throw new Error('expected an array of jobs or { "jobs": [...] }');
+        }
+
+        logger.info(`Loaded ${jobs.length} schedule(s) from ${config.schedulesFile}`);
+        return jobs;
+    } catch (error) {
+        logger.error(`Ignoring schedules file ${config.schedulesFile}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Load the merged job definitions (defaults ← file ← database)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadJobDefinitions() {
+    const jobs = new Map(DEFAULT_JOBS.map(job => [job.name, { ...job }]));
+
+    let saved = [];
+    try {
+        saved = await getSchedules();
+    } catch (error) {
+        logger.error('Could not load schedules from the database - using defaults and file only:', error);
+    }
+
+    for (const override of [...loadScheduleFile(), ...saved]) {
+        if (!override?.name) continue;
+
+        // Drop empty values so they don't wipe out the defaults
+        const fields = Object.fromEntries(
+            Object.entries(override).filter(([, value]) => value !== null && value !== undefined)
+        );
+        jobs.set(override.name, { ...jobs.get(override.name), ...fields });
+    }
+
+    return [...jobs.values()].map(job => ({
+        ...job,
+        audience: normalizeAudience(job.audience || ['cluster_groups']),
+        enabled: job.enabled !== false,
+        options: job.options || {}
+    }));
+}
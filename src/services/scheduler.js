@@ -2,149 +2,578 @@ import fs from 'fs';
 import cron from 'node-cron';
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
-import { getAllAssemblies } from '../database/db.js';
+import { getAllAssemblies, saveSchedule } from '../database/db.js';
 import { getPreviousMonthRange, getPreviousDayRange, formatNumber } from '../utils/helpers.js';
-import { generateAssemblyReports, generateAssemblyReport } from './aiReportGenerator.js';
-import { generatePDFReport } from './pdfGenerator.js';
+import { getNextRun } from '../utils/cronUtils.js';
+import { generateAssemblyReports, generateAssemblyReport, generateNationalReport } from './aiReportGenerator.js';
+import { generatePDFReport, generateNationalPDFReport } from './pdfGenerator.js';
+import { loadJobDefinitions, validateJob, resolveAudience, PERIODS } from './scheduleRegistry.js';
+import { sendClusterReminders } from './reminderService.js';
+import { sendWeeklyDigests } from './weeklyDigest.js';
+import { needsReview, submitForReview, escalateOverdueReviews } from './reportReview.js';
+import { formatUnmatchedLocations } from './gazetteer.js';
 import { getSocket } from '../bot/connection.js';
+import { getClusterLanguage, getUserLanguage } from '../i18n/preferences.js';
+import { t, hasMessage, FALLBACK_LANGUAGE } from '../i18n/index.js';
 
-let scheduledTask = null;
+/**
+ * Job types: type → async (job, period) => summary of what was done
+ */
+const JOB_TYPES = {
+    report: runReportJob,
+    national_report: runNationalReportJob,
+    reminders: runReminderJob,
+    weekly_digest: runWeeklyDigestJob,
+    review_escalation: runReviewEscalationJob
+};
+
+// name → { job, task, lastRun, lastResult }
+const jobs = new Map();
+let paused = false;
+
+// Job runs one at a time, in the order they were triggered (by cron or !schedule run):
+// jobs on the same cron (monthly_report and national_report) don't generate side by
+// side, and the national report starts once the cluster reports are done
+let runQueue = Promise.resolve();
 
 /**
- * Start monthly report scheduler
+ * Start the scheduler: load the job registry and schedule every enabled job
  */
-export function startScheduler() {
-    // Validate cron expression
-    if (!cron.validate(config.reportSchedule)) {
-        logger.error(`Invalid cron schedule: ${config.reportSchedule}`);
-        return;
+export async function startScheduler() {
+    const definitions = await loadJobDefinitions();
+
+    for (const job of definitions) {
+        const errors = validateJob(job, Object.keys(JOB_TYPES));
+        if (errors.length > 0) {
+            logger.error(`Schedule "${job.name}" not started: ${errors.join('; ')}`);
+            jobs.set(job.name, { job: { ...job, enabled: false }, task: null, lastRun: null, lastResult: `Invalid: ${errors.join('; ')}` });
+            continue;
+        }
+
+        scheduleJob(job);
     }
 
-    logger.info(`Starting monthly report scheduler: ${config.reportSchedule}`);
+    const enabled = [...jobs.values()].filter(entry => entry.task);
+    logger.info(`Scheduler started with ${enabled.length} active job(s): ${enabled.map(e => `${e.job.name} (${e.job.cron})`).join(', ') || 'none'}`);
+}
+
+/**
+ * Register (or re-register) a job's cron task
+ */
+function scheduleJob(job) {
+    const existing = jobs.get(job.name);
+    if (existing?.task) {
+        existing.task.stop();
+    }
 
-    scheduledTask = cron.schedule(config.reportSchedule, async () => {
-        logger.info('Monthly report generation triggered by scheduler');
-        await generateAndDistributeMonthlyReport();
-    });
+    const entry = { job, task: null, lastRun: existing?.lastRun || null, lastResult: existing?.lastResult || null };
+    jobs.set(job.name, entry);
 
-    logger.info('Scheduler started successfully');
+    if (!job.enabled) return;
+
+    entry.task = cron.schedule(job.cron, async () => {
+        if (paused) {
+            logger.info(`Scheduled job ${job.name} skipped - scheduler is paused`);
+            return;
+        }
+        logger.info(`Scheduled job ${job.name} triggered`);
+        await queueJob(job.name).catch(() => {}); // Already logged and kept as lastResult by runJob
+    });
 }
 
 /**
- * Stop scheduler
+ * Stop all scheduled jobs
  */
 export function stopScheduler() {
-    if (scheduledTask) {
-        scheduledTask.stop();
-        logger.info('Scheduler stopped');
+    for (const entry of jobs.values()) {
+        entry.task?.stop();
     }
+    jobs.clear();
+    logger.info('Scheduler stopped');
 }
 
 /**
- * Generate and distribute monthly reports (one per assembly)
+ * Pause all scheduled jobs (the cron tasks keep running but skip their work)
+ */
+export function pauseScheduler() {
+    paused = true;
+    logger.info('Scheduler paused');
+}
+
+/**
+ * Resume scheduled jobs
+ */
+export function resumeScheduler() {
+    paused = false;
+    logger.info('Scheduler resumed');
+}
+
+/**
+ * Get scheduler status and the job list with next-run times
+ * @returns {{running: boolean, paused: boolean, jobs: Array<Object>}}
+ */
+export function getSchedulerStatus() {
+    return {
+        running: [...jobs.values()].some(entry => entry.task),
+        paused,
+        jobs: [...jobs.values()].map(({ job, task, lastRun, lastResult }) => ({
+            name: job.name,
+            type: job.type,
+            cron: job.cron,
+            period: job.period,
+            audience: job.audience,
+            enabled: job.enabled,
+            active: task !== null,
+            nextRun: task ? getNextRun(job.cron) : null,
+            lastRun,
+            lastResult
+        }))
+    };
+}
+
+/**
+ * Run a job once the jobs already running or waiting have finished
+ * Used by the cron tasks and for manual runs, so no two jobs ever run side by side.
+ * @param {string} name - Job name
+ * @returns {Promise<string>} Summary of what the job did
+ */
+export function queueJob(name) {
+    if (!jobs.has(name)) {
+        return Promise.reject(new Error(`Unknown job "${name}"`));
+    }
+
+    const run = runQueue.then(() => runJob(name));
+    runQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Run a job now (only through queueJob)
+ * @param {string} name - Job name
+ * @returns {Promise<string>} Summary of what the job did
  */
-export async function generateAndDistributeMonthlyReport() {
+async function runJob(name) {
+    const entry = jobs.get(name);
+    if (!entry) {
+        throw new Error(`Unknown job "${name}"`);
+    }
+
+    const { job } = entry;
+    const period = job.period ? PERIODS[job.period]() : undefined;
+
     try {
-        logger.info('Starting monthly report generation...');
+        const result = await JOB_TYPES[job.type](job, period);
+        entry.lastResult = result;
+        logger.info(`Job ${name} finished: ${result}`);
+        return result;
+    } catch (error) {
+        entry.lastResult = `Failed: ${error.message}`;
+        logger.error(`Job ${name} failed:`, error);
+        throw error;
+    } finally {
+        entry.lastRun = new Date();
+    }
+}
+
+/**
+ * Change a job's enable flag or cron expression, save it and reschedule it
+ * @param {string} name - Job name
+ * @param {Object} changes - { enabled?, cron? }
+ * @returns {Promise<Object>} Updated job
+ */
+export async function updateJob(name, changes) {
+    const entry = jobs.get(name);
+    if (!entry) {
+        throw new Error(`Unknown job "${name}"`);
+    }
 
-        // Get previous month date range
-        const { start, end } = getPreviousMonthRange();
+    const job = { ...entry.job, ...changes };
+    const errors = validateJob(job, Object.keys(JOB_TYPES));
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
 
-        // Generate reports for all assemblies
-        const assemblyReports = await generateAssemblyReports(start, end);
+    await saveSchedule(job);
+    scheduleJob(job);
+    logger.info(`Job ${name} updated: ${JSON.stringify(changes)}`);
+    return job;
+}
+
+/**
+ * Job type "report": generate each cluster's report for the period and send it to the audience
+ */
+async function runReportJob(job, period = PERIODS.previous_month()) {
+    const sent = await generateAndDistributeMonthlyReport({
+        startDate: period.start,
+        endDate: period.end,
+        periodTitle: period.title,
+        reportKind: job.options.reportKind,
+        audience: job.audience
+    });
+
+    if (sent.length === 0) return `No ${period.title} reports to send`;
+    return needsReview(job.audience)
+        ? `Sent ${period.title} report for review: ${sent.join(', ')}`
+        : `Sent ${period.title} report for ${sent.join(', ')}`;
+}
+
+/**
+ * Job type "national_report": one church-wide report for the period, sent to the leadership and admins
+ */
+async function runNationalReportJob(job, period = PERIODS.previous_month()) {
+    const sent = await generateAndDistributeNationalReport({
+        startDate: period.start,
+        endDate: period.end,
+        periodTitle: period.title,
+        reportKind: job.options.reportKind,
+        audience: job.audience
+    });
+
+    return sent > 0 ? `Sent ${period.title} national report to ${sent} chat(s)` : `No ${period.title} national report sent`;
+}
+
+/**
+ * Job type "reminders": nudge clusters that haven't reported recently and tell the admins
+ */
+async function runReminderJob(job) {
+    const sock = getSocket();
+    if (!sock) {
+        throw new Error('WhatsApp not connected');
+    }
+
+    const silent = await sendClusterReminders(sock, {
+        days: job.options.silentDays || config.reminderSilentDays,
+        audience: job.audience
+    });
+
+    return silent.length > 0 ? `Silent: ${silent.map(a => a.assembly_name).join(', ')}` : 'All clusters have reported';
+}
+
+/**
+ * Job type "weekly_digest": post each cluster's summary of the period (default: last 7 days)
+ */
+async function runWeeklyDigestJob(job, period = PERIODS.last_7_days()) {
+    const sock = getSocket();
+    if (!sock) {
+        throw new Error('WhatsApp not connected');
+    }
+
+    const sent = await sendWeeklyDigests(sock, { period, audience: job.audience });
+    return sent.length > 0 ? `Digest sent for ${sent.join(', ')}` : 'No clusters reported this week';
+}
+
+/**
+ * Job type "review_escalation": pass drafts the cluster leaders haven't decided on in time to the audience
+ */
+async function runReviewEscalationJob(job) {
+    const sock = getSocket();
+    if (!sock) {
+        throw new Error('WhatsApp not connected');
+    }
+
+    const escalated = await escalateOverdueReviews(sock, {
+        timeoutHours: job.options.timeoutHours || config.reviewTimeoutHours,
+        audience: job.audience
+    });
+
+    return escalated.length > 0 ? `Escalated draft(s) ${escalated.map(r => `#${r.id}`).join(', ')}` : 'No overdue drafts';
+}
+
+/**
+ * Generate and distribute monthly reports (one per assembly)
+ * @param {Object} options
+ * @param {string} [options.startDate] - Period start (YYYY-MM-DD), defaults to previous month
+ * @param {string} [options.endDate] - Period end (YYYY-MM-DD)
+ * @param {string} [options.periodTitle] - Title for the period (default: the month name)
+ * @param {string} [options.reportKind] - 'Monthly' (default), 'Quarterly', ...
+ * @param {number[]} [options.assemblyIds] - Only these assemblies (default: all)
+ * @param {string[]} [options.audience] - Where to send (default: each cluster's group)
+ * @param {boolean} [options.review] - Send each report to the cluster's leaders for approval instead
+ *   of posting it (default: when the audience includes the cluster groups and REPORT_REVIEW is on)
+ * @returns {Promise<string[]>} Names of the assemblies whose reports were sent (or sent for review)
+ */
+export async function generateAndDistributeMonthlyReport(options = {}) {
+    const sent = [];
+    const audience = options.audience || ['cluster_groups'];
+    const review = options.review ?? needsReview(audience);
+
+    try {
+        logger.info('Starting report generation...');
+
+        // Default to the previous month
+        const { start, end } = options.startDate
+            ? { start: options.startDate, end: options.endDate }
+            : getPreviousMonthRange();
+
+        // Generate reports for the selected assemblies
+        const assemblyReports = await generateAssemblyReports(start, end, {
+            assemblyIds: options.assemblyIds,
+            periodTitle: options.periodTitle,
+            reportKind: options.reportKind
+        });
 
         if (assemblyReports.length === 0) {
             logger.info('No assembly reports to distribute - no data for this period');
-            return;
+            return sent;
         }
 
         // Get WhatsApp socket
         const sock = getSocket();
         if (!sock) {
             logger.error('WhatsApp not connected - cannot distribute reports');
-            return;
+            return sent;
         }
 
         // Get all assemblies (for group JIDs)
         const assemblies = await getAllAssemblies();
 
-        // Send each assembly's report to its own group
+        // Send each assembly's report to its audience
         for (const report of assemblyReports) {
-            // Find this assembly's group JID
             const assembly = assemblies.find(a => a.name === report.assemblyName);
-            if (!assembly || !assembly.whatsapp_group_id) {
-                logger.warn(`No WhatsApp group configured for ${report.assemblyName} - skipping distribution`);
+            const jids = resolveAudience(audience, assembly);
+            if (jids.length === 0) {
+                logger.warn(`No recipients for ${report.assemblyName} (no WhatsApp group configured?) - skipping distribution`);
                 continue;
             }
 
             try {
-                // Generate PDF for this assembly
-                const pdfPath = await generatePDFReport(report);
+                if (review) {
+                    await submitForReview(sock, report, assembly, audience);
+                    sent.push(report.assemblyName);
+                    continue;
+                }
 
-                // Create summary message for this assembly
-                const summaryMessage = formatAssemblySummaryMessage(report);
+                await distributeAssemblyReport(sock, report, assembly, audience);
+                sent.push(report.assemblyName);
 
-                // 1. Send text summary
-                await sock.sendMessage(assembly.whatsapp_group_id, {
-                    text: summaryMessage
-                });
-
-                // 2. Send PDF document
-                const fileBuffer = fs.readFileSync(pdfPath);
-                const fileName = `Evangelism_Report_${report.assemblyName.replace(/\s+/g, '_')}_${report.period.replace(/ /g, '_')}.pdf`;
-
-                await sock.sendMessage(assembly.whatsapp_group_id, {
-                    document: fileBuffer,
-                    mimetype: 'application/pdf',
-                    fileName: fileName,
-                    caption: `📄 ${report.assemblyName} - ${report.period} Full Report`
-                });
-
-                logger.info(`Report sent to ${report.assemblyName} group`);
+                logger.info(`Report for ${report.assemblyName} sent to ${jids.length} chat(s)`);
             } catch (error) {
                 logger.error(`Failed to send report to ${report.assemblyName}:`, error);
             }
         }
 
-        logger.info('Monthly report generation and distribution completed');
+        await sendUnmatchedLocations(sock, assemblyReports, { start, end });
+
+        logger.info('Report generation and distribution completed');
 
     } catch (error) {
-        logger.error('Error in monthly report generation:', error);
+        logger.error('Error in report generation:', error);
+    }
+
+    return sent;
+}
+
+/**
+ * Send a cluster's report to its audience
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} report - Report data from generateAssemblyReport
+ * @param {Object} assembly - The report's assembly
+ * @param {string[]} audience - 'cluster_groups', 'admins', 'leadership' and/or JIDs
+ * @returns {Promise<number>} Number of chats the report was sent to
+ */
+export async function distributeAssemblyReport(sock, report, assembly, audience) {
+    const jids = resolveAudience(audience, assembly);
+
+    for (const jid of jids) {
+        // Groups get the cluster's language, people their own
+        const language = jid.endsWith('@g.us') ? getClusterLanguage(assembly) : await getUserLanguage(jid);
+        await sendAssemblyReport(sock, jid, report, language);
     }
+
+    return jids.length;
+}
+
+/**
+ * Generate the national report (all clusters) and send it to its audience
+ * @param {Object} options
+ * @param {string} options.startDate - Period start (YYYY-MM-DD)
+ * @param {string} options.endDate - Period end (YYYY-MM-DD)
+ * @param {string} [options.periodTitle] - Title for the period (default: the month name)
+ * @param {string} [options.reportKind] - 'Monthly' (default), 'Quarterly', ...
+ * @param {string[]} [options.audience] - Where to send (default: the leadership group and admins)
+ * @returns {Promise<number>} Number of chats the report was sent to
+ */
+export async function generateAndDistributeNationalReport(options) {
+    const audience = options.audience || ['leadership', 'admins'];
+    const jids = resolveAudience(audience);
+    if (jids.length === 0) {
+        logger.warn('No recipients for the national report (set LEADERSHIP_GROUP_JID or ADMIN_NUMBERS) - skipping');
+        return 0;
+    }
+
+    const report = await generateNationalReport(options.startDate, options.endDate, {
+        periodTitle: options.periodTitle,
+        reportKind: options.reportKind
+    });
+
+    if (report.totalOutreaches === 0) {
+        logger.info('No national report to distribute - no data for this period');
+        return 0;
+    }
+
+    const sock = getSocket();
+    if (!sock) {
+        throw new Error('WhatsApp not connected');
+    }
+
+    const pdfPath = await generateNationalPDFReport(report);
+    const fileBuffer = fs.readFileSync(pdfPath);
+    const fileName = `National_Evangelism_Report_${report.period.replace(/ /g, '_')}.pdf`;
+
+    let sent = 0;
+    for (const jid of jids) {
+        try {
+            // Groups get the default language, people their own
+            const language = jid.endsWith('@g.us') ? FALLBACK_LANGUAGE : await getUserLanguage(jid);
+
+            await sock.sendMessage(jid, { text: formatNationalSummaryMessage(report, language) });
+            await sock.sendMessage(jid, {
+                document: fileBuffer,
+                mimetype: 'application/pdf',
+                fileName,
+                caption: t(language, 'national.pdfCaption', { church: report.title, period: report.period })
+            });
+            sent++;
+        } catch (error) {
+            logger.error(`Failed to send national report to ${jid}:`, error);
+        }
+    }
+
+    logger.info(`National report sent to ${sent} chat(s)`);
+    return sent;
+}
+
+/**
+ * Tell the admins which reported locations the map could not place, so they can add them (!addplace)
+ * @param {Object} sock - WhatsApp socket
+ * @param {Array<Object>} assemblyReports - Reports from generateAssemblyReports
+ * @param {{start: string, end: string}} period
+ */
+async function sendUnmatchedLocations(sock, assemblyReports, period) {
+    const withUnmatched = assemblyReports.filter(r => r.unmatchedLocations?.length > 0);
+    if (withUnmatched.length === 0) return;
+
+    let message = `📍 *LOCATIONS NOT IN THE GAZETTEER*\n_Reports from ${period.start} to ${period.end}_\n`;
+    withUnmatched.forEach(report => {
+        message += `\n*${report.assemblyName}*\n${formatUnmatchedLocations(report.unmatchedLocations)}\n`;
+    });
+    message += '\nAdd a place with !addplace <name> <latitude> <longitude>, or another spelling with !placealias <place> = <alias>.';
+
+    for (const jid of resolveAudience(['admins'])) {
+        try {
+            await sock.sendMessage(jid, { text: message });
+        } catch (error) {
+            logger.error(`Failed to send unmatched locations to ${jid}:`, error);
+        }
+    }
+}
+
+/**
+ * Send an assembly report (text summary + PDF) to a chat
+ * @param {Object} sock - WhatsApp socket
+ * @param {string} jid - Group or user JID
+ * @param {Object} report - Report data from generateAssemblyReport
+ * @param {string} [language] - Language of the summary message and caption
+ */
+export async function sendAssemblyReport(sock, jid, report, language = FALLBACK_LANGUAGE) {
+    // Generate PDF for this assembly
+    const pdfPath = await generatePDFReport(report);
+
+    // 1. Send text summary
+    await sock.sendMessage(jid, {
+        text: formatAssemblySummaryMessage(report, language)
+    });
+
+    // 2. Send PDF document
+    const fileBuffer = fs.readFileSync(pdfPath);
+    const fileName = `Evangelism_Report_${report.assemblyName.replace(/\s+/g, '_')}_${report.period.replace(/ /g, '_')}.pdf`;
+
+    await sock.sendMessage(jid, {
+        document: fileBuffer,
+        mimetype: 'application/pdf',
+        fileName: fileName,
+        caption: t(language, 'summary.pdfCaption', { cluster: report.assemblyName, period: report.period })
+    });
 }
 
 /**
  * Format summary message for an assembly's group
  */
-function formatAssemblySummaryMessage(report) {
-    let message = '📊 MONTHLY EVANGELISM REPORT 📊\n';
+function formatAssemblySummaryMessage(report, language = FALLBACK_LANGUAGE) {
+    // Known kinds ("Monthly") are translated, custom ones are used as written
+    const kind = report.reportKind || 'Monthly';
+    const kindKey = `kind.${kind.toLowerCase()}`;
+    const kindName = hasMessage(kindKey) ? t(language, kindKey) : kind;
+
+    let message = `${t(language, 'summary.title', { kind: kindName.toUpperCase() })}\n`;
     message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
     message += `🏛️ ${report.assemblyName}\n`;
-    message += `📅 Period: ${report.period}\n\n`;
+    message += `📅 ${t(language, 'summary.period')}: ${report.period}\n\n`;
 
-    message += 'KEY STATISTICS\n';
+    message += `${t(language, 'summary.keyStatistics')}\n`;
     message += '━━━━━━━━━━━━━━━━\n';
-    message += `📝 Total Outreaches: ${report.totalOutreaches}\n`;
-    message += `✝️ Saved: ${formatNumber(report.totalSaved)}\n`;
-    message += `🙏 Healed: ${formatNumber(report.totalHealed)}\n\n`;
+    message += `📝 ${t(language, 'summary.totalOutreaches')}: ${report.totalOutreaches}\n`;
+    message += `✝️ ${t(language, 'label.saved')}: ${formatNumber(report.totalSaved)}\n`;
+    message += `🙏 ${t(language, 'label.healed')}: ${formatNumber(report.totalHealed)}\n\n`;
 
     if (report.locations.length > 0) {
-        message += 'LOCATIONS PREACHED AT\n';
+        message += `${t(language, 'summary.locations')}\n`;
         message += '━━━━━━━━━━━━━━━━━━━━\n';
         message += report.locations.map(l => `📍 ${l}`).join('\n');
         message += '\n\n';
     }
 
     if (report.labourers.length > 0) {
-        message += 'LABOURERS IN THE FIELD\n';
+        message += `${t(language, 'summary.labourers')}\n`;
         message += '━━━━━━━━━━━━━━━━━━━━━━\n';
         message += report.labourers.map(l => `👤 ${l}`).join('\n');
         message += '\n\n';
     }
 
     message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
-    message += '📄 Full report with detailed analysis attached.\n';
-    message += 'Praise God for His faithfulness! 🙏\n';
+    message += `${t(language, 'summary.attached')}\n`;
+    message += `${t(language, 'summary.praise')}\n`;
+    message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
+
+    return message;
+}
+
+/**
+ * Format the national report summary: church-wide totals and the cluster ranking
+ */
+function formatNationalSummaryMessage(report, language = FALLBACK_LANGUAGE) {
+    const kind = report.reportKind || 'Monthly';
+    const kindKey = `kind.${kind.toLowerCase()}`;
+    const kindName = hasMessage(kindKey) ? t(language, kindKey) : kind;
+
+    let message = `${t(language, 'national.title', { kind: kindName.toUpperCase() })}\n`;
+    message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
+    message += `🏛️ ${report.title}\n`;
+    message += `📅 ${t(language, 'summary.period')}: ${report.period}\n\n`;
+
+    message += `${t(language, 'summary.keyStatistics')}\n`;
+    message += '━━━━━━━━━━━━━━━━\n';
+    message += `📝 ${t(language, 'summary.totalOutreaches')}: ${report.totalOutreaches}\n`;
+    message += `✝️ ${t(language, 'label.saved')}: ${formatNumber(report.totalSaved)}\n`;
+    message += `🙏 ${t(language, 'label.healed')}: ${formatNumber(report.totalHealed)}\n`;
+    message += `🏘️ ${t(language, 'national.clustersReporting', { count: report.clustersReporting, total: report.clusterRanking.length })}\n\n`;
+
+    const reporting = report.clusterRanking.filter(c => c.outreaches > 0);
+    message += `${t(language, 'national.ranking')}\n`;
+    message += '━━━━━━━━━━━━━━━━━━━━\n';
+    message += reporting
+        .map(c => `${c.rank}. ${c.name} - ✝️ ${formatNumber(c.saved)} · 🙏 ${formatNumber(c.healed)} · 📝 ${c.outreaches}`)
+        .join('\n');
+    message += '\n\n';
+
+    const silent = report.clusterRanking.filter(c => c.outreaches === 0);
+    if (silent.length > 0) {
+        message += `${t(language, 'national.silent', { clusters: silent.map(c => c.name).join(', ') })}\n\n`;
+    }
+
+    message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
+    message += `${t(language, 'summary.attached')}\n`;
+    message += `${t(language, 'summary.praise')}\n`;
     message += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
 
     return message;
@@ -164,9 +593,11 @@ export async function manuallyTriggerReport() {
  * @param {string} recipientJid - Recipient JID
  */
 export async function generateTestReport(sock, recipientJid) {
+    const language = await getUserLanguage(recipientJid);
+
     try {
         logger.info(`Generating test report for ${recipientJid}...`);
-        await sock.sendMessage(recipientJid, { text: 'Generating assembly reports... Please wait.' });
+        await sock.sendMessage(recipientJid, { text: t(language, 'testreport.allGenerating') });
 
         // Get previous day date range (yesterday)
         const { start, end } = getPreviousDayRange();
@@ -175,13 +606,13 @@ export async function generateTestReport(sock, recipientJid) {
         const assemblyReports = await generateAssemblyReports(start, end);
 
         if (assemblyReports.length === 0) {
-            await sock.sendMessage(recipientJid, { text: 'No evangelism reports found for the period.' });
+            await sock.sendMessage(recipientJid, { text: t(language, 'testreport.allNoReports') });
             return;
         }
 
         // Send summary and PDFs for each assembly
         for (const report of assemblyReports) {
-            const summaryMessage = formatAssemblySummaryMessage(report);
+            const summaryMessage = formatAssemblySummaryMessage(report, language);
             await sock.sendMessage(recipientJid, { text: summaryMessage });
 
             // Generate and send PDF
@@ -193,18 +624,18 @@ export async function generateTestReport(sock, recipientJid) {
                 document: fileBuffer,
                 mimetype: 'application/pdf',
                 fileName: fileName,
-                caption: `📄 ${report.assemblyName} - Daily Report (${start})`
+                caption: t(language, 'testreport.allPdfCaption', { cluster: report.assemblyName, date: start })
             });
         }
 
         await sock.sendMessage(recipientJid, {
-            text: `✅ Generated ${assemblyReports.length} assembly report(s).`
+            text: t(language, 'testreport.allGenerated', { count: assemblyReports.length })
         });
 
         logger.info(`Test reports sent to ${recipientJid}`);
 
     } catch (error) {
         logger.error(`Error generating test report for ${recipientJid}:`, error);
-        await sock.sendMessage(recipientJid, { text: 'Error generating test report. Check logs.' });
+        await sock.sendMessage(recipientJid, { text: t(language, 'testreport.allFailed') });
     }
 }
@@ -0,0 +1,406 @@
+/**
+ * Trend Chart Generator
+ *
+ * Charts for the report PDF, so each cluster can see whether it is growing:
+ *  - saved and healed per week within the report period (grouped bars)
+ *  - saved and healed per month over the last CHART_CONFIG.trendMonths months (lines)
+ *  - outreaches by activity type in the period (pie)
+ */
+
+import { CHART_CONFIG } from '../config/smc_visual_commands.js';
+import { getMonthlyTrend, getActivityTypeBreakdown } from '../database/db.js';
+import { toISODate } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+import { join } from 'path';
+import { writeFileSync, existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const REPORTS_DIR = join(__dirname, '../../reports');
+
+// Ensure reports directory exists
+if (!existsSync(REPORTS_DIR)) {
+    mkdirSync(REPORTS_DIR, { recursive: true });
+}
+
+/**
+ * Parse YYYY-MM-DD as a local date
+ */
+function parseISODate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function shortMonth(date) {
+    return date.toLocaleDateString('en-US', { month: 'short' });
+}
+
+/**
+ * Saved and healed per calendar week (Monday to Sunday), clipped to the period
+ * @param {Array<Object>} reports - Reports with activity_date, saved, healed
+ * @param {string} startDate - Period start (YYYY-MM-DD)
+ * @param {string} endDate - Period end (YYYY-MM-DD)
+ * @returns {Array<{start: string, end: string, label: string, reports: number, saved: number, healed: number}>} label is the week's first day ("3 Mar")
+ */
+export function getWeeklyTotals(reports, startDate, endDate) {
+    const weeks = [];
+    const periodEnd = parseISODate(endDate);
+    let weekStart = parseISODate(startDate);
+
+    while (weekStart <= periodEnd) {
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekEnd.getDate() + (6 - (weekStart.getDay() + 6) % 7));
+        if (weekEnd > periodEnd) weekEnd.setTime(periodEnd.getTime());
+
+        // Labelled by first day - short enough for the 13 weeks of a quarter
+        const label = `${weekStart.getDate()} ${shortMonth(weekStart)}`;
+
+        weeks.push({ start: toISODate(weekStart), end: toISODate(weekEnd), label, reports: 0, saved: 0, healed: 0 });
+
+        weekStart = new Date(weekEnd);
+        weekStart.setDate(weekStart.getDate() + 1);
+    }
+
+    reports.forEach(r => {
+        const week = weeks.find(w => r.activity_date >= w.start && r.activity_date <= w.end);
+        if (!week) return;
+        week.reports++;
+        week.saved += r.saved || 0;
+        week.healed += r.healed || 0;
+    });
+
+    return weeks;
+}
+
+/**
+ * Collect the figures behind the charts for one cluster
+ * @param {Object} assembly - Assembly { id, name }
+ * @param {string} startDate - Period start (YYYY-MM-DD)
+ * @param {string} endDate - Period end (YYYY-MM-DD)
+ * @param {Array<Object>} reports - The period's reports (from getReportsForAssembly)
+ * @returns {Promise<{weeks: Array, months: Array, activityTypes: Array}>} months covers the last
+ *   CHART_CONFIG.trendMonths months up to the period's end, including months with no reports
+ */
+export async function collectTrendData(assembly, startDate, endDate, reports) {
+    const end = parseISODate(endDate);
+    const trendStart = new Date(end.getFullYear(), end.getMonth() - (CHART_CONFIG.trendMonths - 1), 1);
+
+    const byMonth = new Map(
+        (await getMonthlyTrend(assembly.id, toISODate(trendStart), endDate)).map(m => [m.month, m])
+    );
+
+    const months = [];
+    for (let i = 0; i < CHART_CONFIG.trendMonths; i++) {
+        const date = new Date(trendStart.getFullYear(), trendStart.getMonth() + i, 1);
+        const month = toISODate(date).substring(0, 7);
+        const row = byMonth.get(month);
+        months.push({
+            month,
+            label: `${shortMonth(date)} '${String(date.getFullYear()).slice(-2)}`,
+            reports: row ? row.total_reports : 0,
+            saved: row ? row.total_saved : 0,
+            healed: row ? row.total_healed : 0
+        });
+    }
+
+    const activityTypes = (await getActivityTypeBreakdown(startDate, endDate, assembly.id))
+        .map(row => ({ ...row, activity_type: row.activity_type || 'Other' }));
+
+    return {
+        weeks: getWeeklyTotals(reports, startDate, endDate),
+        months,
+        activityTypes
+    };
+}
+
+/**
+ * Load canvas's createCanvas (null when the optional package is not installed)
+ */
+async function loadCreateCanvas() {
+    // Dynamic import - canvas is optional, don't crash the bot if not installed
+    try {
+        const canvasModule = await import('canvas');
+        return canvasModule.createCanvas;
+    } catch (e) {
+        logger.warn('canvas package not installed - skipping charts. Run: npm install canvas');
+        return null;
+    }
+}
+
+/**
+ * Draw one chart and save it to the reports directory
+ * @returns {string|null} Image path, or null if drawing failed
+ */
+function renderChart(createCanvas, fileName, draw) {
+    try {
+        const canvas = createCanvas(CHART_CONFIG.width, CHART_CONFIG.height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = CHART_CONFIG.backgroundColor;
+        ctx.fillRect(0, 0, CHART_CONFIG.width, CHART_CONFIG.height);
+        draw(ctx);
+
+        const outputPath = join(REPORTS_DIR, fileName);
+        writeFileSync(outputPath, canvas.toBuffer('image/png'));
+        return outputPath;
+    } catch (error) {
+        logger.error(`Error generating chart ${fileName}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Draw the charts for a cluster's report
+ * @param {Object} trends - From collectTrendData
+ * @param {string} assemblyName - Cluster name (for titles and file names)
+ * @param {string} startDate - Period start (YYYY-MM-DD, for file names)
+ * @returns {Promise<{weekly: string|null, trend: string|null, activity: string|null}>} Image paths
+ *   (null when canvas is not installed or a chart has nothing to show)
+ */
+export async function generateTrendCharts(trends, assemblyName, startDate) {
+    const charts = { weekly: null, trend: null, activity: null };
+
+    const createCanvas = await loadCreateCanvas();
+    if (!createCanvas) return charts;
+
+    const slug = assemblyName.replace(/\s+/g, '_');
+
+    // A single week (weekly reports) has nothing to compare
+    if (trends.weeks.length > 1) {
+        charts.weekly = renderChart(createCanvas, `chart_weekly_${slug}_${startDate}.png`,
+            ctx => drawWeeklyChart(ctx, trends.weeks, assemblyName));
+    }
+
+    charts.trend = renderChart(createCanvas, `chart_trend_${slug}_${startDate}.png`,
+        ctx => drawTrendChart(ctx, trends.months, assemblyName));
+
+    if (trends.activityTypes.length > 0) {
+        charts.activity = renderChart(createCanvas, `chart_activity_${slug}_${startDate}.png`,
+            ctx => drawActivityPie(ctx, trends.activityTypes, assemblyName));
+    }
+
+    logger.info(`Trend charts generated for ${assemblyName}`);
+    return charts;
+}
+
+/**
+ * Draw the activity-type pie on its own (used by the national report)
+ * @param {Array<Object>} activityTypes - Rows from getActivityTypeBreakdown
+ * @param {string} name - Name for the title and file name
+ * @param {string} startDate - Period start (YYYY-MM-DD, for the file name)
+ * @returns {Promise<string|null>} Image path
+ */
+export async function generateActivityChart(activityTypes, name, startDate) {
+    if (activityTypes.length === 0) return null;
+
+    const createCanvas = await loadCreateCanvas();
+    if (!createCanvas) return null;
+
+    return renderChart(createCanvas, `chart_activity_${name.replace(/\s+/g, '_')}_${startDate}.png`,
+        ctx => drawActivityPie(ctx, activityTypes, name));
+}
+
+/**
+ * Grouped bars: saved and healed for each week
+ */
+function drawWeeklyChart(ctx, weeks, assemblyName) {
+    drawTitle(ctx, `${assemblyName} - Saved and Healed by Week (week starting)`);
+    drawSeriesLegend(ctx);
+
+    const area = plotArea();
+    const max = drawValueAxis(ctx, area, Math.max(...weeks.map(w => Math.max(w.saved, w.healed))));
+
+    const slot = area.width / weeks.length;
+    const barWidth = Math.min(40, slot * 0.35);
+
+    weeks.forEach((week, i) => {
+        const center = area.left + slot * (i + 0.5);
+
+        [[week.saved, CHART_CONFIG.savedColor, -1], [week.healed, CHART_CONFIG.healedColor, 0]]
+            .forEach(([value, color, offset]) => {
+                const height = (value / max) * area.height;
+                const x = center + offset * barWidth;
+                ctx.fillStyle = color;
+                ctx.fillRect(x, area.top + area.height - height, barWidth, height);
+
+                if (value > 0) {
+                    ctx.fillStyle = '#333333';
+                    ctx.font = `${CHART_CONFIG.fontSize - 1}px Arial`;
+                    ctx.textAlign = 'center';
+                    ctx.fillText(String(value), x + barWidth / 2, area.top + area.height - height - 4);
+                }
+            });
+
+        drawCategoryLabel(ctx, week.label, center, area);
+    });
+}
+
+/**
+ * Lines: saved and healed per month
+ */
+function drawTrendChart(ctx, months, assemblyName) {
+    drawTitle(ctx, `${assemblyName} - ${months.length}-Month Trend`);
+    drawSeriesLegend(ctx);
+
+    const area = plotArea();
+    const max = drawValueAxis(ctx, area, Math.max(...months.map(m => Math.max(m.saved, m.healed))));
+
+    const step = area.width / months.length;
+    const xOf = i => area.left + step * (i + 0.5);
+    const yOf = value => area.top + area.height - (value / max) * area.height;
+
+    [['saved', CHART_CONFIG.savedColor], ['healed', CHART_CONFIG.healedColor]].forEach(([field, color]) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        months.forEach((month, i) => {
+            if (i === 0) ctx.moveTo(xOf(i), yOf(month[field]));
+            else ctx.lineTo(xOf(i), yOf(month[field]));
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        months.forEach((month, i) => {
+            ctx.beginPath();
+            ctx.arc(xOf(i), yOf(month[field]), 3.5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    });
+
+    months.forEach((month, i) => drawCategoryLabel(ctx, month.label, xOf(i), area));
+}
+
+/**
+ * Pie: share of outreaches by activity type, with counts in the legend
+ */
+function drawActivityPie(ctx, activityTypes, assemblyName) {
+    drawTitle(ctx, `${assemblyName} - Outreaches by Activity Type`);
+
+    // Keep one color per slice: the smallest types are grouped as "Other"
+    const maxSlices = CHART_CONFIG.pieColors.length;
+    let slices = activityTypes.map(a => ({ label: a.activity_type, count: a.count }));
+    if (slices.length > maxSlices) {
+        const rest = slices.slice(maxSlices - 1).reduce((sum, s) => sum + s.count, 0);
+        slices = [...slices.slice(0, maxSlices - 1), { label: 'Other', count: rest }];
+    }
+
+    const total = slices.reduce((sum, s) => sum + s.count, 0);
+    const radius = (CHART_CONFIG.height - CHART_CONFIG.titleSpace - CHART_CONFIG.padding) / 2;
+    const centerX = CHART_CONFIG.padding + radius;
+    const centerY = CHART_CONFIG.titleSpace + radius + CHART_CONFIG.padding / 4;
+
+    let angle = -Math.PI / 2;
+    slices.forEach((slice, i) => {
+        const sweep = (slice.count / total) * 2 * Math.PI;
+        ctx.fillStyle = CHART_CONFIG.pieColors[i];
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.arc(centerX, centerY, radius, angle, angle + sweep);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.strokeStyle = CHART_CONFIG.backgroundColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        angle += sweep;
+    });
+
+    // Legend to the right of the pie
+    const legendX = centerX + radius + 50;
+    let legendY = centerY - (slices.length * 26) / 2 + 13;
+    ctx.font = `${CHART_CONFIG.fontSize + 1}px Arial`;
+    ctx.textAlign = 'left';
+    slices.forEach((slice, i) => {
+        ctx.fillStyle = CHART_CONFIG.pieColors[i];
+        ctx.fillRect(legendX, legendY - 11, 14, 14);
+
+        const percent = Math.round((slice.count / total) * 100);
+        ctx.fillStyle = '#333333';
+        ctx.fillText(`${slice.label} - ${slice.count} (${percent}%)`, legendX + 22, legendY);
+        legendY += 26;
+    });
+}
+
+function drawTitle(ctx, title) {
+    ctx.fillStyle = '#000000';
+    ctx.font = `bold ${CHART_CONFIG.titleFontSize}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.fillText(title, CHART_CONFIG.width / 2, 28);
+}
+
+/**
+ * "Saved" / "Healed" keys under the title
+ */
+function drawSeriesLegend(ctx) {
+    const y = CHART_CONFIG.titleSpace + 8;
+    let x = CHART_CONFIG.width / 2 - 80;
+
+    ctx.font = `${CHART_CONFIG.fontSize}px Arial`;
+    ctx.textAlign = 'left';
+    [['Saved', CHART_CONFIG.savedColor], ['Healed', CHART_CONFIG.healedColor]].forEach(([label, color]) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y - 10, 12, 12);
+        ctx.fillStyle = '#333333';
+        ctx.fillText(label, x + 18, y);
+        x += 100;
+    });
+}
+
+/**
+ * Area for bars and lines (below the title and legend, with room for axis labels)
+ */
+function plotArea() {
+    const top = CHART_CONFIG.titleSpace + CHART_CONFIG.legendSpace;
+    return {
+        left: CHART_CONFIG.padding,
+        top,
+        width: CHART_CONFIG.width - CHART_CONFIG.padding * 1.5,
+        height: CHART_CONFIG.height - top - CHART_CONFIG.padding
+    };
+}
+
+/**
+ * Round the axis maximum up to 1, 2 or 5 times a power of ten (at least 5)
+ */
+function niceMax(value) {
+    if (value <= 5) return 5;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+/**
+ * Gridlines and value labels on the left; returns the axis maximum
+ */
+function drawValueAxis(ctx, area, maxValue) {
+    const max = niceMax(maxValue);
+    const ticks = 5;
+
+    ctx.font = `${CHART_CONFIG.fontSize - 1}px Arial`;
+    ctx.textAlign = 'right';
+    for (let i = 0; i <= ticks; i++) {
+        const value = (max / ticks) * i;
+        const y = area.top + area.height - (i / ticks) * area.height;
+
+        ctx.strokeStyle = i === 0 ? CHART_CONFIG.axisColor : CHART_CONFIG.gridColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(area.left, y);
+        ctx.lineTo(area.left + area.width, y);
+        ctx.stroke();
+
+        ctx.fillStyle = CHART_CONFIG.axisColor;
+        ctx.fillText(Number.isInteger(value) ? String(value) : value.toFixed(1), area.left - 8, y + 4);
+    }
+
+    return max;
+}
+
+function drawCategoryLabel(ctx, label, x, area) {
+    ctx.fillStyle = CHART_CONFIG.axisColor;
+    ctx.font = `${CHART_CONFIG.fontSize - 1}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.fillText(label, x, area.top + area.height + 18);
+}
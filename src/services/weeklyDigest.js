@@ -0,0 +1,149 @@
+import logger from '../utils/logger.js';
+import { getAllAssemblies, getReportsForAssembly } from '../database/db.js';
+import { formatNumber, toISODate } from '../utils/helpers.js';
+import { deduplicateLocations, extractLabourers } from './aiReportGenerator.js';
+import { resolveAudience } from './scheduleRegistry.js';
+import { getClusterLanguage } from '../i18n/preferences.js';
+import { t, FALLBACK_LANGUAGE } from '../i18n/index.js';
+
+/**
+ * Weekly digest
+ * A short in-group summary of the cluster's last seven days, compared with the week before.
+ */
+
+// Keep the digest short - long lists are what the monthly PDF is for
+const MAX_LISTED = 10;
+
+/**
+ * Get the seven days before a period
+ * @param {{start: string}} period - Period starting at YYYY-MM-DD
+ * @returns {{start: string, end: string}}
+ */
+function getPreviousWeek(period) {
+    const [year, month, day] = period.start.split('-').map(Number);
+    const end = new Date(year, month - 1, day - 1);
+    const start = new Date(year, month - 1, day - 7);
+    return { start: toISODate(start), end: toISODate(end) };
+}
+
+/**
+ * Total a list of reports
+ */
+function summarize(reports) {
+    return {
+        outreaches: reports.length,
+        saved: reports.reduce((sum, r) => sum + (r.saved || 0), 0),
+        healed: reports.reduce((sum, r) => sum + (r.healed || 0), 0)
+    };
+}
+
+/**
+ * Build one cluster's digest data
+ * @param {Object} assembly - Assembly
+ * @param {{start: string, end: string}} period - This week
+ * @returns {Promise<Object>}
+ */
+export async function buildClusterDigest(assembly, period) {
+    const previousWeek = getPreviousWeek(period);
+    const [reports, previousReports] = await Promise.all([
+        getReportsForAssembly(assembly.id, period.start, period.end),
+        getReportsForAssembly(assembly.id, previousWeek.start, previousWeek.end)
+    ]);
+
+    return {
+        assemblyName: assembly.name,
+        start: period.start,
+        end: period.end,
+        current: summarize(reports),
+        previous: summarize(previousReports),
+        locations: deduplicateLocations(reports.map(r => r.location).filter(Boolean)),
+        labourers: extractLabourers(reports)
+    };
+}
+
+/**
+ * Describe a change from last week, e.g. "12 (▲ 4 from last week)"
+ */
+function formatChange(current, previous, language) {
+    const difference = current - previous;
+    const vars = { count: formatNumber(current), difference: formatNumber(Math.abs(difference)) };
+    if (difference > 0) return t(language, 'digest.up', vars);
+    if (difference < 0) return t(language, 'digest.down', vars);
+    return t(language, 'digest.same', vars);
+}
+
+/**
+ * List names, cutting long lists short
+ */
+function formatList(items, icon, language) {
+    const shown = items.slice(0, MAX_LISTED).map(item => `${icon} ${item}`).join('\n');
+    if (items.length <= MAX_LISTED) return shown;
+    return `${shown}\n_${t(language, 'digest.more', { count: items.length - MAX_LISTED })}_`;
+}
+
+/**
+ * Format a cluster digest for its group
+ * @param {Object} digest - From buildClusterDigest
+ * @param {string} [language] - The cluster's language
+ * @returns {string}
+ */
+export function formatDigestMessage(digest, language = FALLBACK_LANGUAGE) {
+    const { current, previous } = digest;
+
+    let message = `${t(language, 'digest.title')}\n`;
+    message += `🏛️ ${digest.assemblyName}\n`;
+    message += `📅 ${t(language, 'digest.dates', { start: digest.start, end: digest.end })}\n\n`;
+
+    message += `📝 ${t(language, 'digest.outreaches')}: ${formatChange(current.outreaches, previous.outreaches, language)}\n`;
+    message += `✝️ ${t(language, 'label.saved')}: ${formatChange(current.saved, previous.saved, language)}\n`;
+    message += `🙏 ${t(language, 'label.healed')}: ${formatChange(current.healed, previous.healed, language)}\n\n`;
+
+    if (digest.locations.length > 0) {
+        message += `*${t(language, 'digest.places')}*\n${formatList(digest.locations, '📍', language)}\n\n`;
+    }
+
+    if (digest.labourers.length > 0) {
+        message += `*${t(language, 'digest.labourers')}*\n${formatList(digest.labourers, '👤', language)}\n\n`;
+    }
+
+    message += t(language, 'digest.closing');
+    return message;
+}
+
+/**
+ * Post the weekly digest to each cluster that reported this week
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} options
+ * @param {{start: string, end: string}} options.period - The week to summarize
+ * @param {string[]} options.audience - Where to send (usually ['cluster_groups'])
+ * @returns {Promise<string[]>} Names of the clusters whose digest was sent
+ */
+export async function sendWeeklyDigests(sock, { period, audience }) {
+    const assemblies = await getAllAssemblies();
+    const sent = [];
+
+    for (const assembly of assemblies) {
+        try {
+            const digest = await buildClusterDigest(assembly, period);
+
+            // Quiet clusters are handled by the reminders job
+            if (digest.current.outreaches === 0) {
+                logger.info(`[DIGEST] Skipping ${assembly.name} - no reports this week`);
+                continue;
+            }
+
+            const jids = resolveAudience(audience, assembly);
+            const message = formatDigestMessage(digest, getClusterLanguage(assembly));
+            for (const jid of jids) {
+                await sock.sendMessage(jid, { text: message });
+            }
+
+            if (jids.length > 0) sent.push(assembly.name);
+        } catch (error) {
+            logger.error(`[DIGEST] Failed to send weekly digest for ${assembly.name}:`, error);
+        }
+    }
+
+    logger.info(`[DIGEST] Weekly digest sent for ${sent.length} cluster(s)`);
+    return sent;
+}
@@ -0,0 +1,127 @@
+/**
+ * Cron helpers
+ * node-cron runs the jobs; this only works out when an expression fires next
+ * (used to show next-run times to admins). Times are in the server's local timezone.
+ */
+
+const FIELD_RANGES = [
+    { min: 0, max: 59 },  // minute
+    { min: 0, max: 23 },  // hour
+    { min: 1, max: 31 },  // day of month
+    { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } // day of week (0 and 7 = Sunday)
+];
+
+// Give up looking after a little over a year (e.g. "0 0 30 2 *" never fires)
+const MAX_MINUTES_AHEAD = 367 * 24 * 60;
+
+/**
+ * Parse one cron field into the set of values it allows
+ */
+function parseField(field, { min, max, names }) {
+    const values = new Set();
+
+    const toNumber = (token) => {
+        const index = names ? names.indexOf(token.toLowerCase().substring(0, 3)) : -1;
+        // Month names count from 1, weekday names from 0
+        if (index > -1) return names.length === 12 ? index + 1 : index;
+        return parseInt(token, 10);
+    };
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText ? parseInt(stepText, 10) : 1;
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(toNumber);
+        } else {
+            start = toNumber(range);
+            end = stepText ? max : start;
+        }
+
+        if ([start, end, step].some(isNaN) || start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron field "${field}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a 5-field (or 6-field, with seconds) cron expression
+ * @param {string} expression
+ * @returns {{minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean}}
+ */
+export function parseCronExpression(expression) {
+    let fields = expression.trim().split(/\s+/);
+    if (fields.length === 6) fields = fields.slice(1); // Seconds don't matter at minute resolution
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}"`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELD_RANGES[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: fields[2] === '*',
+        anyWeekday: fields[4] === '*'
+    };
+}
+
+/**
+ * Check whether a date's day matches (day-of-month and day-of-week are OR'd when both are set)
+ */
+function matchesDay(cron, date) {
+    const dayMatch = cron.days.has(date.getDate());
+    const weekdayMatch = cron.weekdays.has(date.getDay());
+
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return weekdayMatch;
+    if (cron.anyWeekday) return dayMatch;
+    return dayMatch || weekdayMatch;
+}
+
+/**
+ * Get the next time a cron expression fires
+ * @param {string} expression - Cron expression
+ * @param {Date} [from] - Start looking after this time (default: now)
+ * @returns {Date|null} Next run, or null if it never fires within a year
+ */
+export function getNextRun(expression, from = new Date()) {
+    const cron = parseCronExpression(expression);
+
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_MINUTES_AHEAD; i++) {
+        if (!cron.months.has(date.getMonth() + 1) || !matchesDay(cron, date)) {
+            // Skip to the start of the next day
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (cron.hours.has(date.getHours()) && cron.minutes.has(date.getMinutes())) {
+            return date;
+        }
+
+        date.setMinutes(date.getMinutes() + 1);
+    }
+
+    return null;
+}
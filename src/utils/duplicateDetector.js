@@ -0,0 +1,93 @@
+/**
+ * Duplicate Report Detector
+ * Spots the same outreach being reported twice: a pasted or forwarded copy,
+ * or two members of the same team each submitting it.
+ */
+
+// Summaries sharing at least this share of words count as "near-identical"
+const SUMMARY_SIMILARITY_THRESHOLD = 0.8;
+
+const JUNK_TEAMS = ['not specified', 'unknown', 'n/a', 'none', '-', ''];
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ */
+function normalizeText(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Jaccard similarity of the word sets of two texts (0..1)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function textSimilarity(a, b) {
+    const wordsA = new Set(normalizeText(a).split(' ').filter(Boolean));
+    const wordsB = new Set(normalizeText(b).split(' ').filter(Boolean));
+
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared++;
+    });
+
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Build a comparable set of team member names ("Br John and Mary" → {br john, mary})
+ */
+function teamKey(team) {
+    if (!team || JUNK_TEAMS.includes(team.trim().toLowerCase())) return null;
+
+    const names = team
+        .split(/,|\/|&|\s+and\s+/i)
+        .map(normalizeText)
+        .filter(Boolean)
+        .sort();
+
+    return names.length > 0 ? names.join('|') : null;
+}
+
+/**
+ * Check whether two reports describe the same place
+ */
+function samePlace(a, b) {
+    const locationA = normalizeText(a.location);
+    const areaA = normalizeText(a.area);
+
+    if (locationA && locationA === normalizeText(b.location)) return true;
+    if (areaA && areaA === normalizeText(b.area)) return true;
+    return false;
+}
+
+/**
+ * Find the first saved report the new one appears to duplicate.
+ * Candidates must already be from the same cluster and date; a match also needs the
+ * same location/area and either a near-identical summary or the same team.
+ * @param {Object} report - Newly parsed report
+ * @param {Array<Object>} candidates - Saved reports for the same cluster and date
+ * @returns {Object|null} The matching saved report
+ */
+export function findDuplicate(report, candidates) {
+    const newTeam = teamKey(report.preachers_team);
+
+    for (const candidate of candidates) {
+        if (!samePlace(report, candidate)) continue;
+
+        const similarSummary = textSimilarity(report.message_summary, candidate.message_summary) >= SUMMARY_SIMILARITY_THRESHOLD;
+        const sameTeam = newTeam !== null && newTeam === teamKey(candidate.preachers_team);
+
+        if (similarSummary || sameTeam) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
@@ -9,6 +9,8 @@
  *   node src/utils/generateTestReport.js --month 2026-02
  *   node src/utils/generateTestReport.js --month 2026-02 --assembly "Assembly Name"
  *   node src/utils/generateTestReport.js --command "[Compiled from Executor Podcast]"
+ *
+ * Without --command each cluster's own reporting command is used (see !clustercommand).
  */
 
 import { generateAssemblyReports, generateAssemblyReport } from '../services/aiReportGenerator.js';
@@ -46,15 +48,11 @@ if (!options.startDate) {
     options.endDate = '2026-01-31';
 }
 
-if (!options.command) {
-    options.command = '[Executor Report]';
-}
-
 logger.info('='.repeat(60));
 logger.info('ASSEMBLY-BASED REPORT GENERATION');
 logger.info('='.repeat(60));
 logger.info(`Date Range: ${options.startDate} to ${options.endDate}`);
-logger.info(`Command: ${options.command}`);
+logger.info(`Command: ${options.command || 'each cluster\'s own'}`);
 if (assemblyFilter) {
     logger.info(`Assembly Filter: ${assemblyFilter}`);
 }
@@ -1,7 +1,10 @@
+import { LANGUAGES, FALLBACK_LANGUAGE, t } from '../i18n/index.js';
+import { findCommandTag } from '../config/smc_reporting_commands.js';
+
 /**
  * Group Report Parser
  * Parses structured evangelism reports from group messages
- * Supports flexible keyword formats that real users type
+ * Supports flexible keyword formats that real users type, in English, Shona and Ndebele
  */
 
 /**
@@ -12,71 +15,197 @@ function stripWhatsAppFormatting(text) {
     return text.replace(/[*_~]/g, '');
 }
 
+/**
+ * Report headers per language (compared in upper case, after formatting is stripped)
+ */
+const REPORT_HEADERS = {
+    en: ['EVANGELISM REPORT'],
+    sn: ['RIPOTI YEEVANGELISM', 'RIPOTI YE EVANGELISM', 'RIPOTI YEKUPARIDZA', 'CHIREVO CHEEVANGELISM'],
+    nd: ['UMBIKO WEVANGELI', 'UMBIKO WEEVANGELISM', 'UMBIKO WE EVANGELISM', 'UMBIKO WOKUTSHUMAYELA']
+};
+
+/**
+ * Find the language of a message's report header
+ * @returns {string|null} Language code, or null if the message has no report header
+ */
+function matchHeader(messageText) {
+    const cleaned = stripWhatsAppFormatting(messageText).trim().toUpperCase();
+    return LANGUAGES.find(lang => REPORT_HEADERS[lang].some(header => cleaned.startsWith(header))) || null;
+}
+
 /**
  * Check if message is an evangelism report
- * Matches: "Evangelism Report", "EVANGELISM REPORT", "evangelism report", etc.
+ * Matches: "Evangelism Report", "EVANGELISM REPORT", "Ripoti yeEvangelism", "Umbiko weVangeli", etc.
  * @param {string} messageText - The message to check
  * @returns {boolean}
  */
 export function isEvangelismReport(messageText) {
     if (!messageText) return false;
-    const cleaned = stripWhatsAppFormatting(messageText).trim().toUpperCase();
-    return cleaned.startsWith('EVANGELISM REPORT');
+    return matchHeader(messageText) !== null;
 }
 
 /**
- * Keyword definitions with multiple aliases per field.
- * Each alias can use ":" or "=" as separator in the actual message.
- * Order matters — fields are matched top-to-bottom,
- * and a field's value runs until the next matched keyword.
+ * Keyword definitions with multiple aliases per field, per language.
+ * The first alias of each language is the field's display name in that language.
+ * Each alias can use ":" or "=" as separator in the actual message, and aliases
+ * from every language are accepted in any report (people often mix languages).
+ * A field's value runs until the next matched keyword.
  */
 const FIELD_ALIASES = [
     {
         field: 'activity_date',
-        aliases: ['Date']
+        aliases: {
+            en: ['Date'],
+            sn: ['Zuva', 'Musi'],
+            nd: ['Usuku', 'Idethi']
+        }
     },
     {
         field: 'location',
-        aliases: ['Location', 'Place', 'Venue']
+        aliases: {
+            en: ['Location', 'Place', 'Venue'],
+            sn: ['Nzvimbo', 'Pakaitirwa'],
+            nd: ['Indawo']
+        }
     },
     {
         field: 'area',
-        aliases: ['Area', 'Neighbourhood', 'Neighborhood']
+        aliases: {
+            en: ['Area', 'Neighbourhood', 'Neighborhood'],
+            sn: ['Nharaunda', 'Dunhu'],
+            nd: ['Isiqinti', 'Isigaba']
+        }
     },
     {
         field: 'city',
-        aliases: ['City', 'Town']
+        aliases: {
+            en: ['City', 'Town'],
+            sn: ['Guta', 'Taundi'],
+            nd: ['Idolobha']
+        }
     },
     {
         field: 'activity_type',
-        aliases: ['Type of Activity', 'Activity Type', 'Type of Evangelism', 'Activity', 'Type']
+        aliases: {
+            en: ['Type of Activity', 'Activity Type', 'Type of Evangelism', 'Activity', 'Type'],
+            sn: ['Rudzi rweEvangelism', 'Rudzi rwebasa', 'Rudzi', 'Basa'],
+            nd: ['Uhlobo lomsebenzi', 'Uhlobo lokutshumayela', 'Uhlobo', 'Umsebenzi']
+        }
     },
     {
         field: 'preachers_team',
-        aliases: ['Preacher(s) Team', 'Preachers Team', 'Preacher', 'Preachers', 'Team', 'Minister', 'Ministers']
+        aliases: {
+            en: ['Preachers Team', 'Preacher(s) Team', 'Preacher', 'Preachers', 'Team', 'Minister', 'Ministers'],
+            sn: ['Vaparidzi', 'Chikwata chevaparidzi', 'Muparidzi', 'Chikwata', 'Vashumiri'],
+            nd: ['Abatshumayeli', 'Iqembu labatshumayeli', 'Umtshumayeli', 'Iqembu', 'Izikhonzi']
+        }
     },
     {
         field: 'message_summary',
-        aliases: ['Message Summary', 'Message summary', 'Summary', 'Message']
+        aliases: {
+            en: ['Message Summary', 'Message summary', 'Summary', 'Message'],
+            sn: ['Pfupiso yeShoko', 'Pfupiso', 'Shoko', 'Meseji'],
+            nd: ['Isifinyezo selizwi', 'Isifinyezo', 'Ilizwi', 'Umlayezo']
+        }
     },
     {
         field: 'response_moments',
-        aliases: ['Response/Notable Moments', 'Notable Moments', 'Notable moments', 'Response', 'Moments', 'Highlights']
+        aliases: {
+            en: ['Notable Moments', 'Response/Notable Moments', 'Notable moments', 'Response', 'Moments', 'Highlights'],
+            sn: ['Zvakaitika', 'Zvinokosha', 'Mhinduro'],
+            nd: ['Okwenzakeleyo', 'Okuqakathekileyo', 'Impendulo']
+        }
     },
     {
         field: 'saved',
-        aliases: ['Saved', 'Converts', 'Convert', 'Souls Won', 'Souls']
+        aliases: {
+            en: ['Saved', 'Converts', 'Convert', 'Souls Won', 'Souls'],
+            sn: ['Vakaponeswa', 'Vaponeswa', 'Mweya'],
+            nd: ['Abasindisiweyo', 'Abasindisiwe', 'Imiphefumulo']
+        }
     },
     {
         field: 'healed',
-        aliases: ['Healed', 'Healing', 'Sick prayed for', 'Sick Prayed For', 'Prayed for', 'Sick']
+        aliases: {
+            en: ['Healed', 'Healing', 'Sick prayed for', 'Sick Prayed For', 'Prayed for', 'Sick'],
+            sn: ['Vakaporeswa', 'Vaporeswa', 'Kuporeswa', 'Varwere'],
+            nd: ['Abaphilisiweyo', 'Abaphilisiwe', 'Ukuphiliswa', 'Abagulayo']
+        }
     },
     {
         field: 'reporter_name',
-        aliases: ['Reporter', 'Reported by', 'Submitted by', 'Name']
+        aliases: {
+            en: ['Reporter', 'Reported by', 'Submitted by', 'Name'],
+            sn: ['Akanyora', 'Mutumi weripoti', 'Zita'],
+            nd: ['Umbiki', 'Obikayo', 'Ibizo']
+        }
     }
 ];
 
+/**
+ * Number words for the Saved/Healed fields ("Saved: five", "Vakaponeswa: vashanu").
+ * Shona and Ndebele count people with a noun-class prefix (vaviri, babili), so both
+ * the bare and the prefixed forms are listed.
+ */
+const NUMBER_WORDS = {
+    en: {
+        zero: 0, none: 0, nil: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+        eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+        fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20,
+        thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+    },
+    sn: {
+        hapana: 0, potsi: 1, imwe: 1, mumwe: 1, piri: 2, mbiri: 2, vaviri: 2, tatu: 3, nhatu: 3,
+        vatatu: 3, ina: 4, shanu: 5, vashanu: 5, tanhatu: 6, vatanhatu: 6,
+        nomwe: 7, vanomwe: 7, sere: 8, vasere: 8, pfumbamwe: 9, vapfumbamwe: 9, gumi: 10
+    },
+    nd: {
+        kakho: 0, lutho: 0, kunye: 1, munye: 1, kubili: 2, babili: 2, kuthathu: 3, bathathu: 3,
+        kune: 4, bane: 4, kuhlanu: 5, bahlanu: 5, isithupha: 6, ayisithupha: 6, isikhombisa: 7,
+        ayisikhombisa: 7, isificaminwembili: 8, isificamunwemunye: 9, itshumi: 10, litshumi: 10
+    }
+};
+
+const ALL_NUMBER_WORDS = Object.assign({}, ...Object.values(NUMBER_WORDS));
+
+// "gumi nevaviri" (12), "itshumi lababili" (12), "twenty and five"
+const NUMBER_CONNECTORS = ['and', 'ne', 'na', 'la', 'lo', 'le'];
+
+/**
+ * Look up a number word, allowing the Shona "ne-"/"na-" and Ndebele "la-"/"lo-"/"le-" prefixes
+ * @returns {number|null}
+ */
+function lookupNumberWord(word) {
+    if (word in ALL_NUMBER_WORDS) return ALL_NUMBER_WORDS[word];
+
+    const connector = NUMBER_CONNECTORS.find(c => word.startsWith(c) && word.slice(c.length) in ALL_NUMBER_WORDS);
+    return connector ? ALL_NUMBER_WORDS[word.slice(connector.length)] : null;
+}
+
+/**
+ * Convert a Saved/Healed value to a number: digits anywhere in the value win
+ * ("vana 3" is 3), otherwise number words are read.
+ * Consecutive number words are added up ("twenty five", "gumi nevaviri").
+ * @param {string} value - Field value
+ * @returns {number} The count, or 0 if none could be read
+ */
+function parseCount(value) {
+    const digits = value.match(/\d+/);
+    if (digits) return parseInt(digits[0]);
+
+    let total = null;
+    for (const word of value.toLowerCase().split(/[^a-z]+/).filter(Boolean)) {
+        const number = lookupNumberWord(word);
+        if (number !== null) {
+            total = (total ?? 0) + number;
+        } else if (total !== null && !NUMBER_CONNECTORS.includes(word)) {
+            break; // "vanhu vashanu vakaponeswa" → stop after the number
+        }
+    }
+
+    return total ?? 0;
+}
+
 /**
  * Build a regex pattern for a single alias.
  * Matches the alias followed by : or = (with optional surrounding whitespace).
@@ -88,20 +217,123 @@ function buildAliasPattern(alias) {
 }
 
 /**
- * Build a combined regex for all aliases of a field.
- * Returns a case-insensitive regex that matches any of the aliases.
+ * Build a case-insensitive regex that matches any of the given aliases
  */
-function buildFieldRegex(fieldDef) {
-    const patterns = fieldDef.aliases.map(buildAliasPattern);
+function buildAliasRegex(aliases) {
+    const patterns = aliases.map(buildAliasPattern);
     return new RegExp(`(?:${patterns.join('|')})`, 'i');
 }
 
+/**
+ * Build a combined regex for all aliases of a field, in every language
+ */
+function buildFieldRegex(fieldDef) {
+    return buildAliasRegex(Object.values(fieldDef.aliases).flat());
+}
+
+/**
+ * Work out which language a report (or correction) is written in.
+ * Each field keyword found scores a point for its language, and so does the header;
+ * ties go to English.
+ * @param {string} messageText - The message text
+ * @param {string} [fallback] - Language to use when no keyword matches (e.g. the cluster's language)
+ * @returns {string} Language code ('en', 'sn' or 'nd')
+ */
+export function detectReportLanguage(messageText, fallback = FALLBACK_LANGUAGE) {
+    if (!messageText) return fallback;
+
+    const cleaned = stripWhatsAppFormatting(messageText);
+    const scores = Object.fromEntries(LANGUAGES.map(lang => [lang, 0]));
+
+    const headerLanguage = matchHeader(cleaned);
+    if (headerLanguage) scores[headerLanguage]++;
+
+    for (const fieldDef of FIELD_ALIASES) {
+        for (const lang of LANGUAGES) {
+            if (buildAliasRegex(fieldDef.aliases[lang]).test(cleaned)) scores[lang]++;
+        }
+    }
+
+    if (Object.values(scores).every(score => score === 0)) return fallback;
+
+    return LANGUAGES.reduce((best, lang) => (scores[lang] > scores[best] ? lang : best), FALLBACK_LANGUAGE);
+}
+
+/**
+ * Get a field's display name in a language, e.g. ('saved', 'sn') → "Vakaponeswa"
+ * @param {string} field - Report field
+ * @param {string} [language] - Language code
+ * @returns {string}
+ */
+export function getFieldName(field, language = FALLBACK_LANGUAGE) {
+    const fieldDef = FIELD_ALIASES.find(f => f.field === field);
+    return (fieldDef.aliases[language] || fieldDef.aliases[FALLBACK_LANGUAGE])[0];
+}
+
+/**
+ * Headers used in the blank report template
+ */
+const TEMPLATE_HEADERS = {
+    en: 'Evangelism Report',
+    sn: 'Ripoti yeEvangelism',
+    nd: 'Umbiko weVangeli'
+};
+
+const TEMPLATE_FIELDS = [
+    'activity_date', 'location', 'area', 'activity_type', 'preachers_team',
+    'message_summary', 'response_moments', 'saved', 'healed', 'reporter_name'
+];
+
+/**
+ * Blank report for members to copy, fill in and send to their cluster group
+ * @param {string} [language] - Language code
+ * @returns {string}
+ */
+export function getReportTemplate(language = FALLBACK_LANGUAGE) {
+    const lang = TEMPLATE_HEADERS[language] ? language : FALLBACK_LANGUAGE;
+
+    return [
+        `*${TEMPLATE_HEADERS[lang]}*`,
+        ...TEMPLATE_FIELDS.map(field =>
+            `${getFieldName(field, lang)}: ${field === 'activity_date' ? 'DD/MM/YYYY' : ''}`
+        )
+    ].join('\n');
+}
+
+/**
+ * English report template
+ */
+export const REPORT_TEMPLATE = getReportTemplate(FALLBACK_LANGUAGE);
+
 /**
  * Parse evangelism report from group message
  * @param {string} messageText - The message text
  * @returns {Object} Parsed report data
  */
 export function parseReport(messageText) {
+    const report = parseReportFields(messageText);
+
+    // SMC command header, e.g. "*Evangelism Report* [Edit - Executor Present]"
+    const command = findCommandTag(messageText);
+    if (command) {
+        report.reporting_command = command.name;
+    }
+
+    // Ensure preachers_team has a fallback (DB requires NOT NULL)
+    if (!report.preachers_team || (typeof report.preachers_team === 'string' && report.preachers_team.trim() === '')) {
+        report.preachers_team = report.reporter_name || 'Not specified';
+    }
+
+    return report;
+}
+
+/**
+ * Extract only the fields that appear in the message, with no fallbacks.
+ * Used for partial corrections such as "Saved: 7".
+ * @param {string} messageText - The message text
+ * @returns {Object} Fields found in the message
+ */
+export function parseReportFields(messageText) {
     // Strip WhatsApp formatting before parsing
     messageText = stripWhatsAppFormatting(messageText);
     const report = {};
@@ -134,10 +366,9 @@ export function parseReport(messageText) {
         // Clean up extra whitespace but preserve meaningful line breaks for multi-line fields
         value = value.replace(/[ \t]+/g, ' ').replace(/\n\s*\n/g, '\n').trim();
 
-        // Convert number fields
+        // Convert number fields (digits or number words)
         if (current.field === 'saved' || current.field === 'healed') {
-            const num = parseInt(value);
-            value = isNaN(num) ? 0 : num;
+            value = parseCount(value);
         }
 
         // Convert date format
@@ -148,17 +379,12 @@ export function parseReport(messageText) {
         report[current.field] = value;
     }
 
-    // Ensure preachers_team has a fallback (DB requires NOT NULL)
-    if (!report.preachers_team || (typeof report.preachers_team === 'string' && report.preachers_team.trim() === '')) {
-        report.preachers_team = report.reporter_name || 'Not specified';
-    }
-
     return report;
 }
 
 /**
  * Convert date from DD/MM/YYYY to YYYY-MM-DD
- * Also handles: DD-MM-YYYY, DD.MM.YYYY, "today", "yesterday"
+ * Also handles: DD-MM-YYYY, DD.MM.YYYY, "today", "yesterday" (and "nhasi"/"nezuro", "lamuhla"/"izolo")
  * @param {string} dateStr - Date string
  * @returns {string|null} Date in YYYY-MM-DD format or null if invalid
  */
@@ -168,11 +394,11 @@ function convertDateFormat(dateStr) {
     const lower = dateStr.toLowerCase().trim();
     const today = new Date();
 
-    if (lower === 'today') {
+    if (['today', 'nhasi', 'lamuhla'].includes(lower)) {
         return today.toISOString().split('T')[0];
     }
 
-    if (lower === 'yesterday') {
+    if (['yesterday', 'nezuro', 'izolo'].includes(lower)) {
         const yesterday = new Date(today);
         yesterday.setDate(yesterday.getDate() - 1);
         return yesterday.toISOString().split('T')[0];
@@ -198,39 +424,36 @@ function convertDateFormat(dateStr) {
 /**
  * Validate parsed report
  * @param {Object} report - Parsed report data
+ * @param {string} [language] - Language for the error messages (see detectReportLanguage)
  * @returns {{valid: boolean, errors: string[]}}
  */
-export function validateParsedReport(report) {
+export function validateParsedReport(report, language = FALLBACK_LANGUAGE) {
     const errors = [];
 
     // Required fields
-    const requiredFields = [
-        { field: 'activity_date', name: 'Date' },
-        { field: 'location', name: 'Location' },
-        { field: 'activity_type', name: 'Type of Activity' },
-        { field: 'message_summary', name: 'Message Summary' }
-    ];
-
-    for (const { field, name } of requiredFields) {
+    const requiredFields = ['activity_date', 'location', 'activity_type', 'message_summary'];
+
+    for (const field of requiredFields) {
+        const name = getFieldName(field, language);
         if (!report[field] && report[field] !== 0) {
-            errors.push(`Missing required field: ${name}`);
+            errors.push(t(language, 'parser.missing', { field: name }));
         } else if (typeof report[field] === 'string' && report[field].trim() === '') {
-            errors.push(`Empty required field: ${name}`);
+            errors.push(t(language, 'parser.empty', { field: name }));
         }
     }
 
     // Validate date format
     if (report.activity_date && !report.activity_date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        errors.push('Invalid date format. Use DD/MM/YYYY (e.g. 10/02/2026)');
+        errors.push(t(language, 'parser.invalidDate'));
     }
 
     // Validate numbers
     if (report.saved !== undefined && typeof report.saved !== 'number') {
-        errors.push('Saved must be a number');
+        errors.push(t(language, 'parser.notANumber', { field: getFieldName('saved', language) }));
     }
 
     if (report.healed !== undefined && typeof report.healed !== 'number') {
-        errors.push('Healed must be a number');
+        errors.push(t(language, 'parser.notANumber', { field: getFieldName('healed', language) }));
     }
 
     return {
@@ -125,6 +125,28 @@ export function getPreviousMonthRange() {
     };
 }
 
+/**
+ * Get date range for a calendar month
+ * @param {string} month - Month as YYYY-MM (e.g. "2026-02")
+ * @returns {{start: string, end: string}|null} Range or null if the input is invalid
+ */
+export function getMonthRange(month) {
+    const match = /^(\d{4})-(\d{1,2})$/.exec((month || '').trim());
+    if (!match) return null;
+
+    const year = parseInt(match[1]);
+    const monthNum = parseInt(match[2]);
+    if (monthNum < 1 || monthNum > 12) return null;
+
+    const paddedMonth = String(monthNum).padStart(2, '0');
+    const lastDay = new Date(year, monthNum, 0).getDate();
+
+    return {
+        start: `${year}-${paddedMonth}-01`,
+        end: `${year}-${paddedMonth}-${lastDay}`
+    };
+}
+
 /**
  * Get previous day date range (yesterday)
  * @returns {{start: string, end: string}}
@@ -141,3 +163,74 @@ export function getPreviousDayRange() {
         end: dateStr
     };
 }
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toISODate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the date range for the last N days, ending yesterday
+ * @param {number} days - Number of days (e.g. 7)
+ * @param {Date} [today] - Reference date (default: now)
+ * @returns {{start: string, end: string}}
+ */
+export function getLastDaysRange(days, today = new Date()) {
+    const end = new Date(today);
+    end.setDate(end.getDate() - 1);
+
+    const start = new Date(end);
+    start.setDate(start.getDate() - (days - 1));
+
+    return {
+        start: toISODate(start),
+        end: toISODate(end)
+    };
+}
+
+/**
+ * Get the previous calendar week (Monday to Sunday)
+ * @param {Date} [today] - Reference date (default: now)
+ * @returns {{start: string, end: string}}
+ */
+export function getPreviousWeekRange(today = new Date()) {
+    const daysSinceMonday = (today.getDay() + 6) % 7;
+
+    const start = new Date(today);
+    start.setDate(start.getDate() - daysSinceMonday - 7);
+
+    const end = new Date(start);
+    end.setDate(end.getDate() + 6);
+
+    return {
+        start: toISODate(start),
+        end: toISODate(end)
+    };
+}
+
+/**
+ * Get the previous calendar quarter
+ * @param {Date} [today] - Reference date (default: now)
+ * @returns {{start: string, end: string, quarter: number, year: number}}
+ */
+export function getPreviousQuarterRange(today = new Date()) {
+    const currentQuarter = Math.floor(today.getMonth() / 3);
+    const year = currentQuarter === 0 ? today.getFullYear() - 1 : today.getFullYear();
+    const quarter = currentQuarter === 0 ? 4 : currentQuarter;
+
+    const start = new Date(year, (quarter - 1) * 3, 1);
+    const end = new Date(year, quarter * 3, 0);
+
+    return {
+        start: toISODate(start),
+        end: toISODate(end),
+        quarter,
+        year
+    };
+}
@@ -0,0 +1,47 @@
+/**
+ * Review Reply Parser
+ * Reads a reviewer's decision on a draft report:
+ *   APPROVE #12                 → post the report
+ *   REGENERATE                  → write the narrative again
+ *   NARRATIVE: ... CONCLUSION: ... → replace those sections with the reviewer's text
+ * The draft number is optional here; the handler decides what a reply without one means.
+ */
+
+const APPROVE_PATTERN = /^\W*(approve|approved)\W*(?:#\d+)?\W*$/i;
+const REGENERATE_PATTERN = /^\W*(regenerate|redo)\W*(?:#\d+)?\W*$/i;
+
+// "NARRATIVE:", "*NARRATIVE*:" or "*NARRATIVE:*" at the start of a line
+const SECTION_PATTERN = /^[ \t]*\*?(NARRATIVE|CONCLUSION)\*?[ \t]*:\*?[ \t]*/gim;
+
+/**
+ * Read a review reply
+ * @param {string} text - Message text
+ * @returns {{action: string, id: number|null, edits?: Object}|null} null when the text isn't a review reply
+ */
+export function parseReviewReply(text) {
+    const firstLine = text.trim().split('\n')[0];
+    const explicit = firstLine.match(/#(\d+)/);
+    const id = explicit ? parseInt(explicit[1]) : null;
+
+    if (APPROVE_PATTERN.test(firstLine) && !text.trim().includes('\n')) {
+        return { action: 'approve', id };
+    }
+    if (REGENERATE_PATTERN.test(firstLine) && !text.trim().includes('\n')) {
+        return { action: 'regenerate', id };
+    }
+
+    // Split into [before, header, text, header, text, ...]
+    const parts = text.split(SECTION_PATTERN);
+    if (parts.length < 3) return null;
+
+    const edits = {};
+    for (let i = 1; i < parts.length; i += 2) {
+        const value = parts[i + 1].trim();
+        if (value) edits[parts[i].toLowerCase()] = value;
+    }
+    if (Object.keys(edits).length === 0) return null;
+
+    // The copied draft text starts with "📝 Draft #12"
+    const header = parts[0].match(/#(\d+)/);
+    return { action: 'edit', id: header ? parseInt(header[1]) : null, edits };
+}
@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextRun, parseCronExpression } from '../src/utils/cronUtils.js';
+
+// Local time, like the scheduler; 10 March 2026 is a Tuesday
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('getNextRun', () => {
+    test('fires strictly after the start time', () => {
+        assert.deepEqual(getNextRun('0 9 * * *', at(2026, 3, 10, 8, 59)), at(2026, 3, 10, 9, 0));
+        assert.deepEqual(getNextRun('0 9 * * *', at(2026, 3, 10, 9, 0)), at(2026, 3, 11, 9, 0));
+    });
+
+    test('ranges', () => {
+        assert.deepEqual(getNextRun('0 9-11 * * *', at(2026, 3, 10, 10, 30)), at(2026, 3, 10, 11, 0));
+        assert.deepEqual(getNextRun('0 9-11 * * *', at(2026, 3, 10, 11, 30)), at(2026, 3, 11, 9, 0));
+        assert.deepEqual(getNextRun('0 8 * * mon-fri', at(2026, 3, 13, 9, 0)), at(2026, 3, 16, 8, 0));
+    });
+
+    test('steps', () => {
+        assert.deepEqual(getNextRun('*/15 * * * *', at(2026, 3, 10, 10, 7)), at(2026, 3, 10, 10, 15));
+        assert.deepEqual(getNextRun('*/15 * * * *', at(2026, 3, 10, 10, 50)), at(2026, 3, 10, 11, 0));
+        assert.deepEqual(getNextRun('5/20 * * * *', at(2026, 3, 10, 10, 26)), at(2026, 3, 10, 10, 45));
+        assert.deepEqual(getNextRun('0 8-18/4 * * *', at(2026, 3, 10, 13, 0)), at(2026, 3, 10, 16, 0));
+    });
+
+    test('lists', () => {
+        assert.deepEqual(getNextRun('0 8 * * 1,3,5', at(2026, 3, 10, 9, 0)), at(2026, 3, 11, 8, 0));
+        assert.deepEqual(getNextRun('0,30 9 * * *', at(2026, 3, 10, 9, 10)), at(2026, 3, 10, 9, 30));
+        assert.deepEqual(getNextRun('0 9 1 jan,jul *', at(2026, 3, 10)), at(2026, 7, 1, 9, 0));
+    });
+
+    test('day of month and day of week: either one matches when both are set', () => {
+        // The 15th, or any Friday
+        assert.deepEqual(getNextRun('0 9 15 * 5', at(2026, 3, 10)), at(2026, 3, 13, 9, 0));
+        assert.deepEqual(getNextRun('0 9 15 * 5', at(2026, 3, 13, 10, 0)), at(2026, 3, 15, 9, 0));
+
+        // Only one of them set
+        assert.deepEqual(getNextRun('0 9 15 * *', at(2026, 3, 10)), at(2026, 3, 15, 9, 0));
+        assert.deepEqual(getNextRun('0 9 * * 5', at(2026, 3, 10)), at(2026, 3, 13, 9, 0));
+    });
+
+    test('Sunday is 0 or 7', () => {
+        assert.deepEqual(getNextRun('0 9 * * 7', at(2026, 3, 10)), at(2026, 3, 15, 9, 0));
+        assert.deepEqual(getNextRun('0 9 * * 0', at(2026, 3, 10)), at(2026, 3, 15, 9, 0));
+        assert.deepEqual(getNextRun('0 9 * * sun', at(2026, 3, 10)), at(2026, 3, 15, 9, 0));
+    });
+
+    test('rolls over into the next month and year', () => {
+        assert.deepEqual(getNextRun('0 0 1 * *', at(2026, 1, 31, 12, 0)), at(2026, 2, 1, 0, 0));
+        assert.deepEqual(getNextRun('59 23 * * *', at(2026, 12, 31, 23, 59)), at(2027, 1, 1, 23, 59));
+        assert.deepEqual(getNextRun('0 9 5 1,4,7,10 *', at(2026, 11, 1)), at(2027, 1, 5, 9, 0));
+        assert.deepEqual(getNextRun('30 23 31 12 *', at(2026, 12, 31, 23, 31)), at(2027, 12, 31, 23, 30));
+    });
+
+    test('skips months without the day', () => {
+        assert.deepEqual(getNextRun('0 9 31 * *', at(2026, 1, 31, 10, 0)), at(2026, 3, 31, 9, 0));
+    });
+
+    test('returns null when the expression never fires within a year', () => {
+        assert.equal(getNextRun('0 0 30 2 *', at(2026, 3, 10)), null);
+    });
+
+    test('ignores a seconds field', () => {
+        assert.deepEqual(getNextRun('0 0 9 * * *', at(2026, 3, 10, 10, 0)), at(2026, 3, 11, 9, 0));
+    });
+});
+
+describe('parseCronExpression', () => {
+    test('reads names and marks wildcard days', () => {
+        const cron = parseCronExpression('0 9 * feb-apr mon');
+
+        assert.deepEqual([...cron.months], [2, 3, 4]);
+        assert.deepEqual([...cron.weekdays], [1]);
+        assert.equal(cron.anyDay, true);
+        assert.equal(cron.anyWeekday, false);
+    });
+
+    test('rejects invalid expressions', () => {
+        assert.throws(() => parseCronExpression('0 9 * *'), /Invalid cron expression/);
+        assert.throws(() => parseCronExpression('60 * * * *'), /Invalid cron field "60"/);
+        assert.throws(() => parseCronExpression('0 9 0 * *'), /Invalid cron field "0"/);
+        assert.throws(() => parseCronExpression('0 11-9 * * *'), /Invalid cron field "11-9"/);
+        assert.throws(() => parseCronExpression('*/0 * * * *'), /Invalid cron field/);
+        assert.throws(() => parseCronExpression('0 9 * * funday'), /Invalid cron field/);
+    });
+});
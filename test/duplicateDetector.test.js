@@ -0,0 +1,176 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDuplicate, textSimilarity } from '../src/utils/duplicateDetector.js';
+
+process.env.DB_BACKEND = 'memory';
+process.env.ADMIN_NUMBERS = '263700000001';
+
+const saved = {
+    id: 1,
+    location: 'Sakubva Market',
+    area: 'Sakubva',
+    preachers_team: 'Br Tadiwa and Rudo',
+    message_summary: 'Repent and believe the gospel for the kingdom is near'
+};
+
+describe('textSimilarity', () => {
+    test('is the share of words the two texts have in common', () => {
+        assert.equal(textSimilarity('one two three four', 'one two three four'), 1);
+        assert.equal(textSimilarity('one two three four', 'one two three four five'), 0.8);
+        assert.equal(textSimilarity('one two three', 'four five six'), 0);
+        assert.equal(textSimilarity('', 'one two'), 0);
+    });
+
+    test('ignores case, punctuation and spacing', () => {
+        assert.equal(textSimilarity('Jesus saves!', '  jesus   SAVES '), 1);
+    });
+});
+
+describe('findDuplicate', () => {
+    // Same place, a different team, so only the summary can make it a duplicate
+    const report = summary => ({ location: 'Sakubva Market', preachers_team: 'Sister Nyasha', message_summary: summary });
+
+    test('matches a summary at the 0.8 similarity threshold', () => {
+        // 4 of 5 distinct words shared
+        const candidate = { ...saved, message_summary: 'one two three four five' };
+        assert.equal(findDuplicate(report('one two three four'), [candidate]), candidate);
+        assert.equal(findDuplicate(report('One, two, three, four, five!'), [candidate]), candidate);
+    });
+
+    test('does not match a summary just under the threshold', () => {
+        // 3 of 4 distinct words shared (0.75)
+        const candidate = { ...saved, message_summary: 'one two three four' };
+        assert.equal(findDuplicate(report('one two three'), [candidate]), null);
+    });
+
+    test('matches the same team in the same place with a different summary', () => {
+        const duplicate = findDuplicate({
+            location: 'Sakubva Market',
+            preachers_team: 'Rudo & br tadiwa',
+            message_summary: 'Salvation is found in no one else'
+        }, [saved]);
+
+        assert.equal(duplicate, saved);
+    });
+
+    test('does not match the same team in a different place', () => {
+        const duplicate = findDuplicate({
+            location: 'Dangamvura Shops',
+            area: 'Dangamvura',
+            preachers_team: 'Br Tadiwa and Rudo',
+            message_summary: saved.message_summary
+        }, [saved]);
+
+        assert.equal(duplicate, null);
+    });
+
+    test('does not treat placeholder teams as the same team', () => {
+        const candidate = { ...saved, preachers_team: 'Not specified' };
+        const duplicate = findDuplicate({ location: 'Sakubva Market', preachers_team: 'not specified', message_summary: 'Other words' }, [candidate]);
+
+        assert.equal(duplicate, null);
+    });
+
+    test('compares places without case, punctuation or extra spaces', () => {
+        const sameTeam = { preachers_team: 'Rudo, Br Tadiwa', message_summary: 'Other words' };
+
+        assert.equal(findDuplicate({ ...sameTeam, location: '  sakubva   MARKET. ' }, [saved]), saved);
+        assert.equal(findDuplicate({ ...sameTeam, location: 'Sakubva Mkt', area: 'SAKUBVA' }, [saved]), saved);
+        assert.equal(findDuplicate({ ...sameTeam, location: 'Sakubva Mkt' }, [saved]), null);
+    });
+
+    test('returns the first matching candidate', () => {
+        const other = { ...saved, id: 2, location: 'Dangamvura', area: 'Dangamvura' };
+        const second = { ...saved, id: 3 };
+
+        assert.equal(findDuplicate({ ...saved }, [other, saved, second]), saved);
+    });
+});
+
+// The confirmation handler reaches the WhatsApp library through the admin commands
+const handler = await import('../src/bot/duplicateReportHandler.js').catch(error => {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes('@whiskeysockets/baileys')) return null;
+    throw error;
+});
+
+describe('handleDuplicateConfirmation', { skip: !handler && '@whiskeysockets/baileys is not installed' }, () => {
+    const GROUP = '120363000000000001@g.us';
+    let db;
+    let assemblyId;
+
+    function fakeSock() {
+        const sent = [];
+        return { sent, sendMessage: async (jid, message) => { sent.push({ jid, ...message }); } };
+    }
+
+    // A reply from a group member, quoting a message
+    function reply(text, from, quoted) {
+        return {
+            key: { remoteJid: GROUP, participant: `${from}@s.whatsapp.net` },
+            message: {
+                extendedTextMessage: {
+                    text,
+                    contextInfo: { stanzaId: quoted.id, quotedMessage: { conversation: quoted.text } }
+                }
+            }
+        };
+    }
+
+    async function holdReport(waMessageId) {
+        const { lastInsertRowid } = await db.createGroupReport(assemblyId, {
+            activity_date: '2026-09-14',
+            location: 'Sakubva Market',
+            activity_type: 'Door to door',
+            message_summary: 'Repent and believe',
+            reporter_name: 'Rudo'
+        }, '263771111111', waMessageId, { status: 'pending_duplicate', duplicateOf: 1 });
+        return lastInsertRowid;
+    }
+
+    before(async () => {
+        db = await import('../src/database/db.js');
+        await db.initializeDatabase();
+        ({ lastInsertRowid: assemblyId } = await db.createAssembly('Mutare Central', GROUP));
+    });
+
+    for (const word of ['CONFIRM', 'confirmed', 'yes', 'Hongu', 'ehe', 'Yebo!']) {
+        test(`"${word}" from the sender counts the held report`, async () => {
+            const id = await holdReport(`MSG-${word}`);
+            const sock = fakeSock();
+
+            const handled = await handler.handleDuplicateConfirmation(sock, reply(word, '263771111111', { id: `MSG-${word}`, text: '' }), word, 'en');
+
+            assert.equal(handled, true);
+            assert.equal((await db.getReport(id)).status, 'active');
+            assert.match(sock.sent[0].text, new RegExp(`Report #${id} confirmed`));
+        });
+    }
+
+    test('a reply to the bot\'s warning also counts the held report', async () => {
+        const id = await holdReport('MSG-warning');
+        const warning = handler.formatDuplicateWarning('263771111111', id, { id: 1, activity_date: '2026-09-14', location: 'Sakubva Market' }, 'sn');
+
+        await handler.handleDuplicateConfirmation(fakeSock(), reply('confirm', '263771111111', { id: 'BOT-1', text: warning }), 'confirm', 'sn');
+
+        assert.equal((await db.getReport(id)).status, 'active');
+    });
+
+    test('only the sender or an admin can confirm', async () => {
+        const id = await holdReport('MSG-other');
+        const sock = fakeSock();
+
+        assert.equal(await handler.handleDuplicateConfirmation(sock, reply('yes', '263772222222', { id: 'MSG-other', text: '' }), 'yes', 'en'), true);
+        assert.equal((await db.getReport(id)).status, 'pending_duplicate');
+
+        await handler.handleDuplicateConfirmation(sock, reply('yes', '263700000001', { id: 'MSG-other', text: '' }), 'yes', 'en');
+        assert.equal((await db.getReport(id)).status, 'active');
+    });
+
+    test('ignores other replies and reports that are not held', async () => {
+        const id = await holdReport('MSG-ignored');
+
+        assert.equal(await handler.handleDuplicateConfirmation(fakeSock(), reply('yes please', '263771111111', { id: 'MSG-ignored', text: '' }), 'yes please', 'en'), false);
+        assert.equal(await handler.handleDuplicateConfirmation(fakeSock(), reply('yes', '263771111111', { id: 'MSG-unknown', text: '' }), 'yes', 'en'), false);
+        assert.equal((await db.getReport(id)).status, 'pending_duplicate');
+    });
+});
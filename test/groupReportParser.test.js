@@ -0,0 +1,136 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isEvangelismReport,
+    detectReportLanguage,
+    parseReportFields
+} from '../src/utils/groupReportParser.js';
+
+const SHONA_REPORT = `*Ripoti yeEvangelism*
+Zuva: 14/09/2026
+Nzvimbo: Sakubva musika
+Nharaunda: Sakubva
+Guta: Mutare
+Rudzi: Door to door
+Vaparidzi: Tadiwa, Rudo
+Shoko: Johane 3:16, rudo rwaMwari
+Zvakaitika: Mhuri yose yakagamuchira Kristu
+Vakaponeswa: vashanu
+Vakaporeswa: 2
+Akanyora: Tadiwa Moyo`;
+
+const NDEBELE_REPORT = `*Umbiko weVangeli*
+Usuku: 21.09.2026
+Indawo: Emakhandeni
+Idolobha: Bulawayo
+Uhlobo: Open air
+Abatshumayeli: Sipho, Nomsa
+Isifinyezo: Johane 14:6
+Abasindisiweyo: itshumi lababili
+Abaphilisiweyo: bathathu
+Umbiki: Sipho Ndlovu`;
+
+describe('parseReportFields', () => {
+    test('reads a Shona report', () => {
+        assert.deepEqual(parseReportFields(SHONA_REPORT), {
+            activity_date: '2026-09-14',
+            location: 'Sakubva musika',
+            area: 'Sakubva',
+            city: 'Mutare',
+            activity_type: 'Door to door',
+            preachers_team: 'Tadiwa, Rudo',
+            message_summary: 'Johane 3:16, rudo rwaMwari',
+            response_moments: 'Mhuri yose yakagamuchira Kristu',
+            saved: 5,
+            healed: 2,
+            reporter_name: 'Tadiwa Moyo'
+        });
+    });
+
+    test('reads an Ndebele report', () => {
+        assert.deepEqual(parseReportFields(NDEBELE_REPORT), {
+            activity_date: '2026-09-21',
+            location: 'Emakhandeni',
+            city: 'Bulawayo',
+            activity_type: 'Open air',
+            preachers_team: 'Sipho, Nomsa',
+            message_summary: 'Johane 14:6',
+            saved: 12,
+            healed: 3,
+            reporter_name: 'Sipho Ndlovu'
+        });
+    });
+
+    test('accepts other aliases, "=" separators and mixed languages', () => {
+        const report = parseReportFields([
+            'Evangelism Report',
+            'Date = 02-10-2026',
+            'Venue: Dangamvura shops',
+            'Type of Evangelism: Open air',
+            'Souls Won: 4',
+            'Vaparidzi: Rudo, Tendai',
+            'Sick prayed for = 6',
+            'Reported by: Rudo'
+        ].join('\n'));
+
+        assert.equal(report.activity_date, '2026-10-02');
+        assert.equal(report.location, 'Dangamvura shops');
+        assert.equal(report.activity_type, 'Open air');
+        assert.equal(report.saved, 4);
+        assert.equal(report.preachers_team, 'Rudo, Tendai');
+        assert.equal(report.healed, 6);
+        assert.equal(report.reporter_name, 'Rudo');
+    });
+
+    test('returns only the fields in a correction', () => {
+        assert.deepEqual(parseReportFields('Saved: 7'), { saved: 7 });
+        assert.deepEqual(parseReportFields('Vakaporeswa: 3'), { healed: 3 });
+    });
+
+    test('reads counts written as number words', () => {
+        const saved = text => parseReportFields(`Saved: ${text}`).saved;
+
+        assert.equal(saved('five'), 5);
+        assert.equal(saved('twenty five'), 25);
+        assert.equal(saved('twenty and five'), 25);
+        assert.equal(saved('gumi nevaviri'), 12);
+        assert.equal(saved('vanhu vashanu vakaponeswa'), 5);
+        assert.equal(saved('bahlanu'), 5);
+        assert.equal(saved('hapana'), 0);
+        assert.equal(saved('12 people'), 12);
+        assert.equal(saved('a few'), 0);
+    });
+
+    test('does not read "vana" (children) as a number, and prefers digits to words', () => {
+        const saved = text => parseReportFields(`Vakaponeswa: ${text}`).saved;
+
+        assert.equal(saved('vana vashanu'), 5);
+        assert.equal(saved('vana 3'), 3);
+        assert.equal(saved('about 4 people'), 4);
+    });
+
+    test('ignores WhatsApp formatting around keywords', () => {
+        assert.deepEqual(parseReportFields('*Saved:* _7_\n~Healed~: 1'), { saved: 7, healed: 1 });
+    });
+});
+
+describe('detectReportLanguage', () => {
+    test('finds the language of the header and keywords', () => {
+        assert.equal(detectReportLanguage(SHONA_REPORT), 'sn');
+        assert.equal(detectReportLanguage(NDEBELE_REPORT), 'nd');
+        assert.equal(detectReportLanguage('Evangelism Report\nDate: 01/10/2026\nSaved: 3'), 'en');
+    });
+
+    test('falls back when no keyword matches', () => {
+        assert.equal(detectReportLanguage('Mangwanani', 'sn'), 'sn');
+    });
+});
+
+describe('isEvangelismReport', () => {
+    test('recognises the report headers in every language', () => {
+        assert.equal(isEvangelismReport(SHONA_REPORT), true);
+        assert.equal(isEvangelismReport(NDEBELE_REPORT), true);
+        assert.equal(isEvangelismReport('*EVANGELISM REPORT*\nDate: today'), true);
+        assert.equal(isEvangelismReport('Good morning everyone'), false);
+    });
+});
@@ -0,0 +1,83 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import en from '../src/i18n/en.js';
+import sn from '../src/i18n/sn.js';
+import nd from '../src/i18n/nd.js';
+import { t } from '../src/i18n/index.js';
+
+process.env.DB_BACKEND = 'memory';
+process.env.ADMIN_NUMBERS = '263700000001';
+
+// The admin commands reach the WhatsApp library through the scheduler
+const admin = await import('../src/bot/adminCommandHandler.js').catch(error => {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes('@whiskeysockets/baileys')) return null;
+    throw error;
+});
+
+const placeholders = template => [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+describe('message catalogues', () => {
+    for (const [language, catalogue] of Object.entries({ sn, nd })) {
+        test(`${language} only translates English keys, with the same placeholders`, () => {
+            for (const [key, template] of Object.entries(catalogue)) {
+                assert.ok(key in en, `${language} has unknown key ${key}`);
+                assert.deepEqual(placeholders(template), placeholders(en[key]), key);
+            }
+        });
+
+        test(`${language} translates every admin reply`, () => {
+            const missing = Object.keys(en).filter(key => key.startsWith('admin.') && !(key in catalogue));
+            assert.deepEqual(missing, []);
+        });
+    }
+
+    test('fills in placeholders and falls back to English', () => {
+        assert.equal(t('sn', 'admin.noClusterId', { id: 4 }), '❌ Hapana cluster ine ID 4.');
+        assert.equal(t('xx', 'admin.noClusterId', { id: 4 }), '❌ No cluster with ID 4.');
+    });
+});
+
+describe('admin command replies', { skip: !admin && '@whiskeysockets/baileys is not installed' }, () => {
+    const ADMIN = '263700000001@s.whatsapp.net';
+    let db;
+
+    function fakeSock() {
+        const sent = [];
+        return { sent, sendMessage: async (jid, message) => sent.push({ jid, ...message }) };
+    }
+
+    before(async () => {
+        db = await import('../src/database/db.js');
+        await db.initializeDatabase();
+    });
+
+    test('are in the admin\'s language', async () => {
+        await db.saveUserLanguage('263700000001', 'sn');
+        const sock = fakeSock();
+
+        await admin.handleAdminCommand(sock, ADMIN, '!clusters');
+        await admin.handleAdminCommand(sock, ADMIN, '!report 99');
+
+        assert.deepEqual(sock.sent.map(m => m.text), [t('sn', 'admin.noClusters'), t('sn', 'admin.reportNotFound', { id: 99 })]);
+    });
+
+    test('the command list describes every command', async () => {
+        await db.saveUserLanguage('263700000001', 'nd');
+        const sock = fakeSock();
+
+        await admin.handleAdminCommand(sock, ADMIN, '!admin');
+
+        const help = sock.sent[0].text;
+        assert.ok(help.startsWith(t('nd', 'admin.helpTitle')));
+        assert.doesNotMatch(help, /admin\.help\./);
+    });
+
+    test('refuses non-admins in their language', async () => {
+        await db.saveUserLanguage('263771111111', 'nd');
+        const sock = fakeSock();
+
+        await admin.handleAdminCommand(sock, '263771111111@s.whatsapp.net', '!clusters');
+
+        assert.equal(sock.sent[0].text, t('nd', 'admin.denied'));
+    });
+});
@@ -0,0 +1,130 @@
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+process.env.DB_BACKEND = 'memory';
+
+const { default: config } = await import('../src/config/config.js');
+const db = await import('../src/database/db.js');
+const { loadMigrations, getPendingMigrations, runMigrations } = await import('../src/database/migrator.js');
+
+const EXPECTED = [
+    'initial_schema', 'reports_wa_message_id', 'reports_duplicate_status', 'report_media', 'schedules',
+    'languages', 'places', 'report_coordinates', 'reporting_commands', 'report_reviews'
+];
+
+// A fresh, empty in-memory database for every test
+const repository = db.getRepository();
+beforeEach(async () => {
+    repository.connect({ filename: ':memory:' });
+    await repository.initializeDatabase();
+});
+
+describe('migrator', () => {
+    test('loads the migrations in version order', async () => {
+        const migrations = await loadMigrations();
+
+        assert.deepEqual(migrations.map(m => m.version), EXPECTED.map((_, i) => i + 1));
+        assert.deepEqual(migrations.map(m => m.name), EXPECTED);
+        migrations.forEach(m => assert.ok(m.sqlite && m.postgres, `${m.name} has SQL for both backends`));
+    });
+
+    test('applies every migration to a fresh database and records it', async () => {
+        const applied = await runMigrations(repository);
+
+        assert.deepEqual(applied.map(m => m.version), EXPECTED.map((_, i) => i + 1));
+        assert.deepEqual((await repository.getAppliedMigrations()).map(m => [m.version, m.name]), EXPECTED.map((name, i) => [i + 1, name]));
+        assert.deepEqual(await getPendingMigrations(repository), []);
+
+        // The latest tables are there
+        assert.deepEqual(await db.getOpenReportReviews(), []);
+    });
+
+    test('applies nothing the second time', async () => {
+        await runMigrations(repository);
+        assert.deepEqual(await runMigrations(repository), []);
+    });
+
+    test('applies only the migrations still pending, in order', async () => {
+        const migrations = await loadMigrations();
+        for (const migration of migrations.slice(0, 4)) {
+            await repository.applyMigration(migration);
+        }
+
+        assert.deepEqual((await getPendingMigrations(repository)).map(m => m.version), [5, 6, 7, 8, 9, 10]);
+        assert.deepEqual((await runMigrations(repository)).map(m => m.version), [5, 6, 7, 8, 9, 10]);
+    });
+
+    test('rolls back a migration that fails and does not record it', async () => {
+        await assert.rejects(repository.applyMigration({ version: 99, name: 'broken', sqlite: 'CREATE TABLE x (id INTEGER); NOT SQL;' }));
+
+        assert.deepEqual(await repository.getAppliedMigrations(), []);
+        assert.equal(repository.getClient().prepare("SELECT name FROM sqlite_master WHERE name = 'x'").get(), undefined);
+    });
+});
+
+describe('initializeDatabase', () => {
+    const saved = { dbBackend: config.dbBackend, autoMigrate: config.autoMigrate };
+    after(() => Object.assign(config, saved));
+
+    test('migrates local databases automatically', async () => {
+        await db.initializeDatabase();
+        assert.equal((await repository.getAppliedMigrations()).length, EXPECTED.length);
+    });
+
+    test('stops Supabase startup while migrations are pending', async () => {
+        Object.assign(config, { dbBackend: 'supabase', autoMigrate: false });
+        await repository.applyMigration((await loadMigrations())[0]);
+
+        await assert.rejects(db.initializeDatabase(), {
+            message: /Database schema is out of date \(pending: 002_reports_wa_message_id, .*010_report_reviews\)\. Run "npm run migrate"/
+        });
+        assert.equal((await repository.getAppliedMigrations()).length, 1);
+    });
+
+    test('migrates Supabase on startup with AUTO_MIGRATE=true', async () => {
+        Object.assign(config, { dbBackend: 'supabase', autoMigrate: true });
+
+        await db.initializeDatabase();
+        assert.equal((await repository.getAppliedMigrations()).length, EXPECTED.length);
+    });
+});
+
+describe('npm run migrate', () => {
+    const root = fileURLToPath(new URL('..', import.meta.url));
+    const dir = mkdtempSync(join(tmpdir(), 'migrate-'));
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    const migrate = (...args) => {
+        const result = spawnSync(process.execPath, ['src/database/migrate.js', ...args], {
+            cwd: root,
+            env: { ...process.env, DB_BACKEND: 'sqlite', SQLITE_PATH: join(dir, 'test.db') },
+            encoding: 'utf8',
+            timeout: 30000
+        });
+        assert.equal(result.status, 0, result.stderr);
+        return result.stdout;
+    };
+
+    test('--status lists pending migrations without applying them', () => {
+        const output = migrate('--status');
+
+        assert.match(output, /⏳ 001_initial_schema - pending/);
+        assert.match(output, /⏳ 010_report_reviews - pending/);
+        assert.match(migrate('--status'), /⏳ 001_initial_schema - pending/);
+    });
+
+    test('applies the migrations, then --status shows them applied', () => {
+        assert.match(migrate(), /Applied 10 migration\(s\)/);
+        assert.match(migrate(), /already up to date/);
+
+        const output = migrate('--status');
+        assert.match(output, /✅ 001_initial_schema \(applied \d{4}-\d\d-\d\d/);
+        assert.match(output, /✅ 010_report_reviews \(applied/);
+        assert.doesNotMatch(output, /pending/);
+    });
+});
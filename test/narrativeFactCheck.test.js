@@ -0,0 +1,126 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The fact check uses the gazetteer, which loads the storage backend on import
+process.env.DB_BACKEND = 'memory';
+let collectFacts, findUnsupportedClaims, factCheckNarrative;
+
+before(async () => {
+    ({ collectFacts, findUnsupportedClaims, factCheckNarrative } = await import('../src/services/narrativeFactCheck.js'));
+});
+
+const reportData = {
+    assemblyName: 'Mutare Central',
+    startDate: '2026-09-01',
+    endDate: '2026-09-30',
+    totalOutreaches: 4,
+    totalSaved: 12,
+    totalHealed: 3,
+    locations: ['Sakubva', 'Dangamvura'],
+    labourers: ['Tadiwa Moyo', 'Rudo Chari'],
+    activityTypes: ['Door to door', 'Open air'],
+    messageSummaries: ['Preached John 3:16 at Sakubva market', 'Phase 2 of the crusade']
+};
+
+function claimsIn(sentence) {
+    return findUnsupportedClaims(sentence, collectFacts(reportData));
+}
+
+describe('findUnsupportedClaims', () => {
+    test('accepts totals, counts and years from the report', () => {
+        assert.deepEqual(claimsIn('12 souls were saved and 3 were healed across 4 outreaches in 2026.'), []);
+        assert.deepEqual(claimsIn('In total 15 people responded at 2 locations.'), []);
+        assert.deepEqual(claimsIn('Twelve souls were saved by the two labourers.'), []);
+    });
+
+    test('accepts numbers the reporters wrote and leaves out Bible references', () => {
+        assert.deepEqual(claimsIn('Phase 2 went ahead as planned.'), []);
+        assert.deepEqual(claimsIn('The team preached from John 3:16 and Romans 10:9-10.'), []);
+    });
+
+    test('flags numbers that are not in the report', () => {
+        assert.deepEqual(claimsIn('40 people gave their lives to Christ.'), [{ type: 'number', value: '40' }]);
+        assert.deepEqual(claimsIn('Over 1,200 people heard the gospel.'), [{ type: 'number', value: '1200' }]);
+        assert.deepEqual(claimsIn('Twenty souls were saved.'), [{ type: 'number', value: 'Twenty souls' }]);
+    });
+
+    test('accepts the report\'s places and ignores words that are not places', () => {
+        assert.deepEqual(claimsIn('The team preached in Sakubva and Dangamvura.'), []);
+        assert.deepEqual(claimsIn('At Mutare Central, the labourers prayed in Jesus\' name.'), []);
+        assert.deepEqual(claimsIn('They rejoiced in God and in the Lord.'), []);
+    });
+
+    test('flags places that are not in the report', () => {
+        assert.deepEqual(claimsIn('The team also preached in Chitungwiza.'), [{ type: 'place', value: 'Chitungwiza' }]);
+    });
+
+    test('accepts the report\'s labourers and flags other people', () => {
+        assert.deepEqual(claimsIn('Brother Tadiwa led the team with Sister Rudo Chari.'), []);
+        assert.deepEqual(claimsIn('Pastor Banda prayed for the sick.'), [{ type: 'person', value: 'Pastor Banda' }]);
+    });
+});
+
+describe('factCheckNarrative', () => {
+    const supported = [
+        'The team preached in Sakubva.',
+        'Brother Tadiwa led the door to door work.',
+        '12 souls were saved.',
+        'The labourers went out 4 times.'
+    ];
+
+    const sections = (narrative, messageEmphasis = [], conclusion = '') => ({ narrative: narrative.join(' '), messageEmphasis, conclusion });
+
+    test('keeps a narrative with only supported claims', () => {
+        const result = factCheckNarrative(sections(supported, [], 'To God be the glory.'), reportData);
+
+        assert.equal(result.valid, true);
+        assert.equal(result.narrative, supported.join(' '));
+        assert.equal(result.conclusion, 'To God be the glory.');
+        assert.deepEqual(result.issues, []);
+    });
+
+    test('removes unsupported sentences and reports them', () => {
+        const narrative = [...supported, 'Pastor Banda joined them in Chitungwiza.', 'The team sang.'];
+        const result = factCheckNarrative(sections(narrative), reportData);
+
+        // 1 of 6 sentences removed
+        assert.equal(result.valid, true);
+        assert.equal(result.narrative, [...supported, 'The team sang.'].join(' '));
+        assert.deepEqual(result.issues.map(issue => [issue.type, issue.value, issue.section]), [
+            ['place', 'Chitungwiza', 'narrative'],
+            ['person', 'Pastor Banda', 'narrative']
+        ]);
+    });
+
+    test('stays valid with a third of the sentences removed', () => {
+        const narrative = [...supported, '40 people were saved.', 'They went to Chitungwiza.'];
+        const result = factCheckNarrative(sections(narrative), reportData);
+
+        // 2 of 6 sentences removed
+        assert.equal(result.valid, true);
+        assert.equal(result.narrative, supported.join(' '));
+    });
+
+    test('fails when more than a third of the sentences are removed', () => {
+        const narrative = [...supported.slice(0, 3), '40 people were saved.', 'They went to Chitungwiza.'];
+        const result = factCheckNarrative(sections(narrative), reportData);
+
+        // 2 of 5 sentences removed
+        assert.equal(result.valid, false);
+        assert.equal(result.issues.length, 2);
+    });
+
+    test('fails when fewer than two sentences are left', () => {
+        assert.equal(factCheckNarrative(sections(['The team preached in Sakubva.']), reportData).valid, false);
+    });
+
+    test('drops the message emphasis when fewer than three points survive', () => {
+        const emphasis = ['Repentance (Acts 2:38)', 'Salvation by grace', 'The 7 churches of Asia'];
+
+        assert.deepEqual(factCheckNarrative(sections(supported, emphasis), reportData).messageEmphasis, []);
+        assert.deepEqual(
+            factCheckNarrative(sections(supported, [...emphasis.slice(0, 2), 'The new birth']), reportData).messageEmphasis,
+            [...emphasis.slice(0, 2), 'The new birth']
+        );
+    });
+});
@@ -0,0 +1,170 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReviewReply } from '../src/utils/reviewReplyParser.js';
+
+process.env.DB_BACKEND = 'memory';
+process.env.ADMIN_NUMBERS = '263700000001';
+
+// The review handler reaches the WhatsApp library through the scheduler
+const handler = await import('../src/bot/reportReviewHandler.js').catch(error => {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes('@whiskeysockets/baileys')) return null;
+    throw error;
+});
+
+const GROUP = '120363000000000001@g.us';
+const LEADER = '263771111111';
+const OTHER_LEADER = '263772222222';
+
+function fakeSock() {
+    const sent = [];
+    return {
+        sent,
+        // Posting takes a moment, like a real upload
+        sendMessage: async (jid, message) => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            sent.push({ jid, ...message });
+        }
+    };
+}
+
+describe('parseReviewReply', () => {
+    test('reads an approval with or without the draft number', () => {
+        assert.deepEqual(parseReviewReply('APPROVE #12'), { action: 'approve', id: 12 });
+        assert.deepEqual(parseReviewReply('  approved #7 ✅'), { action: 'approve', id: 7 });
+        assert.deepEqual(parseReviewReply('*Approve*'), { action: 'approve', id: null });
+        assert.deepEqual(parseReviewReply('approve'), { action: 'approve', id: null });
+    });
+
+    test('does not take yes-words or longer messages as an approval', () => {
+        for (const text of ['yes', 'ehe', 'hongu', 'yebo', 'ok', 'I approve of the report', 'approve #12\nthanks']) {
+            assert.equal(parseReviewReply(text), null, text);
+        }
+    });
+
+    test('reads a request to regenerate', () => {
+        assert.deepEqual(parseReviewReply('REGENERATE #3'), { action: 'regenerate', id: 3 });
+        assert.deepEqual(parseReviewReply('redo'), { action: 'regenerate', id: null });
+    });
+
+    test('reads corrected sections, keeping their line breaks', () => {
+        const reply = parseReviewReply('📝 Draft #12\n\nNARRATIVE:\nFirst paragraph.\n\nSecond paragraph.\n\nCONCLUSION:\nTo God be the glory.');
+
+        assert.deepEqual(reply, {
+            action: 'edit',
+            id: 12,
+            edits: { narrative: 'First paragraph.\n\nSecond paragraph.', conclusion: 'To God be the glory.' }
+        });
+    });
+
+    test('reads one section without a draft number', () => {
+        assert.deepEqual(parseReviewReply('Conclusion: Glory to God.'), { action: 'edit', id: null, edits: { conclusion: 'Glory to God.' } });
+    });
+
+    test('accepts WhatsApp bold around the section names', () => {
+        for (const header of ['*NARRATIVE*:', '*NARRATIVE:*', '*narrative* :', '  NARRATIVE :']) {
+            assert.deepEqual(parseReviewReply(`${header} The team preached.`).edits, { narrative: 'The team preached.' }, header);
+        }
+    });
+
+    test('ignores empty sections and ordinary messages', () => {
+        assert.equal(parseReviewReply('NARRATIVE:\nCONCLUSION:'), null);
+        assert.deepEqual(parseReviewReply('NARRATIVE:\nCONCLUSION: Amen').edits, { conclusion: 'Amen' });
+        assert.equal(parseReviewReply('The narrative: looks good to me'), null);
+        assert.equal(parseReviewReply('Good morning'), null);
+    });
+});
+
+// A DM from a reviewer
+function dm(phone, text) {
+    return { key: { remoteJid: `${phone}@s.whatsapp.net` }, message: { conversation: text } };
+}
+
+describe('handleReviewReply approvals', { skip: !handler && '@whiskeysockets/baileys is not installed' }, () => {
+    let db;
+    let report;
+    let clusterId;
+    let noGroupId;
+
+    async function createDraft(assemblyId = clusterId) {
+        const { lastInsertRowid } = await db.createReportReview({
+            assembly_id: assemblyId,
+            start_date: '2026-09-01',
+            end_date: '2026-09-30',
+            audience: ['cluster_groups'],
+            report_data: report,
+            status: 'pending'
+        });
+        return lastInsertRowid;
+    }
+
+    before(async () => {
+        db = await import('../src/database/db.js');
+        const { generateAssemblyReport } = await import('../src/services/aiReportGenerator.js');
+        await db.initializeDatabase();
+
+        ({ lastInsertRowid: clusterId } = await db.createAssembly('Mutare Central', GROUP));
+        ({ lastInsertRowid: noGroupId } = await db.createAssembly('Chipinge', null));
+        for (const id of [clusterId, noGroupId]) {
+            await db.addClusterLeader(id, LEADER);
+            await db.addClusterLeader(id, OTHER_LEADER);
+        }
+
+        await db.createGroupReport(clusterId, {
+            activity_date: '2026-09-14',
+            location: 'Sakubva Market',
+            activity_type: 'Door to door',
+            message_summary: 'Repent and believe',
+            saved: 3,
+            reporter_name: 'Rudo'
+        }, LEADER, 'MSG-1');
+        report = await generateAssemblyReport(await db.getAssembly(clusterId), '2026-09-01', '2026-09-30');
+    });
+
+    test('two approvals at once post the report once', async () => {
+        const id = await createDraft();
+        const sock = fakeSock();
+
+        await Promise.all([
+            handler.handleReviewReply(sock, dm(LEADER, `APPROVE #${id}`), `APPROVE #${id}`),
+            handler.handleReviewReply(sock, dm(OTHER_LEADER, `approve #${id}`), `approve #${id}`)
+        ]);
+
+        assert.equal(sock.sent.filter(m => m.jid === GROUP && m.document).length, 1);
+        assert.equal((await db.getReportReview(id)).status, 'approved');
+        assert.equal(sock.sent.filter(m => m.text === `Draft #${id} is no longer waiting for review.`).length, 1);
+    });
+
+    test('approving the same draft again does not post it again', async () => {
+        const id = await createDraft();
+        const sock = fakeSock();
+
+        await handler.handleReviewReply(sock, dm(LEADER, `APPROVE #${id}`), `APPROVE #${id}`);
+        await handler.handleReviewReply(sock, dm(LEADER, `APPROVE #${id}`), `APPROVE #${id}`);
+
+        assert.equal(sock.sent.filter(m => m.jid === GROUP && m.document).length, 1);
+    });
+
+    test('a bare "approve" gets the command with the draft number and posts nothing', async () => {
+        for (const open of await db.getOpenReportReviews()) {
+            await db.updateReportReview(open.id, { status: 'superseded' });
+        }
+        const id = await createDraft();
+        const sock = fakeSock();
+
+        await handler.handleReviewReply(sock, dm(LEADER, 'Approve'), 'Approve');
+
+        assert.equal(sock.sent.filter(m => m.jid === GROUP).length, 0);
+        assert.match(sock.sent.at(-1).text, new RegExp(`APPROVE #${id}`));
+        assert.equal((await db.getReportReview(id)).status, 'pending');
+    });
+
+    test('a draft that cannot be posted goes back to waiting', async () => {
+        const id = await createDraft(noGroupId);
+        const sock = fakeSock();
+
+        await handler.handleReviewReply(sock, dm(LEADER, `APPROVE #${id}`), `APPROVE #${id}`);
+
+        assert.equal((await db.getReportReview(id)).status, 'pending');
+        assert.match(sock.sent.at(-1).text, /no chats to post to/);
+    });
+});
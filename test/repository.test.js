@@ -0,0 +1,195 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_BACKEND = 'memory';
+
+const { REPOSITORY_METHODS, assertRepository, loadRepository } = await import('../src/database/repository.js');
+const db = await import('../src/database/db.js');
+const sqlite = await import('../src/database/sqliteRepository.js');
+const supabase = await import('../src/database/supabaseRepository.js');
+
+describe('repository interface', () => {
+    test('every backend implements every repository function', () => {
+        assert.doesNotThrow(() => assertRepository(sqlite, 'sqlite'));
+        assert.doesNotThrow(() => assertRepository(supabase, 'supabase'));
+    });
+
+    test('rejects a backend with missing functions', () => {
+        const partial = Object.fromEntries(REPOSITORY_METHODS.map(method => [method, async () => {}]));
+        delete partial.getReport;
+        delete partial.updateReport;
+
+        assert.throws(() => assertRepository(partial, 'partial'), { message: 'Storage backend "partial" is missing: getReport, updateReport' });
+        assert.throws(() => db.setRepository(partial), /missing: getReport, updateReport/);
+        assert.throws(() => assertRepository(null), /missing: initializeDatabase/);
+    });
+
+    test('rejects an unknown DB_BACKEND', async () => {
+        await assert.rejects(loadRepository({ dbBackend: 'mongo' }), /Unknown DB_BACKEND "mongo"\. Use one of: supabase, sqlite, memory/);
+    });
+});
+
+describe('SQLite repository', () => {
+    let assemblyId;
+    let reportId;
+
+    before(async () => {
+        await db.initializeDatabase();
+        ({ lastInsertRowid: assemblyId } = await db.createAssembly('Mutare Central', '120363000000000001@g.us'));
+        ({ lastInsertRowid: reportId } = await db.createGroupReport(assemblyId, {
+            activity_date: '2026-09-14',
+            location: 'Sakubva Market',
+            activity_type: 'Door to door',
+            message_summary: 'Repent and believe',
+            saved: 3,
+            reporter_name: 'Rudo'
+        }, '263771111111', 'MSG-1'));
+    });
+
+    test('returns null for rows that do not exist', async () => {
+        assert.equal(await db.getReport(9999), null);
+        assert.equal(await db.getAssembly(9999), null);
+        assert.equal(await db.getReportByMessageId('MSG-missing'), null);
+        assert.equal(await db.getReportReview(9999), null);
+    });
+
+    test('getReport includes the cluster name and group', async () => {
+        const report = await db.getReport(reportId);
+
+        assert.equal(report.assembly_name, 'Mutare Central');
+        assert.equal(report.whatsapp_group_id, '120363000000000001@g.us');
+    });
+
+    test('updateReport changes only report columns', async () => {
+        const updated = await db.updateReport(reportId, {
+            saved: 7,
+            posted_to_group: false,
+            id: 500,
+            assembly_name: 'Elsewhere',
+            'saved = 0 WHERE 1 = 1; --': 1
+        });
+
+        assert.equal(updated.id, reportId);
+        assert.equal(updated.saved, 7);
+        assert.equal(updated.posted_to_group, false);
+        assert.equal((await db.getReport(reportId)).assembly_name, 'Mutare Central');
+    });
+
+    test('updateReport with no report columns leaves the report as it was', async () => {
+        const original = await db.getReport(reportId);
+        const updated = await db.updateReport(reportId, { bogus: 'x' });
+
+        assert.equal(updated.saved, original.saved);
+        assert.equal(updated.location, original.location);
+    });
+
+    test('updateReportReview changes only review columns', async () => {
+        const { lastInsertRowid: id } = await db.createReportReview({
+            assembly_id: assemblyId,
+            start_date: '2026-09-01',
+            end_date: '2026-09-30',
+            audience: ['cluster_groups'],
+            report_data: {},
+            status: 'pending'
+        });
+
+        await db.updateReportReview(id, { status: 'escalated', assembly_id: 9999, start_date: '2020-01-01' });
+
+        const review = await db.getReportReview(id);
+        assert.equal(review.status, 'escalated');
+        assert.equal(review.assembly_id, assemblyId);
+        assert.equal(review.start_date, '2026-09-01');
+    });
+
+    test('updateReportReviewStatus changes the status only from the given statuses', async () => {
+        const { lastInsertRowid: id } = await db.createReportReview({
+            assembly_id: assemblyId,
+            start_date: '2026-09-01',
+            end_date: '2026-09-30',
+            audience: ['cluster_groups'],
+            report_data: {},
+            status: 'pending'
+        });
+
+        assert.deepEqual(await db.updateReportReviewStatus(id, 'approving', ['pending', 'escalated']), { changes: 1 });
+        assert.deepEqual(await db.updateReportReviewStatus(id, 'approving', ['pending', 'escalated']), { changes: 0 });
+        assert.equal((await db.getReportReview(id)).status, 'approving');
+    });
+});
+
+describe('Supabase repository', () => {
+    const realFetch = globalThis.fetch;
+    const hadWebSocket = 'WebSocket' in globalThis;
+    let requests;
+
+    // The PostgREST API, answering "no rows" to single-row reads and echoing updates
+    function fakePostgrest(url, init) {
+        const request = { url: new URL(url), method: init.method, body: init.body ? JSON.parse(init.body) : null };
+        requests.push(request);
+
+        const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+        if (request.method === 'PATCH') return json([{ id: 5, ...request.body }]);
+        if (new Headers(init.headers).get('accept') === 'application/vnd.pgrst.object+json') {
+            return json({ code: 'PGRST116', details: 'The result contains 0 rows', message: 'JSON object requested, multiple (or no) rows returned' }, 406);
+        }
+        return json([{ id: 5, saved: 3 }]);
+    }
+
+    before(() => {
+        // The realtime client (unused here) needs a WebSocket class on Node 20
+        if (!hadWebSocket) globalThis.WebSocket = class {};
+        globalThis.fetch = async (url, init) => fakePostgrest(url, init);
+        supabase.connect({ url: 'http://supabase.test', key: 'test-key' });
+    });
+
+    after(() => {
+        globalThis.fetch = realFetch;
+        if (!hadWebSocket) delete globalThis.WebSocket;
+    });
+
+    test('getReport returns null when the row does not exist', async () => {
+        requests = [];
+        assert.equal(await supabase.getReport(9999), null);
+        assert.equal(requests[0].url.searchParams.get('id'), 'eq.9999');
+    });
+
+    test('updateReport sends only report columns', async () => {
+        requests = [];
+        const updated = await supabase.updateReport(5, { saved: 7, id: 500, assembly_name: 'Elsewhere', bogus: 'x' });
+
+        assert.deepEqual(requests.map(r => r.method), ['PATCH']);
+        assert.deepEqual(requests[0].body, { saved: 7 });
+        assert.deepEqual(updated, { id: 5, saved: 7 });
+    });
+
+    test('updateReport with no report columns only reads the report', async () => {
+        requests = [];
+        const report = await supabase.updateReport(5, { bogus: 'x' });
+
+        assert.deepEqual(requests.map(r => r.method), ['GET']);
+        assert.deepEqual(report, { id: 5, saved: 3 });
+    });
+
+    test('updateReportReview sends only review columns', async () => {
+        requests = [];
+        await supabase.updateReportReview(5, { status: 'approved', decided_by: '263771111111', assembly_id: 9, bogus: 'x' });
+
+        assert.deepEqual(requests.map(r => r.method), ['PATCH']);
+        assert.deepEqual(requests[0].body, { status: 'approved', decided_by: '263771111111' });
+
+        requests = [];
+        await supabase.updateReportReview(5, { bogus: 'x' });
+        assert.deepEqual(requests, []);
+    });
+
+    test('updateReportReviewStatus updates only a review with one of the given statuses', async () => {
+        requests = [];
+        assert.deepEqual(await supabase.updateReportReviewStatus(5, 'approving', ['pending', 'escalated']), { changes: 1 });
+
+        assert.equal(requests[0].method, 'PATCH');
+        assert.deepEqual(requests[0].body, { status: 'approving' });
+        assert.equal(requests[0].url.searchParams.get('id'), 'eq.5');
+        assert.equal(requests[0].url.searchParams.get('status'), 'in.(pending,escalated)');
+    });
+});
@@ -0,0 +1,98 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_BACKEND = 'memory';
+process.env.API_TOKENS = 'test-token';
+
+const db = await import('../src/database/db.js');
+const { createApiServer } = await import('../src/api/server.js');
+
+describe('REST API routes', () => {
+    let server;
+    let baseUrl;
+    let activeId;
+    let heldId;
+
+    async function get(path, token = 'test-token') {
+        const response = await fetch(`${baseUrl}${path}`, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    before(async () => {
+        await db.initializeDatabase();
+        const { lastInsertRowid: assemblyId } = await db.createAssembly('Mutare Central', '120363000000000001@g.us');
+
+        const report = {
+            activity_date: '2026-09-14',
+            location: 'Sakubva Market',
+            activity_type: 'Door to door',
+            message_summary: 'Repent and believe',
+            saved: 3,
+            reporter_name: 'Rudo'
+        };
+        ({ lastInsertRowid: activeId } = await db.createGroupReport(assemblyId, report, '263771111111', 'MSG-1'));
+        ({ lastInsertRowid: heldId } = await db.createGroupReport(assemblyId, report, '263772222222', 'MSG-2', {
+            status: 'pending_duplicate',
+            duplicateOf: activeId
+        }));
+
+        server = createApiServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('needs a token for everything but the health check', async () => {
+        assert.deepEqual(await get('/api/health', null), { status: 200, body: { status: 'ok' } });
+        assert.equal((await get('/api/clusters', null)).status, 401);
+        assert.equal((await get('/api/clusters', 'wrong-token')).status, 401);
+    });
+
+    test('lists only active reports unless a status is given', async () => {
+        const ids = async query => (await get(`/api/reports?month=2026-09${query}`)).body.reports.map(r => r.id);
+
+        assert.deepEqual(await ids(''), [activeId]);
+        assert.deepEqual(await ids('&status=pending_duplicate'), [heldId]);
+        assert.deepEqual((await ids('&status=all')).sort(), [activeId, heldId].sort());
+    });
+
+    test('finds a report by ID', async () => {
+        const { status, body } = await get(`/api/reports/${activeId}`);
+
+        assert.equal(status, 200);
+        assert.equal(body.report.location, 'Sakubva Market');
+        assert.deepEqual(await get('/api/reports/9999'), { status: 404, body: { error: 'Report #9999 not found' } });
+    });
+
+    test('rejects a report ID that is not a number', async () => {
+        assert.deepEqual(await get('/api/reports/abc'), { status: 400, body: { error: 'Report ID must be a number' } });
+        assert.equal((await get('/api/reports/12abc')).status, 400);
+    });
+
+    test('finds a cluster by ID or name', async () => {
+        assert.equal((await get('/api/clusters/1')).body.cluster.name, 'Mutare Central');
+        assert.equal((await get('/api/clusters/mutare%20central')).body.cluster.name, 'Mutare Central');
+        assert.deepEqual(await get('/api/clusters/Chipinge'), { status: 404, body: { error: 'Cluster "Chipinge" not found' } });
+    });
+
+    test('rejects a malformed escape in the path', async () => {
+        const { status, body } = await get('/api/clusters/%E0%A4%A');
+
+        assert.equal(status, 400);
+        assert.match(body.error, /Malformed path segment/);
+        assert.equal((await get('/api/pdfs/%zz.pdf')).status, 400);
+    });
+
+    test('rejects bad date ranges', async () => {
+        assert.deepEqual(await get('/api/reports?month=2026-13'), { status: 400, body: { error: 'month must be YYYY-MM' } });
+        assert.equal((await get('/api/reports?start=2026-09-30&end=2026-09-01')).status, 400);
+    });
+
+    test('answers unknown paths and methods', async () => {
+        assert.equal((await get('/api/nothing')).status, 404);
+        assert.equal((await fetch(`${baseUrl}/api/reports`, { method: 'DELETE' })).status, 405);
+    });
+});
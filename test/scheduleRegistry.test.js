@@ -0,0 +1,90 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'schedules-'));
+const schedulesFile = join(dir, 'schedules.json');
+
+process.env.DB_BACKEND = 'memory';
+process.env.SCHEDULES_FILE = schedulesFile;
+
+const db = await import('../src/database/db.js');
+const { loadJobDefinitions, validateJob, DEFAULT_JOBS } = await import('../src/services/scheduleRegistry.js');
+
+const byName = jobs => Object.fromEntries(jobs.map(job => [job.name, job]));
+
+describe('loadJobDefinitions', () => {
+    before(() => db.initializeDatabase());
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    test('uses the built-in jobs when there is no file or saved schedule', async () => {
+        const jobs = byName(await loadJobDefinitions());
+
+        assert.deepEqual(Object.keys(jobs), DEFAULT_JOBS.map(job => job.name));
+        assert.equal(jobs.weekly_digest.cron, '0 8 * * 1');
+        assert.deepEqual(jobs.weekly_digest.audience, ['cluster_groups']);
+    });
+
+    test('the schedules file overrides the defaults and adds jobs', async () => {
+        writeFileSync(schedulesFile, JSON.stringify({
+            jobs: [
+                { name: 'weekly_digest', cron: '0 7 * * 1', period: null, audience: 'admins, 263771111111@s.whatsapp.net' },
+                { name: 'friday_digest', type: 'weekly_digest', cron: '0 16 * * 5', period: 'last_7_days' }
+            ]
+        }));
+
+        const jobs = byName(await loadJobDefinitions());
+
+        assert.equal(jobs.weekly_digest.cron, '0 7 * * 1');
+        // null doesn't wipe out the default
+        assert.equal(jobs.weekly_digest.period, 'last_7_days');
+        assert.equal(jobs.weekly_digest.type, 'weekly_digest');
+        assert.deepEqual(jobs.weekly_digest.audience, ['admins', '263771111111@s.whatsapp.net']);
+
+        assert.deepEqual(jobs.friday_digest.audience, ['cluster_groups']);
+        assert.equal(jobs.friday_digest.enabled, true);
+        assert.deepEqual(jobs.friday_digest.options, {});
+    });
+
+    test('saved schedules override the file', async () => {
+        await db.saveSchedule({ name: 'weekly_digest', type: 'weekly_digest', cron: '0 6 * * 1', enabled: false });
+
+        const jobs = byName(await loadJobDefinitions());
+
+        assert.equal(jobs.weekly_digest.cron, '0 6 * * 1');
+        assert.equal(jobs.weekly_digest.enabled, false);
+        // Fields the saved schedule leaves empty come from the file, then the defaults
+        assert.deepEqual(jobs.weekly_digest.audience, ['admins', '263771111111@s.whatsapp.net']);
+        assert.equal(jobs.weekly_digest.period, 'last_7_days');
+        assert.equal(jobs.friday_digest.cron, '0 16 * * 5');
+    });
+
+    test('ignores a schedules file it cannot read', async () => {
+        writeFileSync(schedulesFile, '{ "jobs": ');
+
+        const jobs = byName(await loadJobDefinitions());
+
+        assert.equal(jobs.friday_digest, undefined);
+        assert.equal(jobs.weekly_digest.cron, '0 6 * * 1');
+        assert.deepEqual(jobs.weekly_digest.audience, ['cluster_groups']);
+    });
+});
+
+describe('validateJob', () => {
+    const JOB_TYPES = ['report', 'national_report', 'weekly_digest', 'reminders', 'review_escalation'];
+    const escalation = audience => ({ ...DEFAULT_JOBS.find(job => job.name === 'review_escalation'), audience });
+
+    test('accepts the built-in jobs', () => {
+        DEFAULT_JOBS.forEach(job => assert.deepEqual(validateJob(job, JOB_TYPES), [], job.name));
+    });
+
+    test('only sends overdue drafts to the admins, who can decide on them', () => {
+        const error = 'review_escalation can only go to "admins" (no one else can decide on a draft)';
+
+        assert.deepEqual(validateJob(escalation(['admins']), JOB_TYPES), []);
+        assert.deepEqual(validateJob(escalation(['leadership']), JOB_TYPES), [error]);
+        assert.deepEqual(validateJob(escalation(['admins', '263771111111@s.whatsapp.net']), JOB_TYPES), [error]);
+    });
+});